@@ -0,0 +1,158 @@
+import React from 'react';
+import { ChevronDown, ChevronUp } from 'lucide-react';
+import AttentionHeatmap from './AttentionHeatmap';
+import { ANALYSIS_COLUMNS, sortMetrics } from '../engine/analysis';
+import { generateSentenceStories } from '../engine/story';
+import { useTranslation } from './i18n';
+
+const Bar = ({ value, color = 'bg-blue-500' }) => (
+  <div className="w-20 h-2 bg-gray-100 rounded" aria-hidden="true">
+    <div className={`h-2 rounded ${color}`} style={{ width: `${Math.min(1, value) * 100}%` }} />
+  </div>
+);
+
+// What stands out in the attention matrix as a whole: a few generated
+// sentences, a sortable table of per-word metrics from tokenMetrics and,
+// with several layers or heads, the attention rollout. `sort` ({ key,
+// direction }) and the heatmap options live in the parent.
+const AnalysisPanel = ({
+  metrics,
+  rollout,
+  layers,
+  sort,
+  onSortChange,
+  heatmapOptions,
+  onOptionsChange,
+  selectedToken,
+  onSelectToken
+}) => {
+  const t = useTranslation();
+  if (metrics.length < 2) return null;
+
+  const hasRollout = metrics[0].influence !== null;
+  const columns = hasRollout ? ANALYSIS_COLUMNS : ANALYSIS_COLUMNS.filter(key => key !== 'influence');
+  const stories = generateSentenceStories(metrics, layers, t);
+  const rows = sortMetrics(metrics, sort);
+  const tokens = metrics.map(item => item.token);
+  const maxEntropy = Math.log2(metrics.length);
+  // Received attention and influence bars are scaled to the largest value
+  const maxShare = Math.max(...metrics.map(item => item.share));
+  const maxInfluence = hasRollout ? Math.max(...metrics.map(item => item.influence)) : 1;
+  const pct = (val) => `${Math.round(val * 100)}%`;
+
+  // A second click on the same column flips the direction
+  const sortBy = (key) => onSortChange({
+    key,
+    direction: sort.key === key ? (sort.direction === 'asc' ? 'desc' : 'asc') : (key === 'index' ? 'asc' : 'desc')
+  });
+  const header = (key, label) => (
+    <th
+      key={key}
+      scope="col"
+      className="py-1 pr-3"
+      aria-sort={sort.key === key ? (sort.direction === 'asc' ? 'ascending' : 'descending') : 'none'}
+    >
+      <button onClick={() => sortBy(key)} className="flex items-center gap-1 hover:text-blue-700">
+        {label}
+        {sort.key === key && (sort.direction === 'asc' ? <ChevronUp size={14} /> : <ChevronDown size={14} />)}
+      </button>
+    </th>
+  );
+
+  const cell = (item, key) => {
+    if (key === 'entropy') {
+      return (
+        <div className="flex items-center gap-2">
+          <Bar value={maxEntropy ? item.entropy / maxEntropy : 0} color="bg-purple-500" />
+          <span className="font-mono">{item.entropy.toFixed(2)}</span>
+        </div>
+      );
+    }
+    if (key === 'received') {
+      return (
+        <div className="flex items-center gap-2">
+          <Bar value={maxShare ? item.share / maxShare : 0} />
+          <span className="font-mono">{item.received.toFixed(2)} ({pct(item.share)})</span>
+        </div>
+      );
+    }
+    if (key === 'self') {
+      return (
+        <div className="flex items-center gap-2">
+          <Bar value={item.self} color="bg-amber-500" />
+          <span className="font-mono">{pct(item.self)}</span>
+        </div>
+      );
+    }
+    return (
+      <div className="flex items-center gap-2">
+        <Bar value={maxInfluence ? item.influence / maxInfluence : 0} color="bg-emerald-500" />
+        <span className="font-mono">{pct(item.influence)}</span>
+      </div>
+    );
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="bg-yellow-50 border-2 border-yellow-200 rounded-lg p-4">
+        <h4 className="font-semibold mb-2">📝 {t('analysis.storiesTitle')}</h4>
+        <ul className="list-disc pl-5 space-y-1 text-sm text-gray-700">
+          {stories.map((story, k) => <li key={k}>{story}</li>)}
+        </ul>
+      </div>
+
+      <div className="bg-white border-2 border-gray-200 rounded-lg p-4">
+        <h4 className="font-semibold mb-1">{t('analysis.tableTitle')}</h4>
+        <p className="text-sm text-gray-600 mb-3">{t('analysis.tableDescription')}</p>
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <caption className="sr-only">
+              {t('analysis.sortedBy', {
+                column: t(`analysis.columns.${sort.key}`),
+                direction: t(`analysis.direction.${sort.direction}`)
+              })}
+            </caption>
+            <thead>
+              <tr className="text-left text-gray-600">
+                {header('index', t('analysis.columns.index'))}
+                {columns.map(key => header(key, t(`analysis.columns.${key}`)))}
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map(item => (
+                <tr key={item.index} className={item.index === selectedToken ? 'bg-yellow-50' : ''}>
+                  <th scope="row" className="py-1 pr-3 text-left font-medium">
+                    <button
+                      onClick={() => onSelectToken(item.index)}
+                      aria-pressed={item.index === selectedToken}
+                      className="hover:text-blue-700"
+                    >
+                      {item.token}
+                    </button>
+                  </th>
+                  {columns.map(key => <td key={key} className="py-1 pr-3">{cell(item, key)}</td>)}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+        <p className="text-xs text-gray-500 mt-2">{t('analysis.note')}</p>
+      </div>
+
+      {hasRollout && (
+        <AttentionHeatmap
+          matrix={rollout}
+          tokens={tokens}
+          title={t('analysis.rolloutTitle')}
+          description={t('analysis.rolloutDescription', { count: layers })}
+          {...heatmapOptions}
+          onOptionsChange={onOptionsChange}
+          selectedToken={selectedToken}
+          onSelectToken={onSelectToken}
+        />
+      )}
+    </div>
+  );
+};
+
+export default AnalysisPanel;
@@ -0,0 +1,243 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { Play, Pause, StepBack, StepForward } from 'lucide-react';
+import { ARITHMETIC_PHASES, buildArithmeticFrames, phaseStart, arithmeticSnapshot } from '../engine/arithmetic';
+import { useTranslation } from './i18n';
+
+// Milliseconds per frame at 1× speed
+const FRAME_MS = 900;
+const SPEEDS = [0.5, 1, 2, 4];
+// Longer sentences only show the row being worked on
+const GRID_ROWS = 12;
+
+const fmt = (val) => (val === -Infinity ? '−∞' : val.toFixed(2));
+
+const Vector = ({ label, values, color }) => (
+  <div className="flex items-center gap-2 flex-wrap">
+    <span className={`font-semibold ${color}`}>{label}</span>
+    <span className="font-mono">[{values.map(fmt).join(', ')}]</span>
+  </div>
+);
+
+const ScoreFrame = ({ frame, queryTokens, tokens, dK, t }) => (
+  <div className="space-y-2 text-sm">
+    <Vector label={`Q "${queryTokens[frame.i]}"`} values={frame.query} color="text-blue-700" />
+    <Vector label={`K "${tokens[frame.j]}"`} values={frame.key} color="text-green-700" />
+    <p className="font-mono">
+      {frame.products.map((val, d) => (
+        <span key={d}>{d > 0 && ' + '}<span className="bg-yellow-100 px-1 rounded">{fmt(val)}</span></span>
+      ))}
+      {' = '}<strong>{fmt(frame.score)}</strong>
+    </p>
+    <p className="font-mono">
+      {fmt(frame.score)} ÷ √{dK} = <strong>{fmt(frame.scaled)}</strong>
+      {frame.masked && <span className="ml-2 text-gray-500">{t('arithmetic.maskedCell')}</span>}
+    </p>
+  </div>
+);
+
+const SoftmaxFrame = ({ frame, queryTokens, tokens, t }) => (
+  <div className="space-y-2 text-sm">
+    <p>{t('arithmetic.softmaxRow', { word: queryTokens[frame.i], max: fmt(frame.max), total: frame.total.toFixed(3) })}</p>
+    <div className="overflow-x-auto">
+      <table className="font-mono text-xs">
+        <tbody>
+          {[
+            ['', tokens, 'text-gray-600'],
+            [t('arithmetic.score'), frame.scores.map(fmt), ''],
+            [`e^(${t('arithmetic.score')} − max)`, frame.exps.map(val => val.toFixed(3)), 'text-purple-700'],
+            [t('arithmetic.weight'), frame.weights.map(val => `${(val * 100).toFixed(1)}%`), 'text-blue-700 font-semibold']
+          ].map(([label, cells, color]) => (
+            <tr key={label} className={color}>
+              <td className="pr-3 text-gray-600 whitespace-nowrap">{label}</td>
+              {cells.map((cell, j) => <td key={j} className="px-2 text-center whitespace-nowrap">{cell}</td>)}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  </div>
+);
+
+const SumFrame = ({ frame, queryTokens, tokens, t }) => (
+  <div className="space-y-2 text-sm">
+    <p className="font-mono">
+      {(frame.weight * 100).toFixed(1)}% × V "{tokens[frame.j]}" [{frame.value.map(fmt).join(', ')}]
+      {' = '}<span className="bg-yellow-100 px-1 rounded">[{frame.contribution.map(fmt).join(', ')}]</span>
+    </p>
+    <Vector label={t('arithmetic.outputSoFar', { word: queryTokens[frame.i] })} values={frame.partial} color="text-indigo-700" />
+  </div>
+);
+
+// The matrix being built, with cells not reached yet left blank and the
+// current cell (or row) outlined.
+const ProgressGrid = ({ matrix, rowLabels, colLabels, activeRow, activeCol, t }) => {
+  const shownRows = matrix.length > GRID_ROWS ? [activeRow] : matrix.map((_, i) => i);
+  return (
+    <div className="overflow-x-auto">
+      <table className="font-mono text-xs border-separate" style={{ borderSpacing: 2 }}>
+        <thead>
+          <tr>
+            <th />
+            {colLabels.map((label, j) => <th key={j} className="px-1 font-medium text-gray-600 whitespace-nowrap">{label}</th>)}
+          </tr>
+        </thead>
+        <tbody>
+          {shownRows.map(i => (
+            <tr key={i}>
+              <td className="pr-2 text-gray-600 whitespace-nowrap">{rowLabels[i]}</td>
+              {colLabels.map((_, j) => {
+                const val = matrix[i] ? matrix[i][j] : null;
+                const isActive = i === activeRow && (activeCol === null || j === activeCol);
+                return (
+                  <td
+                    key={j}
+                    className={`px-2 py-1 text-center rounded ${isActive ? 'ring-2 ring-orange-400' : ''} ${
+                      val === null ? 'bg-gray-50 text-gray-300' : val === -Infinity ? 'bg-gray-200 text-gray-500' : 'bg-blue-50'
+                    }`}
+                  >
+                    {val === null ? '·' : fmt(val)}
+                  </td>
+                );
+              })}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {shownRows.length < matrix.length && (
+        <p className="text-xs text-gray-500 mt-1">{t('arithmetic.rowOf', { row: activeRow + 1, count: matrix.length })}</p>
+      )}
+    </div>
+  );
+};
+
+// Plays one head's arithmetic a single calculation at a time: every Q·K
+// dot product, each softmax row, then each weighted value added into the
+// output. Rendered outside the step content so playback survives the
+// parent's re-renders; `startPhase` picks where it begins.
+const ArithmeticAnimation = ({ head, tokens, queryTokens = tokens, startPhase = 'score', headLabel = null }) => {
+  const t = useTranslation();
+  const frames = useMemo(() => buildArithmeticFrames(head), [head]);
+  const [index, setIndex] = useState(() => phaseStart(frames, startPhase));
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [speed, setSpeed] = useState(1);
+  const last = frames.length - 1;
+  const current = Math.min(index, last);
+
+  useEffect(() => {
+    if (!isPlaying) return undefined;
+    if (current >= last) {
+      setIsPlaying(false);
+      return undefined;
+    }
+    const timer = setTimeout(() => setIndex(current + 1), FRAME_MS / speed);
+    return () => clearTimeout(timer);
+  }, [isPlaying, current, last, speed]);
+
+  const snapshot = useMemo(
+    () => arithmeticSnapshot(frames, current, queryTokens.length, tokens.length),
+    [frames, current, queryTokens.length, tokens.length]
+  );
+
+  if (!frames.length) return null;
+  const frame = frames[current];
+  const outputColumns = head.V[0].map((_, d) => `d${d + 1}`);
+
+  const goTo = (next) => {
+    setIsPlaying(false);
+    setIndex(Math.max(0, Math.min(last, next)));
+  };
+
+  // At the end, Play starts over from the first calculation
+  const togglePlay = () => {
+    if (current >= last) setIndex(0);
+    setIsPlaying(current >= last || !isPlaying);
+  };
+
+  return (
+    <div className="bg-white border-2 border-orange-200 rounded-lg p-4 space-y-4">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <h4 className="font-semibold">🎬 {t('arithmetic.title')}{headLabel ? ` — ${headLabel}` : ''}</h4>
+        <span className="text-sm text-gray-500">{t('arithmetic.progress', { current: current + 1, count: frames.length })}</span>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2">
+        <button
+          onClick={() => goTo(current - 1)}
+          disabled={current === 0}
+          title={t('arithmetic.previous')}
+          className="p-2 rounded-lg bg-gray-100 hover:bg-gray-200 disabled:opacity-40"
+        >
+          <StepBack size={16} />
+        </button>
+        <button
+          onClick={togglePlay}
+          className="px-3 py-2 rounded-lg bg-orange-500 text-white hover:bg-orange-600 flex items-center gap-1 text-sm font-medium"
+        >
+          {isPlaying ? <Pause size={16} /> : <Play size={16} />}
+          {isPlaying ? t('arithmetic.pause') : current >= last ? t('arithmetic.replay') : t('arithmetic.play')}
+        </button>
+        <button
+          onClick={() => goTo(current + 1)}
+          disabled={current >= last}
+          title={t('arithmetic.next')}
+          className="p-2 rounded-lg bg-gray-100 hover:bg-gray-200 disabled:opacity-40"
+        >
+          <StepForward size={16} />
+        </button>
+        <label className="flex items-center gap-1 text-sm text-gray-700 ml-2">
+          {t('arithmetic.speed')}
+          <select
+            value={speed}
+            onChange={(e) => setSpeed(Number(e.target.value))}
+            className="px-2 py-1 border-2 border-gray-300 rounded"
+          >
+            {SPEEDS.map(s => <option key={s} value={s}>{s}×</option>)}
+          </select>
+        </label>
+        <div className="flex gap-1 ml-2">
+          {ARITHMETIC_PHASES.map(phase => (
+            <button
+              key={phase}
+              onClick={() => goTo(phaseStart(frames, phase))}
+              className={`px-2 py-1 rounded-full text-xs font-medium border ${
+                frame.phase === phase ? 'bg-orange-100 border-orange-400 text-orange-800' : 'bg-white border-gray-300 text-gray-600'
+              }`}
+            >
+              {t(`arithmetic.phase.${phase}`)}
+            </button>
+          ))}
+        </div>
+      </div>
+      <input
+        type="range"
+        min={0}
+        max={last}
+        value={current}
+        onChange={(e) => goTo(Number(e.target.value))}
+        className="w-full"
+        aria-label={t('arithmetic.calculation')}
+      />
+
+      <div className="grid md:grid-cols-2 gap-4">
+        <div className="bg-orange-50 p-3 rounded-lg">
+          {frame.phase === 'score' && <ScoreFrame frame={frame} queryTokens={queryTokens} tokens={tokens} dK={head.dK} t={t} />}
+          {frame.phase === 'softmax' && <SoftmaxFrame frame={frame} queryTokens={queryTokens} tokens={tokens} t={t} />}
+          {frame.phase === 'sum' && <SumFrame frame={frame} queryTokens={queryTokens} tokens={tokens} t={t} />}
+        </div>
+        <div>
+          {frame.phase === 'score' && (
+            <ProgressGrid matrix={snapshot.scores} rowLabels={queryTokens} colLabels={tokens} activeRow={frame.i} activeCol={frame.j} t={t} />
+          )}
+          {frame.phase === 'softmax' && (
+            <ProgressGrid matrix={snapshot.weights} rowLabels={queryTokens} colLabels={tokens} activeRow={frame.i} activeCol={null} t={t} />
+          )}
+          {frame.phase === 'sum' && (
+            <ProgressGrid matrix={snapshot.output} rowLabels={queryTokens} colLabels={outputColumns} activeRow={frame.i} activeCol={null} t={t} />
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ArithmeticAnimation;
@@ -0,0 +1,229 @@
+import React, { forwardRef, useEffect, useImperativeHandle, useMemo, useRef, useState } from 'react';
+import { flowLayout, buildConnections, pointOnCurve, hitConnection, hitToken } from '../engine/flowLayout';
+import { listKeyTarget } from '../engine/keyboard';
+import { headColor } from './palette';
+import { useTranslation } from './i18n';
+
+// Used until the container has been measured (and in tests, which have no layout)
+const FALLBACK_WIDTH = 600;
+// Particle trips per second along each connection
+const PARTICLE_SPEED = 0.5;
+const FONT = '12px sans-serif';
+// Beyond this many connections the percentage labels would just pile up
+const MAX_PERCENT_LABELS = 24;
+
+// Shortens a label with "…" until it fits `maxWidth`
+const fitLabel = (ctx, text, maxWidth) => {
+  if (ctx.measureText(text).width <= maxWidth) return text;
+  let cut = text;
+  while (cut.length > 1 && ctx.measureText(`${cut}…`).width > maxWidth) cut = cut.slice(0, -1);
+  return `${cut}…`;
+};
+
+// Labels, dots and curves. They only change with the data or the size, so
+// they are drawn once onto an offscreen canvas.
+const drawStatic = (ctx, { layout, connections, tokens, queryTokens, selectedToken, cross, showPercentages }) => {
+  ctx.font = FONT;
+  ctx.textAlign = 'center';
+
+  connections.forEach(({ head, weight, start, control, end }) => {
+    ctx.beginPath();
+    ctx.strokeStyle = headColor(head, Math.min(1, 0.15 + weight * 2));
+    ctx.lineWidth = Math.max(1, weight * 8);
+    ctx.moveTo(start.x, start.y);
+    ctx.quadraticCurveTo(control.x, control.y, end.x, end.y);
+    ctx.stroke();
+  });
+
+  const drawTokens = (list, points, above, highlight) => {
+    list.forEach((token, i) => {
+      const { x, y } = points[i];
+      ctx.beginPath();
+      ctx.fillStyle = i === highlight ? headColor(0) : '#9ca3af';
+      ctx.arc(x, y, i === highlight ? 5 : 3, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.fillStyle = i === highlight ? '#1d4ed8' : '#1f2937';
+      ctx.fillText(fitLabel(ctx, token, layout.slot - 6), x, above ? y - 9 : y + 16);
+    });
+  };
+  drawTokens(tokens, layout.keys, false, cross ? null : selectedToken);
+  if (cross) drawTokens(queryTokens, layout.queries, true, selectedToken);
+
+  if (showPercentages && connections.length <= MAX_PERCENT_LABELS) {
+    ctx.fillStyle = '#1f2937';
+    connections.forEach(({ weight, end }) => {
+      ctx.fillText(`${Math.round(weight * 100)}%`, end.x, end.y - 10);
+    });
+  }
+  ctx.textAlign = 'start';
+};
+
+const drawParticles = (ctx, connections, time) => {
+  connections.forEach(({ head, weight, start, control, end }, i) => {
+    // Each connection starts at a different point so they don't pulse in step
+    const t = ((time / 1000) * PARTICLE_SPEED + i * 0.137) % 1;
+    const p = pointOnCurve(start, control, end, t);
+    ctx.beginPath();
+    ctx.fillStyle = headColor(head);
+    ctx.arc(p.x, p.y, Math.max(2, weight * 6), 0, Math.PI * 2);
+    ctx.fill();
+  });
+};
+
+// Animated attention flow from the selected query to every key. Sizes itself
+// to its container, renders at devicePixelRatio, and wraps long sentences
+// onto several rows. The animation loop runs on requestAnimationFrame and
+// only moves the particles, so React renders once per change of data or
+// size, not once per frame. `rows` is [{ head, weights }] for the selected
+// query, one entry per head drawn. The ref points at the <canvas>. For
+// screen readers the canvas is an image labelled with the weights, and the
+// left and right arrow keys move the selection.
+const AttentionFlowCanvas = forwardRef(({ rows, tokens, queryTokens = tokens, selectedToken, onSelectToken = null, showPercentages = false }, ref) => {
+  const containerRef = useRef(null);
+  const canvasRef = useRef(null);
+  const [width, setWidth] = useState(FALLBACK_WIDTH);
+  const [tooltip, setTooltip] = useState(null);
+  const t = useTranslation();
+  useImperativeHandle(ref, () => canvasRef.current);
+
+  const cross = queryTokens !== tokens;
+  const layout = useMemo(
+    () => flowLayout({ width, keyCount: tokens.length, queryCount: queryTokens.length, cross }),
+    [width, tokens.length, queryTokens.length, cross]
+  );
+  const connections = useMemo(
+    () => (selectedToken === null ? [] : buildConnections({ layout, rows, from: selectedToken, cross })),
+    [layout, rows, selectedToken, cross]
+  );
+
+  useEffect(() => {
+    const container = containerRef.current;
+    const measure = () => {
+      if (container.clientWidth) setWidth(container.clientWidth);
+    };
+    measure();
+    if (typeof ResizeObserver === 'undefined') {
+      window.addEventListener('resize', measure);
+      return () => window.removeEventListener('resize', measure);
+    }
+    const observer = new ResizeObserver(measure);
+    observer.observe(container);
+    return () => observer.disconnect();
+  }, []);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    const ctx = canvas.getContext('2d');
+    if (!ctx) return undefined;
+    const dpr = window.devicePixelRatio || 1;
+    canvas.width = Math.round(layout.width * dpr);
+    canvas.height = Math.round(layout.height * dpr);
+
+    const staticLayer = document.createElement('canvas');
+    staticLayer.width = canvas.width;
+    staticLayer.height = canvas.height;
+    const staticCtx = staticLayer.getContext('2d');
+    staticCtx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    drawStatic(staticCtx, { layout, connections, tokens, queryTokens, selectedToken, cross, showPercentages });
+
+    const reduceMotion = Boolean(window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches);
+    let frame = null;
+    const render = (time) => {
+      ctx.setTransform(1, 0, 0, 1, 0, 0);
+      ctx.clearRect(0, 0, canvas.width, canvas.height);
+      ctx.drawImage(staticLayer, 0, 0);
+      ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+      drawParticles(ctx, connections, time);
+      if (!reduceMotion && connections.length && window.requestAnimationFrame) {
+        frame = window.requestAnimationFrame(render);
+      }
+    };
+    render(0);
+    return () => {
+      if (frame !== null) window.cancelAnimationFrame(frame);
+    };
+  }, [layout, connections, tokens, queryTokens, selectedToken, cross, showPercentages]);
+
+  const pointerAt = (event) => {
+    const rect = canvasRef.current.getBoundingClientRect();
+    return { x: event.clientX - rect.left, y: event.clientY - rect.top };
+  };
+
+  const handleMove = (event) => {
+    const { x, y } = pointerAt(event);
+    const connection = hitConnection(connections, x, y);
+    if (connection) {
+      setTooltip({
+        x,
+        y,
+        text: `"${queryTokens[connection.from]}" → "${tokens[connection.to]}": ${(connection.weight * 100).toFixed(1)}%${
+          rows.length > 1 ? ` (${t('heads.head', { number: connection.head + 1 })})` : ''
+        }`
+      });
+      return;
+    }
+    const key = hitToken(layout.keys, x, y);
+    const query = cross ? hitToken(layout.queries, x, y) : -1;
+    if (query >= 0) setTooltip({ x, y, text: t('flow.follow', { word: queryTokens[query] }) });
+    else if (key >= 0) setTooltip({ x, y, text: cross ? `"${tokens[key]}"` : t('flow.follow', { word: tokens[key] }) });
+    else setTooltip(null);
+  };
+
+  const handleClick = (event) => {
+    if (!onSelectToken) return;
+    const { x, y } = pointerAt(event);
+    const index = hitToken(layout.queries, x, y);
+    if (index >= 0) onSelectToken(index);
+  };
+
+  const handleKeyDown = (event) => {
+    if (!onSelectToken) return;
+    if (!['ArrowLeft', 'ArrowRight', 'Home', 'End'].includes(event.key)) return;
+    const next = listKeyTarget(event.key, selectedToken === null ? -1 : selectedToken, queryTokens.length);
+    if (next === null) return;
+    event.preventDefault();
+    onSelectToken(next);
+  };
+
+  // "sat" 70%, "the" 20%, … strongest first, per head when there are several
+  const describe = () => {
+    if (selectedToken === null) return t('flow.canvasEmpty');
+    const weights = rows.map(({ head, weights: row }) => {
+      const list = row
+        .map((weight, i) => ({ weight, token: tokens[i] }))
+        .filter(({ weight }) => weight > 0)
+        .sort((a, b) => b.weight - a.weight)
+        .map(({ weight, token }) => `"${token}" ${Math.round(weight * 100)}%`)
+        .join(', ');
+      return rows.length > 1 ? `${t('heads.head', { number: head + 1 })}: ${list}` : list;
+    });
+    return t('flow.canvasLabel', { word: queryTokens[selectedToken], weights: weights.join('; ') });
+  };
+
+  return (
+    <div ref={containerRef} className="relative w-full">
+      <canvas
+        ref={canvasRef}
+        className="border rounded bg-white block cursor-pointer focus:outline-none focus-visible:ring-2 focus-visible:ring-blue-500"
+        style={{ width: layout.width, height: layout.height }}
+        role="img"
+        aria-label={describe()}
+        tabIndex={onSelectToken ? 0 : undefined}
+        onKeyDown={handleKeyDown}
+        onMouseMove={handleMove}
+        onMouseLeave={() => setTooltip(null)}
+        onClick={handleClick}
+      />
+      {tooltip && (
+        <div
+          className="absolute pointer-events-none bg-gray-800 text-white text-xs rounded px-2 py-1 whitespace-nowrap"
+          style={{ left: tooltip.x + 12, top: tooltip.y + 12 }}
+        >
+          {tooltip.text}
+        </div>
+      )}
+    </div>
+  );
+});
+
+export default AttentionFlowCanvas;
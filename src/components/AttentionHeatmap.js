@@ -0,0 +1,287 @@
+import React, { useMemo, useState } from 'react';
+import {
+  sortOrders,
+  permute,
+  transposeMatrix,
+  valueDomain,
+  heatColor,
+  heatTextColor,
+  paletteGradient,
+  cellSize,
+  MASKED_COLOR,
+  SORT_MODES
+} from '../engine/heatmap';
+import { gridKeyTarget } from '../engine/keyboard';
+import { useTranslation } from './i18n';
+import { usePalette } from './palette';
+import AttentionTable from './AttentionTable';
+
+const formatValue = (val, diverging, t) => {
+  if (!Number.isFinite(val)) return t('heatmap.masked');
+  return diverging ? val.toFixed(2) : `${(val * 100).toFixed(1)}%`;
+};
+
+const Legend = ({ domain, diverging, hasMask, palette, t }) => (
+  <div className="flex flex-wrap items-center gap-3 text-xs text-gray-600 mt-3">
+    <span className="font-mono">{diverging ? domain.min.toFixed(1) : '0%'}</span>
+    <div
+      className="w-40 h-3 rounded border border-gray-200"
+      style={{ background: paletteGradient(palette, diverging) }}
+    />
+    <span className="font-mono">{diverging ? `+${domain.max.toFixed(1)}` : '100%'}</span>
+    {diverging && <span>{t('heatmap.zeroIsWhite')}</span>}
+    {hasMask && (
+      <span className="flex items-center gap-1">
+        <span className="inline-block w-3 h-3 rounded-sm" style={{ backgroundColor: MASKED_COLOR }} /> {t('heatmap.masked')}
+      </span>
+    )}
+  </div>
+);
+
+// Full attention heatmap. Rows are queries ("who is looking"), columns are
+// keys; the columns view flips it to show who attends to each word. For
+// cross-attention `queryTokens` (target) differ from `tokens` (source) and
+// the matrix is rectangular. The cells are
+// built once per matrix and hover only moves two highlight bands, so it stays
+// smooth at 64 tokens. The grid takes focus: the arrow keys move the same
+// highlight and Enter selects. `table` swaps the grid for a plain table.
+// `sortMode`, `view` and `table` live in the parent so they survive
+// re-renders.
+const AttentionHeatmap = ({
+  matrix,
+  tokens,
+  queryTokens = tokens,
+  mask = null,
+  diverging = false,
+  title,
+  description,
+  sortMode,
+  view,
+  table = false,
+  onOptionsChange,
+  selectedToken = null,
+  onSelectToken = null
+}) => {
+  const t = useTranslation();
+  const palette = usePalette();
+  const [hover, setHover] = useState(null);
+  const isColumns = view === 'columns';
+  // What each shown row and column is: the columns view swaps the two sides
+  const orders = useMemo(() => sortOrders(matrix, sortMode), [matrix, sortMode]);
+  const rowOrder = isColumns ? orders.cols : orders.rows;
+  const colOrder = isColumns ? orders.rows : orders.cols;
+  const rowTokens = isColumns ? tokens : queryTokens;
+  const colTokens = isColumns ? queryTokens : tokens;
+  const rows = rowOrder.length;
+  const cols = colOrder.length;
+  const size = cellSize(Math.max(rows, cols));
+  const showValues = size >= 40;
+
+  const shown = useMemo(
+    () => permute(isColumns ? transposeMatrix(matrix) : matrix, rowOrder, colOrder),
+    [matrix, rowOrder, colOrder, isColumns]
+  );
+  const shownMask = useMemo(
+    () => (mask ? permute(isColumns ? transposeMatrix(mask) : mask, rowOrder, colOrder) : null),
+    [mask, rowOrder, colOrder, isColumns]
+  );
+  const domain = useMemo(() => valueDomain(matrix, diverging), [matrix, diverging]);
+
+  // Masked cells always read as masked, even for raw scores
+  const valueAt = (i, j) => (shownMask && shownMask[i][j] ? -Infinity : shown[i][j]);
+
+  const cells = useMemo(() => shown.map((row, i) => row.map((_, j) => {
+    const val = shownMask && shownMask[i][j] ? -Infinity : shown[i][j];
+    return (
+      <div
+        key={`${i}-${j}`}
+        className="flex items-center justify-center font-mono"
+        style={{
+          backgroundColor: heatColor(val, domain, diverging, palette),
+          fontSize: 10,
+          color: heatTextColor(val, domain, diverging, palette)
+        }}
+      >
+        {showValues && Number.isFinite(val) ? (diverging ? val.toFixed(1) : Math.round(val * 100)) : ''}
+      </div>
+    );
+  })), [shown, shownMask, domain, diverging, showValues, palette]);
+
+  if (!rows || !cols) return null;
+
+  // Positions in the shown grid → token indices
+  const queryOf = (i, j) => (isColumns ? colOrder[j] : rowOrder[i]);
+  const keyOf = (i, j) => (isColumns ? rowOrder[i] : colOrder[j]);
+  const selectedPosition = selectedToken === null ? -1 : (isColumns ? colOrder : rowOrder).indexOf(selectedToken);
+
+  const changeOptions = (changes) => onOptionsChange({ sortMode, view, table, ...changes });
+
+  // Keyboard focus starts on the selected word's row (or column)
+  const startCell = () => {
+    if (selectedPosition < 0) return { i: 0, j: 0 };
+    return isColumns ? { i: 0, j: selectedPosition } : { i: selectedPosition, j: 0 };
+  };
+
+  const handleKeyDown = (e) => {
+    if ((e.key === 'Enter' || e.key === ' ') && hover && onSelectToken) {
+      e.preventDefault();
+      onSelectToken(queryOf(hover.i, hover.j));
+      return;
+    }
+    if (e.key === 'Escape') {
+      setHover(null);
+      return;
+    }
+    const next = gridKeyTarget(e.key, hover || startCell(), rows, cols);
+    if (next) {
+      e.preventDefault();
+      setHover(next);
+    }
+  };
+
+  const cellFromEvent = (e) => {
+    const rect = e.currentTarget.getBoundingClientRect();
+    const i = Math.floor((e.clientY - rect.top) / size);
+    const j = Math.floor((e.clientX - rect.left) / size);
+    return i >= 0 && j >= 0 && i < rows && j < cols ? { i, j } : null;
+  };
+
+  const rowLabel = (i) => {
+    const isHovered = hover && hover.i === i;
+    return (
+      <div
+        key={i}
+        className={`text-right pr-2 truncate ${isHovered ? 'font-bold text-blue-700' : 'text-gray-600'}`}
+        style={{ height: size, lineHeight: `${size}px`, fontSize: Math.min(12, size - 2) }}
+      >
+        {rowTokens[rowOrder[i]]}
+      </div>
+    );
+  };
+
+  const colLabel = (j) => {
+    const isHovered = hover && hover.j === j;
+    return (
+      <div
+        key={j}
+        className={`truncate ${isHovered ? 'font-bold text-blue-700' : 'text-gray-600'}`}
+        style={{
+          width: size,
+          writingMode: 'vertical-rl',
+          transform: 'rotate(180deg)',
+          fontSize: Math.min(12, size - 2),
+          lineHeight: `${size}px`
+        }}
+      >
+        {colTokens[colOrder[j]]}
+      </div>
+    );
+  };
+
+  const band = (style) => (
+    <div className="absolute pointer-events-none border-2 border-gray-800 rounded-sm" style={style} />
+  );
+
+  return (
+    <div className="bg-white border-2 border-gray-200 rounded-lg p-4">
+      <div className="flex flex-wrap items-start justify-between gap-3 mb-3">
+        <div>
+          {title && <h4 className="font-semibold">{title}</h4>}
+          {description && <p className="text-sm text-gray-600">{description}</p>}
+        </div>
+        <div className="flex flex-wrap items-center gap-2 text-sm">
+          <div className="flex rounded-lg border-2 border-gray-300 overflow-hidden">
+            {[['rows', t('heatmap.rowsView')], ['columns', t('heatmap.columnsView')]].map(([value, label]) => (
+              <button
+                key={value}
+                onClick={() => changeOptions({ view: value })}
+                aria-pressed={view === value}
+                className={`px-3 py-1 font-medium ${view === value ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-100'}`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+          <select
+            value={sortMode}
+            onChange={(e) => changeOptions({ sortMode: e.target.value })}
+            className="border-2 border-gray-300 rounded-lg px-2 py-1"
+            aria-label={t('heatmap.sortLabel')}
+          >
+            {SORT_MODES.map(value => <option key={value} value={value}>{t(`heatmap.sort.${value}`)}</option>)}
+          </select>
+          <button
+            onClick={() => changeOptions({ table: !table })}
+            aria-pressed={table}
+            className={`px-3 py-1 rounded-lg border-2 font-medium ${
+              table ? 'bg-blue-600 text-white border-blue-600' : 'bg-white text-gray-700 border-gray-300 hover:bg-gray-100'
+            }`}
+          >
+            {t('heatmap.table')}
+          </button>
+        </div>
+      </div>
+
+      <p className="text-sm text-gray-700 mb-2 h-5" aria-live="polite">
+        {hover
+          ? `"${queryTokens[queryOf(hover.i, hover.j)]}" → "${tokens[keyOf(hover.i, hover.j)]}": ${formatValue(valueAt(hover.i, hover.j), diverging, t)}`
+          : t(isColumns ? 'heatmap.hintColumns' : 'heatmap.hintRows') + (onSelectToken ? ` ${t('heatmap.hintSelect')}` : '')}
+      </p>
+
+      {table ? (
+        <AttentionTable
+          matrix={shown.map((row, i) => row.map((_, j) => valueAt(i, j)))}
+          rowLabels={rowOrder.map(index => rowTokens[index])}
+          colLabels={colOrder.map(index => colTokens[index])}
+          corner={isColumns ? t('heatmap.axesColumns') : t('heatmap.axesRows')}
+          caption={title}
+          format={(val) => formatValue(val, diverging, t)}
+        />
+      ) : (
+        <div className="overflow-auto max-h-[48rem]">
+          <div className="inline-grid" style={{ gridTemplateColumns: 'auto auto' }}>
+            <div className="text-xs text-gray-400 flex items-end justify-end pr-2 pb-1">
+              {isColumns ? t('heatmap.axesColumns') : t('heatmap.axesRows')}
+            </div>
+            <div className="flex items-end pb-1">{colOrder.map((_, j) => colLabel(j))}</div>
+            <div>{rowOrder.map((_, i) => rowLabel(i))}</div>
+            <div
+              className={`relative grid rounded-sm focus:outline-none focus-visible:ring-2 focus-visible:ring-blue-500 focus-visible:ring-offset-2 ${
+                onSelectToken ? 'cursor-pointer' : ''
+              }`}
+              style={{ gridTemplateColumns: `repeat(${cols}, ${size}px)`, gridAutoRows: `${size}px`, gap: 0 }}
+              role="group"
+              tabIndex={0}
+              aria-label={t('heatmap.gridLabel', { title: title || '' })}
+              onKeyDown={handleKeyDown}
+              onFocus={() => {
+                if (!hover) setHover(startCell());
+              }}
+              onBlur={() => setHover(null)}
+              onMouseMove={(e) => {
+                const cell = cellFromEvent(e);
+                if (!hover || !cell || cell.i !== hover.i || cell.j !== hover.j) setHover(cell);
+              }}
+              onMouseLeave={() => setHover(null)}
+              onClick={(e) => {
+                const cell = cellFromEvent(e);
+                if (cell && onSelectToken) onSelectToken(queryOf(cell.i, cell.j));
+              }}
+            >
+              {cells}
+              {selectedPosition >= 0 && (isColumns
+                ? band({ left: selectedPosition * size, top: 0, width: size, height: rows * size, borderColor: '#2563eb' })
+                : band({ top: selectedPosition * size, left: 0, height: size, width: cols * size, borderColor: '#2563eb' }))}
+              {hover && band({ top: hover.i * size, left: 0, height: size, width: cols * size })}
+              {hover && band({ left: hover.j * size, top: 0, width: size, height: rows * size })}
+            </div>
+          </div>
+        </div>
+      )}
+
+      {!table && <Legend domain={domain} diverging={diverging} hasMask={Boolean(mask)} palette={palette} t={t} />}
+    </div>
+  );
+};
+
+export default AttentionHeatmap;
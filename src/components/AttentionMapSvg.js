@@ -0,0 +1,113 @@
+import React, { forwardRef } from 'react';
+import { headColor } from './palette';
+
+const CELL = 28;
+const PAD = 12;
+const CHAR_WIDTH = 7;
+const GRAPH_HEIGHT = 140;
+
+// Vector version of the attention map (heatmap on top, arc graph below) so
+// it can be exported as SVG for slides and papers. Plain attributes only, no
+// CSS classes, so the exported file looks the same outside the app. With
+// separate `queryTokens` (cross-attention) the graph has two rows: target
+// words on top, source words below.
+const AttentionMapSvg = forwardRef(({ weights, tokens, queryTokens = tokens, mask = null, head = 0, selectedToken = null, title }, ref) => {
+  const isCross = queryTokens !== tokens;
+  const longest = Math.max(...tokens.map(token => token.length), ...queryTokens.map(token => token.length), 1);
+  const labelWidth = longest * CHAR_WIDTH + PAD;
+  const top = PAD + 20 + labelWidth;
+  const width = Math.max(labelWidth + tokens.length * CELL + PAD * 2, 320);
+  const graphTop = top + queryTokens.length * CELL + PAD * 2;
+  const height = graphTop + GRAPH_HEIGHT;
+  const showValues = Math.max(tokens.length, queryTokens.length) <= 12;
+
+  // Graph: tokens spaced along a baseline, arcs from the selected token (or
+  // every token's strong links when nothing is selected)
+  const baseline = graphTop + GRAPH_HEIGHT - 30;
+  const queryLine = graphTop + 20;
+  const spread = (count) => (i) => PAD + ((width - PAD * 2) / (count + 1)) * (i + 1);
+  const xAt = spread(tokens.length);
+  const queryX = isCross ? spread(queryTokens.length) : xAt;
+  const arcs = [];
+  weights.forEach((row, i) => {
+    if (selectedToken !== null && i !== selectedToken) return;
+    row.forEach((weight, j) => {
+      if ((!isCross && i === j) || weight < (selectedToken === null ? 0.3 : 0.05)) return;
+      if (isCross) {
+        const midY = (queryLine + baseline) / 2;
+        arcs.push({ i, j, weight, d: `M ${queryX(i)} ${queryLine + 6} C ${queryX(i)} ${midY} ${xAt(j)} ${midY} ${xAt(j)} ${baseline - 6}` });
+        return;
+      }
+      const lift = Math.min(GRAPH_HEIGHT - 50, 20 + Math.abs(xAt(j) - xAt(i)) * 0.3);
+      arcs.push({ i, j, weight, d: `M ${xAt(i)} ${baseline} Q ${(xAt(i) + xAt(j)) / 2} ${baseline - lift} ${xAt(j)} ${baseline}` });
+    });
+  });
+
+  return (
+    <svg ref={ref} width={width} height={height} viewBox={`0 0 ${width} ${height}`} fontFamily="sans-serif" style={{ maxWidth: '100%', height: 'auto' }}>
+      <rect width={width} height={height} fill="#ffffff" />
+      <text x={PAD} y={PAD + 12} fontSize="14" fontWeight="bold" fill="#1f2937">{title}</text>
+
+      {tokens.map((token, j) => (
+        <text
+          key={`col-${j}`}
+          transform={`translate(${labelWidth + PAD + j * CELL + CELL / 2 + 4}, ${top - 4}) rotate(-90)`}
+          fontSize="11"
+          fill="#4b5563"
+        >
+          {token}
+        </text>
+      ))}
+      {weights.map((row, i) => (
+        <g key={`row-${i}`}>
+          <text x={labelWidth} y={top + i * CELL + CELL / 2 + 4} fontSize="11" fill="#4b5563" textAnchor="end">{queryTokens[i]}</text>
+          {row.map((weight, j) => {
+            const isMasked = Boolean(mask && mask[i] && mask[i][j]);
+            return (
+              <g key={j}>
+                <rect
+                  x={labelWidth + PAD + j * CELL}
+                  y={top + i * CELL}
+                  width={CELL - 2}
+                  height={CELL - 2}
+                  rx="2"
+                  fill={isMasked ? '#e5e7eb' : headColor(head, weight)}
+                  stroke={i === selectedToken ? '#1f2937' : 'none'}
+                />
+                {showValues && !isMasked && (
+                  <text
+                    x={labelWidth + PAD + j * CELL + (CELL - 2) / 2}
+                    y={top + i * CELL + CELL / 2 + 3}
+                    fontSize="9"
+                    textAnchor="middle"
+                    fill={weight > 0.5 ? '#ffffff' : '#1f2937'}
+                  >
+                    {Math.round(weight * 100)}
+                  </text>
+                )}
+              </g>
+            );
+          })}
+        </g>
+      ))}
+
+      {arcs.map(({ i, j, weight, d }) => (
+        <path key={`${i}-${j}`} d={d} fill="none" stroke={headColor(head, Math.min(1, weight * 2))} strokeWidth={Math.max(1, weight * 8)} />
+      ))}
+      {tokens.map((token, i) => (
+        <g key={`node-${i}`}>
+          <circle cx={xAt(i)} cy={baseline} r="4" fill={!isCross && i === selectedToken ? '#1f2937' : headColor(head)} />
+          <text x={xAt(i)} y={baseline + 18} fontSize="11" textAnchor="middle" fill="#1f2937">{token}</text>
+        </g>
+      ))}
+      {isCross && queryTokens.map((token, i) => (
+        <g key={`query-${i}`}>
+          <circle cx={queryX(i)} cy={queryLine} r="4" fill={i === selectedToken ? '#1f2937' : headColor(head)} />
+          <text x={queryX(i)} y={queryLine - 8} fontSize="11" textAnchor="middle" fill="#1f2937">{token}</text>
+        </g>
+      ))}
+    </svg>
+  );
+});
+
+export default AttentionMapSvg;
@@ -0,0 +1,31 @@
+import React from 'react';
+
+// A matrix as a plain table with header cells: the text alternative to the
+// heatmaps and the flow canvas. `format(value)` writes one cell.
+const AttentionTable = ({ matrix, rowLabels, colLabels, corner = '', caption, format }) => (
+  <div className="overflow-auto max-h-[48rem]">
+    <table className="text-sm border-collapse">
+      {caption && <caption className="sr-only">{caption}</caption>}
+      <thead>
+        <tr>
+          <th scope="col" className="px-2 py-1 text-xs font-normal text-gray-400 text-right">{corner}</th>
+          {colLabels.map((label, j) => (
+            <th key={j} scope="col" className="px-2 py-1 font-medium text-gray-600 border-b-2 border-gray-200">{label}</th>
+          ))}
+        </tr>
+      </thead>
+      <tbody>
+        {matrix.map((row, i) => (
+          <tr key={i}>
+            <th scope="row" className="px-2 py-1 font-medium text-gray-600 text-right whitespace-nowrap">{rowLabels[i]}</th>
+            {row.map((val, j) => (
+              <td key={j} className="px-2 py-1 font-mono text-right border-b border-gray-100">{format(val)}</td>
+            ))}
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  </div>
+);
+
+export default AttentionTable;
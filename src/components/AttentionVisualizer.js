@@ -1,127 +1,761 @@
-import React, { useState, useEffect, useRef } from 'react';
-import { Play, Pause, RotateCcw, ChevronRight, ChevronDown, Eye, Lightbulb, Zap } from 'lucide-react';
+import React, { useState, useEffect, useRef, useMemo } from 'react';
+import { Play, Pause, RotateCcw, ChevronRight, ChevronDown, Eye, Lightbulb, Zap, Link, Columns, HelpCircle, ListPlus } from 'lucide-react';
+import { computeAttention } from '../engine/attention';
+import { computeMultiHeadAttention, averageHeadWeights } from '../engine/multiHead';
+import { MAX_LAYERS, FFN_MULTIPLIER, createLayerWeights, computeLayerStack } from '../engine/transformer';
+import { mean, std, cosineSimilarity } from '../engine/stats';
+import { roundForDisplay, roundMatrix } from '../engine/format';
+import {
+  MAX_HEADS,
+  createHeadWeights,
+  createOutputProjection,
+  presetHeadWeights,
+  setCell,
+  weightEdits,
+  applyWeightEdits
+} from '../engine/model';
+import { embedEntries } from '../engine/pipeline';
+import HeadSelector from './HeadSelector';
+import HeadAttentionMaps from './HeadAttentionMaps';
+import MaskControls from './MaskControls';
+import TokenPieces from './TokenPieces';
+import PositionalEncodingPanel from './PositionalEncodingPanel';
+import ModelLoaderPanel from './ModelLoaderPanel';
+import WeightEditor from './WeightEditor';
+import ScalingComparison from './ScalingComparison';
+import NormalizationExplorer from './NormalizationExplorer';
+import EfficientAttentionPanel from './EfficientAttentionPanel';
+import GenerationPanel from './GenerationPanel';
+import AnalysisPanel from './AnalysisPanel';
+import TrainingPanel from './TrainingPanel';
+import { buildMask, padTokens, toggleMaskCell, countMasked, PAD_TOKEN } from '../engine/masking';
+import { createTokenizer, defaultTokenizer } from '../engine/tokenizer';
+import { headColor, PaletteContext, usePalette } from './palette';
+import { PALETTES, heatColor, heatTextColor } from '../engine/heatmap';
+import { DEFAULT_NORMALIZATION } from '../engine/normalization';
+import { DEFAULT_EFFICIENT } from '../engine/efficient';
+import { cacheRowStates } from '../engine/kvCache';
+import { DEFAULT_ANALYSIS_SORT, attentionRollout, tokenMetrics } from '../engine/analysis';
+import { listKeyTarget } from '../engine/keyboard';
+import { DEFAULT_URL_STATE, decodeUrlState, encodeUrlState } from '../engine/urlState';
+import { exportFileName, buildExportBundle, bundleToJson, bundleToCsv } from '../engine/exportData';
+import { generateAttentionStory } from '../engine/story';
+import { COMPARE_WEIGHTS, compareHeadWeights } from '../engine/compare';
+import { buildQuizQuestion, loadQuizResults, saveQuizResults, withQuizResult } from '../engine/quiz';
+import { DEFAULT_LESSON, lessonSteps, readLessonFile, fetchLesson } from '../engine/lessons';
+import { LOCALES, LOCALE_CODES, createTranslator, detectLocale, translateExample } from '../engine/i18n';
+import { I18nContext, useTranslation } from './i18n';
+import AttentionMapSvg from './AttentionMapSvg';
+import AttentionHeatmap from './AttentionHeatmap';
+import AttentionFlowCanvas from './AttentionFlowCanvas';
+import AttentionTable from './AttentionTable';
+import ExportButtons from './ExportButtons';
+import ArithmeticAnimation from './ArithmeticAnimation';
+import ComparePanel from './ComparePanel';
+import QuizCard from './QuizCard';
+import QuizSummary from './QuizSummary';
+import LessonPanel from './LessonPanel';
+import { downloadText, downloadCanvas, downloadSvg } from './download';
+
+// Lessons shipped with the app: index.json plus one <id>.json per lesson
+const LESSONS_URL = `${process.env.PUBLIC_URL}/lessons`;
+
+// Matrices wider than this render as compact heatmaps
+const COMPACT_COLUMNS = 8;
+
+// Steps that show the arithmetic animation, and the calculation each one starts on
+const ANIMATION_PHASES = { scores: 'score', masking: 'score', attention: 'softmax', output: 'sum' };
+
+// Steps that show the KV cache while generating
+const GENERATION_COMPONENTS = ['qkv', 'scores', 'masking', 'attention', 'output'];
+
+// How SimpleMatrix marks rows while generating (see cacheRowStates)
+const CACHE_ROW_CLASSES = {
+  new: 'ring-2 ring-inset ring-amber-400',
+  cached: 'ring-2 ring-inset ring-emerald-400',
+  done: 'opacity-40',
+  future: 'opacity-20'
+};
+
+// `mask` greys out blocked cells; `onCellClick(i, j)` makes cells clickable
+// `rowStates` marks rows while generating, one CACHE_ROW_CLASSES key per row
+const SimpleMatrix = ({ matrix, title, description, colorCode = false, decimals = 2, mask = null, onCellClick = null, rowStates = null }) => {
+  const t = useTranslation();
+  const palette = usePalette();
+  if (!matrix || !matrix.length || !matrix[0]) {
+    return (
+      <div className="bg-white border-2 border-gray-200 rounded-lg p-4">
+        <h4 className="font-semibold mb-2">{title}</h4>
+        {description && <p className="text-sm text-gray-600 mb-3">{description}</p>}
+        <p className="text-gray-500 italic">{t('matrix.empty')}</p>
+      </div>
+    );
+  }
+
+  const rowClass = (i) => (rowStates && CACHE_ROW_CLASSES[rowStates[i]]) || '';
+
+  // Wide matrices (big d_model) collapse into small colored squares; hover for the number
+  const hasLabels = typeof matrix[0][0] === 'string';
+  if (matrix[0].length - (hasLabels ? 1 : 0) > COMPACT_COLUMNS) {
+    const maxAbs = matrix.flat()
+      .filter(val => typeof val === 'number' && Number.isFinite(val))
+      .reduce((max, val) => Math.max(max, Math.abs(val)), 0);
+    return (
+      <div className="bg-white border-2 border-gray-200 rounded-lg p-4">
+        <h4 className="font-semibold mb-2">{title}</h4>
+        {description && <p className="text-sm text-gray-600 mb-3">{description}</p>}
+        <div className="overflow-x-auto">
+          <div className="grid gap-px" style={{gridTemplateColumns: `${hasLabels ? 'auto ' : ''}repeat(${matrix[0].length - (hasLabels ? 1 : 0)}, 0.75rem)`}}>
+            {matrix.map((row, i) =>
+              row.map((val, j) => {
+                if (typeof val !== 'number') {
+                  return <div key={`${i}-${j}`} className={`text-xs text-gray-600 pr-2 whitespace-nowrap leading-3 ${rowClass(i)}`}>{val}</div>;
+                }
+                const isMasked = Boolean(mask && mask[i] && mask[i][j]);
+                return (
+                  <div
+                    key={`${i}-${j}`}
+                    className={`w-3 h-3 rounded-sm ${onCellClick ? 'cursor-pointer hover:ring-1 hover:ring-gray-500' : ''} ${rowClass(i)}`}
+                    style={{
+                      backgroundColor: isMasked
+                        ? '#e5e7eb'
+                        : heatColor(Number.isFinite(val) ? val : 0, { min: -(maxAbs || 1), max: maxAbs || 1 }, true, palette)
+                    }}
+                    title={val === -Infinity ? '−∞' : val.toFixed(decimals)}
+                    onClick={onCellClick ? () => onCellClick(i, j) : undefined}
+                  />
+                );
+              })
+            )}
+          </div>
+        </div>
+        <p className="text-xs text-gray-500 mt-2">{t('matrix.compactHint')}</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-white border-2 border-gray-200 rounded-lg p-4">
+      <h4 className="font-semibold mb-2">{title}</h4>
+      {description && <p className="text-sm text-gray-600 mb-3">{description}</p>}
+      <div className="grid gap-2" style={{gridTemplateColumns: `repeat(${matrix[0]?.length || 1}, 1fr)`}}>
+        {matrix.map((row, i) => 
+          row && row.map((val, j) => {
+            const isMasked = Boolean(mask && mask[i] && mask[i][j]);
+            // Sizes up to 2 get the full scale, whatever their sign
+            const shade = colorCode && !isMasked && typeof val === 'number' && Number.isFinite(val) ? Math.abs(val) : null;
+            return (
+              <div
+                key={`${i}-${j}`}
+                className={`px-2 py-2 text-center rounded font-mono text-sm border ${
+                  onCellClick ? 'cursor-pointer hover:ring-2 hover:ring-gray-500' : ''
+                } ${rowClass(i)}`}
+                style={{
+                  backgroundColor: isMasked
+                    ? '#e5e7eb'
+                    : shade !== null
+                      ? heatColor(shade, { min: 0, max: 2 }, false, palette)
+                      : 'white',
+                  color: isMasked ? '#6b7280' : shade !== null ? heatTextColor(shade, { min: 0, max: 2 }, false, palette) : 'black'
+                }}
+                onClick={onCellClick ? () => onCellClick(i, j) : undefined}
+              >
+                {val === -Infinity ? '−∞' : typeof val === 'number' ? val.toFixed(decimals) : val}
+              </div>
+            );
+          })
+        )}
+      </div>
+    </div>
+  );
+};
+
+// Example sentences live in the locale files (examples.*), so each
+// language tokenizes its own words
+const ENGLISH = createTranslator('en');
+const browserLocale = () => detectLocale(navigator.languages || [navigator.language]);
+
+// Sentences the URL left at their defaults start out in the learner's language
+const localizeDefaults = (state) => {
+  const t = createTranslator(state.locale || browserLocale());
+  const localize = (key) => (
+    state[key] === DEFAULT_URL_STATE[key] ? translateExample(state[key], ENGLISH, t) : state[key]
+  );
+  return { ...state, inputText: localize('inputText'), targetText: localize('targetText'), compareText: localize('compareText') };
+};
+
+// Weight edits in a link apply to the toy model the same link describes
+const urlWeightOverrides = (state) =>
+  applyWeightEdits(state.weightEdits, createHeadWeights(state.numHeads, state.dimensions));
 
 const AttentionVisualizer = () => {
-  const [inputText, setInputText] = useState("The cat sat on the mat");
-  const [currentStep, setCurrentStep] = useState(0);
+  // Everything shareable starts from the URL, so a copied link reopens the same view
+  const [initialUrlState] = useState(() => localizeDefaults(decodeUrlState(window.location.search)));
+  const [inputText, setInputText] = useState(initialUrlState.inputText);
+  const [attentionMode, setAttentionMode] = useState(initialUrlState.attentionMode);
+  const [targetText, setTargetText] = useState(initialUrlState.targetText);
+  const [requestedStep, setCurrentStep] = useState(initialUrlState.step);
   const [isPlaying, setIsPlaying] = useState(false);
   const [expandedSections, setExpandedSections] = useState({});
   const [hoveredToken, setHoveredToken] = useState(null);
-  const [selectedToken, setSelectedToken] = useState(null);
-  const [showMath, setShowMath] = useState(false);
-  const [animationPhase, setAnimationPhase] = useState(0);
+  const [selectedToken, setSelectedToken] = useState(initialUrlState.selectedToken);
+  const [showMath, setShowMath] = useState(initialUrlState.showMath);
+  const [headSetting, setNumHeads] = useState(initialUrlState.numHeads);
+  const [loadedModel, setLoadedModel] = useState(null);
+  const [weightOverrides, setWeightOverrides] = useState(() => urlWeightOverrides(initialUrlState));
+  const [activeHead, setActiveHead] = useState(initialUrlState.activeHead);
+  const [tokenizerMode, setTokenizerMode] = useState(initialUrlState.tokenizerMode);
+  const [positionMode, setPositionMode] = useState(initialUrlState.positionMode);
+  const [maskMode, setMaskMode] = useState(initialUrlState.maskMode);
+  const [padCount, setPadCount] = useState(initialUrlState.padCount);
+  const [customMaskCells, setCustomMaskCells] = useState(initialUrlState.customMaskCells);
+  const [toyDimensions, setToyDimensions] = useState(initialUrlState.dimensions);
+  const [copyStatus, setCopyStatus] = useState(null);
+  const [heatmapOptions, setHeatmapOptions] = useState({ sortMode: 'sentence', view: 'rows', table: false });
+  const [numLayers, setNumLayers] = useState(initialUrlState.numLayers);
+  const [activeLayer, setActiveLayer] = useState(0);
+  const [compareMode, setCompareMode] = useState(initialUrlState.compareMode);
+  const [compareText, setCompareText] = useState(initialUrlState.compareText);
+  const [compareWeights, setCompareWeights] = useState(initialUrlState.compareWeights);
+  const [quizMode, setQuizMode] = useState(initialUrlState.quizMode);
+  const [generateStep, setGenerateStep] = useState(initialUrlState.generateStep);
+  const [quizResults, setQuizResults] = useState(() => loadQuizResults(window.localStorage));
+  // `lessonId` is null for a lesson loaded from a file, which can't go in a link
+  const [lessonId, setLessonId] = useState(initialUrlState.lesson);
+  const [lesson, setLesson] = useState(DEFAULT_LESSON);
+  const [lessonErrors, setLessonErrors] = useState([]);
+  // null follows the browser's language
+  const [localeSetting, setLocaleSetting] = useState(initialUrlState.locale);
+  const [palette, setPalette] = useState(initialUrlState.palette);
+  const [flowTable, setFlowTable] = useState(false);
+  const [normalization, setNormalization] = useState(DEFAULT_NORMALIZATION);
+  const [efficientSettings, setEfficientSettings] = useState(DEFAULT_EFFICIENT);
+  const [analysisSort, setAnalysisSort] = useState(DEFAULT_ANALYSIS_SORT);
+  const pushedStep = useRef(null);
+  const currentDimensions = useRef(initialUrlState.dimensions);
+  const currentModel = useRef(null);
   const svgRef = useRef(null);
+  const flowRef = useRef(null);
+  const stepTabs = useRef([]);
+
+  const locale = localeSetting || browserLocale();
+  const t = useMemo(() => createTranslator(locale), [locale]);
+
+  // Model dimensions; an imported model brings its own sizes, vocabulary and head count
+  const dimensions = loadedModel || toyDimensions;
+  const { dModel, dV } = dimensions;
+  const numHeads = loadedModel ? loadedModel.heads.length : headSetting;
+  const tokenizer = useMemo(
+    () => (loadedModel ? createTokenizer(loadedModel.vocab) : defaultTokenizer),
+    [loadedModel]
+  );
+
+  // Tokenize; padding mode appends [PAD] tokens as if batched with a longer sentence
+  const tokenized = useMemo(() => tokenizer.tokenize(inputText, tokenizerMode), [tokenizer, inputText, tokenizerMode]);
+  const words = useMemo(() => tokenized.map(token => token.text), [tokenized]);
+  const tokens = useMemo(
+    () => (maskMode === 'padding' && words.length > 0 ? padTokens(words, padCount) : words),
+    [words, maskMode, padCount]
+  );
+  const tokenEntries = useMemo(() => [
+    ...tokenized,
+    ...tokens.slice(words.length).map(() => ({ text: PAD_TOKEN, id: tokenizer.tokenId(PAD_TOKEN), word: null, source: PAD_TOKEN }))
+  ], [tokenizer, tokenized, tokens, words]);
 
-  // Model dimensions
-  const dModel = 4;
-  const dK = 2;
-  const dV = 2;
-
-  // Parse tokens
-  const tokens = inputText.trim().split(' ').filter(t => t.length > 0);
-  const seqLen = tokens.length;
-
-  // Initialize embeddings with more meaningful patterns
-  const embeddings = tokens.length > 0 ? tokens.map((token, i) => {
-    // Create embeddings that relate to word meaning/position
-    const base = [
-      Math.sin(i * 0.5) * 0.8 + 0.2,
-      Math.cos(i * 0.3) * 0.6 + 0.4,
-      token.length * 0.1,
-      (token.charCodeAt(0) % 10) * 0.1
+  // Cross-attention: queries come from the target sentence, keys and values
+  // from the source (`tokens`). In self-attention both sides are `tokens`.
+  const isCross = attentionMode === 'cross';
+  const targetEntries = useMemo(
+    () => (isCross ? tokenizer.tokenize(targetText, tokenizerMode) : []),
+    [isCross, tokenizer, targetText, tokenizerMode]
+  );
+  const targetTokens = useMemo(() => targetEntries.map(token => token.text), [targetEntries]);
+  const queryTokens = isCross ? targetTokens : tokens;
+  const mask = useMemo(
+    () => buildMask({ mode: maskMode, tokens: queryTokens, keyTokens: tokens, customCells: customMaskCells }),
+    [maskMode, queryTokens, tokens, customMaskCells]
+  );
+
+  // One set of projection matrices per head, plus W_O to mix the heads back together
+  const baseHeadWeights = useMemo(
+    () => (loadedModel ? loadedModel.heads : createHeadWeights(numHeads, toyDimensions)),
+    [loadedModel, numHeads, toyDimensions]
+  );
+  // Hand-edited weights, keyed by head index, replace the originals everywhere
+  const headWeights = useMemo(
+    () => baseHeadWeights.map((weights, h) => weightOverrides[h] || weights),
+    [baseHeadWeights, weightOverrides]
+  );
+  const outputProjection = useMemo(() => {
+    if (numHeads === 1) return null;
+    return loadedModel ? loadedModel.WO : createOutputProjection(numHeads, toyDimensions);
+  }, [loadedModel, numHeads, toyDimensions]);
+  const isMultiHead = numHeads > 1;
+
+  // Full-precision attention pipeline; `display` is the rounded copy we render.
+  // Attention input = token embedding (looked up by id) + positional encoding
+  const attention = useMemo(() => {
+    const embed = (entries) => embedEntries(entries, { dModel, positionMode, model: loadedModel });
+    const source = embed(tokenEntries);
+    const target = isCross ? embed(targetEntries) : null;
+    return {
+      ...source,
+      ...(target && {
+        targetTokenEmbeddings: target.tokenEmbeddings,
+        targetPositions: target.positions,
+        targetEmbeddings: target.embeddings
+      }),
+      ...computeMultiHeadAttention({
+        embeddings: target ? target.embeddings : source.embeddings,
+        keyEmbeddings: source.embeddings,
+        heads: headWeights,
+        WO: outputProjection,
+        mask,
+        rope: positionMode === 'rope'
+      })
+    };
+  }, [loadedModel, tokenEntries, isCross, targetEntries, dModel, positionMode, headWeights, outputProjection, mask]);
+
+  // Single-head views follow the selected head (head 1 while overlaying)
+  const isOverlay = isMultiHead && activeHead === 'overlay';
+  const focusHead = isOverlay ? 0 : Math.min(activeHead, numHeads - 1);
+  const headLabel = t('heads.label', { number: focusHead + 1 });
+  const headSuffix = isMultiHead ? ` — ${t('heads.head', { number: focusHead + 1 })}` : '';
+  const display = useMemo(() => roundForDisplay({
+    ...attention.heads[focusHead],
+    tokenEmbeddings: attention.tokenEmbeddings,
+    positions: attention.positions,
+    embeddings: attention.embeddings,
+    targetTokenEmbeddings: attention.targetTokenEmbeddings,
+    targetEmbeddings: attention.targetEmbeddings,
+    concat: attention.concat,
+    output: attention.output
+  }), [attention, focusHead]);
+
+  const { tokenEmbeddings, embeddings, targetTokenEmbeddings, targetEmbeddings, Q, K, V, scores, scaledScores, maskedScores, output, concat, dK } = display;
+  const headAttentionWeights = attention.heads.map(head => head.attentionWeights);
+  const attentionWeights = isOverlay ? averageHeadWeights(attention.heads) : headAttentionWeights[focusHead];
+  // What the flow draws from the selected word: one row per head while
+  // overlaying, otherwise just the focused head. Kept stable between
+  // renders so the canvas only redraws when the weights or words change.
+  const flowRows = useMemo(() => {
+    if (selectedToken === null) return [];
+    const heads = isOverlay ? attention.heads.map((head, h) => h) : [focusHead];
+    return heads.map(h => ({ head: h, weights: attention.heads[h].attentionWeights[selectedToken] || [] }));
+  }, [attention, selectedToken, isOverlay, focusHead]);
+  const spotlight = hoveredToken !== null ? hoveredToken : selectedToken;
+  const spotlightStory = spotlight !== null && queryTokens[spotlight] !== undefined
+    ? generateAttentionStory(queryTokens[spotlight], tokens, attentionWeights[spotlight] || [], isCross ? -1 : spotlight, t)
+    : '';
+
+  // Generation mode replays a causal (decoder) pass one token at a time:
+  // `generatePosition` is the newest token, earlier ones are in the KV cache
+  const isGenerating = generateStep !== null && !isCross && maskMode === 'causal' && tokens.length > 0;
+  const generatePosition = isGenerating ? Math.min(generateStep, tokens.length - 1) : null;
+  const cacheRows = isGenerating ? cacheRowStates(tokens.length, generatePosition) : null;
+
+  const changeGeneratePosition = (position) => {
+    setGenerateStep(position);
+    setSelectedToken(position);
+  };
+
+  // Compare mode runs side B (another sentence, other weights, or both)
+  // through the same pipeline. It is self-attention only.
+  const isComparing = compareMode && !isCross;
+  const compareEntries = useMemo(() => {
+    if (!isComparing) return [];
+    const entries = tokenizer.tokenize(compareText, tokenizerMode);
+    const padding = maskMode === 'padding' && entries.length > 0 ? padCount : 0;
+    return [
+      ...entries,
+      ...Array.from({ length: padding }, () => ({ text: PAD_TOKEN, id: tokenizer.tokenId(PAD_TOKEN), word: null, source: PAD_TOKEN }))
     ];
-    return base.map(val => Math.round(val * 100) / 100);
-  }) : [];
-
-  // Weight matrices (simplified for visualization)
-  const WQ = [[0.5, -0.3], [0.2, 0.8], [-0.4, 0.6], [0.7, -0.1]];
-  const WK = [[0.3, 0.9], [-0.2, 0.4], [0.8, -0.5], [0.1, 0.7]];
-  const WV = [[0.6, 0.2], [0.4, -0.8], [-0.3, 0.5], [0.9, 0.1]];
-
-  // Matrix operations
-  const matMul = (A, B) => {
-    if (!A || !B || !A.length || !B.length || !A[0] || !B[0]) return [];
-    const result = Array.from({length: A.length}, () => 
-      Array.from({length: B[0].length}, () => 0)
-    );
-    for (let i = 0; i < A.length; i++) {
-      for (let j = 0; j < B[0].length; j++) {
-        for (let k = 0; k < B.length; k++) {
-          result[i][j] += A[i][k] * B[k][j];
-        }
-      }
+  }, [isComparing, tokenizer, compareText, tokenizerMode, maskMode, padCount]);
+  const compareTokens = useMemo(() => compareEntries.map(entry => entry.text), [compareEntries]);
+  const compareMask = useMemo(
+    () => buildMask({ mode: maskMode, tokens: compareTokens, customCells: customMaskCells }),
+    [maskMode, compareTokens, customMaskCells]
+  );
+  const compareAttention = useMemo(() => {
+    if (!compareEntries.length) return null;
+    return computeMultiHeadAttention({
+      embeddings: embedEntries(compareEntries, { dModel, positionMode, model: loadedModel }).embeddings,
+      heads: compareHeadWeights(headWeights, compareWeights),
+      WO: outputProjection,
+      mask: compareMask,
+      rope: positionMode === 'rope'
+    });
+  }, [compareEntries, dModel, positionMode, loadedModel, headWeights, compareWeights, outputProjection, compareMask]);
+  const compareAttentionWeights = compareAttention
+    ? (isOverlay ? averageHeadWeights(compareAttention.heads) : compareAttention.heads[focusHead].attentionWeights)
+    : [];
+
+  // The same head with positions left out, for the positional encoding comparison
+  const weightsWithoutPosition = useMemo(
+    () => computeAttention({
+      embeddings: attention.targetTokenEmbeddings || attention.tokenEmbeddings,
+      keyEmbeddings: attention.tokenEmbeddings,
+      ...headWeights[focusHead],
+      mask
+    }).attentionWeights,
+    [attention.targetTokenEmbeddings, attention.tokenEmbeddings, headWeights, focusHead, mask]
+  );
+
+  // The rest of each transformer block, stacked `numLayers` deep. Layer 1
+  // reuses the heads above; a single head whose d_v differs from d_model
+  // still needs a W_O to fit back onto its input.
+  const layerWeights = useMemo(() => Array.from({ length: numLayers }, (_, layer) => {
+    const generated = createLayerWeights(layer, numHeads, dimensions);
+    if (layer > 0) return generated;
+    return {
+      heads: headWeights,
+      WO: outputProjection || (dV === dModel ? null : generated.WO),
+      ffn: generated.ffn
+    };
+  }), [numLayers, numHeads, dimensions, headWeights, outputProjection, dV, dModel]);
+  // In cross-attention every layer keeps reading from the source sentence
+  const stack = useMemo(() => computeLayerStack({
+    embeddings: attention.targetEmbeddings || attention.embeddings,
+    keyEmbeddings: isCross ? attention.embeddings : null,
+    layers: layerWeights,
+    mask,
+    rope: positionMode === 'rope'
+  }), [attention.targetEmbeddings, attention.embeddings, isCross, layerWeights, mask, positionMode]);
+  const firstBlock = stack[0];
+  const layerIndex = Math.min(activeLayer, numLayers - 1);
+  const withLabels = (matrix) => roundMatrix(matrix).map((row, i) => [queryTokens[i], ...row]);
+  const layerHeads = stack[layerIndex] ? stack[layerIndex].attention.heads : [];
+  const layerAttentionWeights = layerHeads.length
+    ? (isOverlay ? averageHeadWeights(layerHeads) : layerHeads[focusHead].attentionWeights)
+    : [];
+
+  // Whole-sentence metrics for the analysis panel (self-attention only).
+  // Rollout follows the head-averaged attention through every layer, so it
+  // only says something new with more than one layer or head.
+  const rollout = useMemo(
+    () => (!isCross && (numLayers > 1 || numHeads > 1)
+      ? attentionRollout(stack.map(block => averageHeadWeights(block.attention.heads)))
+      : null),
+    [isCross, numLayers, numHeads, stack]
+  );
+  const analysisMetrics = useMemo(
+    () => (isCross ? [] : tokenMetrics(tokens, attentionWeights, rollout)),
+    [isCross, tokens, attentionWeights, rollout]
+  );
+
+  // One token's vector after every stage, compared with where it started
+  const journeyToken = selectedToken !== null ? selectedToken : 0;
+  const journey = firstBlock && firstBlock.input[journeyToken] ? [
+    { label: t('layers.start'), vector: firstBlock.input[journeyToken] },
+    ...stack.flatMap((block, layer) => [
+      { label: t('layers.afterAttention', { layer: layer + 1 }), vector: block.norm1[journeyToken] },
+      { label: t('layers.afterFfn', { layer: layer + 1 }), vector: block.output[journeyToken] }
+    ])
+  ] : [];
+
+  const changeNumHeads = (count) => {
+    setNumHeads(count);
+    setActiveHead(0);
+  };
+
+  const changeNumLayers = (count) => {
+    setNumLayers(count);
+    setActiveLayer(layer => Math.min(layer, count - 1));
+  };
+
+  // Resizing the toy model regenerates every matrix, so edits no longer fit
+  const changeDimensions = (dims) => {
+    setToyDimensions(dims);
+    setWeightOverrides({});
+  };
+
+  const changeModel = (model) => {
+    setLoadedModel(model);
+    setWeightOverrides({});
+    setActiveHead(0);
+    setSelectedToken(null);
+  };
+
+  // Weight editing always applies to the head currently in focus
+  const editFocusHead = (update) => {
+    setWeightOverrides(overrides => ({
+      ...overrides,
+      [focusHead]: update(overrides[focusHead] || baseHeadWeights[focusHead])
+    }));
+  };
+
+  const changeWeightCell = (name, i, j, value) => {
+    editFocusHead(weights => ({ ...weights, [name]: setCell(weights[name], i, j, value) }));
+  };
+
+  const resetWeightMatrix = (name) => {
+    editFocusHead(weights => ({ ...weights, [name]: baseHeadWeights[focusHead][name] }));
+  };
+
+  const applyWeightPreset = (preset) => {
+    if (preset === 'reset') {
+      setWeightOverrides(({ [focusHead]: _, ...rest }) => rest);
+    } else {
+      editFocusHead(() => presetHeadWeights(preset, baseHeadWeights[focusHead], Date.now()));
     }
-    return result.map(row => row.map(val => Math.round(val * 100) / 100));
   };
 
-  const Q = embeddings.length > 0 ? matMul(embeddings, WQ) : [];
-  const K = embeddings.length > 0 ? matMul(embeddings, WK) : [];
-  const V = embeddings.length > 0 ? matMul(embeddings, WV) : [];
-
-  const scores = Q.length > 0 && K.length > 0 && K[0] ? matMul(Q, K[0].map((_, i) => K.map(row => row[i]))) : [];
-  const scaledScores = scores.length > 0 ? scores.map(row => 
-    row.map(val => Math.round(val / Math.sqrt(dK) * 100) / 100)
-  ) : [];
-
-  const softmax = (arr) => {
-    if (!arr.length) return [];
-    const maxVal = Math.max(...arr);
-    const exp = arr.map(x => Math.exp(x - maxVal));
-    const sum = exp.reduce((a, b) => a + b, 0);
-    return exp.map(x => Math.round(x / sum * 1000) / 1000);
+  // Causal masking only applies within one sequence, so cross-attention drops it
+  const changeAttentionMode = (mode) => {
+    setAttentionMode(mode);
+    setSelectedToken(null);
+    setCustomMaskCells({});
+    if (mode === 'cross' && maskMode === 'causal') setMaskMode('none');
   };
 
-  const attentionWeights = scaledScores.length > 0 ? scaledScores.map(row => softmax(row)) : [];
-  const output = attentionWeights.length > 0 ? matMul(attentionWeights, V) : [];
-
-  const steps = [
-    {
-      title: "Step 1: Words as Vectors",
-      subtitle: "Every word becomes a list of numbers",
-      description: "Just like how we might describe a person with height, weight, age, etc., each word gets numbers that capture its 'meaning'",
-      component: "embeddings",
-      metaphor: "🏷️ Think of this like giving each word a unique ID card with several numbers on it"
-    },
-    {
-      title: "Step 2: Three Questions for Each Word",
-      subtitle: "What am I looking for? What do I offer? What do I contribute?",
-      description: "Each word gets transformed into three roles: Query (what it wants), Key (what it offers), Value (what it gives)",
-      component: "qkv",
-      metaphor: "🔍 Like at a networking event: what you're seeking, what you're offering, what you'd share if someone's interested"
-    },
-    {
-      title: "Step 3: Measuring Compatibility",
-      subtitle: "How well do words match with each other?",
-      description: "We compare what each word is looking for with what every other word offers",
-      component: "scores",
-      metaphor: "📊 Like a compatibility test - higher scores mean better matches!"
-    },
-    {
-      title: "Step 4: Attention Spotlight",
-      subtitle: "Turn compatibility into focus",
-      description: "Convert raw scores into a 'spotlight' - each word decides how much attention to pay to every other word",
-      component: "attention",
-      metaphor: "💡 Like adjusting the brightness of multiple spotlights in a theater"
-    },
-    {
-      title: "Step 5: Gathering Information",
-      subtitle: "Each word collects what it needs",
-      description: "Using the attention weights, each word gathers information from all the words it's paying attention to",
-      component: "output",
-      metaphor: "🎯 Like a reporter gathering quotes from different sources, weighted by how relevant each source is"
+  const toggleCustomMask = (i, j) => {
+    setCustomMaskCells(cells => toggleMaskCell(cells, i, j));
+  };
+
+  // Example sentences follow the language; anything typed in is kept
+  const changeLocale = (code) => {
+    const next = createTranslator(code);
+    setInputText(text => translateExample(text, t, next));
+    setTargetText(text => translateExample(text, t, next));
+    setCompareText(text => translateExample(text, t, next));
+    setLocaleSetting(code);
+  };
+
+  const steps = lessonSteps(lesson, {
+    masked: Boolean(mask),
+    values: { dModel, dK: dimensions.dK, dV, ffnSize: dModel * FFN_MULTIPLIER, numHeads, numLayers },
+    t
+  });
+  const currentStep = Math.min(requestedStep, steps.length - 1);
+  const presetSentence = steps[currentStep].sentence;
+  const appliedSentence = useRef(presetSentence);
+
+  // Arriving on a step with its own example sentence switches to it; the
+  // step the page opens on keeps whatever the link says
+  useEffect(() => {
+    if (presetSentence && presetSentence !== appliedSentence.current) setInputText(presetSentence);
+    appliedSentence.current = presetSentence;
+  }, [presetSentence]);
+
+  useEffect(() => {
+    if (lessonId === null) return undefined;
+    if (lessonId === DEFAULT_LESSON.id) {
+      setLesson(DEFAULT_LESSON);
+      return undefined;
+    }
+    let cancelled = false;
+    fetchLesson(`${LESSONS_URL}/${lessonId}.json`, t).then(({ lesson: loaded, errors }) => {
+      if (cancelled) return;
+      setLessonErrors(errors);
+      if (loaded) setLesson(loaded);
+      else setLessonId(DEFAULT_LESSON.id);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [lessonId, t]);
+
+  // Generation starts from the first token under a causal mask, on the Q/K/V
+  // step unless the walkthrough is already on a step that shows the cache
+  const toggleGenerate = () => {
+    if (isGenerating) {
+      setGenerateStep(null);
+      return;
     }
-  ];
+    setMaskMode('causal');
+    setGenerateStep(0);
+    setSelectedToken(0);
+    const qkvStep = steps.findIndex(item => item.component === 'qkv');
+    if (!GENERATION_COMPONENTS.includes(steps[currentStep].component) && qkvStep !== -1) setCurrentStep(qkvStep);
+  };
+
+  const pickLesson = (id) => {
+    setLessonErrors([]);
+    setLessonId(id);
+    setCurrentStep(0);
+  };
+
+  const loadLessonFile = (file) => {
+    readLessonFile(file, t).then(({ lesson: loaded, errors }) => {
+      setLessonErrors(errors);
+      if (!loaded) return;
+      setLesson(loaded);
+      setLessonId(null);
+      setCurrentStep(0);
+    });
+  };
+
+  // Quiz mode: each step asks its question first and keeps its results
+  // hidden until the learner has answered
+  const quizQuestions = quizMode
+    ? steps.map(step => buildQuizQuestion(step.component, {
+      tokens,
+      queryTokens,
+      dModel,
+      head: attention.heads[focusHead],
+      focusHead,
+      weights: attentionWeights,
+      mask,
+      stack
+    }, t))
+    : [];
+  const currentQuestion = quizMode ? quizQuestions[currentStep] : null;
+  const quizLocked = Boolean(currentQuestion && !quizResults[currentQuestion.key]);
+
+  const updateQuizResults = (update) => {
+    setQuizResults(results => {
+      const next = update(results);
+      saveQuizResults(window.localStorage, next);
+      return next;
+    });
+  };
+
+  const answerQuiz = (key, response, correct) => {
+    updateQuizResults(results => withQuizResult(results, key, { correct, response }));
+  };
+
+  const retryQuiz = (key) => {
+    updateQuizResults(results => withQuizResult(results, key, null));
+  };
+
+  // Exported files are named after the sentence and the step they came from
+  const exportName = (extension) => exportFileName(inputText, steps[currentStep].title, extension);
+
+  const exportData = (format) => {
+    const bundle = buildExportBundle({
+      sentence: inputText,
+      target: isCross ? targetText : null,
+      step: steps[currentStep].title,
+      tokens,
+      queryTokens,
+      settings: {
+        model: loadedModel ? loadedModel.name : 'toy',
+        attentionMode,
+        dModel: dimensions.dModel,
+        dK: dimensions.dK,
+        dV: dimensions.dV,
+        numHeads,
+        tokenizerMode,
+        positionMode,
+        maskMode
+      },
+      attention,
+      weights: headWeights,
+      WO: outputProjection,
+      mask
+    });
+    if (format === 'json') {
+      downloadText(bundleToJson(bundle), exportName('json'), 'application/json');
+    } else {
+      downloadText(bundleToCsv(bundle), exportName('csv'), 'text/csv');
+    }
+  };
+
+  // Keep the URL in sync. Moving to another step adds a history entry so
+  // back/forward walk through the steps; every other change replaces the
+  // current entry.
+  const urlQuery = encodeUrlState({
+    inputText,
+    attentionMode,
+    targetText,
+    step: currentStep,
+    selectedToken,
+    showMath,
+    numHeads: headSetting,
+    activeHead,
+    tokenizerMode,
+    positionMode,
+    maskMode,
+    padCount,
+    customMaskCells,
+    dimensions: toyDimensions,
+    // Imported models aren't in the link, so neither are edits to them
+    weightEdits: loadedModel ? [] : weightEdits(weightOverrides, baseHeadWeights),
+    numLayers,
+    compareMode,
+    compareText,
+    compareWeights,
+    quizMode,
+    generateStep: generatePosition,
+    lesson: lessonId,
+    locale: localeSetting,
+    palette
+  });
 
-  // Animation control
   useEffect(() => {
-    let interval;
-    if (isPlaying) {
-      interval = setInterval(() => {
-        setAnimationPhase(phase => (phase + 1) % 4);
-      }, 1000);
+    const url = `${window.location.pathname}${urlQuery ? `?${urlQuery}` : ''}${window.location.hash}`;
+    if (pushedStep.current === null) {
+      window.history.replaceState({ step: currentStep }, '', url);
+    } else if (window.location.search !== (urlQuery ? `?${urlQuery}` : '')) {
+      if (pushedStep.current !== currentStep && !isPlaying) {
+        window.history.pushState({ step: currentStep }, '', url);
+      } else {
+        window.history.replaceState({ step: currentStep }, '', url);
+      }
+    }
+    pushedStep.current = currentStep;
+  }, [urlQuery, currentStep, isPlaying]);
+
+  useEffect(() => {
+    currentDimensions.current = toyDimensions;
+  }, [toyDimensions]);
+
+  useEffect(() => {
+    currentModel.current = loadedModel;
+  }, [loadedModel]);
+
+  useEffect(() => {
+    const restore = () => {
+      const state = localizeDefaults(decodeUrlState(window.location.search));
+      pushedStep.current = state.step;
+      setInputText(state.inputText);
+      setAttentionMode(state.attentionMode);
+      setTargetText(state.targetText);
+      setCurrentStep(state.step);
+      setSelectedToken(state.selectedToken);
+      setShowMath(state.showMath);
+      setNumHeads(state.numHeads);
+      setActiveHead(state.activeHead);
+      setTokenizerMode(state.tokenizerMode);
+      setPositionMode(state.positionMode);
+      setMaskMode(state.maskMode);
+      setPadCount(state.padCount);
+      setCustomMaskCells(state.customMaskCells);
+      changeNumLayers(state.numLayers);
+      setCompareMode(state.compareMode);
+      setCompareText(state.compareText);
+      setCompareWeights(state.compareWeights);
+      setQuizMode(state.quizMode);
+      setGenerateStep(state.generateStep);
+      setLessonId(id => (id === null && state.lesson === DEFAULT_LESSON.id ? id : state.lesson));
+      setLocaleSetting(state.locale);
+      setPalette(state.palette);
+      const dims = currentDimensions.current;
+      if (dims.dModel !== state.dimensions.dModel || dims.dK !== state.dimensions.dK || dims.dV !== state.dimensions.dV) {
+        changeDimensions(state.dimensions);
+      }
+      if (!currentModel.current) setWeightOverrides(urlWeightOverrides(state));
+    };
+    window.addEventListener('popstate', restore);
+    return () => window.removeEventListener('popstate', restore);
+  }, []);
+
+  // A shorter sentence (or a stale link) can leave the selection past the end
+  useEffect(() => {
+    if (selectedToken !== null && selectedToken >= queryTokens.length) setSelectedToken(null);
+  }, [selectedToken, queryTokens.length]);
+
+  const copyLink = () => {
+    const done = (status) => {
+      setCopyStatus(status);
+      setTimeout(() => setCopyStatus(null), 2000);
+    };
+    if (navigator.clipboard) {
+      navigator.clipboard.writeText(window.location.href).then(() => done('copied'), () => done('failed'));
+    } else {
+      done('failed');
     }
-    return () => clearInterval(interval);
-  }, [isPlaying]);
+  };
 
   useEffect(() => {
     let stepInterval;
@@ -133,113 +767,159 @@ const AttentionVisualizer = () => {
     return () => clearInterval(stepInterval);
   }, [isPlaying, steps.length]);
 
-  const generateAttentionStory = (word, allTokens, attentionRow, wordIndex) => {
-    if (!attentionRow || attentionRow.length === 0 || !allTokens || allTokens.length === 0) {
-      return `"${word}" is still calculating its attention patterns...`;
-    }
-    
-    const sortedAttention = attentionRow
-      .map((weight, idx) => ({ 
-        weight: weight || 0, 
-        idx, 
-        token: allTokens[idx] || 'unknown' 
-      }))
-      .filter(item => item.token !== 'unknown')
-      .sort((a, b) => b.weight - a.weight);
-    
-    if (sortedAttention.length < 2) {
-      return `"${word}" is still calculating its attention patterns...`;
-    }
-    
-    const topAttention = sortedAttention.slice(0, 3);
-    
-    if (topAttention[0].idx === wordIndex) {
-      return `"${word}" is mostly focused on itself (${Math.round(topAttention[0].weight * 100)}%), but also pays some attention to "${topAttention[1].token}" (${Math.round(topAttention[1].weight * 100)}%).`;
-    } else {
-      return `"${word}" is most interested in "${topAttention[0].token}" (${Math.round(topAttention[0].weight * 100)}% of its attention), followed by "${topAttention[1].token}" (${Math.round(topAttention[1].weight * 100)}%).`;
-    }
-  };
-
-  // Interactive attention visualization
-  const AttentionGraph = ({ weights, tokenList, interactive = true }) => {
+  // Interactive attention visualization. AttentionGraph, AttentionFlow and
+  // StepContent read the state above directly, so they are called as plain
+  // functions: rendered as <AttentionGraph />, each render would make them a
+  // new component type and React would remount everything inside.
+  // In cross-attention `queryList` (target) is a separate row above the
+  // source words; hovering or clicking a target word picks the spotlight.
+  // The pickable words are buttons: focusing one previews it like a hover,
+  // the arrow keys move along the row, Enter selects and Escape clears.
+  const AttentionGraph = ({ weights, tokenList, queryList = tokenList, interactive = true }) => {
     const displayToken = hoveredToken !== null ? hoveredToken : selectedToken;
+    const isCrossGraph = queryList !== tokenList;
+    const ChipTag = interactive ? 'button' : 'div';
+    // Only one word in the row is a Tab stop; the arrow keys reach the rest
+    const tabStop = displayToken !== null ? displayToken : 0;
+    const pickHandlers = (i) => interactive && ({
+      type: 'button',
+      'aria-pressed': selectedToken === i,
+      tabIndex: i === tabStop ? 0 : -1,
+      onFocus: () => setHoveredToken(i),
+      onBlur: () => setHoveredToken(null),
+      onKeyDown: (e) => {
+        if (e.key === 'Escape') {
+          setSelectedToken(null);
+          setHoveredToken(null);
+          return;
+        }
+        const next = listKeyTarget(e.key, i, queryList.length);
+        if (next === null) return;
+        e.preventDefault();
+        e.currentTarget.parentElement.children[next].focus();
+      },
+      onMouseEnter: () => setHoveredToken(i),
+      onMouseLeave: () => setHoveredToken(null),
+      onClick: () => {
+        setSelectedToken(selectedToken === i ? null : i);
+        setHoveredToken(null);
+      }
+    });
+    const focusRing = 'focus:outline-none focus-visible:ring-2 focus-visible:ring-blue-500 focus-visible:ring-offset-2';
     
     return (
       <div className="bg-gradient-to-br from-blue-50 to-indigo-50 p-6 rounded-xl border-2 border-blue-200">
         <h4 className="font-bold text-lg mb-4 flex items-center gap-2">
           <Eye className="text-blue-600" />
-          Attention Spotlight
+          {t('graph.title')}
         </h4>
+        <HeadSelector numHeads={numHeads} activeHead={isOverlay ? 'overlay' : focusHead} onChange={setActiveHead} />
         <p className="text-sm text-gray-600 mb-4">
-          {displayToken !== null 
-            ? `"${tokenList[displayToken]}" is paying attention to:` 
-            : "Hover over a word to see what it pays attention to!"
+          {displayToken !== null
+            ? t(isCrossGraph
+              ? (isOverlay ? 'graph.lookingCrossAverage' : 'graph.lookingCross')
+              : (isOverlay ? 'graph.lookingAverage' : 'graph.looking'), { word: queryList[displayToken] })
+            : t(isCrossGraph ? 'graph.hoverTarget' : 'graph.hover')
           }
         </p>
+        {interactive && <p className="text-xs text-gray-500 -mt-3 mb-4">{t('graph.keys')}</p>}
+
+        {isCrossGraph && (
+          <div className="mb-4">
+            <div className="text-xs font-semibold text-gray-500 uppercase mb-2">{t('graph.targetRow')}</div>
+            <div className="flex flex-wrap gap-3" role="group" aria-label={t('graph.targetWords')}>
+              {queryList.map((token, i) => (
+                <ChipTag
+                  key={i}
+                  className={`px-4 py-3 rounded-lg border-2 cursor-pointer transition-all duration-200 font-medium ${focusRing} ${
+                    displayToken === i
+                      ? 'bg-blue-600 text-white border-blue-600 shadow-lg'
+                      : 'bg-white border-gray-300 hover:border-blue-400 hover:shadow-md'
+                  }`}
+                  {...pickHandlers(i)}
+                >
+                  {token}
+                </ChipTag>
+              ))}
+            </div>
+            <div className="text-xs font-semibold text-gray-500 uppercase mt-4">{t('graph.sourceRow')}</div>
+          </div>
+        )}
         
-        <div className="flex flex-wrap gap-3 mb-6">
+        <div className="flex flex-wrap gap-3 mb-6" role="group" aria-label={t('graph.words')}>
           {tokenList.map((token, i) => {
             const attention = displayToken !== null ? (weights[displayToken] && weights[displayToken][i] ? weights[displayToken][i] : 0) : 0;
-            const isActive = displayToken === i;
-            const isHovered = hoveredToken === i;
+            const isActive = !isCrossGraph && displayToken === i;
+            const isHovered = !isCrossGraph && hoveredToken === i;
+            const isMasked = displayToken !== null && mask && mask[displayToken] && mask[displayToken][i];
             const baseOpacity = displayToken !== null ? Math.max(0.4, Math.min(1, attention + 0.3)) : 1;
+            const Chip = isCrossGraph ? 'div' : ChipTag;
             
             return (
-              <div
+              <Chip
                 key={i}
-                className={`relative px-4 py-3 rounded-lg border-2 cursor-pointer transition-all duration-200 overflow-hidden ${
+                className={`relative px-4 py-3 rounded-lg border-2 transition-all duration-200 overflow-hidden text-left ${isCrossGraph ? '' : `cursor-pointer ${focusRing}`} ${
                   isActive 
                     ? 'bg-blue-600 text-white border-blue-600 shadow-lg' 
-                    : 'bg-white border-gray-300 hover:border-blue-400 hover:shadow-md'
+                    : isMasked
+                      ? 'bg-gray-100 border-dashed border-gray-400 text-gray-500'
+                      : 'bg-white border-gray-300 hover:border-blue-400 hover:shadow-md'
                 }`}
                 style={{
                   opacity: baseOpacity,
                   transform: isActive ? 'scale(1.05)' : isHovered ? 'scale(1.02)' : 'scale(1)'
                 }}
-                onMouseEnter={() => {
-                  if (interactive) {
-                    setHoveredToken(i);
-                  }
-                }}
-                onMouseLeave={() => {
-                  if (interactive) {
-                    setHoveredToken(null);
-                  }
-                }}
-                onClick={() => {
-                  if (interactive) {
-                    setSelectedToken(selectedToken === i ? null : i);
-                    setHoveredToken(null);
-                  }
-                }}
+                {...(isCrossGraph ? {} : pickHandlers(i))}
               >
-                <div className="font-medium">{token}</div>
+                <span className="block font-medium">{token}</span>
+                {isMasked && (
+                  <span className="block text-xs mt-1">🚫 {t('graph.masked')}</span>
+                )}
                 {displayToken !== null && !isActive && attention > 0 && (
-                  <div className="text-xs mt-1 opacity-75">
-                    {Math.round(attention * 100)}% attention
-                  </div>
+                  <span className="block text-xs mt-1 opacity-75">
+                    {t('graph.percent', { percent: Math.round(attention * 100) })}
+                  </span>
+                )}
+                {isOverlay && displayToken !== null && (
+                  <span className="flex items-end gap-0.5 h-4 mt-1" aria-hidden="true">
+                    {headAttentionWeights.map((headRow, h) => (
+                      <span
+                        key={h}
+                        className="w-1.5 rounded-sm"
+                        style={{
+                          height: `${Math.max(8, ((headRow[displayToken] && headRow[displayToken][i]) || 0) * 100)}%`,
+                          backgroundColor: headColor(h)
+                        }}
+                        title={t('heads.head', { number: h + 1 })}
+                      />
+                    ))}
+                  </span>
                 )}
                 {displayToken !== null && attention > 0 && (
-                  <div 
+                  <span
+                    aria-hidden="true"
                     className="absolute -top-2 -right-2 w-6 h-6 rounded-full flex items-center justify-center text-xs font-bold border-2 border-white"
-                    style={{
+                    style={palette === 'classic' ? {
                       backgroundColor: attention > 0.5 ? '#3b82f6' : '#93c5fd',
                       color: attention > 0.3 ? 'white' : '#1f2937'
+                    } : {
+                      backgroundColor: heatColor(attention, { min: 0, max: 1 }, false, palette),
+                      color: heatTextColor(attention, { min: 0, max: 1 }, false, palette)
                     }}
                   >
                     {Math.round(attention * 10)}
-                  </div>
+                  </span>
                 )}
-              </div>
+              </Chip>
             );
           })}
         </div>
 
         {displayToken !== null && (
           <div className="bg-white p-4 rounded-lg border">
-            <h5 className="font-semibold mb-2">Attention Story for "{tokenList[displayToken]}":</h5>
+            <h5 className="font-semibold mb-2">{t('graph.story', { word: queryList[displayToken] })}</h5>
             <p className="text-sm text-gray-700">
-              {generateAttentionStory(tokenList[displayToken], tokenList, weights[displayToken] || [], displayToken)}
+              {generateAttentionStory(queryList[displayToken], tokenList, weights[displayToken] || [], isCrossGraph ? -1 : displayToken, t)}
             </p>
           </div>
         )}
@@ -247,449 +927,1272 @@ const AttentionVisualizer = () => {
     );
   };
 
-  // Animated attention flow
-  const AttentionFlow = ({ weights, tokenList }) => {
-    const canvasRef = useRef(null);
-    
-    useEffect(() => {
-      const canvas = canvasRef.current;
-      if (!canvas || !weights || !weights.length || selectedToken === null) return;
-      
-      const ctx = canvas.getContext('2d');
-      const width = canvas.width;
-      const height = canvas.height;
-      
-      // Clear canvas
-      ctx.clearRect(0, 0, width, height);
-      
-      // Draw flowing connections
-      const tokenPositions = tokenList.map((_, i) => ({
-        x: (width / (tokenList.length + 1)) * (i + 1),
-        y: height / 2
-      }));
-      
-      const selectedWeights = weights[selectedToken];
-      if (selectedWeights && selectedWeights.length > 0) {
-        selectedWeights.forEach((weight, targetIdx) => {
-          if (weight > 0.05 && targetIdx !== selectedToken && targetIdx < tokenPositions.length) {
-            const start = tokenPositions[selectedToken];
-            const end = tokenPositions[targetIdx];
-            
-            // Animated flowing line
-            const phase = (animationPhase * Math.PI) / 2;
-            
-            ctx.beginPath();
-            ctx.strokeStyle = `rgba(59, 130, 246, ${Math.min(1, weight * 2)})`;
-            ctx.lineWidth = Math.max(2, weight * 8);
-            
-            // Create flowing effect
-            const midX = (start.x + end.x) / 2;
-            const midY = (start.y + end.y) / 2 - 30 * Math.sin(phase + weight);
-            
-            ctx.moveTo(start.x, start.y);
-            ctx.quadraticCurveTo(midX, midY, end.x, end.y);
-            ctx.stroke();
-            
-            // Add flowing particles
-            const t = (Math.sin(phase + weight) + 1) / 2;
-            const particleX = start.x + (end.x - start.x) * t;
-            const particleY = start.y + (midY - start.y) * 2 * t * (1 - t);
-            
-            ctx.beginPath();
-            ctx.fillStyle = '#3b82f6';
-            ctx.arc(particleX, particleY, Math.max(2, weight * 6), 0, Math.PI * 2);
-            ctx.fill();
-            
-            // Add attention value label
-            ctx.fillStyle = '#1f2937';
-            ctx.font = '12px sans-serif';
-            ctx.fillText(`${Math.round(weight * 100)}%`, end.x + 5, end.y - 10);
-          }
-        });
-      }
-    }, [weights, tokenList, selectedToken, animationPhase]);
-    
+  // Animated attention flow. Cross-attention draws two rows: target words
+  // (queries) along the top, source words along the bottom. The table view
+  // lists the same weights, one row per head drawn (see flowRows).
+  const AttentionFlow = ({ tokenList, queryList = tokenList }) => {
     return (
       <div className="bg-gray-50 p-4 rounded-lg">
-        <h4 className="font-semibold mb-2 flex items-center gap-2">
-          <Zap className="text-yellow-500" />
-          Attention Flow Animation
-        </h4>
+        <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+          <h4 className="font-semibold flex items-center gap-2">
+            <Zap className="text-yellow-500" />
+            {t('flow.title')}
+          </h4>
+          <button
+            onClick={() => setFlowTable(!flowTable)}
+            aria-pressed={flowTable}
+            className={`px-3 py-1 rounded-lg border-2 text-sm font-medium ${
+              flowTable ? 'bg-blue-600 text-white border-blue-600' : 'bg-white text-gray-700 border-gray-300 hover:bg-gray-100'
+            }`}
+          >
+            {t('flow.table')}
+          </button>
+        </div>
+        <HeadSelector numHeads={numHeads} activeHead={isOverlay ? 'overlay' : focusHead} onChange={setActiveHead} />
         <p className="text-sm text-gray-600 mb-3">
-          {selectedToken !== null 
-            ? `Showing attention flow from "${tokenList[selectedToken]}"` 
-            : "Click on a word above to see animated attention flow!"
+          {selectedToken !== null
+            ? t('flow.showing', { word: queryList[selectedToken] })
+            : t('flow.hint')
           }
         </p>
-        <canvas 
-          ref={canvasRef} 
-          width={600} 
-          height={150}
-          className="border rounded bg-white w-full"
-          style={{ maxWidth: '100%' }}
-        />
+        {flowTable ? (
+          flowRows.length > 0 && (
+            <AttentionTable
+              matrix={flowRows.map(row => row.weights)}
+              rowLabels={flowRows.map(row => t('heads.head', { number: row.head + 1 }))}
+              colLabels={tokenList}
+              corner={`"${queryList[selectedToken]}" →`}
+              caption={t('flow.showing', { word: queryList[selectedToken] })}
+              format={(weight) => `${(weight * 100).toFixed(1)}%`}
+            />
+          )
+        ) : (
+          <>
+            <AttentionFlowCanvas
+              ref={flowRef}
+              rows={flowRows}
+              tokens={tokenList}
+              queryTokens={queryList}
+              selectedToken={selectedToken}
+              onSelectToken={setSelectedToken}
+              showPercentages={!isOverlay}
+            />
+            <div className="mt-2">
+              <ExportButtons exports={[{ label: 'PNG', onExport: () => downloadCanvas(flowRef.current, exportName('png')) }]} />
+            </div>
+          </>
+        )}
       </div>
     );
   };
 
-  const SimpleMatrix = ({ matrix, title, description, colorCode = false }) => {
-    if (!matrix || !matrix.length || !matrix[0]) {
-      return (
-        <div className="bg-white border-2 border-gray-200 rounded-lg p-4">
-          <h4 className="font-semibold mb-2">{title}</h4>
-          {description && <p className="text-sm text-gray-600 mb-3">{description}</p>}
-          <p className="text-gray-500 italic">No data to display</p>
-        </div>
-      );
-    }
-
-    return (
-      <div className="bg-white border-2 border-gray-200 rounded-lg p-4">
-        <h4 className="font-semibold mb-2">{title}</h4>
-        {description && <p className="text-sm text-gray-600 mb-3">{description}</p>}
-        <div className="grid gap-2" style={{gridTemplateColumns: `repeat(${matrix[0]?.length || 1}, 1fr)`}}>
-          {matrix.map((row, i) => 
-            row && row.map((val, j) => {
-              const intensity = colorCode ? Math.abs(val) : 0;
-              return (
-                <div
-                  key={`${i}-${j}`}
-                  className="px-2 py-2 text-center rounded font-mono text-sm border"
-                  style={{
-                    backgroundColor: colorCode 
-                      ? `rgba(59, 130, 246, ${Math.min(1, intensity / 2)})` 
-                      : 'white',
-                    color: colorCode && intensity > 1 ? 'white' : 'black'
-                  }}
-                >
-                  {typeof val === 'number' ? val.toFixed(2) : val}
-                </div>
-              );
-            })
+  // Step renderers, keyed by the `component` a lesson step names (see
+  // STEP_COMPONENTS in engine/lessons). "note" steps have only their text.
+  const stepRenderers = {
+    note: () => null,
+    embeddings: () => (
+      <div className="grid md:grid-cols-2 gap-4">
+        <div className="space-y-4">
+          <h4 className="font-semibold text-lg">
+            {t(tokenizerMode === 'subwords' ? 'embeddings.ourTokens' : 'embeddings.ourWords')}{isCross ? ` (${t('common.source')})` : ''}:
+          </h4>
+          <TokenPieces entries={tokenEntries} />
+          {isCross && (
+            <>
+              <h4 className="font-semibold text-lg">{t(tokenizerMode === 'subwords' ? 'embeddings.targetTokens' : 'embeddings.targetWords')}</h4>
+              <TokenPieces entries={targetEntries} />
+            </>
+          )}
+          <p className="text-sm text-gray-600">
+            {t(tokenizerMode === 'subwords' ? 'embeddings.subwordsHint' : 'embeddings.wordsHint', { size: tokenizer.vocabSize })}
+          </p>
+          {showMath && (
+            <div className="bg-gray-50 p-4 rounded-lg">
+              <h5 className="font-semibold mb-2">📐 {t('common.theMath')}</h5>
+              <p className="text-sm mb-2">{t('embeddings.mathLookup', { dModel })}</p>
+              <div className="font-mono text-sm bg-white p-2 rounded border">
+                embedding[i] = EmbeddingTable[token_id[i]]
+              </div>
+              <p className="text-sm text-gray-600 mt-2">{t('embeddings.mathNote')}</p>
+            </div>
           )}
         </div>
+        {showMath && tokenEmbeddings.length > 0 && (
+          <SimpleMatrix 
+            matrix={tokenEmbeddings.map((emb, i) => [tokens[i], ...emb])}
+            title={isCross ? `${t('embeddings.vectors')} (${t('common.source')})` : t('embeddings.vectors')}
+            description={t('embeddings.vectorsDescription', { dModel })}
+            colorCode={true}
+          />
+        )}
+        {showMath && isCross && targetTokenEmbeddings.length > 0 && (
+          <SimpleMatrix
+            matrix={targetTokenEmbeddings.map((emb, i) => [targetTokens[i], ...emb])}
+            title={`${t('embeddings.vectors')} (${t('common.target')})`}
+            description={t('embeddings.targetVectorsDescription')}
+            colorCode={true}
+          />
+        )}
       </div>
-    );
-  };
+    ),
 
-  const StepContent = () => {
-    const step = steps[currentStep];
-    
-    return (
-      <div className="space-y-6">
-        {/* Metaphor card */}
-        <div className="bg-gradient-to-r from-purple-100 to-pink-100 p-4 rounded-lg border-2 border-purple-200">
-          <div className="flex items-center gap-2 mb-2">
-            <Lightbulb className="text-purple-600" />
-            <h4 className="font-semibold text-purple-800">Think of it like this:</h4>
+    position: () => (
+      <div className="space-y-4">
+        <PositionalEncodingPanel
+          positionMode={positionMode}
+          onModeChange={setPositionMode}
+          tokens={tokens}
+          queryTokens={queryTokens}
+          dModel={dModel}
+          dK={dK}
+          encodings={attention.positions}
+          learnedTable={loadedModel && loadedModel.positionEmbeddings}
+          weightsWithPosition={headAttentionWeights[focusHead]}
+          weightsWithoutPosition={weightsWithoutPosition}
+          showMath={showMath}
+        />
+        {showMath && positionMode !== 'rope' && positionMode !== 'none' && embeddings.length > 0 && (
+          <SimpleMatrix 
+            matrix={embeddings.map((emb, i) => [tokens[i], ...emb])}
+            title={`${t('position.input')}${isCross ? ` — ${t('common.source')}` : ''}`}
+            description={t('position.inputDescription')}
+            colorCode={true}
+          />
+        )}
+        {showMath && isCross && positionMode !== 'rope' && positionMode !== 'none' && targetEmbeddings.length > 0 && (
+          <SimpleMatrix
+            matrix={targetEmbeddings.map((emb, i) => [targetTokens[i], ...emb])}
+            title={`${t('position.input')} — ${t('common.target')}`}
+            description={t('position.targetDescription')}
+            colorCode={true}
+          />
+        )}
+      </div>
+    ),
+
+    qkv: () => (
+      <div>
+        <div className="grid md:grid-cols-3 gap-4 mb-4">
+          <div className="bg-red-50 p-4 rounded-lg border-2 border-red-200">
+            <h4 className="font-semibold text-red-800 mb-2">🔍 {t('qkv.query')}</h4>
+            <p className="text-sm text-red-700">{t('qkv.queryHint')}</p>
+          </div>
+          <div className="bg-green-50 p-4 rounded-lg border-2 border-green-200">
+            <h4 className="font-semibold text-green-800 mb-2">🔑 {t('qkv.key')}</h4>
+            <p className="text-sm text-green-700">{t('qkv.keyHint')}</p>
+          </div>
+          <div className="bg-blue-50 p-4 rounded-lg border-2 border-blue-200">
+            <h4 className="font-semibold text-blue-800 mb-2">💎 {t('qkv.value')}</h4>
+            <p className="text-sm text-blue-700">{t('qkv.valueHint')}</p>
+          </div>
+        </div>
+        {isCross && (
+          <div className="bg-white p-4 rounded-lg border-2 border-purple-200 mb-4">
+            <h4 className="font-semibold text-purple-800 mb-2">🌉 {t('qkv.crossTitle')}</h4>
+            <p className="text-sm text-gray-700">
+              {t('qkv.crossDescription', { targets: targetTokens.length, sources: tokens.length })}
+            </p>
+          </div>
+        )}
+        {isMultiHead && (
+          <div className="bg-white p-4 rounded-lg border-2 border-gray-200 mb-4">
+            <h4 className="font-semibold mb-2">🎭 {t('qkv.headsTitle', { count: numHeads })}</h4>
+            <p className="text-sm text-gray-700 mb-3">
+              {t('qkv.headsDescription', { count: numHeads })}
+            </p>
+            <HeadSelector numHeads={numHeads} activeHead={focusHead} onChange={setActiveHead} allowOverlay={false} />
           </div>
-          <p className="text-purple-700">{step.metaphor}</p>
+        )}
+        <div className="mb-4">
+          <button
+            onClick={() => setExpandedSections(sections => ({ ...sections, weights: !sections.weights }))}
+            className="flex items-center gap-2 font-semibold text-gray-800 hover:text-blue-700"
+          >
+            {expandedSections.weights ? <ChevronDown size={20} /> : <ChevronRight size={20} />}
+            ✏️ {t('qkv.edit')}{isMultiHead ? ` (${headLabel})` : ''}
+          </button>
+          {expandedSections.weights && (
+            <div className="mt-3">
+              <WeightEditor
+                weights={headWeights[focusHead]}
+                baseWeights={baseHeadWeights[focusHead]}
+                headLabel={isMultiHead ? headLabel : null}
+                onCellChange={changeWeightCell}
+                onPreset={applyWeightPreset}
+                onResetMatrix={resetWeightMatrix}
+              />
+            </div>
+          )}
         </div>
+        {(showMath || isGenerating) && Q.length > 0 && (
+          <div className="space-y-4">
+            {showMath && (
+              <div className="bg-gray-50 p-4 rounded-lg">
+                <h5 className="font-semibold mb-2">📐 {t('common.theMath')}</h5>
+                <div className="space-y-2 text-sm">
+                  <p><strong>{t('qkv.queryMatrix')}:</strong> Q = Embeddings × W_Q</p>
+                  <p><strong>{t('qkv.keyMatrix')}:</strong> K = Embeddings × W_K</p>
+                  <p><strong>{t('qkv.valueMatrix')}:</strong> V = Embeddings × W_V</p>
+                  <p className="text-gray-600">{t('qkv.mathNote')}</p>
+                  {isMultiHead && (
+                    <p className="text-gray-600">{t('qkv.mathHead', { head: focusHead + 1 })}</p>
+                  )}
+                </div>
+              </div>
+            )}
+            {isGenerating && <p className="text-sm text-gray-600">{t('generate.legend')}</p>}
+            <div className="grid md:grid-cols-3 gap-4">
+              <SimpleMatrix
+                matrix={Q.map((q, i) => [queryTokens[i], ...q])}
+                title={isCross ? t('qkv.queriesCross') : t('qkv.queries')}
+                colorCode={true}
+                rowStates={cacheRows && cacheRows.query}
+              />
+              <SimpleMatrix
+                matrix={K.map((k, i) => [tokens[i], ...k])}
+                title={isCross ? t('qkv.keysCross') : t('qkv.keys')}
+                colorCode={true}
+                rowStates={cacheRows && cacheRows.keyValue}
+              />
+              <SimpleMatrix
+                matrix={V.map((v, i) => [tokens[i], ...v])}
+                title={isCross ? t('qkv.valuesCross') : t('qkv.values')}
+                colorCode={true}
+                rowStates={cacheRows && cacheRows.keyValue}
+              />
+            </div>
+          </div>
+        )}
+      </div>
+    ),
 
-        {/* Step-specific content */}
-        {step.component === "embeddings" && (
-          <div className="grid md:grid-cols-2 gap-4">
-            <div className="space-y-4">
-              <h4 className="font-semibold text-lg">Our Words:</h4>
-              <div className="flex flex-wrap gap-2">
-                {tokens.map((token, i) => (
-                  <span key={i} className="px-4 py-2 bg-blue-100 text-blue-800 rounded-lg font-medium">
-                    {token}
-                  </span>
-                ))}
+    scores: () => (
+      <div className="space-y-4">
+        <div className="bg-yellow-50 p-4 rounded-lg border-2 border-yellow-200">
+          <h4 className="font-semibold text-yellow-800 mb-2">🎯 {t('scores.title')}</h4>
+          <p className="text-yellow-700">{t('scores.description')}</p>
+        </div>
+        <MaskControls
+          maskMode={maskMode}
+          onModeChange={setMaskMode}
+          padCount={padCount}
+          onPadCountChange={setPadCount}
+          maskedCount={countMasked(mask)}
+          allowCausal={!isCross}
+        />
+        <AttentionHeatmap
+          matrix={attention.heads[focusHead].scaledScores}
+          tokens={tokens}
+          queryTokens={queryTokens}
+          mask={mask}
+          diverging
+          title={`${t('scores.heatmap')}${headSuffix}`}
+          description={t('scores.heatmapDescription')}
+          {...heatmapOptions}
+          onOptionsChange={setHeatmapOptions}
+          selectedToken={selectedToken}
+          onSelectToken={setSelectedToken}
+        />
+        {maskMode === 'custom' && !showMath && scaledScores.length > 0 && (
+          <SimpleMatrix 
+            matrix={scaledScores}
+            title={t('scores.clickToBlock')}
+            description={t('scores.clickToBlockDescription')}
+            colorCode={true}
+            mask={mask}
+            onCellClick={toggleCustomMask}
+          />
+        )}
+        {showMath && (
+          <div className="space-y-4">
+            <div className="bg-gray-50 p-4 rounded-lg">
+              <h5 className="font-semibold mb-2">📐 {t('common.theMath')}</h5>
+              <div className="space-y-2 text-sm">
+                <p><strong>{t('scores.math1')}</strong> Scores = Q × K^T</p>
+                <p><strong>{t('scores.math2')}</strong> Scaled = Scores ÷ √{dK}</p>
+                <p className="text-gray-600">{t('scores.mathNote')}</p>
               </div>
-              {showMath && (
-                <div className="bg-gray-50 p-4 rounded-lg">
-                  <h5 className="font-semibold mb-2">📐 The Math:</h5>
-                  <p className="text-sm mb-2">Each word gets converted to a {dModel}-dimensional vector:</p>
-                  <div className="font-mono text-sm bg-white p-2 rounded border">
-                    embedding[i] = [sin(i×0.5)×0.8+0.2, cos(i×0.3)×0.6+0.4, word_length×0.1, char_code×0.1]
-                  </div>
-                </div>
-              )}
             </div>
-            {showMath && embeddings.length > 0 && (
+            {scores.length > 0 && (
               <SimpleMatrix 
-                matrix={embeddings.map((emb, i) => [tokens[i], ...emb])}
-                title="Word Vectors"
-                description="Each word as 4 numbers"
+                matrix={scores}
+                title={`${t('scores.raw')} (Q × K^T)${headSuffix}`}
+                description={t('scores.rawDescription')}
                 colorCode={true}
+                rowStates={cacheRows && cacheRows.query}
+              />
+            )}
+            {scaledScores.length > 0 && (
+              <SimpleMatrix 
+                matrix={scaledScores}
+                title={`${t('scores.scaled')} (÷ √${dK})${headSuffix}`}
+                description={maskMode === 'custom'
+                  ? `${t('scores.scaledDescription')}. ${t('scores.clickCell')}`
+                  : t('scores.scaledDescription')}
+                colorCode={true}
+                mask={mask}
+                onCellClick={maskMode === 'custom' ? toggleCustomMask : null}
+                rowStates={cacheRows && cacheRows.query}
               />
             )}
           </div>
         )}
+        <div>
+          <button
+            onClick={() => setExpandedSections(sections => ({ ...sections, scaling: !sections.scaling }))}
+            className="flex items-center gap-2 font-semibold text-gray-800 hover:text-blue-700"
+          >
+            {expandedSections.scaling ? <ChevronDown size={20} /> : <ChevronRight size={20} />}
+            ⚖️ {t('scores.why')}
+          </button>
+          {expandedSections.scaling && (
+            <div className="mt-3">
+              <ScalingComparison
+                scores={attention.heads[focusHead].scores}
+                scaledWeights={headAttentionWeights[focusHead]}
+                mask={mask}
+                tokens={tokens}
+                queryTokens={queryTokens}
+                dK={dK}
+              />
+            </div>
+          )}
+        </div>
+      </div>
+    ),
 
-        {step.component === "qkv" && (
-          <div>
-            <div className="grid md:grid-cols-3 gap-4 mb-4">
-              <div className="bg-red-50 p-4 rounded-lg border-2 border-red-200">
-                <h4 className="font-semibold text-red-800 mb-2">🔍 Query: "What am I looking for?"</h4>
-                <p className="text-sm text-red-700">Each word asks: "What information do I need from other words?"</p>
-              </div>
-              <div className="bg-green-50 p-4 rounded-lg border-2 border-green-200">
-                <h4 className="font-semibold text-green-800 mb-2">🔑 Key: "What do I offer?"</h4>
-                <p className="text-sm text-green-700">Each word advertises: "Here's what I can provide!"</p>
-              </div>
-              <div className="bg-blue-50 p-4 rounded-lg border-2 border-blue-200">
-                <h4 className="font-semibold text-blue-800 mb-2">💎 Value: "Here's my contribution"</h4>
-                <p className="text-sm text-blue-700">Each word says: "If you pay attention to me, here's what I'll give you!"</p>
-              </div>
+    masking: () => (
+      <div className="space-y-4">
+        <MaskControls
+          maskMode={maskMode}
+          onModeChange={setMaskMode}
+          padCount={padCount}
+          onPadCountChange={setPadCount}
+          maskedCount={countMasked(mask)}
+          allowCausal={!isCross}
+        />
+        {showMath && (
+          <div className="bg-gray-50 p-4 rounded-lg">
+            <h5 className="font-semibold mb-2">📐 {t('common.theMath')}</h5>
+            <div className="space-y-2 text-sm">
+              <p><strong>{t('masking.mask')}</strong> {t('masking.maskFormula')}</p>
+              <p><strong>{t('masking.why')}</strong> {t('masking.whyAnswer')}</p>
+              <p className="text-gray-600">{t('masking.mathNote')}</p>
             </div>
-            {showMath && Q.length > 0 && (
-              <div className="space-y-4">
-                <div className="bg-gray-50 p-4 rounded-lg">
-                  <h5 className="font-semibold mb-2">📐 The Math:</h5>
-                  <div className="space-y-2 text-sm">
-                    <p><strong>Query (Q):</strong> Q = Embeddings × W_Q</p>
-                    <p><strong>Key (K):</strong> K = Embeddings × W_K</p>
-                    <p><strong>Value (V):</strong> V = Embeddings × W_V</p>
-                    <p className="text-gray-600">Each embedding vector gets multiplied by learned weight matrices to create the three different "views"</p>
-                  </div>
-                </div>
-                <div className="grid md:grid-cols-3 gap-4">
-                  <SimpleMatrix matrix={Q.map((q, i) => [tokens[i], ...q])} title="Queries (Q)" colorCode={true} />
-                  <SimpleMatrix matrix={K.map((k, i) => [tokens[i], ...k])} title="Keys (K)" colorCode={true} />
-                  <SimpleMatrix matrix={V.map((v, i) => [tokens[i], ...v])} title="Values (V)" colorCode={true} />
-                </div>
-              </div>
-            )}
           </div>
         )}
+        <div className="grid md:grid-cols-2 gap-4">
+          <SimpleMatrix 
+            matrix={maskedScores}
+            title={`${t('masking.scores')}${headSuffix}`}
+            description={maskMode === 'custom' ? t('masking.clickCell') : t('masking.scoresDescription')}
+            colorCode={true}
+            mask={mask}
+            onCellClick={maskMode === 'custom' ? toggleCustomMask : null}
+          />
+          <SimpleMatrix 
+            matrix={display.attentionWeights}
+            title={t('masking.weights')}
+            description={t('masking.weightsDescription')}
+            colorCode={true}
+            decimals={3}
+            mask={mask}
+          />
+        </div>
+      </div>
+    ),
 
-        {step.component === "scores" && (
-          <div className="space-y-4">
-            <div className="bg-yellow-50 p-4 rounded-lg border-2 border-yellow-200">
-              <h4 className="font-semibold text-yellow-800 mb-2">🎯 Compatibility Matching</h4>
-              <p className="text-yellow-700">We're checking: "How well does what word A is looking for match with what word B offers?"</p>
+    attention: () => (
+      <div className="space-y-4">
+        {showMath && scaledScores.length > 0 && (
+          <div className="bg-gray-50 p-4 rounded-lg mb-4">
+            <h5 className="font-semibold mb-2">📐 {t('common.theMath')}</h5>
+            <div className="space-y-2 text-sm">
+              <p><strong>{t('attention.formula')}</strong> softmax(x_i) = e^x_i / Σ(e^x_j)</p>
+              <p><strong>{t('common.whatItDoes')}</strong> {t('attention.whatItDoes')}</p>
+              <p className="text-gray-600">{t('attention.mathNote')}</p>
             </div>
-            {showMath && (
-              <div className="space-y-4">
-                <div className="bg-gray-50 p-4 rounded-lg">
-                  <h5 className="font-semibold mb-2">📐 The Math:</h5>
-                  <div className="space-y-2 text-sm">
-                    <p><strong>Step 1:</strong> Compute raw scores: Scores = Q × K^T</p>
-                    <p><strong>Step 2:</strong> Scale by √d_k: Scaled = Scores ÷ √{dK}</p>
-                    <p className="text-gray-600">We transpose K so each query can be compared with every key</p>
-                  </div>
-                </div>
-                {scores.length > 0 && (
-                  <SimpleMatrix 
-                    matrix={scores}
-                    title="Raw Compatibility Scores (Q × K^T)"
-                    description="Higher = better match"
-                    colorCode={true}
-                  />
-                )}
-                {scaledScores.length > 0 && (
-                  <SimpleMatrix 
-                    matrix={scaledScores}
-                    title={`Scaled Scores (÷ √${dK})`}
-                    description="Prevents very large values that could cause problems"
-                    colorCode={true}
-                  />
-                )}
-              </div>
-            )}
           </div>
         )}
-
-        {step.component === "attention" && (
-          <div className="space-y-4">
-            {showMath && scaledScores.length > 0 && (
-              <div className="bg-gray-50 p-4 rounded-lg mb-4">
-                <h5 className="font-semibold mb-2">📐 The Math:</h5>
-                <div className="space-y-2 text-sm">
-                  <p><strong>Softmax Formula:</strong> softmax(x_i) = e^x_i / Σ(e^x_j)</p>
-                  <p><strong>What it does:</strong> Converts raw scores into probabilities that sum to 1</p>
-                  <p className="text-gray-600">This ensures each word has a probability distribution over all other words</p>
-                </div>
+        {isMultiHead && (
+          <HeadAttentionMaps
+            heads={attention.heads}
+            tokens={tokens}
+            queryTokens={queryTokens}
+            activeHead={isOverlay ? 'overlay' : focusHead}
+            onSelectHead={setActiveHead}
+          />
+        )}
+        {isComparing && compareAttention && (
+          <ComparePanel
+            sides={[
+              { label: t('compare.sideA'), tokens, weights: attentionWeights, mask },
+              {
+                label: compareWeights === 'same'
+                  ? t('compare.sideB')
+                  : `${t('compare.sideB')} (${t(`compare.weights.${compareWeights}`).toLowerCase()})`,
+                tokens: compareTokens,
+                weights: compareAttentionWeights,
+                mask: compareMask
+              }
+            ]}
+            selectedToken={selectedToken}
+            onSelectToken={setSelectedToken}
+            heatmapOptions={heatmapOptions}
+            onOptionsChange={setHeatmapOptions}
+          />
+        )}
+        {AttentionGraph({ weights: attentionWeights, tokenList: tokens, queryList: queryTokens })}
+        {AttentionFlow({ tokenList: tokens, queryList: queryTokens })}
+        <AttentionHeatmap
+          matrix={attentionWeights}
+          tokens={tokens}
+          queryTokens={queryTokens}
+          mask={mask}
+          title={`${t('attention.matrix')}${isOverlay ? ` — ${t('attention.average')}` : headSuffix}`}
+          description={t(heatmapOptions.view === 'rows' ? 'attention.matrixRows' : 'attention.matrixColumns')}
+          {...heatmapOptions}
+          onOptionsChange={setHeatmapOptions}
+          selectedToken={selectedToken}
+          onSelectToken={setSelectedToken}
+        />
+        <div className="bg-white border-2 border-gray-200 rounded-lg p-4">
+          <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+            <h4 className="font-semibold">🖼️ {t('attention.slides')}</h4>
+            <ExportButtons exports={[{ label: 'SVG', onExport: () => downloadSvg(svgRef.current, exportName('svg')) }]} />
+          </div>
+          <div className="overflow-x-auto">
+            <AttentionMapSvg
+              ref={svgRef}
+              weights={attentionWeights}
+              tokens={tokens}
+              queryTokens={queryTokens}
+              mask={mask}
+              head={isOverlay ? 0 : focusHead}
+              selectedToken={selectedToken}
+              title={`${isCross ? `"${targetText}" → ` : ''}"${inputText}" — ${isOverlay ? t('attention.svgAverage') : isMultiHead ? headLabel : t('attention.svgWeights')}`}
+            />
+          </div>
+        </div>
+        <div>
+          <button
+            onClick={() => setExpandedSections(sections => ({ ...sections, normalization: !sections.normalization }))}
+            className="flex items-center gap-2 font-semibold text-gray-800 hover:text-blue-700"
+          >
+            {expandedSections.normalization ? <ChevronDown size={20} /> : <ChevronRight size={20} />}
+            🌡️ {t('normalization.toggle')}
+          </button>
+          {expandedSections.normalization && (
+            <div className="mt-3">
+              <NormalizationExplorer
+                scores={attention.heads[focusHead].maskedScores}
+                tokens={tokens}
+                queryTokens={queryTokens}
+                settings={normalization}
+                onChange={setNormalization}
+              />
+            </div>
+          )}
+        </div>
+        {analysisMetrics.length > 1 && (
+          <div>
+            <button
+              onClick={() => setExpandedSections(sections => ({ ...sections, analysis: !sections.analysis }))}
+              className="flex items-center gap-2 font-semibold text-gray-800 hover:text-blue-700"
+            >
+              {expandedSections.analysis ? <ChevronDown size={20} /> : <ChevronRight size={20} />}
+              📊 {t('analysis.toggle')}
+            </button>
+            {expandedSections.analysis && (
+              <div className="mt-3">
+                <AnalysisPanel
+                  metrics={analysisMetrics}
+                  rollout={rollout}
+                  layers={numLayers}
+                  sort={analysisSort}
+                  onSortChange={setAnalysisSort}
+                  heatmapOptions={heatmapOptions}
+                  onOptionsChange={setHeatmapOptions}
+                  selectedToken={selectedToken}
+                  onSelectToken={setSelectedToken}
+                />
               </div>
             )}
-            <AttentionGraph weights={attentionWeights} tokenList={tokens} />
-            <AttentionFlow weights={attentionWeights} tokenList={tokens} />
-            <div className="bg-blue-50 p-4 rounded-lg border-2 border-blue-200">
-              <h4 className="font-semibold text-blue-800 mb-2">👆 Try This!</h4>
-              <p className="text-blue-700">Hover over the words above to see what each one pays attention to, then click to lock the view!</p>
-            </div>
           </div>
         )}
+        <div className="bg-blue-50 p-4 rounded-lg border-2 border-blue-200">
+          <h4 className="font-semibold text-blue-800 mb-2">👆 {t('attention.tryTitle')}</h4>
+          <p className="text-blue-700">{t('attention.tryHint')}</p>
+        </div>
+      </div>
+    ),
+
+    efficient: () => (
+      <EfficientAttentionPanel
+        scaledScores={attention.heads[focusHead].scaledScores}
+        Q={attention.heads[focusHead].Q}
+        K={attention.heads[focusHead].K}
+        mask={mask}
+        tokens={tokens}
+        queryTokens={queryTokens}
+        dK={dK}
+        dV={dV}
+        settings={efficientSettings}
+        onChange={setEfficientSettings}
+        heatmapOptions={heatmapOptions}
+        onOptionsChange={setHeatmapOptions}
+        selectedToken={selectedToken}
+        onSelectToken={setSelectedToken}
+      />
+    ),
 
-        {step.component === "output" && (
+    output: () => (
+      <div className="space-y-4">
+        <div className="bg-green-50 p-4 rounded-lg border-2 border-green-200">
+          <h4 className="font-semibold text-green-800 mb-2">🎉 {t('output.title')}</h4>
+          <p className="text-green-700">{t('output.description')}</p>
+        </div>
+        {showMath && output.length > 0 && (
           <div className="space-y-4">
-            <div className="bg-green-50 p-4 rounded-lg border-2 border-green-200">
-              <h4 className="font-semibold text-green-800 mb-2">🎉 Information Gathering Complete!</h4>
-              <p className="text-green-700">Each word now contains not just its own information, but a weighted blend of information from all the words it paid attention to!</p>
+            <div className="bg-gray-50 p-4 rounded-lg">
+              <h5 className="font-semibold mb-2">📐 {t('common.theMath')}</h5>
+              <div className="space-y-2 text-sm">
+                {isMultiHead ? (
+                  <>
+                    <p><strong>{t('output.eachHead')}</strong> head_h = Attention_Weights_h × V_h</p>
+                    <p><strong>{t('output.concatenate')}</strong> Concat = [head_1, …, head_{numHeads}] ({t('output.perWord', { numHeads, dV, total: concat[0] ? concat[0].length : 0 })})</p>
+                    <p><strong>{t('output.final')}</strong> Output = Concat × W_O</p>
+                    <p className="text-gray-600">{t('output.mixNote', { dModel })}</p>
+                  </>
+                ) : (
+                  <>
+                    <p><strong>{t('output.final')}</strong> Output = Attention_Weights × V</p>
+                    <p><strong>{t('common.whatItDoes')}</strong> {t('output.whatItDoes')}</p>
+                    <p className="text-gray-600">{t('output.mathNote')}</p>
+                  </>
+                )}
+              </div>
             </div>
-            {showMath && output.length > 0 && (
-              <div className="space-y-4">
-                <div className="bg-gray-50 p-4 rounded-lg">
-                  <h5 className="font-semibold mb-2">📐 The Math:</h5>
-                  <div className="space-y-2 text-sm">
-                    <p><strong>Final Output:</strong> Output = Attention_Weights × V</p>
-                    <p><strong>What it does:</strong> Each word gets a weighted combination of all Value vectors</p>
-                    <p className="text-gray-600">The attention weights determine how much each word contributes to the final representation</p>
-                  </div>
-                </div>
-                <SimpleMatrix 
-                  matrix={output.map((out, i) => [tokens[i], ...out])}
-                  title="Enhanced Word Representations"
-                  description="Each word now knows about the context around it"
+            {isMultiHead && (
+              <div className="grid md:grid-cols-2 gap-4">
+                <SimpleMatrix
+                  matrix={concat.map((row, i) => [queryTokens[i], ...row])}
+                  title={t('output.concat')}
+                  description={t('output.concatDescription')}
+                  colorCode={true}
+                />
+                <SimpleMatrix
+                  matrix={roundMatrix(outputProjection)}
+                  title={`${t('output.projection')} (W_O)`}
+                  description={t('output.projectionDescription')}
                   colorCode={true}
                 />
               </div>
             )}
+            <SimpleMatrix 
+              matrix={output.map((out, i) => [queryTokens[i], ...out])}
+              title={t('output.enhanced')}
+              description={t('output.enhancedDescription')}
+              colorCode={true}
+            />
           </div>
         )}
       </div>
-    );
-  };
+    ),
 
-  return (
-    <div className="max-w-6xl mx-auto p-6 bg-gradient-to-br from-blue-50 to-indigo-100 min-h-screen">
-      <div className="bg-white rounded-2xl shadow-xl p-8">
-        {tokens.length === 0 ? (
-          // Empty state
-          <div className="text-center py-16">
-            <h1 className="text-4xl font-bold mb-4 text-gray-800">
-              How AI Pays Attention
-            </h1>
-            <p className="text-xl text-gray-600 mb-6">
-              Discover how AI models like ChatGPT understand which words are important to each other
-            </p>
-            <div className="mb-6">
-              <input
-                type="text"
-                value={inputText}
-                onChange={(e) => setInputText(e.target.value)}
-                className="px-4 py-3 border-2 border-gray-300 rounded-lg w-full max-w-md text-lg focus:border-blue-500 focus:outline-none"
-                placeholder="Type some words to get started..."
-                autoFocus
-              />
-            </div>
-            <div className="bg-blue-50 p-6 rounded-lg border-2 border-blue-200 max-w-md mx-auto">
-              <h3 className="font-bold text-lg mb-3 text-blue-800">💡 Try These Examples:</h3>
-              <div className="space-y-2">
-                {[
-                  "The cat sat on the mat",
-                  "She loves reading books", 
-                  "Coffee tastes great in morning",
-                  "The dog chased the ball"
-                ].map((example, i) => (
-                  <button
-                    key={i}
-                    onClick={() => setInputText(example)}
-                    className="w-full text-left p-3 bg-white rounded-lg border-2 border-blue-200 hover:border-blue-400 transition-all"
-                  >
-                    <span className="font-medium text-blue-800">"{example}"</span>
-                  </button>
-                ))}
-              </div>
+    residual: () => firstBlock && (
+      <div className="space-y-4">
+        <p className="text-gray-700">{t('residual.description')}</p>
+        {showMath && (
+          <div className="bg-gray-50 p-4 rounded-lg">
+            <h5 className="font-semibold mb-2">📐 {t('common.theMath')}</h5>
+            <div className="space-y-2 text-sm">
+              <p><strong>{t('residual.residual')}</strong> x + Attention(x)</p>
+              <p className="text-gray-600">{t('residual.mathNote', { dModel })}</p>
             </div>
           </div>
-        ) : (
-          // Main content when we have tokens
-          <>
-            <div className="mb-8">
-              <h1 className="text-4xl font-bold mb-4 text-gray-800">
-                How AI Pays Attention
-              </h1>
-              <p className="text-xl text-gray-600 mb-6">
-                Discover how AI models like ChatGPT understand which words are important to each other
-              </p>
-              
-              <div className="flex flex-wrap gap-4 items-center mb-6">
-                <input
-                  type="text"
-                  value={inputText}
-                  onChange={(e) => setInputText(e.target.value)}
-                  className="px-4 py-3 border-2 border-gray-300 rounded-lg flex-1 max-w-md text-lg focus:border-blue-500 focus:outline-none"
-                  placeholder="Try: The cat sat on the mat"
-                />
-                <button
-                  onClick={() => setIsPlaying(!isPlaying)}
-                  className="px-6 py-3 bg-blue-600 text-white rounded-lg flex items-center gap-2 font-medium hover:bg-blue-700 transition-colors"
-                >
-                  {isPlaying ? <Pause size={20} /> : <Play size={20} />}
-                  {isPlaying ? 'Pause Tour' : 'Start Tour'}
-                </button>
-                <button
-                  onClick={() => setShowMath(!showMath)}
-                  className={`px-4 py-3 rounded-lg flex items-center gap-2 font-medium transition-all ${
-                    showMath ? 'bg-gray-600 text-white' : 'bg-gray-200 text-gray-700 hover:bg-gray-300'
-                  }`}
-                >
-                  Show Math
-                </button>
-              </div>
+        )}
+        <div className="grid md:grid-cols-3 gap-4">
+          <SimpleMatrix
+            matrix={withLabels(firstBlock.input)}
+            title={`${t('residual.input')} (x)`}
+            description={t('residual.inputDescription')}
+            colorCode={true}
+          />
+          <SimpleMatrix
+            matrix={withLabels(firstBlock.attention.output)}
+            title={t('residual.output')}
+            description={t('residual.outputDescription')}
+            colorCode={true}
+          />
+          <SimpleMatrix
+            matrix={withLabels(firstBlock.residual1)}
+            title={`${t('residual.sum')} (x + Attention)`}
+            description={t('residual.sumDescription')}
+            colorCode={true}
+          />
+        </div>
+      </div>
+    ),
 
-              {/* Progress bar */}
-              <div className="w-full bg-gray-200 rounded-full h-3 mb-6">
-                <div 
-                  className="bg-blue-600 h-3 rounded-full transition-all duration-500"
-                  style={{ width: `${((currentStep + 1) / steps.length) * 100}%` }}
-                />
-              </div>
+    layernorm: () => firstBlock && (
+      <div className="space-y-4">
+        {showMath && (
+          <div className="bg-gray-50 p-4 rounded-lg">
+            <h5 className="font-semibold mb-2">📐 {t('common.theMath')}</h5>
+            <div className="space-y-2 text-sm">
+              <p><strong>LayerNorm:</strong> (x − mean(x)) / √(var(x) + ε) × γ + β</p>
+              <p className="text-gray-600">{t('layernorm.mathNote')}</p>
+            </div>
+          </div>
+        )}
+        <div className="bg-white border-2 border-gray-200 rounded-lg p-4 overflow-x-auto">
+          <h4 className="font-semibold mb-3">📏 {t('layernorm.title')}</h4>
+          <table className="text-sm font-mono">
+            <thead>
+              <tr className="text-gray-600">
+                <th className="text-left pr-6 font-medium">{t('layernorm.word')}</th>
+                <th className="pr-4 font-medium">{t('layernorm.meanBefore')}</th>
+                <th className="pr-4 font-medium">{t('layernorm.spreadBefore')}</th>
+                <th className="pr-4 font-medium">{t('layernorm.meanAfter')}</th>
+                <th className="font-medium">{t('layernorm.spreadAfter')}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {firstBlock.residual1.map((row, i) => (
+                <tr key={i}>
+                  <td className="pr-6">{queryTokens[i]}</td>
+                  <td className="pr-4 text-center">{mean(row).toFixed(2)}</td>
+                  <td className="pr-4 text-center">{std(row).toFixed(2)}</td>
+                  <td className="pr-4 text-center text-green-700">{Math.abs(mean(firstBlock.norm1[i])).toFixed(2)}</td>
+                  <td className="text-center text-green-700">{std(firstBlock.norm1[i]).toFixed(2)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+        <div className="grid md:grid-cols-2 gap-4">
+          <SimpleMatrix
+            matrix={withLabels(firstBlock.residual1)}
+            title={`${t('layernorm.before')}: x + Attention`}
+            colorCode={true}
+          />
+          <SimpleMatrix
+            matrix={withLabels(firstBlock.norm1)}
+            title={`${t('layernorm.after')}: LayerNorm(x + Attention)`}
+            description={t('layernorm.afterDescription')}
+            colorCode={true}
+          />
+        </div>
+      </div>
+    ),
 
-              {/* Step navigation */}
-              <div className="flex flex-wrap gap-2 mb-6">
-                {steps.map((step, index) => (
-                  <button
-                    key={index}
-                    onClick={() => setCurrentStep(index)}
-                    className={`px-4 py-2 rounded-lg text-sm font-medium transition-all ${
-                      index === currentStep 
-                        ? 'bg-blue-600 text-white shadow-lg' 
-                        : index < currentStep 
-                          ? 'bg-green-100 text-green-800 hover:bg-green-200'
-                          : 'bg-gray-100 text-gray-600 hover:bg-gray-200'
-                    }`}
-                  >
-                    {index + 1}. {step.title.split(':')[0]}
-                  </button>
-                ))}
-              </div>
+    ffn: () => firstBlock && (
+      <div className="space-y-4">
+        {showMath && (
+          <div className="bg-gray-50 p-4 rounded-lg">
+            <h5 className="font-semibold mb-2">📐 {t('common.theMath')}</h5>
+            <div className="space-y-2 text-sm">
+              <p><strong>{t('ffn.feedForward')}</strong> FFN(x) = ReLU(x × W₁ + b₁) × W₂ + b₂</p>
+              <p><strong>Add & Norm:</strong> LayerNorm(x + FFN(x))</p>
+              <p className="text-gray-600">{t('ffn.mathNote', { dModel, hidden: dModel * FFN_MULTIPLIER })}</p>
             </div>
+          </div>
+        )}
+        <SimpleMatrix
+          matrix={withLabels(firstBlock.ffnHidden)}
+          title={t('ffn.hidden', { count: dModel * FFN_MULTIPLIER })}
+          description={t('ffn.hiddenDescription')}
+          colorCode={true}
+        />
+        <div className="flex flex-wrap gap-2">
+          {firstBlock.ffnHidden.map((row, i) => (
+            <span key={i} className="px-3 py-1 bg-gray-100 rounded-full text-sm">
+              <strong>{queryTokens[i]}</strong>: {t('ffn.active', { active: row.filter(val => val > 0).length, total: row.length })}
+            </span>
+          ))}
+        </div>
+        <div className="grid md:grid-cols-2 gap-4">
+          <SimpleMatrix
+            matrix={withLabels(firstBlock.ffnOutput)}
+            title={t('ffn.output')}
+            description={t('ffn.outputDescription', { dModel })}
+            colorCode={true}
+          />
+          <SimpleMatrix
+            matrix={withLabels(firstBlock.output)}
+            title={`${t('layers.output', { layer: 1 })} (Add & Norm)`}
+            description={t('ffn.layerOutputDescription')}
+            colorCode={true}
+          />
+        </div>
+      </div>
+    ),
 
-            {/* Current Step Display */}
-            <div className="bg-gradient-to-br from-gray-50 to-blue-50 border-2 border-blue-200 rounded-xl p-8 mb-6">
-              <div className="flex items-start gap-4 mb-6">
-                <div className="w-12 h-12 bg-blue-600 text-white rounded-full flex items-center justify-center font-bold text-xl flex-shrink-0">
-                  {currentStep + 1}
-                </div>
-                <div className="flex-1">
-                  <h2 className="text-2xl font-bold mb-2">{steps[currentStep].title}</h2>
-                  <h3 className="text-lg text-blue-600 font-medium mb-2">{steps[currentStep].subtitle}</h3>
-                  <p className="text-gray-700">{steps[currentStep].description}</p>
+    layers: () => firstBlock && (
+      <div className="space-y-4">
+        <div className="flex flex-wrap items-center gap-2">
+          {stack.map((_, layer) => (
+            <button
+              key={layer}
+              onClick={() => setActiveLayer(layer)}
+              className={`px-3 py-1 rounded-full text-sm font-medium border-2 transition-all ${
+                layer === layerIndex ? 'bg-indigo-600 border-indigo-600 text-white' : 'bg-white border-indigo-200 text-gray-700 hover:shadow'
+              }`}
+            >
+              {t('layers.layer', { layer: layer + 1 })}
+            </button>
+          ))}
+          {numLayers < MAX_LAYERS && (
+            <button
+              onClick={() => changeNumLayers(numLayers + 1)}
+              className="px-3 py-1 rounded-full text-sm font-medium border-2 border-dashed border-gray-300 text-gray-600 hover:bg-gray-50"
+            >
+              + {t('layers.add')}
+            </button>
+          )}
+        </div>
+        <HeadSelector numHeads={numHeads} activeHead={isOverlay ? 'overlay' : focusHead} onChange={setActiveHead} />
+        <AttentionHeatmap
+          matrix={layerAttentionWeights}
+          tokens={tokens}
+          queryTokens={queryTokens}
+          mask={mask}
+          title={`${t('layers.attention', { layer: layerIndex + 1 })}${isOverlay ? ` — ${t('attention.average')}` : headSuffix}`}
+          description={layerIndex === 0
+            ? t('layers.firstDescription')
+            : t('layers.laterDescription', { previous: layerIndex })}
+          {...heatmapOptions}
+          onOptionsChange={setHeatmapOptions}
+          selectedToken={selectedToken}
+          onSelectToken={setSelectedToken}
+        />
+        <div className="grid md:grid-cols-2 gap-4">
+          <SimpleMatrix
+            matrix={withLabels(stack[layerIndex].input)}
+            title={t('layers.input', { layer: layerIndex + 1 })}
+            colorCode={true}
+          />
+          <SimpleMatrix
+            matrix={withLabels(stack[layerIndex].output)}
+            title={t('layers.output', { layer: layerIndex + 1 })}
+            colorCode={true}
+          />
+        </div>
+        <div className="bg-white border-2 border-gray-200 rounded-lg p-4">
+          <h4 className="font-semibold mb-2">🧭 {t('layers.journey', { word: queryTokens[journeyToken] })}</h4>
+          <p className="text-sm text-gray-600 mb-3">{t('layers.journeyDescription')}</p>
+          <div className="space-y-1">
+            {journey.map(({ label, vector }) => {
+              const similarity = cosineSimilarity(journey[0].vector, vector);
+              return (
+                <div key={label} className="flex items-center gap-3 text-sm">
+                  <span className="w-36 text-gray-700">{label}</span>
+                  <div className="flex-1 h-3 bg-gray-100 rounded">
+                    <div className="h-3 bg-indigo-400 rounded" style={{ width: `${Math.max(0, similarity) * 100}%` }} />
+                  </div>
+                  <span className="w-12 text-right font-mono">{similarity.toFixed(2)}</span>
                 </div>
-              </div>
-              
-              <StepContent />
+              );
+            })}
+          </div>
+        </div>
+        <SimpleMatrix
+          matrix={roundMatrix(journey.map(stage => stage.vector)).map((row, i) => [journey[i].label, ...row])}
+          title={t('layers.stages', { word: queryTokens[journeyToken] })}
+          description={t('layers.stagesDescription')}
+          colorCode={true}
+        />
+        {isCross && (
+          <p className="text-sm text-gray-600">
+            {t('layers.crossNote', { sentence: inputText })}
+          </p>
+        )}
+      </div>
+    ),
+
+    learn: () => (
+      <div className="space-y-4">
+        {showMath && (
+          <div className="bg-gray-50 p-4 rounded-lg">
+            <h5 className="font-semibold mb-2">📐 {t('common.theMath')}</h5>
+            <div className="space-y-2 text-sm">
+              <p><strong>{t('training.math.pattern')}</strong> L = −(1/n) Σ_i log A_i,target(i) → ∂L/∂S = (A − T) / n</p>
+              <p><strong>{t('training.math.output')}</strong> L = mean((A·V − O*)²) → ∂L/∂S_ij = A_ij (∂L/∂A_ij − Σ_k A_ik ∂L/∂A_ik)</p>
+              <p><strong>{t('training.math.back')}</strong> ∂L/∂W_Q = Xᵀ (∂L/∂S · K) / √d_k, ∂L/∂W_K = Xᵀ (∂L/∂Sᵀ · Q) / √d_k, ∂L/∂W_V = Xᵀ (Aᵀ · ∂L/∂O)</p>
+              <p><strong>{t('training.math.update')}</strong> W ← W − η · min(1, 1 / ‖∂L/∂W‖) · ∂L/∂W</p>
             </div>
+          </div>
+        )}
+        <div className="bg-blue-50 p-4 rounded-lg border-2 border-blue-200">
+          <h4 className="font-semibold text-blue-800 mb-2">👆 {t('training.tryTitle')}</h4>
+          <p className="text-blue-700">{t('training.tryHint')}</p>
+        </div>
+      </div>
+    )
+  };
 
-            {/* Quick tips */}
-            <div className="bg-gradient-to-r from-yellow-50 to-orange-50 border-2 border-yellow-200 rounded-xl p-6">
-              <h3 className="font-bold text-lg mb-3 text-yellow-800">💡 Try These Examples:</h3>
-              <div className="grid md:grid-cols-2 gap-4">
-                {[
-                  "The red car drove fast",
-                  "She loves reading books",
-                  "Coffee tastes great in morning",
-                  "The dog chased the ball"
-                ].map((example, i) => (
-                  <button
-                    key={i}
-                    onClick={() => setInputText(example)}
-                    className="text-left p-3 bg-white rounded-lg border-2 border-yellow-200 hover:border-yellow-400 transition-all"
-                  >
-                    <span className="font-medium text-yellow-800">"{example}"</span>
-                  </button>
-                ))}
-              </div>
+  // Keyed by step, so moving to another step starts its panels fresh
+  const StepContent = () => {
+    const step = steps[currentStep];
+    
+    return (
+      <div key={currentStep} className="space-y-6">
+        {/* Metaphor card */}
+        {step.metaphor && (
+          <div className="bg-gradient-to-r from-purple-100 to-pink-100 p-4 rounded-lg border-2 border-purple-200">
+            <div className="flex items-center gap-2 mb-2">
+              <Lightbulb className="text-purple-600" />
+              <h4 className="font-semibold text-purple-800">{t('app.metaphor')}</h4>
             </div>
-          </>
+            <p className="text-purple-700">{step.metaphor}</p>
+          </div>
+        )}
+
+        {isGenerating && GENERATION_COMPONENTS.includes(step.component) && (
+          <GenerationPanel
+            tokens={tokens}
+            head={attention.heads[focusHead]}
+            position={generatePosition}
+            onPositionChange={changeGeneratePosition}
+            sizes={{ dModel, dK: attention.heads[focusHead].dK, dV, numHeads }}
+          />
         )}
+
+        {/* Step-specific content */}
+        {stepRenderers[step.component]()}
       </div>
-    </div>
+    );
+  };
+
+  return (
+    <I18nContext.Provider value={t}>
+      <PaletteContext.Provider value={palette}>
+        <div className="max-w-6xl mx-auto p-6 bg-gradient-to-br from-blue-50 to-indigo-100 min-h-screen">
+          <div className="bg-white rounded-2xl shadow-xl p-8">
+            {tokens.length === 0 ? (
+              // Empty state
+              <div className="text-center py-16">
+                <h1 className="text-4xl font-bold mb-4 text-gray-800">
+                  {t('app.title')}
+                </h1>
+                <p className="text-xl text-gray-600 mb-6">
+                  {t('app.subtitle')}
+                </p>
+                <div className="mb-6">
+                  <input
+                    type="text"
+                    value={inputText}
+                    onChange={(e) => setInputText(e.target.value)}
+                    className="px-4 py-3 border-2 border-gray-300 rounded-lg w-full max-w-md text-lg focus:border-blue-500 focus:outline-none"
+                    placeholder={t('app.emptyPlaceholder')}
+                    aria-label={t('app.sentence')}
+                    autoFocus
+                  />
+                </div>
+                <div className="bg-blue-50 p-6 rounded-lg border-2 border-blue-200 max-w-md mx-auto">
+                  <h3 className="font-bold text-lg mb-3 text-blue-800">💡 {t('app.examples')}</h3>
+                  <div className="space-y-2">
+                    {[t('examples.default'), ...t('examples.sentences').slice(1)].map((example, i) => (
+                      <button
+                        key={i}
+                        onClick={() => setInputText(example)}
+                        className="w-full text-left p-3 bg-white rounded-lg border-2 border-blue-200 hover:border-blue-400 transition-all"
+                      >
+                        <span className="font-medium text-blue-800">"{example}"</span>
+                      </button>
+                    ))}
+                  </div>
+                </div>
+              </div>
+            ) : (
+              // Main content when we have tokens
+              <>
+                <div className="mb-8">
+                  <h1 className="text-4xl font-bold mb-4 text-gray-800">
+                    {t('app.title')}
+                  </h1>
+                  <p className="text-xl text-gray-600 mb-6">
+                    {t('app.subtitle')}
+                  </p>
+                
+                  <div className="flex flex-wrap gap-4 items-center mb-6">
+                    <input
+                      type="text"
+                      value={inputText}
+                      onChange={(e) => setInputText(e.target.value)}
+                      className="px-4 py-3 border-2 border-gray-300 rounded-lg flex-1 max-w-md text-lg focus:border-blue-500 focus:outline-none"
+                      placeholder={t('app.placeholder', { example: t('examples.default') })}
+                      aria-label={isCross ? t('app.sourceSentence') : t('app.sentence')}
+                    />
+                    {isCross && (
+                      <input
+                        type="text"
+                        value={targetText}
+                        onChange={(e) => setTargetText(e.target.value)}
+                        className="px-4 py-3 border-2 border-purple-300 rounded-lg flex-1 max-w-md text-lg focus:border-purple-500 focus:outline-none"
+                        placeholder={t('app.targetPlaceholder', { example: t('examples.target') })}
+                        aria-label={t('app.targetSentence')}
+                      />
+                    )}
+                    <div className="flex rounded-lg overflow-hidden border-2 border-gray-300">
+                      {['self', 'cross'].map(mode => (
+                        <button
+                          key={mode}
+                          onClick={() => changeAttentionMode(mode)}
+                          className={`px-4 py-3 font-medium transition-all ${
+                            attentionMode === mode ? 'bg-purple-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-100'
+                          }`}
+                        >
+                          {t(`app.mode.${mode}`)}
+                        </button>
+                      ))}
+                    </div>
+                    <button
+                      onClick={() => setIsPlaying(!isPlaying)}
+                      className="px-6 py-3 bg-blue-600 text-white rounded-lg flex items-center gap-2 font-medium hover:bg-blue-700 transition-colors"
+                    >
+                      {isPlaying ? <Pause size={20} /> : <Play size={20} />}
+                      {isPlaying ? t('app.pause') : t('app.play')}
+                    </button>
+                    <div className="flex rounded-lg overflow-hidden border-2 border-gray-300">
+                      {['words', 'subwords'].map(mode => (
+                        <button
+                          key={mode}
+                          onClick={() => setTokenizerMode(mode)}
+                          className={`px-4 py-2 font-medium transition-all ${
+                            tokenizerMode === mode ? 'bg-gray-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-100'
+                          }`}
+                        >
+                          {t(`app.tokenizer.${mode}`)}
+                        </button>
+                      ))}
+                    </div>
+                    <label className="flex items-center gap-2 text-gray-700 font-medium">
+                      {t('app.heads')}
+                      <select
+                        value={numHeads}
+                        disabled={Boolean(loadedModel)}
+                        title={loadedModel ? t('app.headsFromModel') : undefined}
+                        onChange={(e) => changeNumHeads(Number(e.target.value))}
+                        className="px-3 py-3 border-2 border-gray-300 rounded-lg focus:border-blue-500 focus:outline-none"
+                      >
+                        {Array.from({ length: MAX_HEADS }, (_, i) => i + 1).map(count => (
+                          <option key={count} value={count}>{count}</option>
+                        ))}
+                      </select>
+                    </label>
+                    <label className="flex items-center gap-2 text-gray-700 font-medium">
+                      {t('app.layers')}
+                      <select
+                        value={numLayers}
+                        onChange={(e) => changeNumLayers(Number(e.target.value))}
+                        className="px-3 py-3 border-2 border-gray-300 rounded-lg focus:border-blue-500 focus:outline-none"
+                      >
+                        {Array.from({ length: MAX_LAYERS }, (_, i) => i + 1).map(count => (
+                          <option key={count} value={count}>{count}</option>
+                        ))}
+                      </select>
+                    </label>
+                    <button
+                      onClick={() => setShowMath(!showMath)}
+                      className={`px-4 py-3 rounded-lg flex items-center gap-2 font-medium transition-all ${
+                        showMath ? 'bg-gray-600 text-white' : 'bg-gray-200 text-gray-700 hover:bg-gray-300'
+                      }`}
+                    >
+                      {t('app.showMath')}
+                    </button>
+                    <button
+                      onClick={() => setCompareMode(!compareMode)}
+                      disabled={isCross}
+                      title={isCross ? t('app.compareCross') : t('app.compareHint')}
+                      className={`px-4 py-3 rounded-lg flex items-center gap-2 font-medium transition-all disabled:opacity-50 ${
+                        isComparing ? 'bg-indigo-600 text-white' : 'bg-gray-200 text-gray-700 hover:bg-gray-300'
+                      }`}
+                    >
+                      <Columns size={18} />
+                      {t('app.compare')}
+                    </button>
+                    <button
+                      onClick={() => setQuizMode(!quizMode)}
+                      title={t('app.quizHint')}
+                      className={`px-4 py-3 rounded-lg flex items-center gap-2 font-medium transition-all ${
+                        quizMode ? 'bg-amber-500 text-white' : 'bg-gray-200 text-gray-700 hover:bg-gray-300'
+                      }`}
+                    >
+                      <HelpCircle size={18} />
+                      {t('app.quiz')}
+                    </button>
+                    <button
+                      onClick={toggleGenerate}
+                      disabled={isCross}
+                      title={isCross ? t('app.generateCross') : t('app.generateHint')}
+                      className={`px-4 py-3 rounded-lg flex items-center gap-2 font-medium transition-all disabled:opacity-50 ${
+                        isGenerating ? 'bg-emerald-600 text-white' : 'bg-gray-200 text-gray-700 hover:bg-gray-300'
+                      }`}
+                    >
+                      <ListPlus size={18} />
+                      {t('app.generate')}
+                    </button>
+                    <button
+                      onClick={copyLink}
+                      title={loadedModel ? t('app.copyHintModel') : t('app.copyHint')}
+                      className="px-4 py-3 rounded-lg flex items-center gap-2 font-medium transition-all bg-gray-200 text-gray-700 hover:bg-gray-300"
+                    >
+                      <Link size={18} />
+                      {copyStatus === 'copied' ? t('app.copied') : copyStatus === 'failed' ? t('app.copyFailed') : t('app.copy')}
+                    </button>
+                    <label className="flex items-center gap-2 text-gray-700 font-medium">
+                      🎨
+                      <select
+                        value={palette}
+                        onChange={(e) => setPalette(e.target.value)}
+                        aria-label={t('palette.label')}
+                        className="px-3 py-3 border-2 border-gray-300 rounded-lg focus:border-blue-500 focus:outline-none"
+                      >
+                        {PALETTES.map(name => (
+                          <option key={name} value={name}>{t(`palette.${name}`)}</option>
+                        ))}
+                      </select>
+                    </label>
+                    <label className="flex items-center gap-2 text-gray-700 font-medium">
+                      🌐
+                      <select
+                        value={locale}
+                        onChange={(e) => changeLocale(e.target.value)}
+                        aria-label={t('app.language')}
+                        className="px-3 py-3 border-2 border-gray-300 rounded-lg focus:border-blue-500 focus:outline-none"
+                      >
+                        {LOCALE_CODES.map(code => (
+                          <option key={code} value={code}>{LOCALES[code].name}</option>
+                        ))}
+                      </select>
+                    </label>
+                  </div>
+
+                  {isComparing && (
+                    <div className="flex flex-wrap gap-4 items-center mb-6 bg-indigo-50 border-2 border-indigo-200 rounded-lg p-4">
+                      <span className="font-medium text-indigo-800">{t('compare.sideB')}:</span>
+                      <input
+                        type="text"
+                        value={compareText}
+                        onChange={(e) => setCompareText(e.target.value)}
+                        className="px-4 py-2 border-2 border-indigo-300 rounded-lg flex-1 max-w-md focus:border-indigo-500 focus:outline-none"
+                        placeholder={t('compare.placeholder')}
+                        aria-label={t('compare.secondSentence')}
+                      />
+                      <select
+                        value={compareWeights}
+                        onChange={(e) => setCompareWeights(e.target.value)}
+                        aria-label={t('compare.sideBWeights')}
+                        className="px-3 py-2 border-2 border-indigo-300 rounded-lg focus:border-indigo-500 focus:outline-none"
+                      >
+                        {COMPARE_WEIGHTS.map(preset => (
+                          <option key={preset} value={preset}>{t(`compare.weights.${preset}`)}</option>
+                        ))}
+                      </select>
+                      <div className="flex flex-wrap gap-2">
+                        {t('examples.compare').map(([first, second]) => (
+                          <button
+                            key={first}
+                            onClick={() => {
+                              setInputText(first);
+                              setCompareText(second);
+                            }}
+                            className="px-3 py-1 rounded-full text-xs bg-white border border-indigo-300 text-indigo-800 hover:bg-indigo-100"
+                          >
+                            {t('compare.example', { first, second })}
+                          </button>
+                        ))}
+                      </div>
+                    </div>
+                  )}
+
+                  <LessonPanel
+                    lesson={lesson}
+                    lessonsUrl={LESSONS_URL}
+                    errors={lessonErrors}
+                    onPickLesson={pickLesson}
+                    onLoadFile={loadLessonFile}
+                  />
+
+                  <ModelLoaderPanel
+                    model={loadedModel}
+                    onModelChange={changeModel}
+                    dimensions={toyDimensions}
+                    onDimensionsChange={changeDimensions}
+                  />
+
+                  {/* Progress bar */}
+                  <div className="w-full bg-gray-200 rounded-full h-3 mb-6">
+                    <div 
+                      className="bg-blue-600 h-3 rounded-full transition-all duration-500"
+                      style={{ width: `${((currentStep + 1) / steps.length) * 100}%` }}
+                    />
+                  </div>
+
+                  {/* Step navigation: a tab list, so the arrow keys move between steps */}
+                  <div className="flex flex-wrap gap-2 mb-6" role="tablist" aria-label={t('app.steps')}>
+                    {steps.map((step, index) => (
+                      <button
+                        key={index}
+                        ref={(element) => { stepTabs.current[index] = element; }}
+                        id={`step-tab-${index}`}
+                        role="tab"
+                        aria-selected={index === currentStep}
+                        aria-controls="step-panel"
+                        tabIndex={index === currentStep ? 0 : -1}
+                        onClick={() => setCurrentStep(index)}
+                        onKeyDown={(e) => {
+                          const next = listKeyTarget(e.key, index, steps.length);
+                          if (next === null) return;
+                          e.preventDefault();
+                          setCurrentStep(next);
+                          if (stepTabs.current[next]) stepTabs.current[next].focus();
+                        }}
+                        className={`px-4 py-2 rounded-lg text-sm font-medium transition-all focus:outline-none focus-visible:ring-2 focus-visible:ring-blue-500 focus-visible:ring-offset-2 ${
+                          index === currentStep 
+                            ? 'bg-blue-600 text-white shadow-lg' 
+                            : index < currentStep 
+                              ? 'bg-green-100 text-green-800 hover:bg-green-200'
+                              : 'bg-gray-100 text-gray-600 hover:bg-gray-200'
+                        }`}
+                      >
+                        {index + 1}. {step.title.split(':')[0]}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+
+                {/* Current Step Display */}
+                <div
+                  id="step-panel"
+                  role="tabpanel"
+                  aria-labelledby={`step-tab-${currentStep}`}
+                  className="bg-gradient-to-br from-gray-50 to-blue-50 border-2 border-blue-200 rounded-xl p-8 mb-6"
+                >
+                  <div className="flex items-start gap-4 mb-6">
+                    <div className="w-12 h-12 bg-blue-600 text-white rounded-full flex items-center justify-center font-bold text-xl flex-shrink-0">
+                      {currentStep + 1}
+                    </div>
+                    <div className="flex-1">
+                      <h2 className="text-2xl font-bold mb-2">{steps[currentStep].title}</h2>
+                      <h3 className="text-lg text-blue-600 font-medium mb-2">{steps[currentStep].subtitle}</h3>
+                      <p className="text-gray-700">{steps[currentStep].description}</p>
+                      <div className="mt-3">
+                        <ExportButtons
+                          exports={[
+                            { label: t('app.exportJson'), onExport: () => exportData('json') },
+                            { label: t('app.exportCsv'), onExport: () => exportData('csv') }
+                          ]}
+                        />
+                      </div>
+                    </div>
+                  </div>
+                
+                  {currentQuestion && (
+                    <QuizCard
+                      key={currentQuestion.key}
+                      question={currentQuestion}
+                      result={quizResults[currentQuestion.key]}
+                      onAnswer={(response, correct) => answerQuiz(currentQuestion.key, response, correct)}
+                      onRetry={() => retryQuiz(currentQuestion.key)}
+                    />
+                  )}
+                  {quizLocked ? (
+                    <p className="text-center text-gray-600 bg-white border-2 border-dashed border-gray-300 rounded-lg p-6">
+                      🔒 {t('app.quizLocked')}
+                    </p>
+                  ) : (
+                    StepContent()
+                  )}
+                  {ANIMATION_PHASES[steps[currentStep].component] && !quizLocked && (
+                    <div className="mt-6">
+                      <ArithmeticAnimation
+                        key={steps[currentStep].component}
+                        head={attention.heads[focusHead]}
+                        tokens={tokens}
+                        queryTokens={queryTokens}
+                        startPhase={ANIMATION_PHASES[steps[currentStep].component]}
+                        headLabel={isMultiHead ? headLabel : null}
+                      />
+                    </div>
+                  )}
+                  {steps[currentStep].component === 'learn' && !quizLocked && (
+                    <div className="mt-6">
+                      <TrainingPanel
+                        key={focusHead}
+                        embeddings={attention.targetEmbeddings || attention.embeddings}
+                        keyEmbeddings={attention.embeddings}
+                        weights={headWeights[focusHead]}
+                        mask={mask}
+                        rope={positionMode === 'rope'}
+                        tokens={tokens}
+                        queryTokens={queryTokens}
+                        heatmapOptions={heatmapOptions}
+                        onOptionsChange={setHeatmapOptions}
+                        onApply={(learned) => editFocusHead(weights => ({ ...weights, ...learned }))}
+                        headLabel={isMultiHead ? headLabel : null}
+                      />
+                    </div>
+                  )}
+                  {quizMode && currentStep === steps.length - 1 && (
+                    <div className="mt-6">
+                      <QuizSummary
+                        steps={steps
+                          .map((step, index) => ({ ...step, key: quizQuestions[index] && quizQuestions[index].key }))
+                          .filter((step, index) => (
+                            step.key && steps.findIndex(other => other.component === step.component) === index
+                          ))}
+                        results={quizResults}
+                        onReset={() => updateQuizResults(() => ({}))}
+                      />
+                    </div>
+                  )}
+                </div>
+
+                {/* Screen readers hear the spotlight's story whenever it moves */}
+                <p className="sr-only" aria-live="polite">{spotlightStory}</p>
+
+                {/* Quick tips */}
+                <div className="bg-gradient-to-r from-yellow-50 to-orange-50 border-2 border-yellow-200 rounded-xl p-6">
+                  <h3 className="font-bold text-lg mb-3 text-yellow-800">💡 {t('app.examples')}</h3>
+                  {isCross ? (
+                    <div className="grid md:grid-cols-2 gap-4">
+                      {t('examples.translations').map(([source, target], i) => (
+                        <button
+                          key={i}
+                          onClick={() => {
+                            setInputText(source);
+                            setTargetText(target);
+                          }}
+                          className="text-left p-3 bg-white rounded-lg border-2 border-yellow-200 hover:border-yellow-400 transition-all"
+                        >
+                          <span className="font-medium text-yellow-800">"{source}"</span>
+                          <span className="block text-sm text-purple-700">→ "{target}"</span>
+                        </button>
+                      ))}
+                    </div>
+                  ) : (
+                    <div className="grid md:grid-cols-2 gap-4">
+                      {t('examples.sentences').map((example, i) => (
+                        <button
+                          key={i}
+                          onClick={() => setInputText(example)}
+                          className="text-left p-3 bg-white rounded-lg border-2 border-yellow-200 hover:border-yellow-400 transition-all"
+                        >
+                          <span className="font-medium text-yellow-800">"{example}"</span>
+                        </button>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              </>
+            )}
+          </div>
+        </div>
+      </PaletteContext.Provider>
+    </I18nContext.Provider>
   );
 };
 
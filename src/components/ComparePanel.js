@@ -0,0 +1,97 @@
+import React from 'react';
+import AttentionHeatmap from './AttentionHeatmap';
+import { differenceMatrix, largestChanges } from '../engine/compare';
+import { generateAttentionStory } from '../engine/story';
+import { useTranslation } from './i18n';
+
+const percent = (delta) => `${delta > 0 ? '+' : ''}${Math.round(delta * 100)}%`;
+
+// Compare mode: side A's and side B's attention matrices next to each
+// other, the difference B − A when both have the same shape, and the
+// attention story for the selected word on each side. `sides` is
+// [{ label, tokens, weights, mask }] for A then B. Selection and heatmap
+// options are shared, so both sides always show the same word position.
+const ComparePanel = ({ sides, selectedToken, onSelectToken, heatmapOptions, onOptionsChange }) => {
+  const t = useTranslation();
+  const [a, b] = sides;
+  const diff = differenceMatrix(a.weights, b.weights);
+  const changes = diff ? largestChanges(diff) : [];
+
+  return (
+    <div className="bg-white border-2 border-indigo-200 rounded-lg p-4 space-y-4">
+      <h4 className="font-semibold text-lg">⚖️ {t('compare.title')}</h4>
+      <div className="grid lg:grid-cols-2 gap-4">
+        {sides.map(side => (
+          <AttentionHeatmap
+            key={side.label}
+            matrix={side.weights}
+            tokens={side.tokens}
+            mask={side.mask}
+            title={side.label}
+            description={`"${side.tokens.join(' ')}"`}
+            {...heatmapOptions}
+            onOptionsChange={onOptionsChange}
+            selectedToken={selectedToken !== null && selectedToken < side.tokens.length ? selectedToken : null}
+            onSelectToken={onSelectToken}
+          />
+        ))}
+      </div>
+
+      {diff ? (
+        <AttentionHeatmap
+          matrix={diff}
+          tokens={a.tokens.length === b.tokens.length && a.tokens.every((token, i) => token === b.tokens[i])
+            ? a.tokens
+            : a.tokens.map((token, i) => `${token}/${b.tokens[i]}`)}
+          diverging={true}
+          title={t('compare.difference')}
+          description={t('compare.differenceDescription')}
+          {...heatmapOptions}
+          onOptionsChange={onOptionsChange}
+          selectedToken={selectedToken}
+          onSelectToken={onSelectToken}
+        />
+      ) : (
+        <p className="text-sm text-gray-600 bg-gray-50 p-3 rounded">
+          {t('compare.differentLengths', { a: a.tokens.length, b: b.tokens.length })}
+        </p>
+      )}
+
+      {changes.length > 0 && (
+        <div className="text-sm">
+          <h5 className="font-semibold mb-1">{t('compare.biggest')}</h5>
+          <ul className="space-y-1">
+            {changes.map(({ i, j, delta }) => (
+              <li key={`${i}-${j}`}>
+                {t('compare.change', {
+                  from: i + 1,
+                  to: j + 1,
+                  a: `"${a.tokens[i]}" → "${a.tokens[j]}"`,
+                  b: `"${b.tokens[i]}" → "${b.tokens[j]}"`
+                })}{' '}
+                <span className={`font-mono ${delta > 0 ? 'text-blue-700' : 'text-red-700'}`}>{percent(delta)}</span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      <div className="grid md:grid-cols-2 gap-4">
+        {sides.map(side => (
+          <div key={side.label} className="bg-gray-50 p-4 rounded-lg border">
+            <h5 className="font-semibold mb-2">{side.label}</h5>
+            <p className="text-sm text-gray-700">
+              {selectedToken === null
+                ? t('compare.pickWord')
+                : selectedToken < side.tokens.length
+                  ? generateAttentionStory(side.tokens[selectedToken], side.tokens, side.weights[selectedToken] || [], selectedToken, t)
+                  : t('compare.noWord', { position: selectedToken + 1 })}
+            </p>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default ComparePanel;
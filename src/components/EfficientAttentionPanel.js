@@ -0,0 +1,183 @@
+import React, { useMemo } from 'react';
+import AttentionHeatmap from './AttentionHeatmap';
+import {
+  EFFICIENT_VARIANTS,
+  variantMask,
+  combineMasks,
+  variantWeights,
+  operationReadout
+} from '../engine/efficient';
+import { applyMask, countMasked } from '../engine/masking';
+import { useTranslation } from './i18n';
+
+const Slider = ({ label, value, min, max, onChange }) => (
+  <label className="flex items-center gap-2">
+    {label}
+    <input type="range" min={min} max={max} value={value} onChange={(e) => onChange(Number(e.target.value))} />
+    <span className="font-mono w-6">{value}</span>
+  </label>
+);
+
+// Full attention next to sliding-window, sparse and linear attention for
+// the head on show: the pattern each one scores, the weights it ends up
+// with, and what it costs as the sentence grows. `scaledScores`, `Q` and
+// `K` are that head's full-precision matrices; `mask` is the walkthrough's
+// mask, which every variant keeps. `settings` ({ variant, window, stride,
+// globalTokens }) and the heatmap options live in the parent.
+const EfficientAttentionPanel = ({
+  scaledScores,
+  Q,
+  K,
+  mask,
+  tokens,
+  queryTokens = tokens,
+  dK,
+  dV,
+  settings,
+  onChange,
+  heatmapOptions,
+  onOptionsChange,
+  selectedToken,
+  onSelectToken
+}) => {
+  const t = useTranslation();
+  const { variant } = settings;
+  const rows = scaledScores.length;
+  const cols = rows ? scaledScores[0].length : 0;
+  const pattern = useMemo(
+    () => combineMasks(variantMask(variant, rows, cols, settings), mask),
+    [variant, rows, cols, settings, mask]
+  );
+  const patternScores = useMemo(() => applyMask(scaledScores, pattern), [scaledScores, pattern]);
+  const weights = useMemo(
+    () => variantWeights({ variant, scaledScores, Q, K, mask, settings }),
+    [variant, scaledScores, Q, K, mask, settings]
+  );
+  const readout = useMemo(
+    () => operationReadout(variant, Math.max(rows, cols), { ...settings, dK, dV }),
+    [variant, rows, cols, settings, dK, dV]
+  );
+  if (!rows) return null;
+
+  const change = (changes) => onChange({ ...settings, ...changes });
+  const number = (val) => val.toLocaleString(t.locale);
+  const percent = (ratio) => `${(ratio * 100).toFixed(ratio < 0.1 ? 1 : 0)}%`;
+  const total = rows * cols;
+  const scored = total - countMasked(pattern);
+  const variantLabel = t(`efficient.variants.${variant}`);
+
+  return (
+    <div className="space-y-4">
+      <div className="bg-white border-2 border-gray-200 rounded-lg p-4 space-y-3">
+        <div className="flex flex-wrap gap-2" role="group" aria-label={t('efficient.variant')}>
+          {EFFICIENT_VARIANTS.map(value => (
+            <button
+              key={value}
+              onClick={() => change({ variant: value })}
+              aria-pressed={variant === value}
+              className={`px-3 py-1 rounded-lg border-2 text-sm font-medium ${
+                variant === value ? 'bg-blue-600 text-white border-blue-600' : 'bg-white text-gray-700 border-gray-300 hover:bg-gray-100'
+              }`}
+            >
+              {t(`efficient.variants.${value}`)}
+            </button>
+          ))}
+        </div>
+        <p className="text-sm text-gray-700">{t(`efficient.about.${variant}`)}</p>
+        {(variant === 'window' || variant === 'sparse') && (
+          <div className="flex flex-wrap items-center gap-6 text-sm">
+            <Slider label={t('efficient.window')} value={settings.window} min={0} max={8} onChange={(value) => change({ window: value })} />
+            {variant === 'sparse' && (
+              <>
+                <Slider label={t('efficient.stride')} value={settings.stride} min={2} max={8} onChange={(value) => change({ stride: value })} />
+                <Slider label={t('efficient.globalTokens')} value={settings.globalTokens} min={0} max={3} onChange={(value) => change({ globalTokens: value })} />
+              </>
+            )}
+          </div>
+        )}
+      </div>
+
+      <div className="grid lg:grid-cols-2 gap-4">
+        {variant === 'linear' ? (
+          <div className="bg-white border-2 border-gray-200 rounded-lg p-4 space-y-2 text-sm">
+            <h4 className="font-semibold">{t('efficient.linearTitle')}</h4>
+            <p className="font-mono bg-gray-50 rounded p-2">output_i = φ(q_i) · Σ_j φ(k_j) v_jᵀ ÷ φ(q_i) · Σ_j φ(k_j)</p>
+            <p className="text-gray-700">{t('efficient.linearExplanation', { dK, dV })}</p>
+          </div>
+        ) : (
+          <AttentionHeatmap
+            matrix={patternScores}
+            tokens={tokens}
+            queryTokens={queryTokens}
+            mask={pattern}
+            diverging
+            title={t('efficient.patternTitle', { variant: variantLabel })}
+            description={t('efficient.patternDescription', { scored: number(scored), total: number(total), percent: percent(scored / total) })}
+            {...heatmapOptions}
+            onOptionsChange={onOptionsChange}
+            selectedToken={selectedToken}
+            onSelectToken={onSelectToken}
+          />
+        )}
+        <AttentionHeatmap
+          matrix={weights}
+          tokens={tokens}
+          queryTokens={queryTokens}
+          mask={variant === 'linear' ? mask : pattern}
+          title={t('efficient.weightsTitle', { variant: variantLabel })}
+          description={t(variant === 'linear' ? 'efficient.linearWeightsDescription' : 'efficient.weightsDescription')}
+          {...heatmapOptions}
+          onOptionsChange={onOptionsChange}
+          selectedToken={selectedToken}
+          onSelectToken={onSelectToken}
+        />
+      </div>
+
+      <div className="bg-white border-2 border-gray-200 rounded-lg p-4">
+        <h4 className="font-semibold mb-1">🧮 {t('efficient.costTitle')}</h4>
+        <p className="text-sm text-gray-600 mb-3" aria-live="polite">
+          {t('efficient.costSummary', {
+            variant: variantLabel,
+            ops: number(readout.current.ops),
+            full: number(readout.current.full),
+            percent: percent(readout.current.ratio)
+          })}
+        </p>
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-600">
+                <th scope="col" className="py-1 pr-3">{t('efficient.words')}</th>
+                <th scope="col" className="py-1 pr-3">{t('efficient.fullCost')}</th>
+                <th scope="col" className="py-1 pr-3">{variantLabel}</th>
+                <th scope="col" className="py-1 pr-3">{t('efficient.share')}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {[readout.current, ...readout.growth].map((row, k) => (
+                <tr key={row.n} className={k === 0 ? 'bg-yellow-50 font-semibold' : ''}>
+                  <th scope="row" className="py-1 pr-3 text-left font-mono">
+                    {row.n}{k === 0 ? ` ← ${t('efficient.thisSentence')}` : ''}
+                  </th>
+                  <td className="py-1 pr-3 font-mono">{number(row.full)}</td>
+                  <td className="py-1 pr-3 font-mono">{number(row.ops)}</td>
+                  <td className="py-1 pr-3">
+                    <div className="flex items-center gap-2">
+                      <div className="w-32 h-3 bg-gray-100 rounded" aria-hidden="true">
+                        <div className="h-3 rounded bg-blue-500" style={{ width: `${Math.min(1, row.ratio) * 100}%` }} />
+                      </div>
+                      <span className="font-mono">{percent(row.ratio)}</span>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+        <p className="text-xs text-gray-500 mt-2">{t('efficient.costNote', { dK, dV })}</p>
+      </div>
+    </div>
+  );
+};
+
+export default EfficientAttentionPanel;
@@ -0,0 +1,21 @@
+import React from 'react';
+import { Download } from 'lucide-react';
+
+// A small row of download buttons for a panel. `exports` is a list of
+// { label, onExport }.
+const ExportButtons = ({ exports }) => (
+  <div className="flex flex-wrap items-center gap-2">
+    <Download size={16} className="text-gray-500" />
+    {exports.map(({ label, onExport }) => (
+      <button
+        key={label}
+        onClick={onExport}
+        className="px-2 py-1 rounded text-xs font-medium bg-white border border-gray-300 text-gray-700 hover:border-blue-400"
+      >
+        {label}
+      </button>
+    ))}
+  </div>
+);
+
+export default ExportButtons;
@@ -0,0 +1,147 @@
+import React, { useMemo } from 'react';
+import { SkipBack, StepBack, StepForward } from 'lucide-react';
+import { cachedAttentionStep, generationFlops, generationTotals } from '../engine/kvCache';
+import { headColor } from './palette';
+import { useTranslation } from './i18n';
+
+const TOKEN_STYLES = {
+  cached: 'bg-emerald-100 border-emerald-400 text-emerald-900',
+  new: 'bg-amber-100 border-amber-400 text-amber-900 font-semibold',
+  future: 'bg-white border-dashed border-gray-300 text-gray-400'
+};
+
+const vector = (values) => `[${values.map(val => val.toFixed(2)).join(', ')}]`;
+
+// Generation one token at a time with a KV cache: which tokens are cached,
+// the cache itself, the newest token's attention row against it and the
+// FLOPs the cache saves. `head` is the computeAttention result of the head
+// on show (with a causal mask); `position` is the newest token's index.
+const GenerationPanel = ({ tokens, head, position, onPositionChange, sizes }) => {
+  const t = useTranslation();
+  const step = useMemo(() => cachedAttentionStep({ ...head, position }), [head, position]);
+  const flops = generationFlops({ position, ...sizes });
+  const totals = generationTotals({ position, ...sizes });
+  const number = (val) => val.toLocaleString(t.locale);
+  const isLast = position === tokens.length - 1;
+
+  return (
+    <div className="bg-white border-2 border-emerald-200 rounded-lg p-4 space-y-4">
+      <div className="flex flex-wrap items-start justify-between gap-3">
+        <div>
+          <h4 className="font-semibold text-lg">🔁 {t('generate.title')}</h4>
+          <p className="text-sm text-gray-600">{t('generate.description')}</p>
+        </div>
+        <div className="flex items-center gap-2">
+          <button
+            onClick={() => onPositionChange(0)}
+            disabled={position === 0}
+            className="p-2 rounded-lg bg-gray-200 text-gray-700 hover:bg-gray-300 disabled:opacity-40"
+            aria-label={t('generate.restart')}
+            title={t('generate.restart')}
+          >
+            <SkipBack size={18} />
+          </button>
+          <button
+            onClick={() => onPositionChange(position - 1)}
+            disabled={position === 0}
+            className="p-2 rounded-lg bg-gray-200 text-gray-700 hover:bg-gray-300 disabled:opacity-40"
+            aria-label={t('generate.back')}
+            title={t('generate.back')}
+          >
+            <StepBack size={18} />
+          </button>
+          <button
+            onClick={() => onPositionChange(position + 1)}
+            disabled={isLast}
+            className="px-4 py-2 rounded-lg bg-emerald-600 text-white hover:bg-emerald-700 flex items-center gap-2 font-medium disabled:opacity-40"
+          >
+            <StepForward size={18} />
+            {t('generate.next')}
+          </button>
+        </div>
+      </div>
+
+      <div className="flex flex-wrap gap-2" aria-label={t('generate.tokens')} role="group">
+        {tokens.map((token, i) => {
+          const state = i === position ? 'new' : i < position ? 'cached' : 'future';
+          return (
+            <span key={i} className={`px-3 py-1 rounded-lg border-2 ${TOKEN_STYLES[state]}`}>
+              {token}
+              <span className="sr-only"> ({t(`generate.state.${state}`)})</span>
+            </span>
+          );
+        })}
+      </div>
+      <p className="text-sm text-gray-700" aria-live="polite">
+        {t('generate.status', { word: tokens[position], number: position + 1, count: position })}
+        {isLast ? ` ${t('generate.finished')}` : ''}
+      </p>
+
+      <div className="grid lg:grid-cols-2 gap-4">
+        <div>
+          <h5 className="font-semibold mb-2">🗄️ {t('generate.cache', { count: position + 1 })}</h5>
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-600">
+                  <th scope="col" className="py-1 pr-3">{t('generate.token')}</th>
+                  <th scope="col" className="py-1 pr-3">K</th>
+                  <th scope="col" className="py-1 pr-3">V</th>
+                </tr>
+              </thead>
+              <tbody>
+                {step.keys.map((key, j) => (
+                  <tr key={j} className={j === position ? 'bg-amber-50' : 'bg-emerald-50'}>
+                    <th scope="row" className="py-1 pr-3 text-left font-medium whitespace-nowrap">
+                      {tokens[j]}{j === position ? ` — ${t('generate.appended')}` : ''}
+                    </th>
+                    <td className="py-1 pr-3 font-mono whitespace-nowrap">{vector(key)}</td>
+                    <td className="py-1 pr-3 font-mono whitespace-nowrap">{vector(step.values[j])}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+
+        <div>
+          <h5 className="font-semibold mb-2">🎯 {t('generate.newRow', { word: tokens[position] })}</h5>
+          <p className="text-sm font-mono text-gray-700 mb-2">q = {vector(step.query)}</p>
+          <div className="space-y-1">
+            {step.weights.map((weight, j) => (
+              <div key={j} className="flex items-center gap-2 text-sm">
+                <span className="w-20 truncate text-right">{tokens[j]}</span>
+                <div className="flex-1 h-3 bg-gray-100 rounded" aria-hidden="true">
+                  <div className="h-3 rounded" style={{ width: `${weight * 100}%`, backgroundColor: headColor(0) }} />
+                </div>
+                <span className="w-28 text-right font-mono text-gray-600">
+                  {step.scores[j].toFixed(2)} → {(weight * 100).toFixed(1)}%
+                </span>
+              </div>
+            ))}
+          </div>
+          <p className="text-sm font-mono text-gray-700 mt-2">{t('generate.output')} = {vector(step.output)}</p>
+        </div>
+      </div>
+
+      <div className="bg-emerald-50 border border-emerald-200 rounded-lg p-3 text-sm space-y-1">
+        <h5 className="font-semibold">🧮 {t('generate.flopsTitle')}</h5>
+        <p>{t('generate.flopsStep', { word: tokens[position], withCache: number(flops.withCache), recompute: number(flops.recompute) })}</p>
+        <p className="font-semibold" aria-live="polite">
+          {t('generate.flopsTotal', {
+            count: position + 1,
+            withCache: number(totals.withCache),
+            recompute: number(totals.recompute),
+            saved: number(totals.saved),
+            percent: totals.recompute ? Math.round((totals.saved / totals.recompute) * 100) : 0
+          })}
+        </p>
+        <p className="text-xs text-gray-600">
+          {t('generate.flopsNote', { ...sizes, heads: t('model.heads', { count: sizes.numHeads }) })}
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default GenerationPanel;
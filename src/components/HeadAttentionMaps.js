@@ -0,0 +1,55 @@
+import React from 'react';
+import { heatColor } from '../engine/heatmap';
+import { headColor, usePalette } from './palette';
+import { useTranslation } from './i18n';
+
+// Small attention heatmaps, one per head, laid out side by side. Rows are
+// `queryTokens`, which differ from `tokens` in cross-attention. The classic
+// palette shades each map in its head's color.
+const HeadAttentionMaps = ({ heads, tokens, queryTokens = tokens, activeHead, onSelectHead }) => {
+  const t = useTranslation();
+  const palette = usePalette();
+  return (
+    <div className="bg-white border-2 border-gray-200 rounded-lg p-4">
+      <h4 className="font-semibold mb-2">{t('heads.mapsTitle')}</h4>
+      <p className="text-sm text-gray-600 mb-3">{t('heads.mapsDescription')}</p>
+      <div className="grid gap-4 sm:grid-cols-2 lg:grid-cols-4">
+        {heads.map((head, h) => (
+          <button
+            key={h}
+            onClick={() => onSelectHead(h)}
+            className={`p-2 rounded-lg border-2 text-left transition-all ${
+              activeHead === h ? 'shadow-lg' : 'border-gray-200 hover:shadow'
+            }`}
+            style={{ borderColor: activeHead === h ? headColor(h) : undefined }}
+          >
+            <div className="text-sm font-semibold mb-2" style={{ color: headColor(h) }}>
+              {t('heads.head', { number: h + 1 })}
+            </div>
+            <div
+              className="grid gap-px"
+              style={{ gridTemplateColumns: `repeat(${tokens.length}, 1fr)` }}
+            >
+              {head.attentionWeights.map((row, i) =>
+                row.map((weight, j) => (
+                  <div
+                    key={`${i}-${j}`}
+                    className="aspect-square rounded-sm"
+                    style={{
+                      backgroundColor: palette === 'classic'
+                        ? headColor(h, weight)
+                        : heatColor(weight, { min: 0, max: 1 }, false, palette)
+                    }}
+                    title={`"${queryTokens[i]}" → "${tokens[j]}": ${Math.round(weight * 100)}%`}
+                  />
+                ))
+              )}
+            </div>
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default HeadAttentionMaps;
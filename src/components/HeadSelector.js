@@ -0,0 +1,38 @@
+import React from 'react';
+import { headColor } from './palette';
+import { useTranslation } from './i18n';
+
+// Pill buttons for picking one attention head, plus an optional "All heads"
+// overlay. `activeHead` is a head index or 'overlay'.
+const HeadSelector = ({ numHeads, activeHead, onChange, allowOverlay = true }) => {
+  const t = useTranslation();
+  if (numHeads < 2) return null;
+
+  const pill = (value, label, color) => {
+    const isActive = activeHead === value;
+    return (
+      <button
+        key={value}
+        onClick={() => onChange(value)}
+        className={`px-3 py-1 rounded-full text-xs font-medium border-2 transition-all ${
+          isActive ? 'text-white shadow' : 'bg-white text-gray-700 hover:shadow'
+        }`}
+        style={{
+          borderColor: color,
+          backgroundColor: isActive ? color : undefined
+        }}
+      >
+        {label}
+      </button>
+    );
+  };
+
+  return (
+    <div className="flex flex-wrap gap-2 mb-4">
+      {Array.from({ length: numHeads }, (_, h) => pill(h, t('heads.head', { number: h + 1 }), headColor(h)))}
+      {allowOverlay && pill('overlay', t('heads.all'), '#4b5563')}
+    </div>
+  );
+};
+
+export default HeadSelector;
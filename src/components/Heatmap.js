@@ -0,0 +1,62 @@
+import React from 'react';
+import { heatColor } from '../engine/heatmap';
+import { usePalette } from './palette';
+
+// Compact colored grid in the learner's palette. Sequential values (e.g.
+// attention weights) are shaded by size; with `diverging`, negatives and
+// positives get opposite ends of the scale.
+const cellColor = (val, diverging, maxAbs, palette) => {
+  if (!Number.isFinite(val)) return '#e5e7eb';
+  const scale = maxAbs || 1;
+  return diverging
+    ? heatColor(val, { min: -scale, max: scale }, true, palette)
+    : heatColor(Math.abs(val), { min: 0, max: scale }, false, palette);
+};
+
+const Heatmap = ({ matrix, rowLabels = [], colLabels = [], diverging = false, maxAbs = null, title, description }) => {
+  const palette = usePalette();
+  if (!matrix || !matrix.length || !matrix[0]) return null;
+  const scale = maxAbs !== null
+    ? maxAbs
+    : matrix.flat().filter(Number.isFinite).reduce((max, val) => Math.max(max, Math.abs(val)), 0);
+
+  return (
+    <div className="bg-white border-2 border-gray-200 rounded-lg p-4">
+      {title && <h4 className="font-semibold mb-2">{title}</h4>}
+      {description && <p className="text-sm text-gray-600 mb-3">{description}</p>}
+      <div className="overflow-x-auto">
+        <table className="border-separate" style={{ borderSpacing: 2 }}>
+          {colLabels.length > 0 && (
+            <thead>
+              <tr>
+                {rowLabels.length > 0 && <th />}
+                {colLabels.map((label, j) => (
+                  <th key={j} className="text-xs font-normal text-gray-500 px-1">{label}</th>
+                ))}
+              </tr>
+            </thead>
+          )}
+          <tbody>
+            {matrix.map((row, i) => (
+              <tr key={i}>
+                {rowLabels.length > 0 && (
+                  <th className="text-xs font-normal text-gray-600 text-right pr-2 whitespace-nowrap">{rowLabels[i]}</th>
+                )}
+                {row.map((val, j) => (
+                  <td
+                    key={j}
+                    className="w-6 h-6 rounded-sm"
+                    style={{ backgroundColor: cellColor(val, diverging, scale, palette) }}
+                    title={`${rowLabels[i] !== undefined ? rowLabels[i] : i} · ${colLabels[j] !== undefined ? colLabels[j] : j}: ${Number.isFinite(val) ? val.toFixed(3) : '−∞'}`}
+                  />
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default Heatmap;
@@ -0,0 +1,93 @@
+import React, { useRef, useState } from 'react';
+import { fetchLessonIndex, DEFAULT_LESSON } from '../engine/lessons';
+import { pickLocale } from '../engine/i18n';
+import { useTranslation } from './i18n';
+
+// Picks the lesson the walkthrough follows: the built-in one, one of the
+// lessons under `lessonsUrl` (listed in its index.json), or a JSON file.
+const LessonPanel = ({ lesson, lessonsUrl, errors, onPickLesson, onLoadFile }) => {
+  const t = useTranslation();
+  const fileInputRef = useRef(null);
+  const [available, setAvailable] = useState(null);
+  const [indexErrors, setIndexErrors] = useState([]);
+
+  const browse = () => {
+    if (available) {
+      setAvailable(null);
+      return;
+    }
+    fetchLessonIndex(`${lessonsUrl}/index.json`, t).then(({ lessons, errors: problems }) => {
+      setIndexErrors(problems);
+      setAvailable([DEFAULT_LESSON, ...lessons]);
+    });
+  };
+
+  const problems = [...errors, ...indexErrors];
+
+  return (
+    <div className="bg-gray-50 border-2 border-gray-200 rounded-lg p-4 mb-6">
+      <div className="flex flex-wrap items-center gap-3">
+        <div className="flex-1 min-w-[200px]">
+          <h4 className="font-semibold">📚 {pickLocale(lesson.title, t.locale)}</h4>
+          <p className="text-sm text-gray-600">
+            {pickLocale(lesson.description, t.locale) || t('lessons.steps', { count: lesson.steps.length })}
+          </p>
+        </div>
+        <button
+          onClick={browse}
+          className="px-4 py-2 bg-white border-2 border-gray-300 rounded-lg text-sm font-medium hover:border-blue-400 transition-all"
+        >
+          {available ? t('lessons.hide') : t('lessons.choose')}
+        </button>
+        <button
+          onClick={() => fileInputRef.current && fileInputRef.current.click()}
+          className="px-4 py-2 bg-white border-2 border-gray-300 rounded-lg text-sm font-medium hover:border-blue-400 transition-all"
+        >
+          {t('lessons.load')}
+        </button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".json"
+          className="hidden"
+          onChange={(e) => {
+            if (e.target.files && e.target.files[0]) onLoadFile(e.target.files[0]);
+            e.target.value = '';
+          }}
+        />
+      </div>
+      {available && (
+        <div className="grid md:grid-cols-2 gap-2 mt-3">
+          {available.map(entry => (
+            <button
+              key={entry.id}
+              onClick={() => {
+                setAvailable(null);
+                onPickLesson(entry.id);
+              }}
+              className={`text-left p-3 rounded-lg border-2 transition-all ${
+                entry.id === lesson.id ? 'border-blue-400 bg-blue-50' : 'border-gray-200 bg-white hover:border-blue-300'
+              }`}
+            >
+              <span className="font-medium">{pickLocale(entry.title, t.locale)}</span>
+              {entry.description && <span className="block text-sm text-gray-600">{pickLocale(entry.description, t.locale)}</span>}
+            </button>
+          ))}
+        </div>
+      )}
+      {problems.length > 0 && (
+        <div className="mt-3 bg-red-50 border-2 border-red-200 rounded-lg p-3">
+          <p className="text-sm font-semibold text-red-800 mb-1">{t('lessons.errors')}</p>
+          <ul className="list-disc list-inside text-sm text-red-700">
+            {problems.map((error, i) => <li key={i}>{error}</li>)}
+          </ul>
+          <p className="text-xs text-red-600 mt-2">
+            {t('lessons.expected')} {'{ "component": "attention", "title": "…" }'}.
+          </p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default LessonPanel;
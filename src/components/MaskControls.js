@@ -0,0 +1,50 @@
+import React from 'react';
+import { useTranslation } from './i18n';
+
+// Labels and hints are under mask.<mode> in the locale files
+const MASK_OPTIONS = ['none', 'causal', 'padding', 'custom'].map(mode => ({ mode }));
+
+// Cross-attention has no "future" to hide, so it leaves out the causal mask
+const MaskControls = ({ maskMode, onModeChange, padCount, onPadCountChange, maskedCount, allowCausal = true }) => {
+  const options = allowCausal ? MASK_OPTIONS : MASK_OPTIONS.filter(option => option.mode !== 'causal');
+  const active = options.find(option => option.mode === maskMode) || options[0];
+  const t = useTranslation();
+
+  return (
+    <div className="bg-white p-4 rounded-lg border-2 border-gray-200">
+      <h4 className="font-semibold mb-2">🙈 {t('mask.title')}</h4>
+      <div className="flex flex-wrap gap-2 mb-3">
+        {options.map(option => (
+          <button
+            key={option.mode}
+            onClick={() => onModeChange(option.mode)}
+            className={`px-3 py-1 rounded-lg text-sm font-medium transition-all ${
+              option.mode === active.mode ? 'bg-gray-700 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+            }`}
+          >
+            {t(`mask.${option.mode}.label`)}
+          </button>
+        ))}
+      </div>
+      <p className="text-sm text-gray-700">{t(`mask.${active.mode}.hint`)}</p>
+      {maskMode === 'padding' && (
+        <label className="flex items-center gap-2 text-sm text-gray-700 mt-3">
+          {t('mask.padTokens')}
+          <input
+            type="range"
+            min={1}
+            max={4}
+            value={padCount}
+            onChange={(e) => onPadCountChange(Number(e.target.value))}
+          />
+          <span className="font-mono">{padCount}</span>
+        </label>
+      )}
+      {maskMode !== 'none' && (
+        <p className="text-xs text-gray-500 mt-2">{t('mask.blocked', { count: maskedCount })}</p>
+      )}
+    </div>
+  );
+};
+
+export default MaskControls;
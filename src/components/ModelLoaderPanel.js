@@ -0,0 +1,135 @@
+import React, { useRef, useState } from 'react';
+import { readModelFiles, fetchModel } from '../engine/modelLoader';
+import { MODEL_SIZES, HEAD_SIZES } from '../engine/model';
+import { useTranslation } from './i18n';
+
+const SAMPLE_MODEL_URL = `${process.env.PUBLIC_URL}/models/sample-model.json`;
+
+// Switches between the built-in toy model and imported weights.
+const ModelLoaderPanel = ({ model, onModelChange, dimensions, onDimensionsChange }) => {
+  const t = useTranslation();
+  const fileInputRef = useRef(null);
+  const [errors, setErrors] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+
+  const handleResult = ({ model: loaded, errors: problems }) => {
+    setIsLoading(false);
+    setErrors(problems);
+    if (loaded) onModelChange(loaded);
+  };
+
+  const loadFiles = (files) => {
+    if (!files || !files.length) return;
+    setIsLoading(true);
+    readModelFiles(files, t).then(handleResult);
+  };
+
+  const loadSample = () => {
+    setIsLoading(true);
+    fetchModel(SAMPLE_MODEL_URL, t).then(handleResult);
+  };
+
+  return (
+    <div className="bg-gray-50 border-2 border-gray-200 rounded-lg p-4 mb-6">
+      <div className="flex flex-wrap items-center gap-3">
+        <div className="flex-1 min-w-[200px]">
+          <h4 className="font-semibold">🧠 {model ? model.name : t('model.toy')}</h4>
+          <p className="text-sm text-gray-600">
+            {model
+              ? `${t('model.tokens', { count: model.vocab.length })} · d_model ${model.dModel} · d_k ${model.dK} · d_v ${model.dV} · ${t('model.heads', { count: model.heads.length })}`
+              : t('model.toyDescription', dimensions)}
+          </p>
+        </div>
+        {!model && (
+          <div className="flex items-center gap-2 text-sm">
+            <label className="flex items-center gap-1">
+              d_model
+              <select
+                value={dimensions.dModel}
+                onChange={(e) => {
+                  const dModel = Number(e.target.value);
+                  // Head sizes can't exceed the model size
+                  onDimensionsChange({
+                    dModel,
+                    dK: Math.min(dimensions.dK, dModel),
+                    dV: Math.min(dimensions.dV, dModel)
+                  });
+                }}
+                className="border-2 border-gray-300 rounded px-1 py-1"
+              >
+                {MODEL_SIZES.map(size => <option key={size} value={size}>{size}</option>)}
+              </select>
+            </label>
+            {['dK', 'dV'].map(key => (
+              <label key={key} className="flex items-center gap-1">
+                {key === 'dK' ? 'd_k' : 'd_v'}
+                <select
+                  value={dimensions[key]}
+                  onChange={(e) => onDimensionsChange({ ...dimensions, [key]: Number(e.target.value) })}
+                  className="border-2 border-gray-300 rounded px-1 py-1"
+                >
+                  {HEAD_SIZES.filter(size => size <= dimensions.dModel).map(size => (
+                    <option key={size} value={size}>{size}</option>
+                  ))}
+                </select>
+              </label>
+            ))}
+          </div>
+        )}
+        <button
+          onClick={() => fileInputRef.current && fileInputRef.current.click()}
+          disabled={isLoading}
+          className="px-4 py-2 bg-white border-2 border-gray-300 rounded-lg text-sm font-medium hover:border-blue-400 transition-all"
+        >
+          {t('model.load')}
+        </button>
+        <button
+          onClick={loadSample}
+          disabled={isLoading}
+          className="px-4 py-2 bg-white border-2 border-gray-300 rounded-lg text-sm font-medium hover:border-blue-400 transition-all"
+        >
+          {t('model.sample')}
+        </button>
+        {model && (
+          <button
+            onClick={() => {
+              setErrors([]);
+              onModelChange(null);
+            }}
+            className="px-4 py-2 bg-gray-200 rounded-lg text-sm font-medium hover:bg-gray-300 transition-all"
+          >
+            {t('model.back')}
+          </button>
+        )}
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".json,.safetensors,.npy"
+          multiple
+          className="hidden"
+          onChange={(e) => {
+            loadFiles(e.target.files);
+            e.target.value = '';
+          }}
+        />
+      </div>
+      {model && model.description && (
+        <p className="text-xs text-gray-500 mt-2">{model.description}</p>
+      )}
+      {isLoading && <p className="text-sm text-gray-500 mt-2">{t('model.loading')}</p>}
+      {errors.length > 0 && (
+        <div className="mt-3 bg-red-50 border-2 border-red-200 rounded-lg p-3">
+          <p className="text-sm font-semibold text-red-800 mb-1">{t('model.errors')}</p>
+          <ul className="list-disc list-inside text-sm text-red-700">
+            {errors.map((error, i) => <li key={i}>{error}</li>)}
+          </ul>
+          <p className="text-xs text-red-600 mt-2">
+            {t('model.expected')}
+          </p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ModelLoaderPanel;
@@ -0,0 +1,149 @@
+import React, { useMemo } from 'react';
+import Heatmap from './Heatmap';
+import { NORMALIZATIONS, TEMPERATURE_RANGE, normalizeScores, rowStats } from '../engine/normalization';
+import { mean } from '../engine/stats';
+import { useTranslation } from './i18n';
+
+const EntropyBar = ({ stats, color }) => (
+  <div className="flex items-center gap-2">
+    <div className="w-24 h-3 bg-gray-100 rounded" aria-hidden="true">
+      <div
+        className={`h-3 rounded ${color}`}
+        style={{ width: `${stats.maxEntropy ? (stats.entropy / stats.maxEntropy) * 100 : 0}%` }}
+      />
+    </div>
+    <span className="font-mono">{stats.entropy.toFixed(2)}</span>
+  </div>
+);
+
+// Plain softmax next to the chosen normalization at the chosen temperature,
+// with the entropy of every row: high entropy is diffuse attention, 0 bits
+// is all of it on one word. `scores` are the scaled, masked scores of the
+// head on show. `settings` ({ method, temperature, k }) live in the parent
+// so they survive re-renders.
+const NormalizationExplorer = ({ scores, tokens, queryTokens = tokens, settings, onChange }) => {
+  const t = useTranslation();
+  const { method, temperature, k } = settings;
+  const maxK = Math.max(1, tokens.length);
+  const before = useMemo(() => normalizeScores(scores, { method: 'softmax' }), [scores]);
+  const after = useMemo(() => normalizeScores(scores, settings), [scores, settings]);
+  const beforeStats = useMemo(() => rowStats(before, scores), [before, scores]);
+  const afterStats = useMemo(() => rowStats(after, scores), [after, scores]);
+  if (!scores.length) return null;
+
+  const change = (changes) => onChange({ ...settings, ...changes });
+  const methodLabel = t(`normalization.methods.${method}`);
+  const average = (stats) => mean(stats.map(row => row.entropy)).toFixed(2);
+
+  return (
+    <div className="space-y-4">
+      <div className="bg-white border-2 border-gray-200 rounded-lg p-4 space-y-3">
+        <div className="flex flex-wrap gap-2" role="group" aria-label={t('normalization.method')}>
+          {NORMALIZATIONS.map(value => (
+            <button
+              key={value}
+              onClick={() => change({ method: value })}
+              aria-pressed={method === value}
+              className={`px-3 py-1 rounded-lg border-2 text-sm font-medium ${
+                method === value ? 'bg-blue-600 text-white border-blue-600' : 'bg-white text-gray-700 border-gray-300 hover:bg-gray-100'
+              }`}
+            >
+              {t(`normalization.methods.${value}`)}
+            </button>
+          ))}
+        </div>
+        <p className="text-sm text-gray-700">{t(`normalization.about.${method}`)}</p>
+        <div className="flex flex-wrap items-center gap-6 text-sm">
+          <label className="flex items-center gap-2">
+            🌡️ {t('normalization.temperature')}
+            <input
+              type="range"
+              min={TEMPERATURE_RANGE.min}
+              max={TEMPERATURE_RANGE.max}
+              step={TEMPERATURE_RANGE.step}
+              value={temperature}
+              onChange={(e) => change({ temperature: Number(e.target.value) })}
+            />
+            <span className="font-mono w-8">{temperature.toFixed(1)}</span>
+          </label>
+          {method === 'topk' && (
+            <label className="flex items-center gap-2">
+              k
+              <input
+                type="range"
+                min={1}
+                max={maxK}
+                value={Math.min(k, maxK)}
+                onChange={(e) => change({ k: Number(e.target.value) })}
+              />
+              <span className="font-mono w-6">{Math.min(k, maxK)}</span>
+            </label>
+          )}
+          <button
+            onClick={() => change({ temperature: 1 })}
+            disabled={temperature === 1}
+            className="px-2 py-1 rounded border border-gray-300 text-gray-700 hover:bg-gray-100 disabled:opacity-40"
+          >
+            T = 1
+          </button>
+        </div>
+        <p className="text-xs text-gray-500">
+          {method === 'relu' ? t('normalization.reluTemperature') : t('normalization.temperatureHint')}
+        </p>
+      </div>
+
+      <div className="grid md:grid-cols-2 gap-4">
+        <Heatmap
+          matrix={before}
+          rowLabels={queryTokens}
+          colLabels={tokens}
+          maxAbs={1}
+          title={`${t('normalization.methods.softmax')} (T = 1) — ${t('normalization.before')}`}
+          description={t('normalization.beforeDescription')}
+        />
+        <Heatmap
+          matrix={after}
+          rowLabels={queryTokens}
+          colLabels={tokens}
+          maxAbs={1}
+          title={`${methodLabel}${method === 'topk' ? ` (k = ${Math.min(k, maxK)})` : ''} (T = ${temperature.toFixed(1)}) — ${t('normalization.after')}`}
+          description={t('normalization.afterDescription')}
+        />
+      </div>
+
+      <div className="bg-white border-2 border-gray-200 rounded-lg p-4">
+        <h4 className="font-semibold mb-1">{t('normalization.entropyTitle')}</h4>
+        <p className="text-sm text-gray-600 mb-3" aria-live="polite">
+          {t('normalization.summary', { before: average(beforeStats), after: average(afterStats), method: methodLabel })}
+        </p>
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-600">
+                <th scope="col" className="py-1 pr-3">{t('normalization.word')}</th>
+                <th scope="col" className="py-1 pr-3">{t('normalization.entropyBefore')}</th>
+                <th scope="col" className="py-1 pr-3">{t('normalization.entropyAfter', { method: methodLabel })}</th>
+                <th scope="col" className="py-1 pr-3">{t('normalization.support')}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {queryTokens.map((token, i) => (
+                <tr key={i}>
+                  <th scope="row" className="py-1 pr-3 text-left font-medium">{token}</th>
+                  <td className="py-1 pr-3"><EntropyBar stats={beforeStats[i]} color="bg-gray-400" /></td>
+                  <td className="py-1 pr-3"><EntropyBar stats={afterStats[i]} color="bg-blue-500" /></td>
+                  <td className="py-1 pr-3 font-mono">
+                    {beforeStats[i].support} → {afterStats[i].support} / {afterStats[i].available}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+        <p className="text-xs text-gray-500 mt-2">{t('normalization.entropyNote')}</p>
+      </div>
+    </div>
+  );
+};
+
+export default NormalizationExplorer;
@@ -0,0 +1,155 @@
+import React from 'react';
+import Heatmap from './Heatmap';
+import { positionalEncoding, ropeAngles } from '../engine/positional';
+import { useTranslation } from './i18n';
+
+// Labels and hints are under positional.<mode> in the locale files
+const POSITION_OPTIONS = ['none', 'sinusoidal', 'learned', 'rope'].map(mode => ({ mode }));
+
+// Wide enough to show the characteristic stripes of the sinusoidal waves.
+const PREVIEW_POSITIONS = 32;
+const PREVIEW_DIMENSIONS = 32;
+
+const PositionalEncodingPanel = ({
+  positionMode,
+  onModeChange,
+  tokens,
+  queryTokens = tokens,
+  dModel,
+  dK,
+  encodings,
+  learnedTable,
+  weightsWithPosition,
+  weightsWithoutPosition,
+  showMath
+}) => {
+  const t = useTranslation();
+  const active = POSITION_OPTIONS.find(option => option.mode === positionMode) || POSITION_OPTIONS[0];
+  const activeLabel = t(`positional.${active.mode}.label`);
+  const positionLabels = tokens.map((token, i) => `${i} ${token}`);
+  const rope = positionMode === 'rope';
+
+  return (
+    <div className="space-y-4">
+      <div className="bg-white p-4 rounded-lg border-2 border-gray-200">
+        <h4 className="font-semibold mb-2">📍 {t('positional.title')}</h4>
+        <div className="flex flex-wrap gap-2 mb-3">
+          {POSITION_OPTIONS.map(option => (
+            <button
+              key={option.mode}
+              onClick={() => onModeChange(option.mode)}
+              className={`px-3 py-1 rounded-lg text-sm font-medium transition-all ${
+                option.mode === positionMode ? 'bg-gray-700 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+              }`}
+            >
+              {t(`positional.${option.mode}.label`)}
+            </button>
+          ))}
+        </div>
+        <p className="text-sm text-gray-700">{t(`positional.${active.mode}.hint`)}</p>
+      </div>
+
+      {showMath && positionMode !== 'none' && (
+        <div className="bg-gray-50 p-4 rounded-lg">
+          <h5 className="font-semibold mb-2">📐 {t('common.theMath')}</h5>
+          <div className="space-y-2 text-sm">
+            {positionMode === 'sinusoidal' && (
+              <>
+                <p><strong>{t('positional.math.even')}</strong> PE(pos, 2i) = sin(pos / 10000^(2i/{dModel}))</p>
+                <p><strong>{t('positional.math.odd')}</strong> PE(pos, 2i+1) = cos(pos / 10000^(2i/{dModel}))</p>
+                <p><strong>{t('positional.math.input')}</strong> x = token_embedding + PE(pos)</p>
+              </>
+            )}
+            {positionMode === 'learned' && (
+              <>
+                <p><strong>{t('positional.math.lookup')}</strong> PE(pos) = PositionTable[pos]</p>
+                <p><strong>{t('positional.math.input')}</strong> x = token_embedding + PE(pos)</p>
+              </>
+            )}
+            {rope && (
+              <>
+                <p><strong>{t('positional.math.angle')}</strong> θ_i = 10000^(−2i/{dK}), {t('positional.math.rotatedBy')} pos × θ_i</p>
+                <p><strong>{t('positional.math.rotate')}</strong> (q_2i, q_2i+1) → (q_2i·cos − q_2i+1·sin, q_2i·sin + q_2i+1·cos), {t('positional.math.sameForK')}</p>
+                <p className="text-gray-600">{t('positional.math.ropeNote')}</p>
+              </>
+            )}
+          </div>
+        </div>
+      )}
+
+      {positionMode !== 'none' && (
+        <div className="grid md:grid-cols-2 gap-4">
+          {rope ? (
+            <Heatmap
+              matrix={ropeAngles(tokens.length, dK).map(row => row.map(Math.cos))}
+              rowLabels={positionLabels}
+              colLabels={Array.from({ length: Math.floor(dK / 2) }, (_, i) => `θ${i}`)}
+              diverging={true}
+              maxAbs={1}
+              title={t('positional.rotationTitle')}
+              description={t('positional.rotationDescription')}
+            />
+          ) : (
+            <Heatmap
+              matrix={encodings}
+              rowLabels={positionLabels}
+              colLabels={Array.from({ length: dModel }, (_, j) => `d${j}`)}
+              diverging={true}
+              title={t('positional.vectorsTitle')}
+              description={t('positional.vectorsDescription')}
+            />
+          )}
+          {rope ? (
+            <Heatmap
+              matrix={ropeAngles(PREVIEW_POSITIONS, PREVIEW_DIMENSIONS).map(row => row.map(Math.cos))}
+              diverging={true}
+              maxAbs={1}
+              title={t('positional.widerPairs', { positions: PREVIEW_POSITIONS, pairs: PREVIEW_DIMENSIONS / 2 })}
+              description={t('positional.widerPairsDescription')}
+            />
+          ) : positionMode === 'learned' && learnedTable ? (
+            <Heatmap
+              matrix={learnedTable}
+              diverging={true}
+              title={t('positional.tableTitle', { positions: learnedTable.length, dimensions: dModel })}
+              description={t('positional.tableDescription')}
+            />
+          ) : (
+            <Heatmap
+              matrix={positionalEncoding(positionMode, PREVIEW_POSITIONS, PREVIEW_DIMENSIONS)}
+              diverging={true}
+              maxAbs={1}
+              title={t('positional.widerDimensions', { positions: PREVIEW_POSITIONS, dimensions: PREVIEW_DIMENSIONS })}
+              description={positionMode === 'sinusoidal'
+                ? t('positional.widerSinusoidal')
+                : t('positional.widerLearned')}
+            />
+          )}
+        </div>
+      )}
+
+      {weightsWithPosition.length > 0 && (
+        <div className="grid md:grid-cols-2 gap-4">
+          <Heatmap
+            matrix={weightsWithoutPosition}
+            rowLabels={queryTokens}
+            colLabels={tokens}
+            maxAbs={1}
+            title={t('positional.withoutTitle')}
+            description={t('positional.withoutDescription')}
+          />
+          <Heatmap
+            matrix={weightsWithPosition}
+            rowLabels={queryTokens}
+            colLabels={tokens}
+            maxAbs={1}
+            title={t('positional.withTitle', { mode: activeLabel })}
+            description={t('positional.withDescription')}
+          />
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PositionalEncodingPanel;
@@ -0,0 +1,83 @@
+import React, { useState } from 'react';
+import { checkAnswer } from '../engine/quiz';
+import { useTranslation } from './i18n';
+
+const formatAnswer = (question, t) => {
+  if (question.kind === 'choice') return question.answer.map(i => `"${question.choices[i]}"`).join(t('quiz.card.or'));
+  return Number.isInteger(question.answer) ? String(question.answer) : question.answer.toFixed(2);
+};
+
+const formatResponse = (question, response) => (
+  question.kind === 'choice' ? `"${question.choices[Number(response)]}"` : response
+);
+
+// One "predict it first" question for the current step. Until it is
+// answered the step keeps its results hidden; `result` is the saved
+// { correct, response } for this step, if any.
+const QuizCard = ({ question, result, onAnswer, onRetry }) => {
+  const t = useTranslation();
+  const [typed, setTyped] = useState('');
+
+  const submit = (response) => {
+    if (String(response).trim() === '') return;
+    onAnswer(response, checkAnswer(question, response));
+  };
+
+  return (
+    <div className="bg-white border-2 border-amber-300 rounded-lg p-4 mb-6 space-y-3">
+      <h4 className="font-semibold text-lg text-amber-800">🎯 {t('quiz.card.title')}</h4>
+      <p className="text-gray-800">{question.prompt}</p>
+
+      {!result && question.kind === 'choice' && (
+        <div className="flex flex-wrap gap-2">
+          {question.choices.map((choice, i) => (
+            <button
+              key={i}
+              onClick={() => submit(i)}
+              className="px-3 py-2 rounded-lg border-2 border-amber-200 bg-amber-50 hover:border-amber-400 text-sm font-medium"
+            >
+              {choice}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {!result && question.kind === 'number' && (
+        <form
+          className="flex flex-wrap items-center gap-2"
+          onSubmit={(event) => {
+            event.preventDefault();
+            submit(typed);
+          }}
+        >
+          <input
+            type="text"
+            inputMode="decimal"
+            value={typed}
+            onChange={(event) => setTyped(event.target.value)}
+            aria-label={t('quiz.card.yourAnswer')}
+            placeholder={t('quiz.card.yourAnswer')}
+            className="w-32 px-3 py-2 border-2 border-gray-300 rounded-lg focus:border-amber-500 focus:outline-none font-mono"
+          />
+          <button type="submit" className="px-4 py-2 rounded-lg bg-amber-500 text-white font-medium hover:bg-amber-600">
+            {t('quiz.card.check')}
+          </button>
+        </form>
+      )}
+
+      {result && (
+        <div className={`p-3 rounded-lg text-sm ${result.correct ? 'bg-green-50 text-green-800' : 'bg-red-50 text-red-800'}`}>
+          <p className="font-semibold">
+            {result.correct
+              ? t('quiz.card.correct')
+              : t('quiz.card.wrong', { response: formatResponse(question, result.response), answer: formatAnswer(question, t) })}
+          </p>
+          <p className="mt-1">{question.explanation}</p>
+          <button onClick={onRetry} className="mt-2 underline">{t('quiz.card.tryAgain')}</button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default QuizCard;
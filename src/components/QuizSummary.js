@@ -0,0 +1,38 @@
+import React from 'react';
+import { quizSummary } from '../engine/quiz';
+import { useTranslation } from './i18n';
+
+// End-of-walkthrough scorecard. `steps` is [{ key, title }] for the steps
+// that had a question, `key` being that question's key.
+const QuizSummary = ({ steps, results, onReset }) => {
+  const t = useTranslation();
+  const { answered, correct, total } = quizSummary(results, steps.map(step => step.key));
+
+  return (
+    <div className="bg-white border-2 border-amber-300 rounded-lg p-4 space-y-3">
+      <h4 className="font-semibold text-lg text-amber-800">🏁 {t('quiz.summary.title')}</h4>
+      <p className="text-gray-800">
+        {t('quiz.summary.score', { correct, total })}
+        {answered < total && ` ${t('quiz.summary.unanswered', { count: total - answered })}`}.
+      </p>
+      <ul className="text-sm space-y-1">
+        {steps.map(({ key, title }) => {
+          const result = results[key];
+          return (
+            <li key={key}>
+              {result ? (result.correct ? '✅' : '❌') : '⬜'} {title}
+            </li>
+          );
+        })}
+      </ul>
+      <button
+        onClick={onReset}
+        className="px-4 py-2 rounded-lg bg-gray-200 text-gray-700 hover:bg-gray-300 font-medium"
+      >
+        {t('quiz.summary.reset')}
+      </button>
+    </div>
+  );
+};
+
+export default QuizSummary;
@@ -0,0 +1,77 @@
+import React, { useMemo } from 'react';
+import Heatmap from './Heatmap';
+import { softmax } from '../engine/attention';
+import { applyMask } from '../engine/masking';
+import { scalingExperiment } from '../engine/scaling';
+import { useTranslation } from './i18n';
+
+// "With vs. without ÷ √d_k" for the current sentence, plus a random-vector
+// experiment showing how unscaled softmax saturates as d_k grows.
+const ScalingComparison = ({ scores, scaledWeights, mask, tokens, queryTokens = tokens, dK }) => {
+  const t = useTranslation();
+  const unscaledWeights = useMemo(() => applyMask(scores, mask).map(row => softmax(row)), [scores, mask]);
+  const experiment = useMemo(() => scalingExperiment({ seqLen: Math.max(2, tokens.length) }), [tokens.length]);
+
+  return (
+    <div className="space-y-4">
+      <div className="grid md:grid-cols-2 gap-4">
+        <Heatmap
+          matrix={unscaledWeights}
+          rowLabels={queryTokens}
+          colLabels={tokens}
+          maxAbs={1}
+          title={`softmax(Q·Kᵀ) — ${t('scaling.without')}`}
+          description={t('scaling.withoutDescription')}
+        />
+        <Heatmap
+          matrix={scaledWeights}
+          rowLabels={queryTokens}
+          colLabels={tokens}
+          maxAbs={1}
+          title={`softmax(Q·Kᵀ ÷ √${dK}) — ${t('scaling.with')}`}
+          description={t('scaling.withDescription')}
+        />
+      </div>
+
+      <div className="bg-white border-2 border-gray-200 rounded-lg p-4">
+        <h4 className="font-semibold mb-2">{t('scaling.growsTitle')}</h4>
+        <p className="text-sm text-gray-600 mb-3">{t('scaling.growsDescription', { count: tokens.length })}</p>
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-600">
+                <th className="py-1 pr-3">d_k</th>
+                <th className="py-1 pr-3">{t('scaling.spread')}</th>
+                <th className="py-1 pr-3">{t('scaling.topUnscaled')}</th>
+                <th className="py-1 pr-3">{t('scaling.topScaled')}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {experiment.map(({ dK: size, unscaled, scaled }) => (
+                <tr key={size} className={size === dK ? 'bg-yellow-50 font-semibold' : ''}>
+                  <td className="py-1 pr-3 font-mono">{size}{size === dK ? ` ← ${t('scaling.yours')}` : ''}</td>
+                  <td className="py-1 pr-3 font-mono">±{unscaled.scoreStd.toFixed(1)}</td>
+                  {[unscaled, scaled].map((stats, k) => (
+                    <td key={k} className="py-1 pr-3">
+                      <div className="flex items-center gap-2">
+                        <div className="w-32 h-3 bg-gray-100 rounded">
+                          <div
+                            className={`h-3 rounded ${k === 0 ? 'bg-red-400' : 'bg-blue-500'}`}
+                            style={{ width: `${stats.topWeight * 100}%` }}
+                          />
+                        </div>
+                        <span className="font-mono">{Math.round(stats.topWeight * 100)}%</span>
+                      </div>
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ScalingComparison;
@@ -0,0 +1,52 @@
+import React from 'react';
+import { isContinuation, UNK_TOKEN } from '../engine/tokenizer';
+import { useTranslation } from './i18n';
+
+// Groups consecutive tokens that came from the same word, so a split like
+// "unbelievable" → un ##believ ##able reads as one unit. Each piece shows
+// its vocabulary id underneath, or [UNK] for a word outside the vocabulary.
+const groupByWord = (entries) =>
+  entries.reduce((groups, entry, index) => {
+    const last = groups[groups.length - 1];
+    if (last && entry.word !== null && last.word === entry.word) {
+      last.pieces.push({ ...entry, index });
+    } else {
+      groups.push({ word: entry.word, source: entry.source, pieces: [{ ...entry, index }] });
+    }
+    return groups;
+  }, []);
+
+const TokenPieces = ({ entries }) => {
+  const t = useTranslation();
+  return (
+    <div className="flex flex-wrap gap-3">
+      {groupByWord(entries).map((group, g) => (
+        <div key={g} className="flex flex-col items-center">
+          <div className="flex gap-1">
+            {group.pieces.map(piece => (
+              <div key={piece.index} className="flex flex-col items-center">
+                <span
+                  className={`px-3 py-2 rounded-lg font-medium ${
+                    piece.word === null
+                      ? 'bg-gray-100 text-gray-500'
+                      : isContinuation(piece.text)
+                        ? 'bg-indigo-100 text-indigo-800'
+                        : 'bg-blue-100 text-blue-800'
+                  }`}
+                >
+                  {piece.text}
+                </span>
+                <span className="text-xs font-mono text-gray-500 mt-1">{piece.unknown ? UNK_TOKEN : `#${piece.id}`}</span>
+              </div>
+            ))}
+          </div>
+          {group.pieces.length > 1 && (
+            <span className="text-xs text-gray-500 mt-1">{t('tokens.pieces', { word: group.source, count: group.pieces.length })}</span>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default TokenPieces;
@@ -0,0 +1,339 @@
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import { Play, Pause, StepForward, RotateCcw, Check } from 'lucide-react';
+import AttentionHeatmap from './AttentionHeatmap';
+import Heatmap from './Heatmap';
+import { computeAttention } from '../engine/attention';
+import {
+  TRAINING_OBJECTIVES,
+  TARGET_PRESETS,
+  LEARNING_RATES,
+  MAX_ITERATIONS,
+  WEIGHT_NAMES,
+  presetTargets,
+  targetPattern,
+  trainingTarget,
+  evaluateTraining,
+  trainStep
+} from '../engine/training';
+import { useTranslation } from './i18n';
+
+// Milliseconds between iterations while playing
+const TICK_MS = 80;
+const CURVE_WIDTH = 360;
+const CURVE_HEIGHT = 120;
+
+const SUBSCRIPTS = { WQ: 'W_Q', WK: 'W_K', WV: 'W_V' };
+
+const norm = (matrix) => Math.sqrt(matrix.flat().reduce((sum, val) => sum + val * val, 0));
+
+// Loss after every iteration, from the starting weights on the left
+const LossCurve = ({ history, label }) => {
+  const top = Math.max(...history) || 1;
+  const x = (k) => (history.length > 1 ? (k / (history.length - 1)) * CURVE_WIDTH : 0);
+  const y = (loss) => CURVE_HEIGHT - (loss / top) * CURVE_HEIGHT;
+  return (
+    <svg
+      viewBox={`-4 -4 ${CURVE_WIDTH + 8} ${CURVE_HEIGHT + 8}`}
+      className="w-full max-w-md h-32 bg-gray-50 rounded"
+      role="img"
+      aria-label={label}
+    >
+      <line x1={0} y1={CURVE_HEIGHT} x2={CURVE_WIDTH} y2={CURVE_HEIGHT} stroke="#d1d5db" />
+      <polyline
+        fill="none"
+        stroke="#2563eb"
+        strokeWidth={2}
+        points={history.map((loss, k) => `${x(k)},${y(loss)}`).join(' ')}
+      />
+      <circle cx={x(history.length - 1)} cy={y(history[history.length - 1])} r={3} fill="#2563eb" />
+    </svg>
+  );
+};
+
+// A toy training run on one head: the learner picks which word each word
+// should look at, and gradient descent on W_Q, W_K and W_V chases that
+// pattern (or the output it would give). Like ArithmeticAnimation it is
+// rendered outside the step content, so the run survives the parent's
+// re-renders; it starts over whenever the sentence, mask or weights change.
+// `weights` are the head's { WQ, WK, WV }; `onApply` hands the learned ones
+// back to use everywhere.
+const TrainingPanel = ({
+  embeddings,
+  keyEmbeddings = embeddings,
+  weights,
+  mask,
+  rope,
+  tokens,
+  queryTokens = tokens,
+  heatmapOptions,
+  onOptionsChange,
+  onApply,
+  headLabel = null
+}) => {
+  const t = useTranslation();
+  const [objective, setObjective] = useState('pattern');
+  const [preset, setPreset] = useState('previous');
+  const [customTargets, setCustomTargets] = useState(null);
+  const [learningRate, setLearningRate] = useState(0.3);
+  const [run, setRun] = useState(null);
+  const [isPlaying, setIsPlaying] = useState(false);
+  const rows = queryTokens.length;
+  const cols = tokens.length;
+
+  // Picks made for another sentence no longer fit, so the preset takes over
+  const isCustom = Boolean(customTargets && customTargets.length === rows);
+  const targets = useMemo(
+    () => (isCustom ? customTargets : presetTargets(preset, rows, cols, mask)),
+    [isCustom, customTargets, preset, rows, cols, mask]
+  );
+  const initialHead = useMemo(
+    () => computeAttention({ embeddings, keyEmbeddings, ...weights, mask, rope }),
+    [embeddings, keyEmbeddings, weights, mask, rope]
+  );
+  const target = useMemo(
+    () => trainingTarget(objective, targetPattern(targets, cols), initialHead),
+    [objective, targets, cols, initialHead]
+  );
+  const args = useMemo(
+    () => ({ embeddings, keyEmbeddings, mask, rope, objective, target }),
+    [embeddings, keyEmbeddings, mask, rope, objective, target]
+  );
+  const initialLoss = useMemo(() => evaluateTraining({ ...args, weights }).loss, [args, weights]);
+
+  // A new sentence, mask, objective, target or starting point starts over
+  useEffect(() => {
+    setRun(null);
+    setIsPlaying(false);
+  }, [args, weights]);
+
+  const advance = useCallback(() => setRun(current => {
+    const result = trainStep({ ...args, weights: current ? current.weights : weights }, learningRate);
+    return {
+      weights: result.weights,
+      head: result.head,
+      gradients: result.gradients,
+      history: [...(current ? current.history : [initialLoss]), result.loss]
+    };
+  }), [args, weights, learningRate, initialLoss]);
+
+  const state = run || { weights, head: initialHead, gradients: null, history: [initialLoss] };
+  const iteration = state.history.length - 1;
+  const loss = state.history[iteration];
+
+  useEffect(() => {
+    if (!isPlaying) return undefined;
+    if (iteration >= MAX_ITERATIONS) {
+      setIsPlaying(false);
+      return undefined;
+    }
+    const timer = setTimeout(advance, TICK_MS);
+    return () => clearTimeout(timer);
+  }, [isPlaying, iteration, advance]);
+
+  if (!rows || !cols) return null;
+
+  // At the limit, Play starts a fresh run
+  const togglePlay = () => {
+    if (iteration >= MAX_ITERATIONS) setRun(null);
+    setIsPlaying(iteration >= MAX_ITERATIONS || !isPlaying);
+  };
+  const reset = () => {
+    setIsPlaying(false);
+    setRun(null);
+  };
+  const pickPreset = (value) => {
+    setPreset(value);
+    setCustomTargets(null);
+  };
+  const pickTarget = (i, j) => {
+    setCustomTargets(targets.map((current, row) => (row === i ? j : current)));
+  };
+  const dimensionLabels = (count) => Array.from({ length: count }, (_, d) => `d${d + 1}`);
+
+  return (
+    <div className="bg-white border-2 border-indigo-200 rounded-lg p-4 space-y-4">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <h4 className="font-semibold">🏋️ {t('training.title')}{headLabel ? ` — ${headLabel}` : ''}</h4>
+        <span className="text-sm text-gray-500">{t('training.progress', { iteration, max: MAX_ITERATIONS })}</span>
+      </div>
+
+      <div className="grid lg:grid-cols-2 gap-4">
+        <div className="space-y-3 text-sm">
+          <div className="flex flex-wrap gap-2" role="group" aria-label={t('training.objective')}>
+            {TRAINING_OBJECTIVES.map(value => (
+              <button
+                key={value}
+                onClick={() => setObjective(value)}
+                aria-pressed={objective === value}
+                className={`px-3 py-1 rounded-lg border-2 font-medium ${
+                  objective === value ? 'bg-indigo-600 text-white border-indigo-600' : 'bg-white text-gray-700 border-gray-300 hover:bg-gray-100'
+                }`}
+              >
+                {t(`training.objectives.${value}`)}
+              </button>
+            ))}
+          </div>
+          <p className="text-gray-700">{t(`training.about.${objective}`)}</p>
+          <div className="flex flex-wrap items-center gap-2" role="group" aria-label={t('training.preset')}>
+            <span className="text-gray-600">{t('training.preset')}</span>
+            {TARGET_PRESETS.map(value => (
+              <button
+                key={value}
+                onClick={() => pickPreset(value)}
+                aria-pressed={!isCustom && preset === value}
+                className={`px-2 py-1 rounded border ${
+                  !isCustom && preset === value ? 'bg-indigo-100 border-indigo-400 text-indigo-900' : 'bg-white border-gray-300 hover:bg-gray-100'
+                }`}
+              >
+                {t(`training.presets.${value}`)}
+              </button>
+            ))}
+          </div>
+          <div className="max-h-64 overflow-auto grid grid-cols-2 gap-x-4 gap-y-1">
+            {queryTokens.map((word, i) => (
+              <label key={i} className="flex items-center justify-between gap-2">
+                <span className="truncate">{t('training.looksAt', { word })}</span>
+                <select
+                  value={targets[i] === null ? '' : targets[i]}
+                  disabled={targets[i] === null}
+                  onChange={(e) => pickTarget(i, Number(e.target.value))}
+                  className="px-2 py-1 border-2 border-gray-300 rounded"
+                >
+                  {targets[i] === null && <option value="">—</option>}
+                  {tokens.map((key, j) => (
+                    <option key={j} value={j} disabled={Boolean(mask && mask[i][j])}>{key}</option>
+                  ))}
+                </select>
+              </label>
+            ))}
+          </div>
+        </div>
+
+        <div className="space-y-3">
+          <div className="flex flex-wrap items-center gap-2">
+            <button
+              onClick={togglePlay}
+              className="px-3 py-2 rounded-lg bg-indigo-600 text-white hover:bg-indigo-700 flex items-center gap-1 text-sm font-medium"
+            >
+              {isPlaying ? <Pause size={16} /> : <Play size={16} />}
+              {isPlaying ? t('training.pause') : t('training.train')}
+            </button>
+            <button
+              onClick={() => {
+                setIsPlaying(false);
+                advance();
+              }}
+              disabled={iteration >= MAX_ITERATIONS}
+              className="px-3 py-2 rounded-lg bg-gray-100 hover:bg-gray-200 flex items-center gap-1 text-sm disabled:opacity-40"
+            >
+              <StepForward size={16} />
+              {t('training.step')}
+            </button>
+            <button
+              onClick={reset}
+              disabled={!run}
+              title={t('training.reset')}
+              aria-label={t('training.reset')}
+              className="p-2 rounded-lg bg-gray-100 hover:bg-gray-200 disabled:opacity-40"
+            >
+              <RotateCcw size={16} />
+            </button>
+            <label className="flex items-center gap-1 text-sm text-gray-700 ml-2">
+              {t('training.learningRate')}
+              <select
+                value={learningRate}
+                onChange={(e) => setLearningRate(Number(e.target.value))}
+                className="px-2 py-1 border-2 border-gray-300 rounded"
+              >
+                {LEARNING_RATES.map(rate => <option key={rate} value={rate}>{rate}</option>)}
+              </select>
+            </label>
+          </div>
+          <LossCurve
+            history={state.history}
+            label={t('training.curveLabel', { start: initialLoss.toFixed(3), loss: loss.toFixed(3), iteration })}
+          />
+          <p className="text-sm text-gray-700" aria-live="polite">
+            {t('training.status', { iteration, loss: loss.toFixed(4), start: initialLoss.toFixed(4) })}
+          </p>
+          {run && (
+            <button
+              onClick={() => onApply(run.weights)}
+              className="px-3 py-2 rounded-lg bg-green-600 text-white hover:bg-green-700 flex items-center gap-1 text-sm font-medium"
+            >
+              <Check size={16} />
+              {t('training.apply')}
+            </button>
+          )}
+          <p className="text-xs text-gray-500">{t('training.applyNote')}</p>
+        </div>
+      </div>
+
+      <div className="grid lg:grid-cols-2 gap-4">
+        <AttentionHeatmap
+          matrix={state.head.attentionWeights}
+          tokens={tokens}
+          queryTokens={queryTokens}
+          mask={mask}
+          title={t('training.attentionTitle', { iteration })}
+          description={t('training.attentionDescription')}
+          {...heatmapOptions}
+          onOptionsChange={onOptionsChange}
+        />
+        {objective === 'output' ? (
+          <div className="space-y-4">
+            <Heatmap
+              matrix={target}
+              rowLabels={queryTokens}
+              colLabels={dimensionLabels(target[0].length)}
+              diverging
+              title={t('training.targetOutput')}
+            />
+            <Heatmap
+              matrix={state.head.output}
+              rowLabels={queryTokens}
+              colLabels={dimensionLabels(target[0].length)}
+              diverging
+              title={t('training.currentOutput')}
+            />
+          </div>
+        ) : (
+          <AttentionHeatmap
+            matrix={target}
+            tokens={tokens}
+            queryTokens={queryTokens}
+            mask={mask}
+            title={t('training.targetTitle')}
+            description={t('training.targetDescription')}
+            {...heatmapOptions}
+            onOptionsChange={onOptionsChange}
+          />
+        )}
+      </div>
+
+      <div>
+        <h5 className="font-semibold mb-1">{t('training.gradientsTitle')}</h5>
+        <p className="text-sm text-gray-600 mb-3">
+          {state.gradients ? t('training.gradientsDescription') : t('training.gradientsEmpty')}
+        </p>
+        {state.gradients && (
+          <div className="grid md:grid-cols-3 gap-4">
+            {WEIGHT_NAMES.map(name => (
+              <Heatmap
+                key={name}
+                matrix={state.gradients[name]}
+                rowLabels={dimensionLabels(state.gradients[name].length)}
+                colLabels={dimensionLabels(state.gradients[name][0].length)}
+                diverging
+                title={`∂L/∂${SUBSCRIPTS[name]}`}
+                description={t('training.gradientNorm', { norm: norm(state.gradients[name]).toFixed(4) })}
+              />
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default TrainingPanel;
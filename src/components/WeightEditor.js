@@ -0,0 +1,111 @@
+import React from 'react';
+import Heatmap from './Heatmap';
+import { changedCells } from '../engine/model';
+import { useTranslation } from './i18n';
+
+// Labels are under weights.matrix.<name> in the locale files
+const MATRICES = [
+  { name: 'WQ', className: 'border-red-200 bg-red-50', titleClass: 'text-red-800' },
+  { name: 'WK', className: 'border-green-200 bg-green-50', titleClass: 'text-green-800' },
+  { name: 'WV', className: 'border-blue-200 bg-blue-50', titleClass: 'text-blue-800' }
+];
+
+const SLIDER_RANGE = 2;
+// Past this many cells a matrix is shown as a heatmap and changed with presets only
+const MAX_EDITABLE_CELLS = 64;
+
+// Cell-by-cell editor for one head's projection matrices. Every change goes
+// straight back into the pipeline; cells that differ from `baseWeights` are
+// highlighted.
+const WeightEditor = ({ weights, baseWeights, headLabel, onCellChange, onPreset, onResetMatrix }) => {
+  const t = useTranslation();
+  const changed = Object.fromEntries(
+    MATRICES.map(({ name }) => [name, changedCells(weights[name], baseWeights[name])])
+  );
+  const changedCount = Object.values(changed).reduce((sum, m) => sum + m.flat().filter(Boolean).length, 0);
+  const isEditable = MATRICES.every(({ name }) => weights[name].length * weights[name][0].length <= MAX_EDITABLE_CELLS);
+
+  return (
+    <div className="bg-white p-4 rounded-lg border-2 border-gray-200 space-y-4">
+      <div className="flex flex-wrap items-center gap-2">
+        <p className="text-sm text-gray-700 flex-1 min-w-[200px]">
+          {isEditable
+            ? (headLabel ? t('weights.editableHead', { head: headLabel }) : t('weights.editable'))
+            : (headLabel ? t('weights.tooBigHead', { head: headLabel }) : t('weights.tooBig'))}
+          {changedCount > 0 && <span className="ml-1 font-medium text-yellow-700">{t('weights.changed', { count: changedCount })}</span>}
+        </p>
+        <button onClick={() => onPreset('random')} className="px-3 py-1 rounded-lg text-sm font-medium bg-gray-100 text-gray-700 hover:bg-gray-200">
+          🎲 {t('weights.randomize')}
+        </button>
+        <button onClick={() => onPreset('identity')} className="px-3 py-1 rounded-lg text-sm font-medium bg-gray-100 text-gray-700 hover:bg-gray-200">
+          ⬚ {t('weights.identity')}
+        </button>
+        <button onClick={() => onPreset('reset')} className="px-3 py-1 rounded-lg text-sm font-medium bg-gray-100 text-gray-700 hover:bg-gray-200">
+          ↺ {t('weights.resetAll')}
+        </button>
+      </div>
+
+      <div className="grid lg:grid-cols-3 gap-4">
+        {MATRICES.map(({ name, className, titleClass }) => (
+          <div key={name} className={`p-3 rounded-lg border-2 ${className}`}>
+            <div className="flex items-center justify-between mb-2">
+              <h5 className={`font-semibold ${titleClass}`}>{t(`weights.matrix.${name}`)}</h5>
+              <button onClick={() => onResetMatrix(name)} className="text-xs text-gray-600 hover:underline">
+                {t('weights.reset')}
+              </button>
+            </div>
+            {!isEditable ? (
+              <Heatmap matrix={weights[name]} diverging />
+            ) : (
+              <div className="overflow-x-auto">
+                <div
+                  className="grid gap-1"
+                  style={{ gridTemplateColumns: `repeat(${weights[name][0].length}, minmax(4.5rem, 1fr))` }}
+                >
+                  {weights[name].map((row, i) =>
+                    row.map((val, j) => {
+                      const isChanged = changed[name][i][j];
+                      return (
+                        <div
+                          key={`${i}-${j}`}
+                          className={`p-1 rounded border flex flex-col items-center ${
+                            isChanged ? 'bg-yellow-100 border-yellow-400' : 'bg-white border-gray-200'
+                          }`}
+                          title={isChanged
+                            ? t('weights.cellWas', { row: i + 1, column: j + 1, was: baseWeights[name][i][j].toFixed(2) })
+                            : t('weights.cell', { row: i + 1, column: j + 1 })}
+                        >
+                          <input
+                            type="number"
+                            step={0.1}
+                            value={Math.round(val * 100) / 100}
+                            onChange={(e) => {
+                              const next = parseFloat(e.target.value);
+                              if (Number.isFinite(next)) onCellChange(name, i, j, next);
+                            }}
+                            className="w-16 text-center font-mono text-sm bg-transparent focus:outline-none"
+                          />
+                          <input
+                            type="range"
+                            min={-SLIDER_RANGE}
+                            max={SLIDER_RANGE}
+                            step={0.05}
+                            value={Math.max(-SLIDER_RANGE, Math.min(SLIDER_RANGE, val))}
+                            onChange={(e) => onCellChange(name, i, j, parseFloat(e.target.value))}
+                            className="w-16"
+                          />
+                        </div>
+                      );
+                    })
+                  )}
+                </div>
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default WeightEditor;
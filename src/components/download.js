@@ -0,0 +1,34 @@
+// Browser-side file downloads for the export buttons.
+
+const saveBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+export const downloadText = (content, fileName, type = 'text/plain') => {
+  saveBlob(new Blob([content], { type: `${type};charset=utf-8` }), fileName);
+};
+
+// The canvas itself is transparent, so paint it onto white first
+export const downloadCanvas = (canvas, fileName) => {
+  const copy = document.createElement('canvas');
+  copy.width = canvas.width;
+  copy.height = canvas.height;
+  const ctx = copy.getContext('2d');
+  ctx.fillStyle = '#ffffff';
+  ctx.fillRect(0, 0, copy.width, copy.height);
+  ctx.drawImage(canvas, 0, 0);
+  copy.toBlob(blob => blob && saveBlob(blob, fileName), 'image/png');
+};
+
+export const downloadSvg = (svg, fileName) => {
+  const clone = svg.cloneNode(true);
+  clone.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+  downloadText(`<?xml version="1.0" encoding="UTF-8"?>\n${new XMLSerializer().serializeToString(clone)}`, fileName, 'image/svg+xml');
+};
@@ -0,0 +1,8 @@
+import { createContext, useContext } from 'react';
+import { createTranslator, DEFAULT_LOCALE } from '../engine/i18n';
+
+// The current translator, `t(key, values)`, for every component below
+// AttentionVisualizer. Components rendered on their own get English.
+export const I18nContext = createContext(createTranslator(DEFAULT_LOCALE));
+
+export const useTranslation = () => useContext(I18nContext);
@@ -0,0 +1,21 @@
+import { createContext, useContext } from 'react';
+
+// One color per attention head, as "r, g, b" so it can be used in rgba().
+// Head 1 keeps the blue used everywhere else in the app.
+export const HEAD_COLORS = [
+  '59, 130, 246',
+  '234, 88, 12',
+  '22, 163, 74',
+  '219, 39, 119',
+  '124, 58, 237',
+  '202, 138, 4',
+  '8, 145, 178',
+  '220, 38, 38'
+];
+
+export const headColor = (head, alpha = 1) => `rgba(${HEAD_COLORS[head % HEAD_COLORS.length]}, ${alpha})`;
+
+// The heatmap palette the learner picked (one of PALETTES in engine/heatmap)
+export const PaletteContext = createContext('classic');
+
+export const usePalette = () => useContext(PaletteContext);
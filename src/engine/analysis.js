@@ -0,0 +1,60 @@
+// Whole-sentence readings of a self-attention matrix: how spread out each
+// word's attention is, how much attention each word receives, how much it
+// keeps for itself, and how much each input word reaches the last layer
+// once attention is followed through every layer (attention rollout).
+
+import { matMul } from './attention';
+import { entropy } from './stats';
+
+export const ANALYSIS_COLUMNS = ['entropy', 'received', 'self', 'influence'];
+
+export const DEFAULT_ANALYSIS_SORT = { key: 'received', direction: 'desc' };
+
+// Column sums: the total attention each key receives from every query.
+// Every row sums to 1, so the sums add up to the number of queries.
+export const receivedAttention = (weights) =>
+  (weights.length ? weights[0].map((_, j) => weights.reduce((sum, row) => sum + row[j], 0)) : []);
+
+// Attention rollout (Abnar & Zuidema, 2020). Each layer's head-averaged
+// weights get the residual connection added as an identity and are
+// renormalised, then the layers are multiplied from the first up:
+// rollout[i][j] is how much of word j's input reaches word i's output.
+export const attentionRollout = (layers) => {
+  if (!layers.length || !layers[0].length) return [];
+  return layers.reduce((rollout, weights) => {
+    const withResidual = weights.map((row, i) => {
+      const mixed = row.map((w, j) => 0.5 * w + (i === j ? 0.5 : 0));
+      const total = mixed.reduce((sum, val) => sum + val, 0);
+      return mixed.map(val => (total > 0 ? val / total : 0));
+    });
+    return rollout ? matMul(withResidual, rollout) : withResidual;
+  }, null);
+};
+
+// One entry per word. `received` is its column sum and `share` that sum as
+// a fraction of all attention; `influence` is its rollout column sum, as a
+// share too, and only there when a rollout is passed.
+export const tokenMetrics = (tokens, weights, rollout = null) => {
+  const received = receivedAttention(weights);
+  const influence = rollout && rollout.length ? receivedAttention(rollout) : null;
+  const n = weights.length;
+  return tokens.map((token, i) => ({
+    index: i,
+    token,
+    entropy: weights[i] ? entropy(weights[i]) : 0,
+    received: received[i] || 0,
+    share: n ? (received[i] || 0) / n : 0,
+    self: weights[i] ? weights[i][i] || 0 : 0,
+    influence: influence ? influence[i] / n : null
+  }));
+};
+
+// A sorted copy; ties keep sentence order
+export const sortMetrics = (metrics, { key, direction }) => {
+  const sign = direction === 'asc' ? 1 : -1;
+  return [...metrics].sort((a, b) => sign * ((a[key] || 0) - (b[key] || 0)) || a.index - b.index);
+};
+
+// The word with the highest (or, with `lowest`, the lowest) value
+export const standout = (metrics, key, lowest = false) =>
+  sortMetrics(metrics, { key, direction: lowest ? 'asc' : 'desc' })[0];
@@ -0,0 +1,68 @@
+import { receivedAttention, attentionRollout, tokenMetrics, sortMetrics, standout } from './analysis';
+
+const weights = [
+  [0.5, 0.5, 0],
+  [0.1, 0.2, 0.7],
+  [0, 0, 1]
+];
+const tokens = ['the', 'cat', 'sat'];
+
+describe('receivedAttention', () => {
+  it('sums every column', () => {
+    const received = receivedAttention(weights);
+    [0.6, 0.7, 1.7].forEach((val, j) => expect(received[j]).toBeCloseTo(val));
+    expect(receivedAttention([])).toEqual([]);
+  });
+});
+
+describe('attentionRollout', () => {
+  it('adds the residual to a single layer and keeps rows summing to 1', () => {
+    const [row] = attentionRollout([[[0, 1], [0, 1]]]);
+    expect(row).toEqual([0.5, 0.5]);
+  });
+
+  it('multiplies the layers from the first up', () => {
+    const first = [[1, 0], [1, 0]];
+    const second = [[0, 1], [0, 1]];
+    // layer 1 → [[1, 0], [0.5, 0.5]], layer 2 → [[0.5, 0.5], [0, 1]]
+    const rollout = attentionRollout([first, second]);
+    [[0.75, 0.25], [0.5, 0.5]].forEach((row, i) => row.forEach((val, j) => expect(rollout[i][j]).toBeCloseTo(val)));
+    rollout.forEach(row => expect(row[0] + row[1]).toBeCloseTo(1));
+    expect(attentionRollout([])).toEqual([]);
+  });
+});
+
+describe('tokenMetrics', () => {
+  it('reads entropy, received attention and self-attention per word', () => {
+    const [the, cat, sat] = tokenMetrics(tokens, weights);
+    expect(the.entropy).toBeCloseTo(1);
+    expect(sat.entropy).toBe(0);
+    expect(sat.received).toBeCloseTo(1.7);
+    expect(sat.share).toBeCloseTo(1.7 / 3);
+    expect(cat.self).toBeCloseTo(0.2);
+    expect(cat.influence).toBeNull();
+  });
+
+  it('gives each word its share of the rollout', () => {
+    const metrics = tokenMetrics(tokens, weights, attentionRollout([weights, weights]));
+    const total = metrics.reduce((sum, item) => sum + item.influence, 0);
+    expect(total).toBeCloseTo(1);
+    expect(standout(metrics, 'influence').token).toBe('sat');
+  });
+});
+
+describe('sortMetrics', () => {
+  const metrics = tokenMetrics(tokens, weights);
+
+  it('sorts either way without touching the original', () => {
+    expect(sortMetrics(metrics, { key: 'received', direction: 'desc' }).map(item => item.token)).toEqual(['sat', 'cat', 'the']);
+    expect(sortMetrics(metrics, { key: 'entropy', direction: 'asc' }).map(item => item.token)).toEqual(['sat', 'the', 'cat']);
+    expect(metrics.map(item => item.token)).toEqual(tokens);
+  });
+
+  it('keeps sentence order for ties', () => {
+    const tied = tokenMetrics(['a', 'b', 'c'], [[1, 0, 0], [0, 1, 0], [0, 0, 1]]);
+    expect(sortMetrics(tied, { key: 'self', direction: 'desc' }).map(item => item.index)).toEqual([0, 1, 2]);
+    expect(standout(tied, 'entropy', true).token).toBe('a');
+  });
+});
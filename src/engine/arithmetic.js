@@ -0,0 +1,72 @@
+// Frame-by-frame breakdown of one attention head, for the step-through
+// animation. Each frame is one small calculation:
+//   score   – Q_i · K_j as a sum of products, then ÷ √d_k (and the mask)
+//   softmax – one row of scores turned into weights
+//   sum     – weight_ij × V_j added into output row i
+
+export const ARITHMETIC_PHASES = ['score', 'softmax', 'sum'];
+
+// `head` is a computeAttention result (full precision).
+export const buildArithmeticFrames = ({ dK, Q, K, V, maskedScores, attentionWeights }) => {
+  const frames = [];
+  const scale = Math.sqrt(dK);
+
+  Q.forEach((q, i) => K.forEach((k, j) => {
+    const products = q.map((val, d) => val * k[d]);
+    const score = products.reduce((sum, val) => sum + val, 0);
+    frames.push({
+      phase: 'score',
+      i,
+      j,
+      query: q,
+      key: k,
+      products,
+      score,
+      scaled: score / scale,
+      value: maskedScores[i][j],
+      masked: maskedScores[i][j] === -Infinity
+    });
+  }));
+
+  // Same steps as softmax() in ./attention: subtract the row's max, exponentiate, divide by the total
+  maskedScores.forEach((row, i) => {
+    const max = Math.max(...row);
+    const exps = row.map(val => (max === -Infinity ? 0 : Math.exp(val - max)));
+    frames.push({
+      phase: 'softmax',
+      i,
+      scores: row,
+      max,
+      exps,
+      total: exps.reduce((sum, val) => sum + val, 0),
+      weights: attentionWeights[i]
+    });
+  });
+
+  attentionWeights.forEach((row, i) => {
+    let partial = V[0].map(() => 0);
+    row.forEach((weight, j) => {
+      const contribution = V[j].map(val => weight * val);
+      partial = partial.map((val, d) => val + contribution[d]);
+      frames.push({ phase: 'sum', i, j, weight, value: V[j], contribution, partial });
+    });
+  });
+
+  return frames;
+};
+
+export const phaseStart = (frames, phase) => Math.max(0, frames.findIndex(frame => frame.phase === phase));
+
+// Everything worked out up to and including frame `index`. Cells that
+// haven't been reached yet are null.
+export const arithmeticSnapshot = (frames, index, rows, cols) => {
+  const scores = Array.from({ length: rows }, () => Array(cols).fill(null));
+  const weights = Array.from({ length: rows }, () => null);
+  const output = Array.from({ length: rows }, () => null);
+  frames.slice(0, index + 1).forEach(frame => {
+    if (frame.phase === 'score') scores[frame.i][frame.j] = frame.value;
+    else if (frame.phase === 'softmax') weights[frame.i] = frame.weights;
+    else output[frame.i] = frame.partial;
+  });
+  return { scores, weights, output };
+};
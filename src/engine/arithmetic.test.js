@@ -0,0 +1,57 @@
+import { computeAttention } from './attention';
+import { causalMask } from './masking';
+import { buildArithmeticFrames, phaseStart, arithmeticSnapshot } from './arithmetic';
+
+const head = computeAttention({
+  embeddings: [[1, 0], [0, 1], [1, 1]],
+  WQ: [[1, 0.5], [0, 1]],
+  WK: [[0.5, 0], [1, 1]],
+  WV: [[1, 2], [3, -1]],
+  mask: causalMask(3)
+});
+const frames = buildArithmeticFrames(head);
+
+describe('buildArithmeticFrames', () => {
+  it('has one frame per score, one per softmax row and one per weighted value', () => {
+    expect(frames).toHaveLength(9 + 3 + 9);
+    expect(phaseStart(frames, 'score')).toBe(0);
+    expect(phaseStart(frames, 'softmax')).toBe(9);
+    expect(phaseStart(frames, 'sum')).toBe(12);
+  });
+
+  it('adds up the products of each dot product to the raw score', () => {
+    frames.filter(frame => frame.phase === 'score').forEach(({ i, j, products, score, scaled }) => {
+      expect(products.reduce((a, b) => a + b, 0)).toBeCloseTo(head.scores[i][j], 12);
+      expect(score).toBeCloseTo(head.scores[i][j], 12);
+      expect(scaled).toBeCloseTo(head.scaledScores[i][j], 12);
+    });
+    expect(frames[1]).toMatchObject({ i: 0, j: 1, masked: true, value: -Infinity });
+  });
+
+  it('normalizes each row the same way softmax does', () => {
+    const row = frames[phaseStart(frames, 'softmax') + 1];
+    row.exps.forEach((exp, j) => expect(exp / row.total).toBeCloseTo(head.attentionWeights[1][j], 12));
+    expect(row.exps[2]).toBe(0);
+  });
+
+  it('builds each output row from weighted values', () => {
+    const lastOfRow = frames.filter(frame => frame.phase === 'sum' && frame.j === 2);
+    lastOfRow.forEach(({ i, partial }) => {
+      partial.forEach((val, d) => expect(val).toBeCloseTo(head.output[i][d], 12));
+    });
+  });
+});
+
+describe('arithmeticSnapshot', () => {
+  it('fills scores cell by cell, then weights and outputs row by row', () => {
+    const early = arithmeticSnapshot(frames, 3, 3, 3);
+    expect(early.scores[0]).toEqual([frames[0].value, -Infinity, -Infinity]);
+    expect(early.scores[1]).toEqual([frames[3].value, null, null]);
+    expect(early.weights).toEqual([null, null, null]);
+
+    const late = arithmeticSnapshot(frames, 13, 3, 3);
+    expect(late.weights).toEqual(head.attentionWeights);
+    expect(late.output[0]).toEqual(frames[12].partial);
+    expect(late.output[1]).toBeNull();
+  });
+});
@@ -0,0 +1,75 @@
+// Core scaled dot-product attention math.
+// Everything here works at full floating-point precision; rounding for
+// display lives in ./format so the numbers we teach with stay exact.
+
+import { applyMask } from './masking';
+import { applyRope } from './positional';
+
+export const matMul = (A, B) => {
+  if (!A || !B || !A.length || !B.length || !A[0] || !B[0]) return [];
+  if (A[0].length !== B.length) {
+    throw new Error(`matMul: shape mismatch (${A.length}×${A[0].length} · ${B.length}×${B[0].length})`);
+  }
+  const result = Array.from({ length: A.length }, () =>
+    Array.from({ length: B[0].length }, () => 0)
+  );
+  for (let i = 0; i < A.length; i++) {
+    for (let j = 0; j < B[0].length; j++) {
+      for (let k = 0; k < B.length; k++) {
+        result[i][j] += A[i][k] * B[k][j];
+      }
+    }
+  }
+  return result;
+};
+
+export const transpose = (M) => {
+  if (!M || !M.length || !M[0]) return [];
+  return M[0].map((_, j) => M.map(row => row[j]));
+};
+
+// Numerically stable softmax over a single row. Masked entries (-∞) get
+// weight 0; a fully masked row has nothing to attend to and is all zeros.
+export const softmax = (arr) => {
+  if (!arr || !arr.length) return [];
+  const maxVal = Math.max(...arr);
+  if (maxVal === -Infinity) return arr.map(() => 0);
+  const exp = arr.map(x => Math.exp(x - maxVal));
+  const sum = exp.reduce((a, b) => a + b, 0);
+  return exp.map(x => x / sum);
+};
+
+export const projectQKV = (embeddings, { WQ, WK, WV }) => ({
+  Q: matMul(embeddings, WQ),
+  K: matMul(embeddings, WK),
+  V: matMul(embeddings, WV)
+});
+
+// Runs a single attention head and returns every intermediate tensor:
+// Q, K, V, raw scores (Q·Kᵀ), scaled scores (÷ √d_k), masked scores
+// (-∞ where `mask` blocks a pair), softmax weights and the weighted sum
+// of values. With `rope`, Q and K are rotated by position before scoring.
+// Cross-attention passes `keyEmbeddings`: queries come from `embeddings`
+// (the target), keys and values from `keyEmbeddings` (the source), and
+// every score matrix is target × source.
+export const computeAttention = ({ embeddings, keyEmbeddings = embeddings, WQ, WK, WV, mask = null, rope = false }) => {
+  const dK = WK && WK[0] ? WK[0].length : 0;
+  if (!embeddings || !embeddings.length || !keyEmbeddings || !keyEmbeddings.length || !dK) {
+    return { dK, Q: [], K: [], V: [], scores: [], scaledScores: [], maskedScores: [], attentionWeights: [], output: [] };
+  }
+
+  const projected = keyEmbeddings === embeddings
+    ? projectQKV(embeddings, { WQ, WK, WV })
+    : { Q: matMul(embeddings, WQ), K: matMul(keyEmbeddings, WK), V: matMul(keyEmbeddings, WV) };
+  const Q = rope ? applyRope(projected.Q) : projected.Q;
+  const K = rope ? applyRope(projected.K) : projected.K;
+  const { V } = projected;
+  const scores = matMul(Q, transpose(K));
+  const scale = Math.sqrt(dK);
+  const scaledScores = scores.map(row => row.map(val => val / scale));
+  const maskedScores = applyMask(scaledScores, mask);
+  const attentionWeights = maskedScores.map(row => softmax(row));
+  const output = matMul(attentionWeights, V);
+
+  return { dK, Q, K, V, scores, scaledScores, maskedScores, attentionWeights, output };
+};
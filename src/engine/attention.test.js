@@ -0,0 +1,115 @@
+import { matMul, transpose, softmax, computeAttention } from './attention';
+
+// e^(1/√2) / (e^(1/√2) + 1), worked out by hand for the identity example.
+const HIGH = 0.6697615493;
+const LOW = 0.3302384507;
+
+describe('matMul', () => {
+  it('multiplies rectangular matrices', () => {
+    expect(matMul([[1, 2, 3]], [[1], [0], [2]])).toEqual([[7]]);
+    expect(matMul([[1, 2], [3, 4]], [[5, 6], [7, 8]])).toEqual([[19, 22], [43, 50]]);
+  });
+
+  it('returns an empty matrix for empty input', () => {
+    expect(matMul([], [[1]])).toEqual([]);
+  });
+
+  it('rejects mismatched shapes', () => {
+    expect(() => matMul([[1, 2]], [[1, 2]])).toThrow(/shape mismatch/);
+  });
+});
+
+describe('transpose', () => {
+  it('swaps rows and columns', () => {
+    expect(transpose([[1, 2, 3], [4, 5, 6]])).toEqual([[1, 4], [2, 5], [3, 6]]);
+  });
+});
+
+describe('softmax', () => {
+  it('produces a probability distribution', () => {
+    const out = softmax([1, 2, 3]);
+    expect(out.reduce((a, b) => a + b, 0)).toBeCloseTo(1, 12);
+    expect(out[0]).toBeCloseTo(0.0900305732, 9);
+    expect(out[2]).toBeCloseTo(0.6652409558, 9);
+  });
+
+  it('is stable for large scores', () => {
+    expect(softmax([1000, 1000])).toEqual([0.5, 0.5]);
+  });
+});
+
+describe('computeAttention', () => {
+  it('matches hand-computed values for an identity projection', () => {
+    const result = computeAttention({
+      embeddings: [[1, 0], [0, 1]],
+      WQ: [[1, 0], [0, 1]],
+      WK: [[1, 0], [0, 1]],
+      WV: [[1, 2], [3, 4]]
+    });
+
+    expect(result.dK).toBe(2);
+    expect(result.scores).toEqual([[1, 0], [0, 1]]);
+    expect(result.scaledScores[0][0]).toBeCloseTo(Math.SQRT1_2, 12);
+    expect(result.scaledScores[0][1]).toBe(0);
+    expect(result.attentionWeights[0][0]).toBeCloseTo(HIGH, 9);
+    expect(result.attentionWeights[0][1]).toBeCloseTo(LOW, 9);
+    expect(result.attentionWeights[1][1]).toBeCloseTo(HIGH, 9);
+    // Row 0: 0.66976·[1, 2] + 0.33024·[3, 4]
+    expect(result.output[0][0]).toBeCloseTo(1.6604769014, 9);
+    expect(result.output[0][1]).toBeCloseTo(2.6604769014, 9);
+    expect(result.output[1][0]).toBeCloseTo(2.3395230986, 9);
+    expect(result.output[1][1]).toBeCloseTo(3.3395230986, 9);
+  });
+
+  it('handles non-square projections with d_k = 1', () => {
+    const result = computeAttention({
+      embeddings: [[1, 2, 0], [0, 1, 1]],
+      WQ: [[1], [0], [1]],
+      WK: [[0], [1], [2]],
+      WV: [[1, 0], [0, 1], [1, 1]]
+    });
+
+    expect(result.Q).toEqual([[1], [1]]);
+    expect(result.K).toEqual([[2], [3]]);
+    expect(result.V).toEqual([[1, 2], [1, 2]]);
+    expect(result.scores).toEqual([[2, 3], [2, 3]]);
+    // softmax([2, 3]) = [1, e] / (1 + e)
+    expect(result.attentionWeights[0][0]).toBeCloseTo(0.2689414214, 9);
+    expect(result.attentionWeights[0][1]).toBeCloseTo(0.7310585786, 9);
+    expect(result.output).toEqual([[1, 2], [1, 2]].map(row => row.map(v => expect.closeTo(v, 12))));
+  });
+
+  it('keeps full precision instead of rounding intermediate steps', () => {
+    const { Q } = computeAttention({
+      embeddings: [[0.123456]],
+      WQ: [[1]],
+      WK: [[1]],
+      WV: [[1]]
+    });
+    expect(Q[0][0]).toBe(0.123456);
+  });
+
+  it('takes queries from the target and keys and values from the source', () => {
+    const result = computeAttention({
+      embeddings: [[1, 0]],
+      keyEmbeddings: [[1, 0], [0, 1], [1, 1]],
+      WQ: [[1], [0]],
+      WK: [[1], [0]],
+      WV: [[1, 0], [0, 1]]
+    });
+
+    expect(result.Q).toEqual([[1]]);
+    expect(result.K).toEqual([[1], [0], [1]]);
+    expect(result.V).toEqual([[1, 0], [0, 1], [1, 1]]);
+    // One target word scoring three source words: a 1 × 3 matrix
+    expect(result.scores).toEqual([[1, 0, 1]]);
+    expect(result.attentionWeights[0].reduce((a, b) => a + b, 0)).toBeCloseTo(1, 12);
+    expect(result.output).toHaveLength(1);
+  });
+
+  it('returns empty tensors for an empty sentence', () => {
+    const result = computeAttention({ embeddings: [], WQ: [[1]], WK: [[1]], WV: [[1]] });
+    expect(result.attentionWeights).toEqual([]);
+    expect(result.output).toEqual([]);
+  });
+});
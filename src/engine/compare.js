@@ -0,0 +1,25 @@
+// Compare mode: the same attention matrix from two runs, side A and side B.
+// Side B can use another sentence, other weights, or both.
+
+import { presetHeadWeights } from './model';
+
+// Weights for side B: the same as side A, or a weight-editor preset
+export const COMPARE_WEIGHTS = ['same', 'identity', 'random'];
+
+export const compareHeadWeights = (heads, preset) =>
+  (preset === 'same' ? heads : heads.map((weights, h) => presetHeadWeights(preset, weights, h + 1)));
+
+// B − A cell by cell, or null when the two matrices have different shapes
+// (different sentence lengths) and there is nothing to line up.
+export const differenceMatrix = (A, B) => {
+  if (!A.length || A.length !== B.length || A.some((row, i) => row.length !== B[i].length)) return null;
+  return A.map((row, i) => row.map((val, j) => B[i][j] - val));
+};
+
+// The `count` cells that changed most, largest first.
+export const largestChanges = (diff, count = 3) =>
+  diff
+    .flatMap((row, i) => row.map((delta, j) => ({ i, j, delta })))
+    .filter(({ delta }) => delta !== 0)
+    .sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta))
+    .slice(0, count);
@@ -0,0 +1,41 @@
+import { createHeadWeights } from './model';
+import { compareHeadWeights, differenceMatrix, largestChanges } from './compare';
+
+describe('compareHeadWeights', () => {
+  const heads = createHeadWeights(2);
+
+  it('keeps side A\'s weights for "same"', () => {
+    expect(compareHeadWeights(heads, 'same')).toBe(heads);
+  });
+
+  it('applies a preset to every head with the same shapes', () => {
+    const random = compareHeadWeights(heads, 'random');
+    expect(random[0].WQ).not.toEqual(heads[0].WQ);
+    expect(random[0].WQ).not.toEqual(random[1].WQ);
+    expect(random[1].WV.length).toBe(heads[1].WV.length);
+    expect(compareHeadWeights(heads, 'identity')[0].WQ[0][0]).toBe(1);
+  });
+});
+
+describe('differenceMatrix', () => {
+  it('subtracts side A from side B', () => {
+    expect(differenceMatrix([[0.5, 0.5], [1, 0]], [[0.25, 0.75], [1, 0]])).toEqual([[-0.25, 0.25], [0, 0]]);
+  });
+
+  it('returns null when the shapes differ', () => {
+    expect(differenceMatrix([[1]], [[0.5, 0.5], [1, 0]])).toBeNull();
+    expect(differenceMatrix([], [])).toBeNull();
+  });
+});
+
+describe('largestChanges', () => {
+  it('lists the biggest changes in either direction first and skips unchanged cells', () => {
+    const diff = [[0.1, -0.4], [0, 0.2]];
+    expect(largestChanges(diff)).toEqual([
+      { i: 0, j: 1, delta: -0.4 },
+      { i: 1, j: 1, delta: 0.2 },
+      { i: 0, j: 0, delta: 0.1 }
+    ]);
+    expect(largestChanges(diff, 1)).toHaveLength(1);
+  });
+});
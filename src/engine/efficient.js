@@ -0,0 +1,112 @@
+// Cheaper attention for long inputs. Full attention scores every query
+// against every key, so its cost grows with n². The variants here either
+// skip most pairs (a fixed sparsity pattern, expressed as a mask like those
+// in ./masking) or never build the n × n matrix at all (linear attention).
+//
+// 'full'    every pair
+// 'window'  each word sees the `window` words on either side of it
+// 'sparse'  the window, plus every `stride`-th word away from it, plus
+//           `globalTokens` words at the start that see and are seen by
+//           everyone (Sparse Transformer / Longformer / BigBird style)
+// 'linear'  softmax(q·k) replaced by φ(q)·φ(k) with φ(x) = elu(x) + 1, so
+//           Σ_j φ(k_j) v_jᵀ can be summed once and shared by every query
+
+import { softmax } from './attention';
+import { applyMask } from './masking';
+
+export const EFFICIENT_VARIANTS = ['full', 'window', 'sparse', 'linear'];
+
+export const DEFAULT_EFFICIENT = { variant: 'window', window: 2, stride: 4, globalTokens: 1 };
+
+// Sentence lengths for the "as the sentence gets longer" readout
+export const OPERATION_LENGTHS = [16, 64, 256, 1024];
+
+const range = (n) => Array.from({ length: n }, (_, i) => i);
+
+// Whether query i may look at key j under a sparsity pattern
+const allowed = (variant, i, j, { window, stride, globalTokens }) => {
+  if (variant === 'window') return Math.abs(i - j) <= window;
+  if (variant === 'sparse') {
+    return Math.abs(i - j) <= window || (stride > 0 && Math.abs(i - j) % stride === 0) || i < globalTokens || j < globalTokens;
+  }
+  return true;
+};
+
+// The variant's pattern as a mask (true = skipped), or null when every pair
+// is scored
+export const variantMask = (variant, rows, cols, settings = DEFAULT_EFFICIENT) => {
+  if (variant !== 'window' && variant !== 'sparse') return null;
+  return range(rows).map(i => range(cols).map(j => !allowed(variant, i, j, settings)));
+};
+
+// Blocked where either mask blocks
+export const combineMasks = (a, b) => {
+  if (!a) return b;
+  if (!b) return a;
+  return a.map((row, i) => row.map((blocked, j) => blocked || Boolean(b[i] && b[i][j])));
+};
+
+const featureMap = (x) => (x > 0 ? x + 1 : Math.exp(x));
+
+const dot = (a, b) => a.reduce((sum, val, k) => sum + val * b[k], 0);
+
+// The weights linear attention implicitly uses: φ(q_i)·φ(k_j) over the
+// row's total. They are never negative, so no max-subtraction is needed.
+export const linearAttentionWeights = (Q, K, mask = null) => {
+  const phiK = K.map(row => row.map(featureMap));
+  return Q.map((q, i) => {
+    const phiQ = q.map(featureMap);
+    const raw = phiK.map((k, j) => (mask && mask[i] && mask[i][j] ? 0 : dot(phiQ, k)));
+    const total = raw.reduce((a, b) => a + b, 0);
+    return total > 0 ? raw.map(val => val / total) : raw;
+  });
+};
+
+// Attention weights under a variant. `scaledScores` are Q·Kᵀ ÷ √d_k before
+// masking; `mask` is the walkthrough's own mask, kept on top of the pattern.
+export const variantWeights = ({ variant, scaledScores, Q, K, mask = null, settings = DEFAULT_EFFICIENT }) => {
+  if (variant === 'linear') return linearAttentionWeights(Q, K, mask);
+  const rows = scaledScores.length;
+  const cols = rows ? scaledScores[0].length : 0;
+  const combined = combineMasks(variantMask(variant, rows, cols, settings), mask);
+  return applyMask(scaledScores, combined).map(row => softmax(row));
+};
+
+// Query-key pairs a variant scores for an n-word sentence
+export const scoredPairs = (variant, n, settings = DEFAULT_EFFICIENT) => {
+  if (variant === 'window') {
+    return range(n).reduce((sum, i) => sum + Math.min(n - 1, i + settings.window) - Math.max(0, i - settings.window) + 1, 0);
+  }
+  if (variant === 'sparse') {
+    let count = 0;
+    for (let i = 0; i < n; i++) {
+      for (let j = 0; j < n; j++) if (allowed(variant, i, j, settings)) count++;
+    }
+    return count;
+  }
+  return n * n;
+};
+
+// Multiply-adds for one head over an n-word sentence (ignoring the
+// exponentials and the division, which are the same order as the pairs).
+// Sparse patterns score each kept pair (d_k) and add its value (d_v).
+// Linear attention sums φ(k_j) v_jᵀ and φ(k_j) once (n·d_k·d_v + n·d_k),
+// then each query reads them back (n·d_k·d_v + n·d_k).
+export const operationCount = (variant, n, { dK, dV, ...settings }) => {
+  if (variant === 'linear') return 2 * n * dK * dV + 2 * n * dK;
+  return scoredPairs(variant, n, settings) * (dK + dV);
+};
+
+// Cost of a variant next to full attention, for the current sentence and
+// for longer ones. `options` are the pattern settings plus dK and dV.
+export const operationReadout = (variant, n, options) => {
+  const row = (length) => {
+    const full = operationCount('full', length, options);
+    const ops = operationCount(variant, length, options);
+    return { n: length, full, ops, ratio: full ? ops / full : 1 };
+  };
+  return {
+    current: row(n),
+    growth: OPERATION_LENGTHS.filter(length => length > n).map(row)
+  };
+};
@@ -0,0 +1,108 @@
+import {
+  DEFAULT_EFFICIENT,
+  OPERATION_LENGTHS,
+  variantMask,
+  combineMasks,
+  linearAttentionWeights,
+  variantWeights,
+  scoredPairs,
+  operationCount,
+  operationReadout
+} from './efficient';
+import { causalMask } from './masking';
+import { softmax } from './attention';
+
+const settings = { window: 1, stride: 3, globalTokens: 1 };
+const show = (mask) => mask.map(row => row.map(blocked => (blocked ? '.' : 'x')).join(''));
+
+describe('variantMask', () => {
+  it('keeps a band around the diagonal for a sliding window', () => {
+    expect(show(variantMask('window', 4, 4, settings))).toEqual(['xx..', 'xxx.', '.xxx', '..xx']);
+  });
+
+  it('adds strided and global words for the sparse pattern', () => {
+    expect(show(variantMask('sparse', 6, 6, settings))).toEqual([
+      'xxxxxx',
+      'xxx.x.',
+      'xxxx.x',
+      'x.xxx.',
+      'xx.xxx',
+      'x.x.xx'
+    ]);
+  });
+
+  it('blocks nothing for full and linear attention', () => {
+    expect(variantMask('full', 3, 3, settings)).toBeNull();
+    expect(variantMask('linear', 3, 3, settings)).toBeNull();
+  });
+});
+
+describe('combineMasks', () => {
+  it('blocks where either mask does', () => {
+    const combined = combineMasks(variantMask('window', 3, 3, settings), causalMask(3));
+    expect(show(combined)).toEqual(['x..', 'xx.', '.xx']);
+    expect(combineMasks(null, causalMask(2))).toEqual(causalMask(2));
+  });
+});
+
+describe('variantWeights', () => {
+  const scaledScores = [[1, 0.5, -1], [0.2, 0.1, 0.3], [2, -2, 0]];
+  const Q = [[1, 0], [0, 1], [-1, 1]];
+  const K = [[1, 1], [0, -1], [2, 0]];
+
+  it('matches plain softmax for full attention', () => {
+    expect(variantWeights({ variant: 'full', scaledScores, Q, K })).toEqual(scaledScores.map(row => softmax(row)));
+  });
+
+  it('gives skipped pairs exactly zero weight', () => {
+    const weights = variantWeights({ variant: 'window', scaledScores, Q, K, settings });
+    expect(weights[0][2]).toBe(0);
+    expect(weights[2][0]).toBe(0);
+    expect(weights[0][0] + weights[0][1]).toBeCloseTo(1);
+  });
+
+  it('keeps the walkthrough mask on top of the pattern', () => {
+    const weights = variantWeights({ variant: 'sparse', scaledScores, Q, K, mask: causalMask(3), settings });
+    expect(weights[0]).toEqual([1, 0, 0]);
+  });
+
+  it('uses the φ(q)·φ(k) weights for linear attention', () => {
+    const weights = variantWeights({ variant: 'linear', scaledScores, Q, K });
+    expect(weights).toEqual(linearAttentionWeights(Q, K));
+    // φ(1, 0) = (2, 1); φ(k) = (2, 2), (1, e⁻¹), (3, 1)
+    const raw = [6, 2 + Math.exp(-1), 7];
+    const total = raw.reduce((a, b) => a + b, 0);
+    raw.forEach((val, j) => expect(weights[0][j]).toBeCloseTo(val / total));
+    weights.forEach(row => expect(row.reduce((a, b) => a + b, 0)).toBeCloseTo(1));
+  });
+});
+
+describe('operation counts', () => {
+  const sizes = { ...DEFAULT_EFFICIENT, dK: 4, dV: 4 };
+
+  it('counts scored pairs without building the pattern', () => {
+    [5, 9].forEach(n => {
+      ['window', 'sparse'].forEach(variant => {
+        const kept = variantMask(variant, n, n, settings).flat().filter(blocked => !blocked).length;
+        expect(scoredPairs(variant, n, settings)).toBe(kept);
+      });
+    });
+    expect(scoredPairs('full', 7, settings)).toBe(49);
+  });
+
+  it('prices full attention at n²·(d_k + d_v) and linear at 2n·d_k·(d_v + 1)', () => {
+    expect(operationCount('full', 10, sizes)).toBe(800);
+    expect(operationCount('linear', 10, sizes)).toBe(400);
+  });
+
+  it('grows linearly for the window and linear attention but quadratically for full', () => {
+    const { current, growth } = operationReadout('window', 6, sizes);
+    expect(current.full).toBe(288);
+    expect(growth.map(row => row.n)).toEqual(OPERATION_LENGTHS);
+    const [short, long] = [growth[0], growth[growth.length - 1]];
+    expect(long.full / short.full).toBe((long.n / short.n) ** 2);
+    expect(long.ops / short.ops).toBeLessThan((long.n / short.n) * 1.1);
+    expect(long.ratio).toBeLessThan(short.ratio);
+    expect(operationReadout('linear', 2000, sizes).growth).toEqual([]);
+  });
+});
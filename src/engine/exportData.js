@@ -0,0 +1,101 @@
+// Everything needed to take the current sentence out of the app: file
+// names, a JSON bundle of every intermediate matrix, and the same bundle as
+// CSV. All values are full precision.
+
+const MAX_SLUG_LENGTH = 40;
+
+export const slugify = (text) =>
+  String(text)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, MAX_SLUG_LENGTH)
+    .replace(/-+$/, '');
+
+// e.g. exportFileName("The cat sat", "Step 5: Attention Spotlight", "png")
+// → "the-cat-sat_step-5-attention-spotlight.png"
+export const exportFileName = (sentence, stepTitle, extension) => {
+  const parts = [slugify(sentence) || 'attention', slugify(stepTitle)].filter(Boolean);
+  return `${parts.join('_')}.${extension}`;
+};
+
+// -∞ (masked scores) isn't valid JSON, so it is written as a string
+const jsonValue = (key, val) => (val === -Infinity ? '-Infinity' : val);
+
+const HEAD_MATRICES = ['WQ', 'WK', 'WV', 'Q', 'K', 'V', 'scores', 'scaledScores', 'maskedScores', 'attentionWeights', 'output'];
+
+// `attention` is the visualizer's pipeline result; `weights` the per-head
+// W_Q/W_K/W_V actually used. Cross-attention adds the target sentence, whose
+// tokens label the query side of every matrix.
+export const buildExportBundle = ({ sentence, target = null, step, tokens, queryTokens = tokens, settings, attention, weights, WO = null, mask = null }) => ({
+  sentence,
+  ...(target !== null ? { target, targetTokens: queryTokens } : {}),
+  step,
+  tokens,
+  settings,
+  matrices: {
+    tokenEmbeddings: attention.tokenEmbeddings,
+    positions: attention.positions,
+    embeddings: attention.embeddings,
+    ...(attention.targetEmbeddings ? {
+      targetTokenEmbeddings: attention.targetTokenEmbeddings,
+      targetPositions: attention.targetPositions,
+      targetEmbeddings: attention.targetEmbeddings
+    } : {}),
+    ...(mask ? { mask: mask.map(row => row.map(Number)) } : {}),
+    heads: attention.heads.map((head, h) => Object.fromEntries(
+      HEAD_MATRICES.map(name => [name, name in weights[h] ? weights[h][name] : head[name]])
+    )),
+    ...(attention.heads.length > 1 ? { concat: attention.concat, WO } : {}),
+    output: attention.output
+  }
+});
+
+export const bundleToJson = (bundle) => JSON.stringify(bundle, jsonValue, 2);
+
+const csvCell = (val) => {
+  const text = val === -Infinity ? '-Infinity' : String(val);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCsv = (rows) => rows.map(row => row.map(csvCell).join(',')).join('\n');
+
+// Score-like matrices have one column per key token; weight matrices have
+// no token rows at all.
+const TOKEN_COLUMNS = ['mask', 'scores', 'scaledScores', 'maskedScores', 'attentionWeights'];
+const WEIGHT_MATRICES = ['WQ', 'WK', 'WV', 'WO'];
+// Matrices whose rows are the query (target) tokens
+const QUERY_ROWS = [...TOKEN_COLUMNS, 'Q', 'output', 'concat', 'targetTokenEmbeddings', 'targetPositions', 'targetEmbeddings'];
+
+const matrixRows = (title, name, matrix, tokens, queryTokens) => {
+  const width = matrix[0] ? matrix[0].length : 0;
+  const colLabels = TOKEN_COLUMNS.includes(name) ? tokens : Array.from({ length: width }, (_, j) => `d${j}`);
+  const rowLabel = (i) => {
+    if (WEIGHT_MATRICES.includes(name)) return `r${i}`;
+    return QUERY_ROWS.includes(name) ? queryTokens[i] : tokens[i];
+  };
+  return [
+    [`# ${title}`],
+    ['', ...colLabels],
+    ...matrix.map((row, i) => [rowLabel(i), ...row])
+  ];
+};
+
+// One CSV with a titled block per matrix, separated by blank lines.
+export const bundleToCsv = ({ sentence, target, tokens, targetTokens = tokens, matrices }) => {
+  const blocks = [[['# sentence', sentence], ...(target !== undefined ? [['# target', target]] : [])]];
+  Object.entries(matrices).forEach(([name, value]) => {
+    if (name === 'heads') {
+      value.forEach((head, h) => {
+        Object.entries(head).forEach(([matrixName, matrix]) => {
+          blocks.push(matrixRows(`head ${h + 1} ${matrixName}`, matrixName, matrix, tokens, targetTokens));
+        });
+      });
+    } else if (value) {
+      blocks.push(matrixRows(name, name, value, tokens, targetTokens));
+    }
+  });
+  return blocks.map(toCsv).join('\n\n');
+};
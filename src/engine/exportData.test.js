@@ -0,0 +1,81 @@
+import { computeMultiHeadAttention } from './multiHead';
+import { createHeadWeights } from './model';
+import { causalMask } from './masking';
+import { slugify, exportFileName, buildExportBundle, bundleToJson, bundleToCsv, toCsv } from './exportData';
+
+const embeddings = [[1, 0, 0, 1], [0, 1, 1, 0], [1, 1, 0, 0]];
+const tokens = ['the', 'cat', 'sat'];
+
+const makeBundle = (numHeads, mask = null) => {
+  const weights = createHeadWeights(numHeads);
+  const attention = {
+    tokenEmbeddings: embeddings,
+    positions: embeddings.map(row => row.map(() => 0)),
+    embeddings,
+    ...computeMultiHeadAttention({ embeddings, heads: weights, mask })
+  };
+  return buildExportBundle({ sentence: 'The cat sat', step: 'Step 5: Attention Spotlight', tokens, settings: {}, attention, weights, mask });
+};
+
+describe('export file names', () => {
+  it('includes the sentence and the step', () => {
+    expect(exportFileName('The cat sat!', 'Step 5: Attention Spotlight', 'png')).toBe('the-cat-sat_step-5-attention-spotlight.png');
+  });
+
+  it('strips accents and keeps names short', () => {
+    expect(slugify('Café  über')).toBe('cafe-uber');
+    expect(slugify('a'.repeat(100))).toHaveLength(40);
+    expect(exportFileName('???', 'Step 1', 'csv')).toBe('attention_step-1.csv');
+  });
+});
+
+describe('data bundle', () => {
+  it('holds every intermediate matrix for each head', () => {
+    const bundle = makeBundle(2);
+    expect(Object.keys(bundle.matrices.heads[0])).toEqual(
+      ['WQ', 'WK', 'WV', 'Q', 'K', 'V', 'scores', 'scaledScores', 'maskedScores', 'attentionWeights', 'output']
+    );
+    expect(bundle.matrices.heads).toHaveLength(2);
+    expect(bundle.matrices.concat[0]).toHaveLength(4);
+  });
+
+  it('writes masked scores as "-Infinity" in JSON', () => {
+    const parsed = JSON.parse(bundleToJson(makeBundle(1, causalMask(3))));
+    expect(parsed.matrices.heads[0].maskedScores[0][1]).toBe('-Infinity');
+    expect(parsed.matrices.mask[0]).toEqual([0, 1, 1]);
+    expect(parsed.matrices.concat).toBeUndefined();
+  });
+
+  it('writes a labelled CSV block per matrix', () => {
+    const csv = bundleToCsv(makeBundle(1));
+    expect(csv).toContain('# head 1 attentionWeights\n,the,cat,sat\nthe,');
+    expect(csv).toContain('# head 1 WQ\n,d0,d1\nr0,0.5,-0.3');
+    expect(csv.split('\n\n')).toHaveLength(1 + 3 + 11 + 1);
+  });
+
+  it('labels query rows with the target sentence in cross-attention', () => {
+    const weights = createHeadWeights(1);
+    const target = [[1, 1, 1, 1], [0, 0, 1, 1]];
+    const attention = {
+      tokenEmbeddings: embeddings,
+      positions: embeddings,
+      embeddings,
+      targetTokenEmbeddings: target,
+      targetPositions: target,
+      targetEmbeddings: target,
+      ...computeMultiHeadAttention({ embeddings: target, keyEmbeddings: embeddings, heads: weights })
+    };
+    const bundle = buildExportBundle({
+      sentence: 'The cat sat', target: 'Le chat', step: 'Step 5', tokens, queryTokens: ['le', 'chat'], settings: {}, attention, weights
+    });
+    expect(bundle.targetTokens).toEqual(['le', 'chat']);
+    const csv = bundleToCsv(bundle);
+    expect(csv).toContain('# target,Le chat');
+    expect(csv).toContain('# head 1 attentionWeights\n,the,cat,sat\nle,');
+    expect(csv).toContain('# head 1 K\n,d0,d1\nthe,');
+  });
+
+  it('quotes CSV cells that need it', () => {
+    expect(toCsv([['a,b', 'say "hi"', 1]])).toBe('"a,b","say ""hi""",1');
+  });
+});
@@ -0,0 +1,124 @@
+// Layout and geometry for the attention flow canvas. Everything is in CSS
+// pixels; the component scales by devicePixelRatio when it draws.
+// Tokens sit on one line while they fit and wrap onto more rows when they
+// don't. Self-attention arcs bend upwards; cross-attention connects a block
+// of target rows above to a block of source rows below.
+
+const PADDING = 24;
+// Narrowest slot a token label gets before the line wraps
+export const MIN_SLOT = 56;
+export const ROW_HEIGHT = 72;
+// Room above the first self-attention row for the arcs
+const ARC_SPACE = 64;
+// Gap between the target and source blocks in cross-attention
+const CROSS_GAP = 96;
+const LABEL_SPACE = 18;
+
+const placeRows = (count, width, top) => {
+  const usable = Math.max(MIN_SLOT, width - 2 * PADDING);
+  const perRow = Math.max(1, Math.floor(usable / MIN_SLOT));
+  const columns = Math.max(1, Math.min(count, perRow));
+  const slot = usable / columns;
+  const points = Array.from({ length: count }, (_, i) => {
+    const row = Math.floor(i / perRow);
+    return { x: PADDING + slot * ((i % perRow) + 0.5), y: top + row * ROW_HEIGHT, row };
+  });
+  const rows = Math.max(1, Math.ceil(count / perRow));
+  return { points, slot, bottom: top + (rows - 1) * ROW_HEIGHT };
+};
+
+export const flowLayout = ({ width, keyCount, queryCount = keyCount, cross = false }) => {
+  if (!cross) {
+    const { points, slot, bottom } = placeRows(keyCount, width, PADDING + ARC_SPACE);
+    return { width, height: bottom + LABEL_SPACE + PADDING, slot, keys: points, queries: points };
+  }
+  const top = placeRows(queryCount, width, PADDING + LABEL_SPACE);
+  const below = placeRows(keyCount, width, top.bottom + CROSS_GAP);
+  return {
+    width,
+    height: below.bottom + LABEL_SPACE + PADDING,
+    slot: Math.min(top.slot, below.slot),
+    keys: below.points,
+    queries: top.points
+  };
+};
+
+// Quadratic curve control point: the midpoint pushed `lift` pixels along
+// the normal that points up the screen.
+export const curveControl = (start, end, lift) => {
+  const dx = end.x - start.x;
+  const dy = end.y - start.y;
+  const length = Math.hypot(dx, dy) || 1;
+  let nx = dy / length;
+  let ny = -dx / length;
+  if (ny > 0 || (ny === 0 && nx < 0)) {
+    nx = -nx;
+    ny = -ny;
+  }
+  return { x: (start.x + end.x) / 2 + nx * lift, y: (start.y + end.y) / 2 + ny * lift };
+};
+
+export const pointOnCurve = (start, control, end, t) => ({
+  x: (1 - t) * (1 - t) * start.x + 2 * t * (1 - t) * control.x + t * t * end.x,
+  y: (1 - t) * (1 - t) * start.y + 2 * t * (1 - t) * control.y + t * t * end.y
+});
+
+// Weights below this are left out; with many tokens even the interesting
+// weights are small, so the cut-off shrinks with the sentence length.
+export const minFlowWeight = (count) => Math.min(0.05, 0.5 / Math.max(1, count));
+
+// One curve per head for every key the selected query attends to.
+// `rows` is [{ head, weights }], each `weights` the query's attention row.
+export const buildConnections = ({ layout, rows, from, cross = false }) => {
+  const start = layout.queries[from];
+  if (!start) return [];
+  const threshold = minFlowWeight(layout.keys.length);
+  return rows.flatMap(({ head, weights }, h) => weights.flatMap((weight, to) => {
+    const end = layout.keys[to];
+    if (!end || weight <= threshold || (!cross && to === from)) return [];
+    // Self arcs rise with distance; overlaid heads are spread apart
+    const lift = cross
+      ? (h - (rows.length - 1) / 2) * 12
+      : Math.min(ARC_SPACE - 8, 12 + Math.hypot(end.x - start.x, end.y - start.y) * 0.25) + h * 6;
+    return [{ head, from, to, weight, start, end, control: curveControl(start, end, lift) }];
+  }));
+};
+
+const CURVE_SAMPLES = 24;
+
+export const distanceToCurve = (point, { start, control, end }) => {
+  let best = Infinity;
+  for (let s = 0; s <= CURVE_SAMPLES; s++) {
+    const p = pointOnCurve(start, control, end, s / CURVE_SAMPLES);
+    best = Math.min(best, Math.hypot(p.x - point.x, p.y - point.y));
+  }
+  return best;
+};
+
+// The connection closest to (x, y), if any is within `tolerance` pixels
+export const hitConnection = (connections, x, y, tolerance = 6) => {
+  let hit = null;
+  let best = tolerance;
+  connections.forEach(connection => {
+    const distance = distanceToCurve({ x, y }, connection);
+    if (distance <= best) {
+      best = distance;
+      hit = connection;
+    }
+  });
+  return hit;
+};
+
+// Index of the token whose dot or label is at (x, y), or -1
+export const hitToken = (points, x, y, radius = 14) => {
+  let hit = -1;
+  let best = radius;
+  points.forEach((point, i) => {
+    const distance = Math.hypot(point.x - x, point.y - y);
+    if (distance <= best) {
+      best = distance;
+      hit = i;
+    }
+  });
+  return hit;
+};
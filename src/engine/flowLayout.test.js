@@ -0,0 +1,91 @@
+import {
+  MIN_SLOT,
+  ROW_HEIGHT,
+  flowLayout,
+  curveControl,
+  pointOnCurve,
+  minFlowWeight,
+  buildConnections,
+  hitConnection,
+  hitToken
+} from './flowLayout';
+
+describe('flowLayout', () => {
+  it('keeps a short sentence on one line', () => {
+    const layout = flowLayout({ width: 600, keyCount: 6 });
+    expect(new Set(layout.keys.map(p => p.y)).size).toBe(1);
+    expect(layout.queries).toBe(layout.keys);
+    layout.keys.forEach(p => {
+      expect(p.x).toBeGreaterThan(0);
+      expect(p.x).toBeLessThan(600);
+    });
+  });
+
+  it('wraps long sentences so every token keeps at least MIN_SLOT pixels', () => {
+    const layout = flowLayout({ width: 600, keyCount: 120 });
+    expect(layout.slot).toBeGreaterThanOrEqual(MIN_SLOT);
+    const rows = Math.max(...layout.keys.map(p => p.row)) + 1;
+    expect(rows).toBeGreaterThan(1);
+    expect(layout.keys[layout.keys.length - 1].y - layout.keys[0].y).toBe((rows - 1) * ROW_HEIGHT);
+    expect(layout.height).toBeGreaterThan(layout.keys[layout.keys.length - 1].y);
+  });
+
+  it('grows taller, not wider, on narrow screens', () => {
+    const wide = flowLayout({ width: 1200, keyCount: 30 });
+    const narrow = flowLayout({ width: 320, keyCount: 30 });
+    expect(narrow.height).toBeGreaterThan(wide.height);
+    narrow.keys.forEach(p => expect(p.x).toBeLessThan(320));
+  });
+
+  it('puts the target sentence above the source in cross-attention', () => {
+    const layout = flowLayout({ width: 600, keyCount: 4, queryCount: 7, cross: true });
+    expect(layout.queries).toHaveLength(7);
+    expect(layout.keys).toHaveLength(4);
+    expect(Math.max(...layout.queries.map(p => p.y))).toBeLessThan(Math.min(...layout.keys.map(p => p.y)));
+  });
+});
+
+describe('curves', () => {
+  it('bends arcs between tokens on the same line upwards', () => {
+    const control = curveControl({ x: 0, y: 100 }, { x: 200, y: 100 }, 30);
+    expect(control).toEqual({ x: 100, y: 70 });
+    expect(curveControl({ x: 200, y: 100 }, { x: 0, y: 100 }, 30)).toEqual({ x: 100, y: 70 });
+  });
+
+  it('starts and ends on the two tokens', () => {
+    const start = { x: 10, y: 20 };
+    const end = { x: 90, y: 20 };
+    const control = curveControl(start, end, 40);
+    expect(pointOnCurve(start, control, end, 0)).toEqual(start);
+    expect(pointOnCurve(start, control, end, 1)).toEqual(end);
+  });
+});
+
+describe('connections', () => {
+  const layout = flowLayout({ width: 600, keyCount: 4 });
+
+  it('skips the token itself and weights below the cut-off', () => {
+    const connections = buildConnections({ layout, rows: [{ head: 0, weights: [0.5, 0.01, 0.29, 0.2] }], from: 0 });
+    expect(connections.map(c => c.to)).toEqual([2, 3]);
+  });
+
+  it('lowers the cut-off for long sentences', () => {
+    expect(minFlowWeight(4)).toBe(0.05);
+    expect(minFlowWeight(100)).toBe(0.005);
+  });
+
+  it('keeps overlaid heads apart', () => {
+    const rows = [{ head: 0, weights: [0, 1, 0, 0] }, { head: 1, weights: [0, 1, 0, 0] }];
+    const [a, b] = buildConnections({ layout, rows, from: 0 });
+    expect(a.control.y).not.toBe(b.control.y);
+  });
+
+  it('finds the connection and the token under the pointer', () => {
+    const connections = buildConnections({ layout, rows: [{ head: 0, weights: [0, 0, 0, 1] }], from: 0 });
+    const middle = pointOnCurve(connections[0].start, connections[0].control, connections[0].end, 0.5);
+    expect(hitConnection(connections, middle.x, middle.y + 3)).toBe(connections[0]);
+    expect(hitConnection(connections, middle.x, middle.y + 40)).toBeNull();
+    expect(hitToken(layout.keys, layout.keys[2].x + 4, layout.keys[2].y + 6)).toBe(2);
+    expect(hitToken(layout.keys, 0, 0)).toBe(-1);
+  });
+});
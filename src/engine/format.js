@@ -0,0 +1,38 @@
+// Display-only rounding. Never feed these values back into the math.
+
+export const round = (val, decimals = 2) => {
+  if (typeof val !== 'number' || !Number.isFinite(val)) return val;
+  const factor = 10 ** decimals;
+  return Math.round(val * factor) / factor;
+};
+
+export const roundMatrix = (matrix, decimals = 2) =>
+  (matrix || []).map(row => row.map(val => round(val, decimals)));
+
+// Probabilities get an extra decimal so small weights don't collapse to 0.
+export const DISPLAY_DECIMALS = {
+  tokenEmbeddings: 2,
+  positions: 2,
+  embeddings: 2,
+  targetTokenEmbeddings: 2,
+  targetEmbeddings: 2,
+  Q: 2,
+  K: 2,
+  V: 2,
+  scores: 2,
+  scaledScores: 2,
+  maskedScores: 2,
+  attentionWeights: 3,
+  output: 2,
+  concat: 2
+};
+
+export const roundForDisplay = (result) => {
+  const rounded = { ...result };
+  Object.entries(DISPLAY_DECIMALS).forEach(([key, decimals]) => {
+    if (Array.isArray(result[key])) {
+      rounded[key] = roundMatrix(result[key], decimals);
+    }
+  });
+  return rounded;
+};
@@ -0,0 +1,25 @@
+import { round, roundMatrix, roundForDisplay } from './format';
+
+describe('display rounding', () => {
+  it('rounds numbers and leaves labels alone', () => {
+    expect(round(0.126)).toBe(0.13);
+    expect(round(0.12345, 3)).toBe(0.123);
+    expect(round('cat')).toBe('cat');
+    expect(round(-Infinity)).toBe(-Infinity);
+  });
+
+  it('rounds every cell of a matrix', () => {
+    expect(roundMatrix([[1.005, 2.499], [0.333, 4]], 1)).toEqual([[1, 2.5], [0.3, 4]]);
+  });
+
+  it('uses three decimals for attention weights and two elsewhere', () => {
+    const rounded = roundForDisplay({
+      dK: 2,
+      Q: [[0.12345]],
+      attentionWeights: [[0.12345]]
+    });
+    expect(rounded.dK).toBe(2);
+    expect(rounded.Q).toEqual([[0.12]]);
+    expect(rounded.attentionWeights).toEqual([[0.123]]);
+  });
+});
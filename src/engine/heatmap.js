@@ -0,0 +1,149 @@
+// Ordering and color scales for the N×N heatmap. Orders are permutations of
+// token indices, applied to rows and columns alike so the diagonal stays
+// the diagonal.
+
+export const SORT_MODES = ['sentence', 'received', 'focused'];
+
+const range = (n) => Array.from({ length: n }, (_, i) => i);
+
+const finite = (values) => values.filter(Number.isFinite);
+
+// Stable sort of indices by a score, highest first
+const byScoreDesc = (scores) => range(scores.length).sort((a, b) => scores[b] - scores[a] || a - b);
+
+// 'sentence': original order. 'received': tokens that get the most attention
+// (largest column sums) first. 'focused': tokens whose strongest link is
+// strongest (largest row max) first.
+const columnSums = (matrix) =>
+  range(matrix[0] ? matrix[0].length : 0).map(j => finite(matrix.map(row => row[j])).reduce((sum, val) => sum + val, 0));
+
+export const sortOrder = (matrix, mode = 'sentence') => {
+  const n = matrix.length;
+  if (mode === 'received') {
+    return byScoreDesc(columnSums(matrix));
+  }
+  if (mode === 'focused') {
+    return byScoreDesc(matrix.map(row => Math.max(...finite(row), -Infinity)));
+  }
+  return range(n);
+};
+
+// Row and column orders for any matrix. A square (self-attention) matrix
+// uses one order for both; a rectangular (cross-attention) one sorts only
+// the side the mode is about and leaves the other in sentence order.
+export const sortOrders = (matrix, mode = 'sentence') => {
+  const rows = matrix.length;
+  const cols = matrix[0] ? matrix[0].length : 0;
+  if (rows === cols) {
+    const order = sortOrder(matrix, mode);
+    return { rows: order, cols: order };
+  }
+  return {
+    rows: mode === 'focused' ? sortOrder(matrix, mode) : range(rows),
+    cols: mode === 'received' ? byScoreDesc(columnSums(matrix)) : range(cols)
+  };
+};
+
+export const permute = (matrix, rowOrder, colOrder = rowOrder) => rowOrder.map(i => colOrder.map(j => matrix[i][j]));
+
+export const transposeMatrix = (matrix) =>
+  (matrix[0] || []).map((_, j) => matrix.map(row => row[j]));
+
+// Color domain: weights always use [0, 1]; scores use a range symmetric
+// around 0 so that 0 is white.
+export const valueDomain = (matrix, diverging) => {
+  if (!diverging) return { min: 0, max: 1 };
+  // reduce rather than Math.max(...cells): 100+ tokens is too many arguments
+  const maxAbs = finite(matrix.flat()).reduce((max, val) => Math.max(max, Math.abs(val)), 0) || 1;
+  return { min: -maxAbs, max: maxAbs };
+};
+
+export const MASKED_COLOR = 'rgba(209, 213, 219, 1)';
+
+// 'classic' shades a single blue (red for negatives) by opacity. The others
+// change lightness and hue together, so they stay readable with red-green
+// color blindness and in grayscale. Stops run from the bottom of the scale
+// to the top: light to dark for weights, negative to positive for scores.
+export const PALETTES = ['classic', 'viridis', 'cividis'];
+
+const PALETTE_STOPS = {
+  viridis: {
+    sequential: [[253, 231, 37], [94, 201, 98], [33, 145, 140], [59, 82, 139], [68, 1, 84]],
+    diverging: [[179, 88, 6], [241, 163, 64], [247, 247, 247], [153, 142, 195], [84, 39, 136]]
+  },
+  cividis: {
+    sequential: [[254, 232, 56], [188, 175, 111], [124, 123, 120], [65, 77, 107], [0, 34, 78]],
+    diverging: [[166, 97, 26], [223, 194, 125], [245, 245, 245], [128, 205, 193], [1, 133, 113]]
+  }
+};
+
+const clamp01 = (x) => Math.min(1, Math.max(0, x));
+
+// Linear blend between the two stops around `position` (0 to 1)
+const mixStops = (stops, position) => {
+  const scaled = clamp01(position) * (stops.length - 1);
+  const low = Math.min(Math.floor(scaled), stops.length - 2);
+  const f = scaled - low;
+  return stops[low].map((c, k) => Math.round(c + (stops[low + 1][k] - c) * f));
+};
+
+// [r, g, b] as seen on a white page, for a finite value
+const heatRgb = (val, { min, max }, diverging, palette) => {
+  const stops = PALETTE_STOPS[palette];
+  if (diverging) {
+    const ratio = val / (Math.max(Math.abs(min), Math.abs(max)) || 1);
+    if (stops) return mixStops(stops.diverging, (ratio + 1) / 2);
+    const base = val < 0 ? [239, 68, 68] : [59, 130, 246];
+    return base.map(c => 255 + (c - 255) * Math.min(1, Math.abs(ratio)));
+  }
+  const position = clamp01((val - min) / (max - min));
+  if (stops) return mixStops(stops.sequential, position);
+  return [59, 130, 246].map(c => 255 + (c - 255) * position);
+};
+
+// Color for a value inside `domain`; non-finite values (masked) are grey
+export const heatColor = (val, domain, diverging, palette = 'classic') => {
+  if (!Number.isFinite(val)) return MASKED_COLOR;
+  if (PALETTE_STOPS[palette]) return `rgb(${heatRgb(val, domain, diverging, palette).join(', ')})`;
+  const { min, max } = domain;
+  if (diverging) {
+    const alpha = Math.min(1, Math.abs(val) / Math.max(Math.abs(min), Math.abs(max)));
+    return val < 0 ? `rgba(239, 68, 68, ${alpha})` : `rgba(59, 130, 246, ${alpha})`;
+  }
+  return `rgba(59, 130, 246, ${Math.min(1, Math.max(0, (val - min) / (max - min)))})`;
+};
+
+// WCAG relative luminance of an sRGB color
+const luminance = (rgb) => {
+  const [r, g, b] = rgb.map((c) => {
+    const x = c / 255;
+    return x <= 0.03928 ? x / 12.92 : ((x + 0.055) / 1.055) ** 2.4;
+  });
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+};
+
+export const DARK_TEXT = '#1f2937';
+
+// White or dark text, whichever contrasts more with the cell's color
+export const heatTextColor = (val, domain, diverging, palette = 'classic') => {
+  if (!Number.isFinite(val)) return DARK_TEXT;
+  const lum = luminance(heatRgb(val, domain, diverging, palette));
+  // Contrast with white is 1.05 / (lum + 0.05); with #1f2937 it is (lum + 0.05) / 0.068
+  return 1.05 / (lum + 0.05) > (lum + 0.05) / 0.068 ? 'white' : DARK_TEXT;
+};
+
+// CSS gradient for a legend bar
+export const paletteGradient = (palette, diverging) => {
+  const stops = PALETTE_STOPS[palette];
+  if (!stops) {
+    return diverging
+      ? 'linear-gradient(to right, rgb(239, 68, 68), white, rgb(59, 130, 246))'
+      : 'linear-gradient(to right, white, rgb(59, 130, 246))';
+  }
+  const colors = (diverging ? stops.diverging : stops.sequential).map(rgb => `rgb(${rgb.join(', ')})`);
+  return `linear-gradient(to right, ${colors.join(', ')})`;
+};
+
+// Cell size in px: big enough for numbers on short sentences, small enough
+// that 64 tokens still fit on a laptop screen.
+export const cellSize = (n) => (n <= 12 ? 40 : n <= 24 ? 24 : n <= 40 ? 16 : 12);
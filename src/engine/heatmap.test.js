@@ -0,0 +1,93 @@
+import {
+  sortOrder,
+  sortOrders,
+  permute,
+  transposeMatrix,
+  valueDomain,
+  heatColor,
+  heatTextColor,
+  paletteGradient,
+  cellSize
+} from './heatmap';
+
+const weights = [
+  [0.1, 0.7, 0.2],
+  [0.2, 0.5, 0.3],
+  [0.5, 0.4, 0.1]
+];
+
+describe('heatmap ordering', () => {
+  it('keeps sentence order by default', () => {
+    expect(sortOrder(weights)).toEqual([0, 1, 2]);
+  });
+
+  it('sorts by attention received and by focus', () => {
+    expect(sortOrder(weights, 'received')).toEqual([1, 0, 2]);
+    expect(sortOrder(weights, 'focused')).toEqual([0, 1, 2]);
+    expect(sortOrder([[0.5, 0.5], [0.9, 0.1]], 'focused')).toEqual([1, 0]);
+  });
+
+  it('ignores masked scores when sorting', () => {
+    expect(sortOrder([[1, -Infinity], [2, 3]], 'received')).toEqual([0, 1]);
+  });
+
+  it('permutes rows and columns together', () => {
+    expect(permute(weights, [2, 0, 1])).toEqual([
+      [0.1, 0.5, 0.4],
+      [0.2, 0.1, 0.7],
+      [0.3, 0.2, 0.5]
+    ]);
+  });
+
+  it('sorts only the relevant side of a rectangular matrix', () => {
+    const cross = [[0.1, 0.9], [0.6, 0.4], [0.3, 0.7]];
+    expect(sortOrders(cross, 'received')).toEqual({ rows: [0, 1, 2], cols: [1, 0] });
+    expect(sortOrders(cross, 'focused')).toEqual({ rows: [0, 2, 1], cols: [0, 1] });
+    expect(permute(cross, [2, 0, 1], [1, 0])).toEqual([[0.7, 0.3], [0.9, 0.1], [0.4, 0.6]]);
+    expect(sortOrders(weights, 'received')).toEqual({ rows: [1, 0, 2], cols: [1, 0, 2] });
+  });
+
+  it('transposes to show who attends to each word', () => {
+    expect(transposeMatrix([[1, 2], [3, 4]])).toEqual([[1, 3], [2, 4]]);
+  });
+});
+
+describe('heatmap colors', () => {
+  it('uses [0, 1] for weights and a symmetric range for scores', () => {
+    expect(valueDomain(weights, false)).toEqual({ min: 0, max: 1 });
+    expect(valueDomain([[-2, 1], [-Infinity, 0.5]], true)).toEqual({ min: -2, max: 2 });
+  });
+
+  it('colors negatives red, positives blue and masked cells grey', () => {
+    const domain = { min: -2, max: 2 };
+    expect(heatColor(-1, domain, true)).toBe('rgba(239, 68, 68, 0.5)');
+    expect(heatColor(2, domain, true)).toBe('rgba(59, 130, 246, 1)');
+    expect(heatColor(-Infinity, domain, true)).toBe('rgba(209, 213, 219, 1)');
+  });
+
+  it('maps values onto the colorblind-safe palettes from light to dark', () => {
+    const domain = { min: 0, max: 1 };
+    expect(heatColor(0, domain, false, 'viridis')).toBe('rgb(253, 231, 37)');
+    expect(heatColor(1, domain, false, 'viridis')).toBe('rgb(68, 1, 84)');
+    expect(heatColor(0.125, domain, false, 'cividis')).toBe('rgb(221, 204, 84)');
+    expect(heatColor(0, { min: -2, max: 2 }, true, 'viridis')).toBe('rgb(247, 247, 247)');
+    expect(heatColor(-Infinity, domain, false, 'cividis')).toBe('rgba(209, 213, 219, 1)');
+  });
+
+  it('picks the more readable text color for each cell', () => {
+    const domain = { min: 0, max: 1 };
+    expect(heatTextColor(0, domain, false, 'viridis')).toBe('#1f2937');
+    expect(heatTextColor(1, domain, false, 'viridis')).toBe('white');
+    expect(heatTextColor(0.1, domain, false)).toBe('#1f2937');
+  });
+
+  it('draws legend gradients for every palette', () => {
+    expect(paletteGradient('classic', false)).toBe('linear-gradient(to right, white, rgb(59, 130, 246))');
+    expect(paletteGradient('cividis', true)).toMatch(/^linear-gradient\(to right, rgb\(166, 97, 26\), /);
+  });
+
+  it('shrinks cells as the sentence grows', () => {
+    expect(cellSize(6)).toBe(40);
+    expect(cellSize(64) * 64).toBeLessThanOrEqual(800);
+  });
+});
@@ -0,0 +1,83 @@
+// Translations. Messages live in src/locales/<code>.json as nested objects
+// and a key like "quiz.check" walks them. A message is a string with {name}
+// placeholders, plural forms ({ "one": …, "other": … }, picked with
+// Intl.PluralRules from the `count` value), or a list (example sentences).
+// Anything missing falls back to English, then to the key itself.
+
+import en from '../locales/en.json';
+import es from '../locales/es.json';
+import de from '../locales/de.json';
+
+export const LOCALES = {
+  en: { name: 'English', messages: en },
+  es: { name: 'Español', messages: es },
+  de: { name: 'Deutsch', messages: de }
+};
+export const LOCALE_CODES = Object.keys(LOCALES);
+export const DEFAULT_LOCALE = 'en';
+
+export const isLocale = (code) => Object.prototype.hasOwnProperty.call(LOCALES, code);
+
+// Replaces {name} with values[name]; unknown names are left as written
+export const fillTemplate = (text, values) => text.replace(/\{(\w+)\}/g, (match, name) => (
+  Object.prototype.hasOwnProperty.call(values, name) ? String(values[name]) : match
+));
+
+const lookup = (messages, key) => key.split('.').reduce(
+  (node, part) => (node && typeof node === 'object' && !Array.isArray(node) ? node[part] : undefined),
+  messages
+);
+
+// The first of the browser's languages we have messages for
+export const detectLocale = (languages = []) => {
+  const match = languages
+    .map(language => String(language).toLowerCase().split('-')[0])
+    .find(isLocale);
+  return match || DEFAULT_LOCALE;
+};
+
+export const createTranslator = (locale) => {
+  const code = isLocale(locale) ? locale : DEFAULT_LOCALE;
+  const plurals = new Intl.PluralRules(code);
+  const t = (key, values = {}) => {
+    let message = lookup(LOCALES[code].messages, key);
+    if (message === undefined) message = lookup(en, key);
+    if (message === undefined) return key;
+    if (Array.isArray(message)) return message;
+    if (typeof message === 'object') {
+      const form = plurals.select(Number(values.count));
+      message = message[form] !== undefined ? message[form] : message.other;
+    }
+    return fillTemplate(message, values);
+  };
+  t.locale = code;
+  return t;
+};
+
+// Lesson text may be one string for every language or { en, es, … }
+export const pickLocale = (text, locale) => {
+  if (text === null || text === undefined || typeof text === 'string') return text;
+  if (text[locale] !== undefined) return text[locale];
+  if (text[DEFAULT_LOCALE] !== undefined) return text[DEFAULT_LOCALE];
+  return Object.values(text)[0];
+};
+
+// Every example sentence in a fixed order, so the same slot can be looked
+// up in another language
+const exampleSlots = (t) => [
+  t('examples.default'),
+  t('examples.target'),
+  t('examples.compareDefault'),
+  ...t('examples.sentences'),
+  ...t('examples.compare').flat(),
+  ...t('examples.translations').flat()
+];
+
+// A sentence that is one of `from`'s examples becomes the matching example
+// in `to`; anything the learner typed themselves is kept.
+export const translateExample = (text, from, to) => {
+  const index = exampleSlots(from).indexOf(text);
+  if (index < 0) return text;
+  const target = exampleSlots(to)[index];
+  return target === undefined ? text : target;
+};
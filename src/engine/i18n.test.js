@@ -0,0 +1,91 @@
+import {
+  LOCALES,
+  LOCALE_CODES,
+  fillTemplate,
+  detectLocale,
+  createTranslator,
+  pickLocale,
+  translateExample
+} from './i18n';
+
+// Every key path in a message tree; plural forms count as one message
+const keyPaths = (messages, prefix = '') => Object.entries(messages).flatMap(([key, value]) => (
+  value && typeof value === 'object' && !Array.isArray(value) && !('other' in value)
+    ? keyPaths(value, `${prefix}${key}.`)
+    : [`${prefix}${key}`]
+));
+
+describe('fillTemplate', () => {
+  it('fills in known placeholders and leaves the rest', () => {
+    expect(fillTemplate('{dModel} → {ffnSize}, {unknown}', { dModel: 4, ffnSize: 16 })).toBe('4 → 16, {unknown}');
+  });
+});
+
+describe('detectLocale', () => {
+  it('picks the first browser language we have messages for', () => {
+    expect(detectLocale(['fr-FR', 'de-AT', 'es'])).toBe('de');
+    expect(detectLocale(['ES'])).toBe('es');
+    expect(detectLocale(['fr', 'ja'])).toBe('en');
+    expect(detectLocale()).toBe('en');
+  });
+});
+
+describe('createTranslator', () => {
+  it('chooses the plural form for the count', () => {
+    const es = createTranslator('es');
+    expect(es('lessons.steps', { count: 1 })).toBe('1 paso');
+    expect(es('lessons.steps', { count: 4 })).toBe('4 pasos');
+    const de = createTranslator('de');
+    expect(de('model.heads', { count: 1 })).toBe('1 Kopf');
+    expect(de('model.heads', { count: 0 })).toBe('0 Köpfe');
+  });
+
+  it('falls back to English, then to the key, for unknown locales and keys', () => {
+    const t = createTranslator('fr');
+    expect(t.locale).toBe('en');
+    expect(t('common.source')).toBe('source');
+    expect(createTranslator('de')('no.such.key')).toBe('no.such.key');
+  });
+
+  it('returns lists as they are', () => {
+    expect(createTranslator('de')('examples.sentences')).toContain('Der Hund jagte den Ball');
+  });
+});
+
+describe('locale files', () => {
+  const english = keyPaths(LOCALES.en.messages).sort();
+
+  it.each(LOCALE_CODES)('%s has exactly the English keys and example counts', (code) => {
+    const { messages } = LOCALES[code];
+    expect(keyPaths(messages).sort()).toEqual(english);
+    const { examples } = messages;
+    expect(examples.sentences).toHaveLength(LOCALES.en.messages.examples.sentences.length);
+    expect(examples.compare).toHaveLength(LOCALES.en.messages.examples.compare.length);
+    expect(examples.translations).toHaveLength(LOCALES.en.messages.examples.translations.length);
+  });
+});
+
+describe('pickLocale', () => {
+  it('reads plain text or text per language, falling back to English', () => {
+    expect(pickLocale('Scores', 'de')).toBe('Scores');
+    expect(pickLocale({ en: 'Scores', de: 'Punkte' }, 'de')).toBe('Punkte');
+    expect(pickLocale({ en: 'Scores', de: 'Punkte' }, 'es')).toBe('Scores');
+    expect(pickLocale({ de: 'Punkte' }, 'es')).toBe('Punkte');
+    expect(pickLocale(null, 'es')).toBeNull();
+  });
+});
+
+describe('translateExample', () => {
+  const en = createTranslator('en');
+  const de = createTranslator('de');
+
+  it('swaps an example for the same example in the other language', () => {
+    expect(translateExample('The cat sat on the mat', en, de)).toBe('Die Katze saß auf der Matte');
+    expect(translateExample('The bank approved the loan', en, de)).toBe('Die Bank gab den Kredit');
+    expect(translateExample('Die Katze saß auf der Matte', de, createTranslator('es'))).toBe('El gato se sentó en la alfombra');
+  });
+
+  it('keeps sentences the learner typed', () => {
+    expect(translateExample('My own sentence', en, de)).toBe('My own sentence');
+  });
+});
@@ -0,0 +1,45 @@
+// Where the arrow keys lead in the token chips, step tabs, flow canvas and
+// heatmaps. Arrow keys move one place and Home/End jump to the ends. Lists
+// wrap around; grids stop at their edges. Any other key gives null.
+
+// `index` may be -1 when nothing is focused yet: then the next item is the
+// first one and the previous item is the last
+export const listKeyTarget = (key, index, count) => {
+  if (!count) return null;
+  switch (key) {
+    case 'ArrowRight':
+    case 'ArrowDown':
+      return index < 0 ? 0 : (index + 1) % count;
+    case 'ArrowLeft':
+    case 'ArrowUp':
+      return index < 0 ? count - 1 : (index - 1 + count) % count;
+    case 'Home':
+      return 0;
+    case 'End':
+      return count - 1;
+    default:
+      return null;
+  }
+};
+
+// `cell` is { i, j } (row, column); Home/End move along the row
+export const gridKeyTarget = (key, { i, j }, rows, cols) => {
+  if (!rows || !cols) return null;
+  const clamp = (value, size) => Math.min(size - 1, Math.max(0, value));
+  switch (key) {
+    case 'ArrowUp':
+      return { i: clamp(i - 1, rows), j };
+    case 'ArrowDown':
+      return { i: clamp(i + 1, rows), j };
+    case 'ArrowLeft':
+      return { i, j: clamp(j - 1, cols) };
+    case 'ArrowRight':
+      return { i, j: clamp(j + 1, cols) };
+    case 'Home':
+      return { i, j: 0 };
+    case 'End':
+      return { i, j: cols - 1 };
+    default:
+      return null;
+  }
+};
@@ -0,0 +1,34 @@
+import { listKeyTarget, gridKeyTarget } from './keyboard';
+
+describe('listKeyTarget', () => {
+  it('moves with the arrows and wraps around', () => {
+    expect(listKeyTarget('ArrowRight', 1, 4)).toBe(2);
+    expect(listKeyTarget('ArrowDown', 3, 4)).toBe(0);
+    expect(listKeyTarget('ArrowLeft', 0, 4)).toBe(3);
+    expect(listKeyTarget('Home', 2, 4)).toBe(0);
+    expect(listKeyTarget('End', 0, 4)).toBe(3);
+  });
+
+  it('starts at either end when nothing is focused', () => {
+    expect(listKeyTarget('ArrowRight', -1, 4)).toBe(0);
+    expect(listKeyTarget('ArrowLeft', -1, 4)).toBe(3);
+  });
+
+  it('ignores other keys and empty lists', () => {
+    expect(listKeyTarget('Enter', 1, 4)).toBeNull();
+    expect(listKeyTarget('ArrowRight', 0, 0)).toBeNull();
+  });
+});
+
+describe('gridKeyTarget', () => {
+  it('moves one cell and stops at the edges', () => {
+    expect(gridKeyTarget('ArrowDown', { i: 0, j: 1 }, 3, 2)).toEqual({ i: 1, j: 1 });
+    expect(gridKeyTarget('ArrowRight', { i: 0, j: 1 }, 3, 2)).toEqual({ i: 0, j: 1 });
+    expect(gridKeyTarget('ArrowUp', { i: 0, j: 0 }, 3, 2)).toEqual({ i: 0, j: 0 });
+    expect(gridKeyTarget('End', { i: 2, j: 0 }, 3, 2)).toEqual({ i: 2, j: 1 });
+  });
+
+  it('ignores other keys', () => {
+    expect(gridKeyTarget('Enter', { i: 0, j: 0 }, 3, 2)).toBeNull();
+  });
+});
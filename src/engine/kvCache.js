@@ -0,0 +1,56 @@
+// Autoregressive generation with a KV cache. A decoder produces one token
+// at a time, and with a causal mask no earlier token's keys or values ever
+// change when a new token arrives. So each step only projects the newest
+// token, appends its K and V rows to the cache, and scores its query
+// against everything cached so far: one attention row instead of the
+// whole matrix.
+
+import { softmax } from './attention';
+
+const range = (n) => Array.from({ length: n }, (_, i) => i);
+
+const dot = (a, b) => a.reduce((sum, val, k) => sum + val * b[k], 0);
+
+// What each row of Q and of K/V is while token `position` is generated:
+// 'new' is computed now, 'cached' is read back from the cache, 'done' is a
+// query that is no longer needed and 'future' has not been generated yet.
+export const cacheRowStates = (n, position) => ({
+  query: range(n).map(i => (i === position ? 'new' : i < position ? 'done' : 'future')),
+  keyValue: range(n).map(i => (i === position ? 'new' : i < position ? 'cached' : 'future'))
+});
+
+// The newest token's query against every cached key (its own included),
+// then the weighted sum of the cached values
+export const cachedAttentionStep = ({ Q, K, V, position, dK }) => {
+  const query = Q[position];
+  const keys = K.slice(0, position + 1);
+  const values = V.slice(0, position + 1);
+  const scores = keys.map(key => dot(query, key) / Math.sqrt(dK));
+  const weights = softmax(scores);
+  const output = values[0].map((_, d) => values.reduce((sum, value, j) => sum + weights[j] * value[d], 0));
+  return { query, keys, values, scores, weights, output };
+};
+
+// FLOPs (2 per multiply-add) for the attention layer to produce token
+// `position`. With the cache: project one token, score one query against
+// position + 1 keys and sum as many values. Without it: project and attend
+// over the whole prefix again, as a plain forward pass would.
+export const generationFlops = ({ position, dModel, dK, dV, numHeads = 1 }) => {
+  const length = position + 1;
+  const project = dModel * (2 * dK + dV);
+  const attend = dK + dV;
+  const withCache = 2 * numHeads * (project + length * attend);
+  const recompute = 2 * numHeads * (length * project + length * length * attend);
+  return { withCache, recompute, saved: recompute - withCache };
+};
+
+// Running totals from the first token up to and including `position`
+export const generationTotals = ({ position, ...sizes }) =>
+  range(position + 1).reduce((totals, p) => {
+    const step = generationFlops({ position: p, ...sizes });
+    return {
+      withCache: totals.withCache + step.withCache,
+      recompute: totals.recompute + step.recompute,
+      saved: totals.saved + step.saved
+    };
+  }, { withCache: 0, recompute: 0, saved: 0 });
@@ -0,0 +1,61 @@
+import { cacheRowStates, cachedAttentionStep, generationFlops, generationTotals } from './kvCache';
+import { computeAttention } from './attention';
+import { causalMask } from './masking';
+
+describe('cacheRowStates', () => {
+  it('marks the newest token, the cache and what is still to come', () => {
+    expect(cacheRowStates(4, 2)).toEqual({
+      query: ['done', 'done', 'new', 'future'],
+      keyValue: ['cached', 'cached', 'new', 'future']
+    });
+    expect(cacheRowStates(2, 0).keyValue).toEqual(['new', 'future']);
+  });
+});
+
+describe('cachedAttentionStep', () => {
+  const embeddings = [[1, 0, 0.5], [0.2, -1, 0], [0, 0.3, 1], [-0.5, 0.5, 0.5]];
+  const WQ = [[1, 0], [0, 1], [0.5, 0.5]];
+  const WK = [[0, 1], [1, 0], [0.5, -0.5]];
+  const WV = [[1, 1], [0, 2], [-1, 0]];
+  const full = computeAttention({ embeddings, WQ, WK, WV, mask: causalMask(4) });
+
+  it('gives the same row as full causal attention', () => {
+    [0, 1, 3].forEach(position => {
+      const step = cachedAttentionStep({ ...full, position });
+      expect(step.weights).toHaveLength(position + 1);
+      step.weights.forEach((w, j) => expect(w).toBeCloseTo(full.attentionWeights[position][j]));
+      step.output.forEach((val, d) => expect(val).toBeCloseTo(full.output[position][d]));
+    });
+  });
+
+  it('only reads the cache up to the newest token', () => {
+    const step = cachedAttentionStep({ ...full, position: 1 });
+    expect(step.keys).toEqual(full.K.slice(0, 2));
+    expect(step.values).toEqual(full.V.slice(0, 2));
+    expect(step.query).toBe(full.Q[1]);
+  });
+});
+
+describe('generationFlops', () => {
+  const sizes = { dModel: 4, dK: 2, dV: 2 };
+
+  it('costs the same for the first token either way', () => {
+    // one token: 4·(2·2 + 2) projections + 1·(2 + 2) attention, 2 FLOPs each
+    expect(generationFlops({ position: 0, ...sizes })).toEqual({ withCache: 56, recompute: 56, saved: 0 });
+  });
+
+  it('saves more with every token, and scales with the heads', () => {
+    const third = generationFlops({ position: 2, ...sizes });
+    expect(third.withCache).toBe(2 * (24 + 3 * 4));
+    expect(third.recompute).toBe(2 * (3 * 24 + 9 * 4));
+    expect(generationFlops({ position: 5, ...sizes }).saved).toBeGreaterThan(third.saved);
+    expect(generationFlops({ position: 2, ...sizes, numHeads: 2 }).saved).toBe(2 * third.saved);
+  });
+
+  it('adds up the steps so far', () => {
+    const totals = generationTotals({ position: 2, ...sizes });
+    const steps = [0, 1, 2].map(position => generationFlops({ position, ...sizes }));
+    expect(totals.withCache).toBe(steps.reduce((sum, step) => sum + step.withCache, 0));
+    expect(totals.saved).toBe(totals.recompute - totals.withCache);
+  });
+});
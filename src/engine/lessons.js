@@ -0,0 +1,195 @@
+// Lessons: the sequence of steps the walkthrough follows. A lesson is plain
+// JSON, so instructors can reword, reorder, repeat or drop steps and give
+// any step its own example sentence. Each step names one of the
+// STEP_COMPONENTS, which the visualizer looks up in its renderer registry.
+//
+// {
+//   "id": "my-lesson",
+//   "title": "My lesson",
+//   "description": "Optional, shown in the lesson picker",
+//   "steps": [
+//     { "component": "embeddings", "title": "…", "subtitle": "…",
+//       "description": "…", "metaphor": "…", "sentence": "optional preset" }
+//   ]
+// }
+//
+// Text may use {dModel}, {dK}, {dV}, {ffnSize}, {numHeads} and {numLayers},
+// which are filled in with the current model's numbers. Any text field can
+// also be given per language, e.g. "title": { "en": "Scores", "de": "Punkte" };
+// languages it leaves out fall back to English.
+
+import { LOCALE_CODES, createTranslator, fillTemplate, pickLocale } from './i18n';
+
+const english = createTranslator('en');
+
+// "note" shows only the step's text, for introductions and recaps.
+// "efficient" compares cheaper attention patterns for long inputs.
+// "learn" trains one head's weights towards a pattern the learner picks.
+export const STEP_COMPONENTS = [
+  'note',
+  'embeddings',
+  'position',
+  'qkv',
+  'scores',
+  'masking',
+  'attention',
+  'efficient',
+  'output',
+  'residual',
+  'layernorm',
+  'ffn',
+  'layers',
+  'learn'
+];
+
+export const MAX_LESSON_STEPS = 30;
+const TEXT_FIELDS = ['title', 'subtitle', 'description', 'metaphor', 'sentence'];
+const LESSON_ID = /^[a-z0-9][a-z0-9-]*$/;
+
+// A string, or { en: "…", es: "…" } with only known language codes
+const isText = (value) => typeof value === 'string' || (
+  value !== null && typeof value === 'object' && !Array.isArray(value) &&
+  Object.keys(value).length > 0 &&
+  Object.entries(value).every(([code, text]) => LOCALE_CODES.includes(code) && typeof text === 'string')
+);
+const hasText = (value) => isText(value) && Object.values(typeof value === 'string' ? [value] : value).some(text => text.trim());
+
+// The built-in lesson, in every language we have messages for (under
+// "lesson" in the locale files). Notes and the efficient-attention detour
+// only appear in lessons that ask for them.
+const LESSON_ONLY_COMPONENTS = ['note', 'efficient'];
+const DEFAULT_STEP_COMPONENTS = STEP_COMPONENTS.filter(component => !LESSON_ONLY_COMPONENTS.includes(component));
+
+const inEveryLocale = (key) => Object.fromEntries(
+  LOCALE_CODES.map(code => [code, createTranslator(code)(key)])
+);
+
+export const DEFAULT_LESSON = {
+  id: 'default',
+  title: inEveryLocale('lesson.title'),
+  description: inEveryLocale('lesson.description'),
+  steps: DEFAULT_STEP_COMPONENTS.map(component => ({
+    component,
+    title: inEveryLocale(`lesson.${component}.title`),
+    subtitle: inEveryLocale(`lesson.${component}.subtitle`),
+    description: inEveryLocale(`lesson.${component}.description`),
+    metaphor: inEveryLocale(`lesson.${component}.metaphor`)
+  }))
+};
+
+// Checks a parsed lesson and fills in optional fields. Returns
+// { lesson, errors } like validateModel: lesson is null if anything is wrong.
+// Errors are worded in t's language.
+export const validateLesson = (raw, t = english) => {
+  const errors = [];
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { lesson: null, errors: [t('lesson.validation.notObject')] };
+  }
+  if (!hasText(raw.title)) errors.push(t('lesson.validation.title'));
+  if (raw.id !== undefined && (typeof raw.id !== 'string' || !LESSON_ID.test(raw.id))) {
+    errors.push(t('lesson.validation.id'));
+  }
+  if (!Array.isArray(raw.steps) || !raw.steps.length) {
+    errors.push(t('lesson.validation.steps'));
+  } else if (raw.steps.length > MAX_LESSON_STEPS) {
+    errors.push(t('lesson.validation.tooManySteps', { max: MAX_LESSON_STEPS, steps: raw.steps.length }));
+  } else {
+    raw.steps.forEach((step, i) => {
+      const where = `steps[${i}]`;
+      if (!step || typeof step !== 'object') {
+        errors.push(t('lesson.validation.stepObject', { where }));
+        return;
+      }
+      if (!STEP_COMPONENTS.includes(step.component)) {
+        errors.push(t('lesson.validation.component', { where, list: STEP_COMPONENTS.join(', ') }));
+      }
+      if (!hasText(step.title)) errors.push(t('lesson.validation.stepTitle', { where }));
+      TEXT_FIELDS.forEach(field => {
+        if (step[field] !== undefined && !isText(step[field])) {
+          errors.push(t('lesson.validation.text', { where, field, list: LOCALE_CODES.join(', ') }));
+        }
+      });
+    });
+  }
+  if (errors.length) return { lesson: null, errors };
+
+  return {
+    errors,
+    lesson: {
+      id: raw.id || 'custom',
+      title: raw.title,
+      description: isText(raw.description) ? raw.description : '',
+      steps: raw.steps.map(step => ({
+        component: step.component,
+        title: step.title,
+        subtitle: step.subtitle || '',
+        description: step.description || '',
+        metaphor: step.metaphor || '',
+        sentence: hasText(step.sentence) ? step.sentence : null
+      }))
+    }
+  };
+};
+
+// The steps to show right now, in t's language: masking steps only appear
+// while a mask is active, titles are numbered and placeholders are filled in.
+export const lessonSteps = (lesson, { masked, values, t = english }) => {
+  const text = (value) => fillTemplate(pickLocale(value, t.locale) || '', values);
+  return lesson.steps
+    .filter(step => masked || step.component !== 'masking')
+    .map((step, index) => ({
+      ...step,
+      title: t('lesson.stepTitle', { number: index + 1, title: text(step.title) }),
+      subtitle: text(step.subtitle),
+      description: text(step.description),
+      metaphor: text(step.metaphor),
+      sentence: step.sentence ? pickLocale(step.sentence, t.locale).trim() || null : null
+    }));
+};
+
+// The browser's own message for bad JSON is passed along as it is
+const parseLessonText = (text, t) => {
+  try {
+    return validateLesson(JSON.parse(text), t);
+  } catch (e) {
+    return { lesson: null, errors: [t('lesson.validation.notJson', { message: e.message })] };
+  }
+};
+
+// Reads a lesson file the user picked
+export const readLessonFile = async (file, t = english) => {
+  try {
+    return parseLessonText(await file.text(), t);
+  } catch (e) {
+    return { lesson: null, errors: [t('lesson.validation.file', { file: file.name, message: e.message })] };
+  }
+};
+
+// Loads a lesson shipped with the app (from public/lessons)
+export const fetchLesson = async (url, t = english) => {
+  try {
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(t('lesson.validation.http', { url, status: response.status }));
+    return parseLessonText(await response.text(), t);
+  } catch (e) {
+    return { lesson: null, errors: [e.message] };
+  }
+};
+
+// public/lessons/index.json lists the shipped lessons as [{ id, title, description }]
+export const fetchLessonIndex = async (url, t = english) => {
+  try {
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(t('lesson.validation.http', { url, status: response.status }));
+    const index = await response.json();
+    if (!Array.isArray(index)) throw new Error(t('lesson.validation.index', { url }));
+    return {
+      lessons: index.filter(entry => entry && typeof entry.id === 'string' && LESSON_ID.test(entry.id) && isText(entry.title)),
+      errors: []
+    };
+  } catch (e) {
+    return { lessons: [], errors: [e.message] };
+  }
+};
+
+export const isLessonId = (value) => typeof value === 'string' && LESSON_ID.test(value);
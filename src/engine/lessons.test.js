@@ -0,0 +1,152 @@
+import {
+  STEP_COMPONENTS,
+  MAX_LESSON_STEPS,
+  DEFAULT_LESSON,
+  validateLesson,
+  lessonSteps,
+  readLessonFile,
+  isLessonId
+} from './lessons';
+import { createTranslator } from './i18n';
+import lessonIndex from '../../public/lessons/index.json';
+import quickTour from '../../public/lessons/quick-tour.json';
+import wordMeanings from '../../public/lessons/word-meanings.json';
+import longContext from '../../public/lessons/long-context.json';
+
+const step = (component, extra = {}) => ({ component, title: `About ${component}`, ...extra });
+
+describe('validateLesson', () => {
+  it('accepts the built-in lesson', () => {
+    const { lesson, errors } = validateLesson(DEFAULT_LESSON);
+    expect(errors).toEqual([]);
+    expect(lesson.steps.map(s => s.component)).toEqual(DEFAULT_LESSON.steps.map(s => s.component));
+  });
+
+  it('leaves notes and the efficient-attention step out of the built-in lesson', () => {
+    const components = DEFAULT_LESSON.steps.map(s => s.component);
+    expect(components).not.toContain('note');
+    expect(components).not.toContain('efficient');
+    expect(longContext.steps.map(s => s.component)).toContain('efficient');
+  });
+
+  it('accepts every lesson shipped in public/lessons', () => {
+    [quickTour, wordMeanings, longContext].forEach(raw => expect(validateLesson(raw).errors).toEqual([]));
+    expect(lessonIndex.map(entry => entry.id).sort()).toEqual([quickTour.id, wordMeanings.id, longContext.id].sort());
+  });
+
+  it('fills in optional fields and keeps repeated steps', () => {
+    const { lesson } = validateLesson({
+      title: 'Twice',
+      steps: [step('attention', { sentence: 'The bank' }), step('attention', { sentence: '  ' })]
+    });
+    expect(lesson.id).toBe('custom');
+    expect(lesson.steps[0]).toEqual({
+      component: 'attention',
+      title: 'About attention',
+      subtitle: '',
+      description: '',
+      metaphor: '',
+      sentence: 'The bank'
+    });
+    expect(lesson.steps[1].sentence).toBeNull();
+  });
+
+  it('names every problem it finds', () => {
+    const { lesson, errors } = validateLesson({
+      id: 'Not An Id',
+      steps: [step('spaceship'), { component: 'qkv' }, step('scores', { sentence: 3 })]
+    });
+    expect(lesson).toBeNull();
+    expect(errors).toEqual([
+      '"title" is missing',
+      '"id" may only use lowercase letters, digits and dashes',
+      `steps[0].component must be one of ${STEP_COMPONENTS.join(', ')}`,
+      'steps[1].title is missing',
+      'steps[2].sentence must be text, or text per language code (en, es, de)'
+    ]);
+  });
+
+  it('accepts text given per language and rejects unknown language codes', () => {
+    const title = { en: 'Scores', de: 'Punkte' };
+    expect(validateLesson({ title, steps: [step('scores', { title })] }).errors).toEqual([]);
+    expect(validateLesson({ title, steps: [step('scores', { metaphor: { fr: 'Points' } })] }).errors)
+      .toEqual(['steps[0].metaphor must be text, or text per language code (en, es, de)']);
+  });
+
+  it('rejects empty and oversized lessons', () => {
+    expect(validateLesson([]).lesson).toBeNull();
+    expect(validateLesson({ title: 'Empty', steps: [] }).errors).toEqual(['"steps" must be a non-empty list']);
+    const steps = Array.from({ length: MAX_LESSON_STEPS + 1 }, () => step('note'));
+    expect(validateLesson({ title: 'Long', steps }).lesson).toBeNull();
+  });
+
+  it('words its errors in the given language', () => {
+    const { errors } = validateLesson({ steps: [step('sparkles')] }, createTranslator('es'));
+    expect(errors).toEqual(['falta "title"', `steps[0].component debe ser uno de ${STEP_COMPONENTS.join(', ')}`]);
+  });
+});
+
+describe('lessonSteps', () => {
+  it('only shows masking steps while a mask is active', () => {
+    const values = { dModel: 4, ffnSize: 16 };
+    const plain = lessonSteps(DEFAULT_LESSON, { masked: false, values });
+    const masked = lessonSteps(DEFAULT_LESSON, { masked: true, values });
+    expect(plain.map(s => s.component)).not.toContain('masking');
+    expect(masked).toHaveLength(plain.length + 1);
+    expect(masked[4].title).toBe('Step 5: Masking');
+  });
+
+  it('numbers titles and fills in the model sizes', () => {
+    const steps = lessonSteps(DEFAULT_LESSON, { masked: false, values: { dModel: 8, ffnSize: 32 } });
+    const ffn = steps.find(s => s.component === 'ffn');
+    expect(ffn.title).toMatch(/^Step \d+: Thinking It Over$/);
+    expect(ffn.description).toContain('expanded to 32 numbers');
+    expect(ffn.description).toContain('squeezed back to 8');
+  });
+
+  it('picks each text in the requested language, falling back to English', () => {
+    const { lesson } = validateLesson({
+      title: 'Mixed',
+      steps: [step('attention', {
+        title: { en: 'Spotlight', es: 'Foco' },
+        subtitle: { en: 'Only English' },
+        sentence: { en: 'The bank', es: 'El banco' }
+      })]
+    });
+    const [spanish] = lessonSteps(lesson, { masked: false, values: {}, t: createTranslator('es') });
+    expect(spanish.title).toBe('Paso 1: Foco');
+    expect(spanish.subtitle).toBe('Only English');
+    expect(spanish.sentence).toBe('El banco');
+    expect(lessonSteps(DEFAULT_LESSON, { masked: false, values: {}, t: createTranslator('de') })[0].title)
+      .toBe('Schritt 1: Wörter als Vektoren');
+  });
+});
+
+describe('readLessonFile', () => {
+  const file = (text) => ({ name: 'lesson.json', text: async () => text });
+
+  it('reads and validates a lesson file', async () => {
+    const { lesson, errors } = await readLessonFile(file(JSON.stringify({ id: 'mine', title: 'Mine', steps: [step('note')] })));
+    expect(errors).toEqual([]);
+    expect(lesson.id).toBe('mine');
+  });
+
+  it('reports files that are not JSON', async () => {
+    const { lesson, errors } = await readLessonFile(file('{ nope'));
+    expect(lesson).toBeNull();
+    expect(errors[0]).toMatch(/^not valid JSON/);
+  });
+
+  it('reports bad JSON in the given language', async () => {
+    const { errors } = await readLessonFile(file('{ nope'), createTranslator('de'));
+    expect(errors[0]).toMatch(/^kein gültiges JSON/);
+  });
+});
+
+describe('isLessonId', () => {
+  it('accepts lowercase slugs only', () => {
+    expect(isLessonId('quick-tour')).toBe(true);
+    expect(isLessonId('../secrets')).toBe(false);
+    expect(isLessonId(null)).toBe(false);
+  });
+});
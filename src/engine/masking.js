@@ -0,0 +1,58 @@
+// Attention masks. A mask is an n × n matrix of booleans where `true`
+// means "query i may not look at key j". Masked scores become -∞ before
+// softmax, so their weights come out as exactly 0.
+
+export const MASK_MODES = ['none', 'causal', 'padding', 'custom'];
+
+export const PAD_TOKEN = '[PAD]';
+
+// Decoder-style: each token sees itself and the tokens before it.
+export const causalMask = (n) =>
+  Array.from({ length: n }, (_, i) => Array.from({ length: n }, (_, j) => j > i));
+
+// Nobody attends to padding; padding rows still see the real tokens. In
+// cross-attention the padding sits in the source (`keyTokens`).
+export const paddingMask = (tokens, keyTokens = tokens) =>
+  tokens.map(() => keyTokens.map(token => token === PAD_TOKEN));
+
+export const maskKey = (i, j) => `${i}-${j}`;
+
+// `cells` is an object keyed by maskKey(i, j) for every blocked cell.
+export const customMask = (n, cells = {}, cols = n) =>
+  Array.from({ length: n }, (_, i) => Array.from({ length: cols }, (_, j) => Boolean(cells[maskKey(i, j)])));
+
+export const toggleMaskCell = (cells, i, j) => {
+  const key = maskKey(i, j);
+  const next = { ...cells };
+  if (next[key]) {
+    delete next[key];
+  } else {
+    next[key] = true;
+  }
+  return next;
+};
+
+export const padTokens = (tokens, count) => [...tokens, ...Array(count).fill(PAD_TOKEN)];
+
+// Rows are `tokens` (queries), columns `keyTokens`. A causal mask only
+// makes sense when both are the same sequence.
+export const buildMask = ({ mode, tokens, keyTokens = tokens, customCells }) => {
+  switch (mode) {
+    case 'causal':
+      return keyTokens === tokens ? causalMask(tokens.length) : null;
+    case 'padding':
+      return paddingMask(tokens, keyTokens);
+    case 'custom':
+      return customMask(tokens.length, customCells, keyTokens.length);
+    default:
+      return null;
+  }
+};
+
+export const applyMask = (scores, mask) => {
+  if (!mask) return scores;
+  return scores.map((row, i) => row.map((val, j) => (mask[i] && mask[i][j] ? -Infinity : val)));
+};
+
+export const countMasked = (mask) =>
+  mask ? mask.reduce((sum, row) => sum + row.filter(Boolean).length, 0) : 0;
@@ -0,0 +1,89 @@
+import { computeAttention } from './attention';
+import {
+  causalMask,
+  paddingMask,
+  customMask,
+  toggleMaskCell,
+  buildMask,
+  applyMask,
+  countMasked,
+  padTokens,
+  PAD_TOKEN
+} from './masking';
+
+describe('mask builders', () => {
+  it('blocks future positions in a causal mask', () => {
+    expect(causalMask(3)).toEqual([
+      [false, true, true],
+      [false, false, true],
+      [false, false, false]
+    ]);
+  });
+
+  it('blocks padding columns only', () => {
+    const tokens = padTokens(['hi', 'there'], 1);
+    expect(tokens).toEqual(['hi', 'there', PAD_TOKEN]);
+    expect(paddingMask(tokens)).toEqual([
+      [false, false, true],
+      [false, false, true],
+      [false, false, true]
+    ]);
+  });
+
+  it('toggles custom cells on and off', () => {
+    const once = toggleMaskCell({}, 0, 1);
+    expect(customMask(2, once)).toEqual([[false, true], [false, false]]);
+    expect(toggleMaskCell(once, 0, 1)).toEqual({});
+  });
+
+  it('builds rectangular masks for cross-attention', () => {
+    const source = padTokens(['le', 'chat'], 1);
+    const target = ['the', 'cat', 'sat', 'down'];
+    expect(buildMask({ mode: 'padding', tokens: target, keyTokens: source })).toEqual(
+      target.map(() => [false, false, true])
+    );
+    expect(buildMask({ mode: 'custom', tokens: target, keyTokens: source, customCells: { '3-2': true } })[3]).toEqual([false, false, true]);
+    expect(buildMask({ mode: 'causal', tokens: target, keyTokens: source })).toBeNull();
+  });
+
+  it('returns no mask when masking is off', () => {
+    expect(buildMask({ mode: 'none', tokens: ['a', 'b'] })).toBeNull();
+    expect(countMasked(buildMask({ mode: 'causal', tokens: ['a', 'b', 'c'] }))).toBe(3);
+  });
+});
+
+describe('masked attention', () => {
+  it('replaces blocked scores with -Infinity', () => {
+    expect(applyMask([[1, 2], [3, 4]], [[false, true], [false, false]])).toEqual([[1, -Infinity], [3, 4]]);
+  });
+
+  it('gives masked positions exactly zero weight', () => {
+    const identity = [[1, 0], [0, 1]];
+    const result = computeAttention({
+      embeddings: identity,
+      WQ: identity,
+      WK: identity,
+      WV: [[1, 2], [3, 4]],
+      mask: causalMask(2)
+    });
+
+    expect(result.scaledScores[0][1]).toBe(0);
+    expect(result.maskedScores[0][1]).toBe(-Infinity);
+    // The first token can only see itself.
+    expect(result.attentionWeights[0]).toEqual([1, 0]);
+    expect(result.output[0]).toEqual([1, 2]);
+    expect(result.attentionWeights[1][0]).toBeCloseTo(0.3302384507, 9);
+  });
+
+  it('leaves a fully masked row at zero instead of NaN', () => {
+    const result = computeAttention({
+      embeddings: [[1]],
+      WQ: [[1]],
+      WK: [[1]],
+      WV: [[1]],
+      mask: [[true]]
+    });
+    expect(result.attentionWeights).toEqual([[0]]);
+    expect(result.output).toEqual([[0]]);
+  });
+});
@@ -0,0 +1,104 @@
+import { createRng, randomMatrix } from './random';
+
+// Toy model used by the walkthrough: a 4-dimensional embedding and
+// 2-dimensional attention heads.
+
+export const DEFAULT_DIMENSIONS = { dModel: 4, dK: 2, dV: 2 };
+export const MAX_HEADS = 8;
+// Sizes offered for the toy model; d_k and d_v can't exceed d_model
+export const MODEL_SIZES = [4, 8, 16, 32, 64];
+export const HEAD_SIZES = [1, 2, 4, 8, 16, 32, 64];
+
+// Weight matrices (simplified for visualization)
+export const DEFAULT_WEIGHTS = {
+  WQ: [[0.5, -0.3], [0.2, 0.8], [-0.4, 0.6], [0.7, -0.1]],
+  WK: [[0.3, 0.9], [-0.2, 0.4], [0.8, -0.5], [0.1, 0.7]],
+  WV: [[0.6, 0.2], [0.4, -0.8], [-0.3, 0.5], [0.9, 0.1]]
+};
+
+// Token embedding table lookup. Each vocabulary id gets its own seeded row,
+// so the same token always has the same vector wherever it appears; id 0
+// ([PAD]) is all zeros, like a padding index in a real model.
+export const embedTokens = (ids, dModel = DEFAULT_DIMENSIONS.dModel) =>
+  ids.map(id => (id === 0
+    ? Array(dModel).fill(0)
+    : randomMatrix(1, dModel, createRng(5000 + id))[0]
+  ));
+
+// Head 1 always uses the hand-written matrices above so the single-head
+// walkthrough is unchanged; extra heads get their own seeded weights, and
+// adding a head never changes the ones before it.
+export const createHeadWeights = (numHeads, { dModel, dK, dV } = DEFAULT_DIMENSIONS) =>
+  Array.from({ length: numHeads }, (_, h) => {
+    const isDefaultShape = dModel === DEFAULT_DIMENSIONS.dModel
+      && dK === DEFAULT_DIMENSIONS.dK
+      && dV === DEFAULT_DIMENSIONS.dV;
+    if (h === 0 && isDefaultShape) return DEFAULT_WEIGHTS;
+    const rng = createRng(1000 + h);
+    return {
+      WQ: randomMatrix(dModel, dK, rng),
+      WK: randomMatrix(dModel, dK, rng),
+      WV: randomMatrix(dModel, dV, rng)
+    };
+  });
+
+// W_O maps the concatenated heads (h·d_v wide) back to d_model.
+export const createOutputProjection = (numHeads, { dModel, dV } = DEFAULT_DIMENSIONS) =>
+  randomMatrix(numHeads * dV, dModel, createRng(2000 + numHeads), 0.5);
+
+// Presets for the weight editor. "Identity-like" copies the first d_k
+// embedding dimensions straight through, so Q·K compares those features
+// directly.
+export const identityLike = (rows, cols) =>
+  Array.from({ length: rows }, (_, i) => Array.from({ length: cols }, (_, j) => (i === j ? 1 : 0)));
+
+export const presetHeadWeights = (preset, base, seed = 1) => {
+  const shape = (name) => [base[name].length, base[name][0].length];
+  switch (preset) {
+    case 'random': {
+      const rng = createRng(seed);
+      return {
+        WQ: randomMatrix(...shape('WQ'), rng),
+        WK: randomMatrix(...shape('WK'), rng),
+        WV: randomMatrix(...shape('WV'), rng)
+      };
+    }
+    case 'identity':
+      return {
+        WQ: identityLike(...shape('WQ')),
+        WK: identityLike(...shape('WK')),
+        WV: identityLike(...shape('WV'))
+      };
+    default:
+      return base;
+  }
+};
+
+export const setCell = (matrix, i, j, value) =>
+  matrix.map((row, r) => (r === i ? row.map((val, c) => (c === j ? value : val)) : row));
+
+// true wherever `edited` differs from `base`.
+export const changedCells = (edited, base) =>
+  edited.map((row, i) => row.map((val, j) => val !== base[i][j]));
+
+const WEIGHT_NAMES = ['WQ', 'WK', 'WV'];
+
+// Hand edits as a flat list of { head, name, i, j, value }: every cell of
+// `overrides` (keyed by head index, like the editor's state) that differs
+// from the head's original weights.
+export const weightEdits = (overrides, baseHeads) => baseHeads.flatMap((base, head) => {
+  const edited = overrides[head];
+  if (!edited) return [];
+  return WEIGHT_NAMES.flatMap(name => edited[name].flatMap((row, i) => row
+    .map((value, j) => ({ head, name, i, j, value }))
+    .filter(({ value, j }) => value !== base[name][i][j])));
+});
+
+// The reverse: overrides rebuilt from an edit list. Edits that fall outside
+// the heads or matrices are dropped.
+export const applyWeightEdits = (edits, baseHeads) => edits.reduce((overrides, { head, name, i, j, value }) => {
+  const base = baseHeads[head];
+  if (!base || !base[name] || !base[name][i] || base[name][i][j] === undefined) return overrides;
+  const weights = overrides[head] || base;
+  return { ...overrides, [head]: { ...weights, [name]: setCell(weights[name], i, j, value) } };
+}, {});
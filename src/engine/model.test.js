@@ -0,0 +1,52 @@
+import {
+  identityLike,
+  presetHeadWeights,
+  setCell,
+  changedCells,
+  embedTokens,
+  weightEdits,
+  applyWeightEdits,
+  DEFAULT_WEIGHTS
+} from './model';
+
+describe('embedTokens', () => {
+  it('gives the same vector to the same id and zeros to [PAD]', () => {
+    const [pad, first, again] = embedTokens([0, 42, 42]);
+    expect(pad).toEqual([0, 0, 0, 0]);
+    expect(first).toEqual(again);
+    expect(first).toHaveLength(4);
+  });
+});
+
+describe('weight presets', () => {
+  it('builds a rectangular identity', () => {
+    expect(identityLike(3, 2)).toEqual([[1, 0], [0, 1], [0, 0]]);
+  });
+
+  it('keeps each matrix shape and is reproducible for a seed', () => {
+    const random = presetHeadWeights('random', DEFAULT_WEIGHTS, 7);
+    expect(random.WQ).toHaveLength(4);
+    expect(random.WV[0]).toHaveLength(2);
+    expect(presetHeadWeights('random', DEFAULT_WEIGHTS, 7)).toEqual(random);
+    expect(presetHeadWeights('reset', DEFAULT_WEIGHTS)).toBe(DEFAULT_WEIGHTS);
+  });
+});
+
+describe('editing cells', () => {
+  it('replaces one cell without touching the original', () => {
+    const edited = setCell(DEFAULT_WEIGHTS.WQ, 1, 0, 2);
+    expect(edited[1][0]).toBe(2);
+    expect(DEFAULT_WEIGHTS.WQ[1][0]).toBe(0.2);
+    expect(changedCells(edited, DEFAULT_WEIGHTS.WQ).flat().filter(Boolean)).toHaveLength(1);
+    expect(changedCells(edited, DEFAULT_WEIGHTS.WQ)[1][0]).toBe(true);
+  });
+
+  it('lists hand edits cell by cell and rebuilds them', () => {
+    const base = [DEFAULT_WEIGHTS, DEFAULT_WEIGHTS];
+    const overrides = { 1: { ...DEFAULT_WEIGHTS, WK: setCell(DEFAULT_WEIGHTS.WK, 2, 1, 0.25) } };
+    const edits = weightEdits(overrides, base);
+    expect(edits).toEqual([{ head: 1, name: 'WK', i: 2, j: 1, value: 0.25 }]);
+    expect(applyWeightEdits(edits, base)).toEqual(overrides);
+    expect(applyWeightEdits([{ head: 0, name: 'WQ', i: 9, j: 0, value: 1 }], base)).toEqual({});
+  });
+});
@@ -0,0 +1,263 @@
+// Importing real model weights. A model can arrive as one JSON file, as a
+// .safetensors file (config and vocabulary in its __metadata__), or as a
+// JSON config plus one .npy file per tensor, named after the tensor
+// (embeddings.npy, WQ.npy, …). Every part is merged and then checked
+// against the model's declared d_model, d_k and d_v.
+
+import { MAX_HEADS } from './model';
+import { createTranslator } from './i18n';
+import { PAD_TOKEN } from './masking';
+import { UNK_TOKEN } from './tokenizer';
+
+// Tensor names, as used for .npy file names and safetensors keys.
+// Multi-head weights are named heads.0.WQ, heads.1.WQ, …
+const TENSOR_ALIASES = {
+  embeddings: 'embeddings',
+  token_embeddings: 'embeddings',
+  position_embeddings: 'positionEmbeddings',
+  positionEmbeddings: 'positionEmbeddings',
+  WQ: 'WQ',
+  WK: 'WK',
+  WV: 'WV',
+  WO: 'WO'
+};
+
+const english = createTranslator('en');
+
+const decodeText = (bytes) => new TextDecoder('utf-8').decode(bytes);
+
+// IEEE 754 half precision, which DataView can't read directly.
+const readFloat16 = (view, offset) => {
+  const bits = view.getUint16(offset, true);
+  const sign = bits & 0x8000 ? -1 : 1;
+  const exponent = (bits >> 10) & 0x1f;
+  const fraction = bits & 0x3ff;
+  if (exponent === 0) return sign * 2 ** -14 * (fraction / 1024);
+  if (exponent === 0x1f) return fraction ? NaN : sign * Infinity;
+  return sign * 2 ** (exponent - 15) * (1 + fraction / 1024);
+};
+
+const READERS = {
+  F16: { size: 2, read: readFloat16 },
+  F32: { size: 4, read: (view, offset) => view.getFloat32(offset, true) },
+  F64: { size: 8, read: (view, offset) => view.getFloat64(offset, true) }
+};
+
+const NPY_DTYPES = { '<f2': 'F16', '<f4': 'F32', '<f8': 'F64' };
+
+// Flat values → matrix. A 1-D tensor becomes a single row.
+const toMatrix = (values, shape, t) => {
+  if (shape.length === 1) return [values];
+  if (shape.length !== 2) throw new Error(t('model.validation.shape', { shape: shape.join(', ') }));
+  const [rows, cols] = shape;
+  return Array.from({ length: rows }, (_, i) => values.slice(i * cols, (i + 1) * cols));
+};
+
+const readTensor = (buffer, byteOffset, dtype, shape, t) => {
+  const reader = READERS[dtype];
+  if (!reader) throw new Error(t('model.validation.dtype', { dtype }));
+  const count = shape.reduce((a, b) => a * b, 1);
+  const view = new DataView(buffer, byteOffset, count * reader.size);
+  const values = Array.from({ length: count }, (_, i) => reader.read(view, i * reader.size));
+  return toMatrix(values, shape, t);
+};
+
+// Parse errors are thrown in t's language, like validateModel's
+export const parseNpy = (buffer, t = english) => {
+  const bytes = new Uint8Array(buffer);
+  if (bytes[0] !== 0x93 || decodeText(bytes.slice(1, 6)) !== 'NUMPY') {
+    throw new Error(t('model.validation.notNpy'));
+  }
+  const view = new DataView(buffer);
+  const major = bytes[6];
+  const headerLength = major === 1 ? view.getUint16(8, true) : view.getUint32(8, true);
+  const headerStart = major === 1 ? 10 : 12;
+  const header = decodeText(bytes.slice(headerStart, headerStart + headerLength));
+
+  const descr = (header.match(/'descr':\s*'([^']+)'/) || [])[1];
+  const fortranOrder = /'fortran_order':\s*True/.test(header);
+  const shapeText = (header.match(/'shape':\s*\(([^)]*)\)/) || [])[1];
+  if (!NPY_DTYPES[descr]) throw new Error(t('model.validation.npyDtype', { dtype: descr }));
+  if (fortranOrder) throw new Error(t('model.validation.fortran'));
+  const shape = shapeText.split(',').map(dim => dim.trim()).filter(Boolean).map(Number);
+
+  return readTensor(buffer, headerStart + headerLength, NPY_DTYPES[descr], shape, t);
+};
+
+// Reads every tensor plus the string-to-string __metadata__ map. Metadata
+// values that hold JSON (vocab, heads…) are decoded.
+export const parseSafetensors = (buffer, t = english) => {
+  const view = new DataView(buffer);
+  const headerLength = view.getUint32(0, true) + view.getUint32(4, true) * 2 ** 32;
+  const header = JSON.parse(decodeText(new Uint8Array(buffer, 8, headerLength)));
+  const dataStart = 8 + headerLength;
+
+  const tensors = {};
+  const config = {};
+  Object.entries(header).forEach(([name, entry]) => {
+    if (name === '__metadata__') {
+      Object.entries(entry).forEach(([key, value]) => {
+        try {
+          config[key] = JSON.parse(value);
+        } catch (e) {
+          config[key] = value;
+        }
+      });
+      return;
+    }
+    tensors[name] = readTensor(buffer, dataStart + entry.data_offsets[0], entry.dtype, entry.shape, t);
+  });
+  return { config, tensors };
+};
+
+// Folds named tensors into the config: heads.<h>.<W> go into config.heads,
+// the rest by alias. Loose WQ/WK/WV describe a single head.
+export const assembleModel = (parts) => {
+  const config = {};
+  const heads = [];
+  parts.forEach(part => {
+    Object.assign(config, part.config || {});
+    Object.entries(part.tensors || {}).forEach(([name, matrix]) => {
+      const headMatch = name.match(/^heads?\.(\d+)\.(WQ|WK|WV)$/);
+      if (headMatch) {
+        const h = Number(headMatch[1]);
+        heads[h] = { ...heads[h], [headMatch[2]]: matrix };
+      } else if (TENSOR_ALIASES[name]) {
+        config[TENSOR_ALIASES[name]] = matrix;
+      }
+    });
+  });
+
+  if (heads.length) {
+    config.heads = heads;
+  } else if (!config.heads && (config.WQ || config.WK || config.WV)) {
+    config.heads = [{ WQ: config.WQ, WK: config.WK, WV: config.WV }];
+  }
+  delete config.WQ;
+  delete config.WK;
+  delete config.WV;
+  return config;
+};
+
+const isMatrix = (m) => Array.isArray(m) && m.length > 0 && m.every(row => Array.isArray(row));
+
+const checkMatrix = (errors, t, name, matrix, rows, cols) => {
+  if (!isMatrix(matrix)) {
+    errors.push(t('model.validation.notMatrix', { name }));
+    return;
+  }
+  if (rows !== null && matrix.length !== rows) {
+    errors.push(t('model.validation.rows', { name, rows: matrix.length, expected: rows }));
+  }
+  if (matrix.some(row => row.length !== cols)) {
+    errors.push(t('model.validation.columns', { name, cols }));
+  }
+  if (matrix.some(row => row.some(val => typeof val !== 'number' || !Number.isFinite(val)))) {
+    errors.push(t('model.validation.notFinite', { name }));
+  }
+};
+
+const isDimension = (n) => Number.isInteger(n) && n > 0;
+
+// Returns { model, errors }. `model` is only set when there are no errors.
+// Dimensions not given explicitly are read off the matrices. Errors are
+// worded in t's language.
+export const validateModel = (raw, t = english) => {
+  const errors = [];
+  // Array.from turns holes in the numbering (heads.0, heads.2) into undefined
+  const heads = Array.isArray(raw.heads) ? Array.from(raw.heads) : [];
+  const firstHead = heads[0] || {};
+  const dModel = raw.dModel !== undefined ? raw.dModel : isMatrix(raw.embeddings) ? raw.embeddings[0].length : undefined;
+  const dK = raw.dK !== undefined ? raw.dK : isMatrix(firstHead.WQ) ? firstHead.WQ[0].length : undefined;
+  const dV = raw.dV !== undefined ? raw.dV : isMatrix(firstHead.WV) ? firstHead.WV[0].length : undefined;
+
+  [['dModel', dModel], ['dK', dK], ['dV', dV]].forEach(([name, value]) => {
+    if (!isDimension(value)) errors.push(t('model.validation.dimension', { name }));
+  });
+
+  const vocab = raw.vocab;
+  if (!Array.isArray(vocab) || !vocab.length || vocab.some(piece => typeof piece !== 'string')) {
+    errors.push(t('model.validation.vocab'));
+  } else {
+    [UNK_TOKEN, PAD_TOKEN].forEach(special => {
+      if (!vocab.includes(special)) errors.push(t('model.validation.special', { token: special }));
+    });
+  }
+
+  if (!heads.length) errors.push(t('model.validation.noHeads'));
+  if (heads.length > MAX_HEADS) errors.push(t('model.validation.tooManyHeads', { max: MAX_HEADS, heads: heads.length }));
+  heads.forEach((head, h) => {
+    if (!head) errors.push(t('model.validation.missingHead', { index: h }));
+  });
+  if (errors.length) return { model: null, errors };
+
+  checkMatrix(errors, t, 'embeddings', raw.embeddings, vocab.length, dModel);
+  heads.forEach((head, h) => {
+    const prefix = heads.length > 1 ? `heads[${h}].` : '';
+    checkMatrix(errors, t, `${prefix}WQ`, head.WQ, dModel, dK);
+    checkMatrix(errors, t, `${prefix}WK`, head.WK, dModel, dK);
+    checkMatrix(errors, t, `${prefix}WV`, head.WV, dModel, dV);
+  });
+  if (raw.WO !== undefined && raw.WO !== null) {
+    checkMatrix(errors, t, 'WO', raw.WO, heads.length * dV, dModel);
+  }
+  if (raw.positionEmbeddings !== undefined && raw.positionEmbeddings !== null) {
+    checkMatrix(errors, t, 'positionEmbeddings', raw.positionEmbeddings, null, dModel);
+  }
+  if (errors.length) return { model: null, errors };
+
+  return {
+    errors,
+    model: {
+      name: typeof raw.name === 'string' ? raw.name : t('model.imported'),
+      description: typeof raw.description === 'string' ? raw.description : '',
+      dModel,
+      dK,
+      dV,
+      vocab,
+      embeddings: raw.embeddings,
+      positionEmbeddings: raw.positionEmbeddings || null,
+      heads: heads.map(({ WQ, WK, WV }) => ({ WQ, WK, WV })),
+      WO: raw.WO || null
+    }
+  };
+};
+
+const extension = (fileName) => (fileName.match(/\.([^.]+)$/) || [])[1];
+const baseName = (fileName) => fileName.replace(/\.[^.]+$/, '');
+
+// Reads the files a user picked (File objects) into one validated model.
+export const readModelFiles = async (files, t = english) => {
+  try {
+    const parts = await Promise.all(Array.from(files).map(async file => {
+      try {
+        switch ((extension(file.name) || '').toLowerCase()) {
+          case 'json':
+            return { config: JSON.parse(await file.text()) };
+          case 'safetensors':
+            return parseSafetensors(await file.arrayBuffer(), t);
+          case 'npy':
+            return { tensors: { [baseName(file.name)]: parseNpy(await file.arrayBuffer(), t) } };
+          default:
+            throw new Error(t('model.validation.fileType'));
+        }
+      } catch (e) {
+        throw new Error(t('model.validation.file', { file: file.name, message: e.message }));
+      }
+    }));
+    return validateModel(assembleModel(parts), t);
+  } catch (e) {
+    return { model: null, errors: [e.message] };
+  }
+};
+
+// Loads a JSON model shipped with the app (e.g. from public/models).
+export const fetchModel = async (url, t = english) => {
+  try {
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(t('model.validation.http', { url, status: response.status }));
+    return validateModel(await response.json(), t);
+  } catch (e) {
+    return { model: null, errors: [e.message] };
+  }
+};
@@ -0,0 +1,174 @@
+/**
+ * @jest-environment node
+ */
+import { createTranslator } from './i18n';
+import { parseNpy, parseSafetensors, assembleModel, validateModel, readModelFiles } from './modelLoader';
+
+const encode = (text) => new TextEncoder().encode(text);
+
+// Builds a version 1.0 .npy file holding little-endian float32 values.
+const npyBuffer = (values, shape) => {
+  let header = `{'descr': '<f4', 'fortran_order': False, 'shape': (${shape.join(', ')}${shape.length === 1 ? ',' : ''}), }`;
+  const unpadded = 10 + header.length + 1;
+  header = header + ' '.repeat((64 - (unpadded % 64)) % 64) + '\n';
+  const headerBytes = encode(header);
+  const buffer = new ArrayBuffer(10 + headerBytes.length + values.length * 4);
+  const bytes = new Uint8Array(buffer);
+  bytes.set([0x93, ...encode('NUMPY'), 1, 0]);
+  new DataView(buffer).setUint16(8, headerBytes.length, true);
+  bytes.set(headerBytes, 10);
+  const view = new DataView(buffer, 10 + headerBytes.length);
+  values.forEach((val, i) => view.setFloat32(i * 4, val, true));
+  return buffer;
+};
+
+const safetensorsBuffer = (tensors, metadata) => {
+  const header = { __metadata__: metadata };
+  let offset = 0;
+  Object.entries(tensors).forEach(([name, { shape, values }]) => {
+    header[name] = { dtype: 'F64', shape, data_offsets: [offset, offset + values.length * 8] };
+    offset += values.length * 8;
+  });
+  const headerBytes = encode(JSON.stringify(header));
+  const buffer = new ArrayBuffer(8 + headerBytes.length + offset);
+  new DataView(buffer).setUint32(0, headerBytes.length, true);
+  new Uint8Array(buffer).set(headerBytes, 8);
+  const view = new DataView(buffer, 8 + headerBytes.length);
+  let index = 0;
+  Object.values(tensors).forEach(({ values }) => {
+    values.forEach(val => view.setFloat64(8 * index++, val, true));
+  });
+  return buffer;
+};
+
+const validRaw = () => ({
+  name: 'tiny',
+  vocab: ['[PAD]', '[UNK]', 'hi'],
+  dModel: 2,
+  dK: 1,
+  dV: 1,
+  embeddings: [[0, 0], [0.1, 0.2], [0.3, 0.4]],
+  heads: [{ WQ: [[1], [0]], WK: [[0], [1]], WV: [[1], [1]] }]
+});
+
+describe('parseNpy', () => {
+  it('reads a float32 matrix', () => {
+    expect(parseNpy(npyBuffer([1, 2, 3, 4, 5, 6], [2, 3]))).toEqual([[1, 2, 3], [4, 5, 6]]);
+  });
+
+  it('treats a vector as a single row', () => {
+    expect(parseNpy(npyBuffer([0.5, -1], [2]))).toEqual([[0.5, -1]]);
+  });
+
+  it('rejects files that are not .npy', () => {
+    expect(() => parseNpy(encode('hello world!').buffer)).toThrow(/not a \.npy file/);
+  });
+});
+
+describe('parseSafetensors', () => {
+  it('reads tensors and JSON metadata', () => {
+    const { config, tensors } = parseSafetensors(safetensorsBuffer(
+      { WQ: { shape: [2, 1], values: [1, 0] } },
+      { vocab: JSON.stringify(['[PAD]', '[UNK]']), name: 'from safetensors' }
+    ));
+    expect(tensors.WQ).toEqual([[1], [0]]);
+    expect(config.vocab).toEqual(['[PAD]', '[UNK]']);
+    expect(config.name).toBe('from safetensors');
+  });
+});
+
+describe('assembleModel', () => {
+  it('collects loose and per-head tensors', () => {
+    const single = assembleModel([{ config: { vocab: ['a'] } }, { tensors: { WQ: [[1]], WK: [[2]], WV: [[3]] } }]);
+    expect(single.heads).toEqual([{ WQ: [[1]], WK: [[2]], WV: [[3]] }]);
+    expect(single.WQ).toBeUndefined();
+
+    const multi = assembleModel([{ tensors: { 'heads.1.WQ': [[1]], 'heads.0.WQ': [[0]], token_embeddings: [[5]] } }]);
+    expect(multi.heads.map(head => head.WQ)).toEqual([[[0]], [[1]]]);
+    expect(multi.embeddings).toEqual([[5]]);
+  });
+});
+
+describe('validateModel', () => {
+  it('accepts a well-formed model', () => {
+    const { model, errors } = validateModel(validRaw());
+    expect(errors).toEqual([]);
+    expect(model.dModel).toBe(2);
+    expect(model.WO).toBeNull();
+  });
+
+  it('infers missing dimensions from the matrices', () => {
+    const raw = validRaw();
+    delete raw.dModel;
+    delete raw.dK;
+    delete raw.dV;
+    const { model } = validateModel(raw);
+    expect([model.dModel, model.dK, model.dV]).toEqual([2, 1, 1]);
+  });
+
+  it('reports shape mismatches against the declared dimensions', () => {
+    const raw = { ...validRaw(), dK: 2 };
+    const { model, errors } = validateModel(raw);
+    expect(model).toBeNull();
+    expect(errors).toContain('WQ rows must have 2 columns');
+    expect(errors).toContain('WK rows must have 2 columns');
+  });
+
+  it('requires the special tokens and one embedding per vocabulary entry', () => {
+    const raw = { ...validRaw(), vocab: ['hi', 'there', 'you'] };
+    expect(validateModel(raw).errors).toEqual(['vocab must contain [UNK]', 'vocab must contain [PAD]']);
+
+    const short = { ...validRaw(), embeddings: [[0, 0]] };
+    expect(validateModel(short).errors).toEqual(['embeddings has 1 rows, expected 3']);
+  });
+
+  it('checks W_O against the concatenated head width', () => {
+    const raw = { ...validRaw(), WO: [[1, 0], [0, 1]] };
+    expect(validateModel(raw).errors).toEqual(['WO has 2 rows, expected 1']);
+  });
+
+  it('reports gaps in the head numbering', () => {
+    const { heads: [head], ...config } = validRaw();
+    const tensors = {};
+    [0, 2].forEach(h => ['WQ', 'WK', 'WV'].forEach(name => { tensors[`heads.${h}.${name}`] = head[name]; }));
+    expect(validateModel(assembleModel([{ config }, { tensors }])).errors).toEqual(['heads[1] is missing (head numbers must run 0, 1, 2, … without gaps)']);
+  });
+
+  it('words its errors in the given language', () => {
+    const raw = { ...validRaw(), embeddings: [[0, 0]] };
+    expect(validateModel(raw, createTranslator('es')).errors).toEqual(['embeddings tiene 1 filas, se esperaban 3']);
+  });
+});
+
+describe('readModelFiles', () => {
+  const file = (name, content) => ({
+    name,
+    text: async () => content,
+    arrayBuffer: async () => content
+  });
+
+  it('merges a JSON config with .npy tensors', async () => {
+    const { vocab, dModel, dK, dV } = validRaw();
+    const { model, errors } = await readModelFiles([
+      file('config.json', JSON.stringify({ vocab, dModel, dK, dV })),
+      file('embeddings.npy', npyBuffer([0, 0, 0.5, 0.25, 0.75, 1], [3, 2])),
+      file('WQ.npy', npyBuffer([1, 0], [2, 1])),
+      file('WK.npy', npyBuffer([0, 1], [2, 1])),
+      file('WV.npy', npyBuffer([1, 1], [2, 1]))
+    ]);
+    expect(errors).toEqual([]);
+    expect(model.embeddings[1]).toEqual([0.5, 0.25]);
+    expect(model.heads).toHaveLength(1);
+  });
+
+  it('names the file that failed to parse', async () => {
+    const { model, errors } = await readModelFiles([file('weights.txt', '')]);
+    expect(model).toBeNull();
+    expect(errors).toEqual(['weights.txt: expected .json, .safetensors or .npy']);
+  });
+
+  it('words parse errors in the given language', async () => {
+    const { errors } = await readModelFiles([file('WQ.npy', encode('hello world!').buffer)], createTranslator('de'));
+    expect(errors).toEqual(['WQ.npy: keine .npy-Datei']);
+  });
+});
@@ -0,0 +1,27 @@
+import { matMul, computeAttention } from './attention';
+
+// Joins each token's per-head outputs side by side: n × (h·d_v).
+export const concatHeads = (headOutputs) => {
+  if (!headOutputs.length || !headOutputs[0].length) return [];
+  return headOutputs[0].map((_, i) => headOutputs.flatMap(out => out[i]));
+};
+
+// Element-wise mean of every head's attention weights, used for overlays.
+export const averageHeadWeights = (heads) => {
+  if (!heads.length || !heads[0].attentionWeights.length) return [];
+  return heads[0].attentionWeights.map((row, i) =>
+    row.map((_, j) => heads.reduce((sum, head) => sum + head.attentionWeights[i][j], 0) / heads.length)
+  );
+};
+
+// Runs every head independently, concatenates their outputs and applies
+// the output projection W_O. Without W_O the concatenation is the output,
+// which for a single head is exactly the head's own output. The same mask
+// and positional rotation apply to every head; `keyEmbeddings` switches
+// every head to cross-attention.
+export const computeMultiHeadAttention = ({ embeddings, keyEmbeddings = embeddings, heads, WO = null, mask = null, rope = false }) => {
+  const headResults = heads.map(weights => computeAttention({ embeddings, keyEmbeddings, ...weights, mask, rope }));
+  const concat = concatHeads(headResults.map(head => head.output));
+  const output = WO && concat.length ? matMul(concat, WO) : concat;
+  return { heads: headResults, concat, output };
+};
@@ -0,0 +1,72 @@
+import { computeAttention } from './attention';
+import { concatHeads, averageHeadWeights, computeMultiHeadAttention } from './multiHead';
+import { createHeadWeights, createOutputProjection, DEFAULT_WEIGHTS } from './model';
+
+const embeddings = [[1, 0], [0, 1]];
+const identity = [[1, 0], [0, 1]];
+
+describe('concatHeads', () => {
+  it('places each head output side by side per token', () => {
+    expect(concatHeads([[[1, 2], [3, 4]], [[5], [6]]])).toEqual([[1, 2, 5], [3, 4, 6]]);
+  });
+
+  it('returns an empty matrix when there are no tokens', () => {
+    expect(concatHeads([[], []])).toEqual([]);
+  });
+});
+
+describe('computeMultiHeadAttention', () => {
+  it('equals plain attention for one head without W_O', () => {
+    const weights = { WQ: identity, WK: identity, WV: [[1, 2], [3, 4]] };
+    const single = computeAttention({ embeddings, ...weights });
+    const multi = computeMultiHeadAttention({ embeddings, heads: [weights] });
+    expect(multi.output).toEqual(single.output);
+    expect(multi.heads[0].attentionWeights).toEqual(single.attentionWeights);
+  });
+
+  it('concatenates heads and applies the output projection', () => {
+    const heads = [
+      { WQ: identity, WK: identity, WV: [[1], [0]] },
+      { WQ: identity, WK: identity, WV: [[0], [1]] }
+    ];
+    const WO = [[1, 1], [0, 2]];
+    const result = computeMultiHeadAttention({ embeddings, heads, WO });
+
+    // Both heads share the same weights, [0.66976, 0.33024] on row 0.
+    const [hi, lo] = result.heads[0].attentionWeights[0];
+    expect(result.concat[0][0]).toBeCloseTo(hi, 12);
+    expect(result.concat[0][1]).toBeCloseTo(lo, 12);
+    expect(result.output[0][0]).toBeCloseTo(hi, 12);
+    expect(result.output[0][1]).toBeCloseTo(hi + 2 * lo, 12);
+  });
+});
+
+describe('averageHeadWeights', () => {
+  it('averages attention maps cell by cell', () => {
+    const heads = [
+      { attentionWeights: [[1, 0], [0, 1]] },
+      { attentionWeights: [[0, 1], [0.5, 0.5]] }
+    ];
+    expect(averageHeadWeights(heads)).toEqual([[0.5, 0.5], [0.25, 0.75]]);
+  });
+});
+
+describe('generated head weights', () => {
+  it('keeps the hand-written matrices for the first head', () => {
+    expect(createHeadWeights(3)[0]).toBe(DEFAULT_WEIGHTS);
+  });
+
+  it('is reproducible and stable when heads are added', () => {
+    const three = createHeadWeights(3);
+    const five = createHeadWeights(5);
+    expect(five[2]).toEqual(three[2]);
+    expect(five[4].WQ).toHaveLength(4);
+    expect(five[4].WQ[0]).toHaveLength(2);
+  });
+
+  it('sizes W_O from the concatenated head width to d_model', () => {
+    const WO = createOutputProjection(3);
+    expect(WO).toHaveLength(6);
+    expect(WO[0]).toHaveLength(4);
+  });
+});
@@ -0,0 +1,102 @@
+// Ways to turn a row of scores into attention weights. Attention uses
+// softmax; the others are here to compare against it. Every method divides
+// the scores by a temperature first (below 1 sharpens, above 1 flattens),
+// gives masked entries (-∞) weight 0 and returns a row that sums to 1, or
+// all zeros when nothing is left to attend to.
+
+import { softmax } from './attention';
+import { entropy } from './stats';
+
+// 'softmax'   e^x / Σ e^x: every word keeps some weight
+// 'sparsemax' Euclidean projection onto the simplex: exact zeros, linear
+// 'entmax15'  1.5-entmax, between the two: exact zeros, smooth near the top
+// 'relu'      max(0, x) / Σ max(0, x), as in ReLU / linear attention
+// 'topk'      softmax over the k highest scores only
+export const NORMALIZATIONS = ['softmax', 'sparsemax', 'entmax15', 'relu', 'topk'];
+
+export const DEFAULT_NORMALIZATION = { method: 'softmax', temperature: 1, k: 2 };
+
+export const TEMPERATURE_RANGE = { min: 0.1, max: 3, step: 0.1 };
+
+const zeros = (row) => row.map(() => 0);
+
+// Finite scores, highest first
+const sortedFinite = (row) => row.filter(Number.isFinite).sort((a, b) => b - a);
+
+// p_i = max(0, z_i - τ), with τ chosen so the weights sum to 1
+export const sparsemax = (row) => {
+  const sorted = sortedFinite(row);
+  if (!sorted.length) return zeros(row);
+  let sum = 0;
+  let tau = sorted[0] - 1;
+  for (let k = 1; k <= sorted.length; k++) {
+    sum += sorted[k - 1];
+    const candidate = (sum - 1) / k;
+    if (sorted[k - 1] > candidate) tau = candidate;
+    else break;
+  }
+  return row.map(z => (Number.isFinite(z) ? Math.max(0, z - tau) : 0));
+};
+
+// p_i = max(0, z_i / 2 - τ)², with τ chosen so the weights sum to 1. For
+// each support size k the threshold has a closed form; the right k is the
+// largest one whose threshold still sits below its k-th score.
+export const entmax15 = (row) => {
+  const sorted = sortedFinite(row).map(z => z / 2);
+  if (!sorted.length) return zeros(row);
+  let sum = 0;
+  let sumSquares = 0;
+  let tau = sorted[0] - 1;
+  for (let k = 1; k <= sorted.length; k++) {
+    sum += sorted[k - 1];
+    sumSquares += sorted[k - 1] ** 2;
+    const mean = sum / k;
+    const candidate = mean - Math.sqrt(Math.max(0, (1 - (sumSquares - k * mean * mean)) / k));
+    if (candidate <= sorted[k - 1]) tau = candidate;
+    else break;
+  }
+  const weights = row.map(z => (Number.isFinite(z) ? Math.max(0, z / 2 - tau) ** 2 : 0));
+  // Rounding can leave the total a hair off 1
+  const total = weights.reduce((a, b) => a + b, 0);
+  return weights.map(w => w / total);
+};
+
+export const reluAttention = (row) => {
+  const weights = row.map(z => (Number.isFinite(z) ? Math.max(0, z) : 0));
+  const total = weights.reduce((a, b) => a + b, 0);
+  return total > 0 ? weights.map(w => w / total) : zeros(row);
+};
+
+// Ties at the k-th score are broken towards the earlier word
+export const topK = (row, k) => {
+  const kept = row
+    .map((z, j) => ({ z, j }))
+    .filter(({ z }) => Number.isFinite(z))
+    .sort((a, b) => b.z - a.z || a.j - b.j)
+    .slice(0, Math.max(1, k))
+    .map(({ j }) => j);
+  return softmax(row.map((z, j) => (kept.includes(j) ? z : -Infinity)));
+};
+
+export const normalizeRow = (row, { method = 'softmax', temperature = 1, k = DEFAULT_NORMALIZATION.k } = {}) => {
+  const scaled = row.map(z => z / temperature);
+  if (method === 'sparsemax') return sparsemax(scaled);
+  if (method === 'entmax15') return entmax15(scaled);
+  if (method === 'relu') return reluAttention(scaled);
+  if (method === 'topk') return topK(scaled, k);
+  return softmax(scaled);
+};
+
+export const normalizeScores = (scores, options) => scores.map(row => normalizeRow(row, options));
+
+// Per query: entropy in bits, the most it could be (every unmasked word
+// equally), and how many words get any weight at all.
+export const rowStats = (weights, scores) => weights.map((row, i) => {
+  const available = scores[i].filter(Number.isFinite).length;
+  return {
+    entropy: entropy(row),
+    maxEntropy: available > 1 ? Math.log2(available) : 0,
+    support: row.filter(w => w > 0).length,
+    available
+  };
+});
@@ -0,0 +1,113 @@
+import {
+  NORMALIZATIONS,
+  sparsemax,
+  entmax15,
+  reluAttention,
+  topK,
+  normalizeRow,
+  normalizeScores,
+  rowStats
+} from './normalization';
+import { softmax } from './attention';
+
+const sum = (row) => row.reduce((a, b) => a + b, 0);
+
+describe('sparsemax', () => {
+  it('projects onto the simplex, zeroing low scores', () => {
+    const weights = sparsemax([1, 0.8, -1]);
+    expect(weights[0]).toBeCloseTo(0.6);
+    expect(weights[1]).toBeCloseTo(0.4);
+    expect(weights[2]).toBe(0);
+  });
+
+  it('puts everything on a clear winner and splits ties evenly', () => {
+    expect(sparsemax([3, 0, 0])).toEqual([1, 0, 0]);
+    expect(sparsemax([0.5, 0.5])).toEqual([0.5, 0.5]);
+  });
+});
+
+describe('entmax15', () => {
+  it('matches the closed form for two scores', () => {
+    // z/2 = [0.5, 0]: τ solves (0.5 - τ)² + (0 - τ)² = 1
+    const tau = (0.5 - Math.sqrt(2 - 0.25)) / 2;
+    const weights = entmax15([1, 0]);
+    expect(weights[0]).toBeCloseTo((0.5 - tau) ** 2);
+    expect(weights[1]).toBeCloseTo(tau ** 2);
+  });
+
+  it('sits between softmax and sparsemax', () => {
+    const row = [2, 1, 0.2, -1];
+    const support = (weights) => weights.filter(w => w > 0).length;
+    expect(support(entmax15(row))).toBeLessThan(support(softmax(row)));
+    expect(support(entmax15(row))).toBeGreaterThanOrEqual(support(sparsemax(row)));
+    expect(entmax15(row)[3]).toBe(0);
+  });
+});
+
+describe('reluAttention', () => {
+  it('keeps positive scores in proportion', () => {
+    expect(reluAttention([3, 1, -2])).toEqual([0.75, 0.25, 0]);
+  });
+
+  it('gives all zeros when no score is positive', () => {
+    expect(reluAttention([-1, -2])).toEqual([0, 0]);
+  });
+});
+
+describe('topK', () => {
+  it('runs softmax over the k highest scores only', () => {
+    const weights = topK([1, 3, 2, 0], 2);
+    expect(weights[0]).toBe(0);
+    expect(weights[3]).toBe(0);
+    expect(weights[1]).toBeCloseTo(softmax([3, 2])[0]);
+  });
+
+  it('breaks ties towards the earlier word', () => {
+    expect(topK([1, 1, 1], 1)).toEqual([1, 0, 0]);
+  });
+});
+
+describe('normalizeRow', () => {
+  const row = [2, 1, -Infinity, 0.5];
+
+  it.each(NORMALIZATIONS)('%s sums to 1 and leaves masked words at 0', (method) => {
+    const weights = normalizeRow(row, { method, k: 2 });
+    expect(sum(weights)).toBeCloseTo(1);
+    expect(weights[2]).toBe(0);
+    weights.forEach(w => expect(w).toBeGreaterThanOrEqual(0));
+  });
+
+  it.each(NORMALIZATIONS)('%s gives all zeros for a fully masked row', (method) => {
+    expect(normalizeRow([-Infinity, -Infinity], { method })).toEqual([0, 0]);
+  });
+
+  it('sharpens below temperature 1 and flattens above it', () => {
+    const cold = normalizeRow(row, { temperature: 0.5 });
+    const plain = normalizeRow(row);
+    const hot = normalizeRow(row, { temperature: 3 });
+    expect(cold[0]).toBeGreaterThan(plain[0]);
+    expect(hot[0]).toBeLessThan(plain[0]);
+    expect(plain).toEqual(softmax(row));
+  });
+
+  it('lets temperature change which words sparsemax keeps', () => {
+    expect(normalizeRow([1, 0.5, 0], { method: 'sparsemax', temperature: 0.5 })[1]).toBe(0);
+    expect(normalizeRow([1, 0.5, 0], { method: 'sparsemax', temperature: 2 })[2]).toBeGreaterThan(0);
+  });
+
+  it('is unaffected by temperature for ReLU, which only keeps ratios', () => {
+    expect(normalizeRow([3, 1], { method: 'relu', temperature: 0.2 })).toEqual(normalizeRow([3, 1], { method: 'relu' }));
+  });
+});
+
+describe('rowStats', () => {
+  it('reports entropy, its ceiling and the support of each row', () => {
+    const scores = [[0, 0], [1, -Infinity], [0, 0, 0, 0]];
+    const weights = normalizeScores(scores, { method: 'softmax' });
+    expect(rowStats(weights, scores)).toEqual([
+      { entropy: 1, maxEntropy: 1, support: 2, available: 2 },
+      { entropy: 0, maxEntropy: 0, support: 1, available: 1 },
+      { entropy: 2, maxEntropy: 2, support: 4, available: 4 }
+    ]);
+  });
+});
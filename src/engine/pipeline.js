@@ -0,0 +1,20 @@
+// Token entries → attention input: each token's embedding (looked up by id
+// in the imported model, or generated for the toy one) plus its positional
+// encoding. Every sentence counts its positions from 0.
+
+import { embedTokens } from './model';
+import { positionalEncoding, addPositions } from './positional';
+
+export const embedEntries = (entries, { dModel, positionMode, model = null }) => {
+  const ids = entries.map(entry => entry.id);
+  const tokenEmbeddings = model
+    ? ids.map(id => model.embeddings[id])
+    : embedTokens(ids, dModel);
+  const positions = positionalEncoding(
+    positionMode,
+    tokenEmbeddings.length,
+    dModel,
+    model && model.positionEmbeddings
+  );
+  return { tokenEmbeddings, positions, embeddings: addPositions(tokenEmbeddings, positions) };
+};
@@ -0,0 +1,16 @@
+import { embedEntries } from './pipeline';
+import { tokenize } from './tokenizer';
+
+describe('embedEntries', () => {
+  it('gives different out-of-vocabulary words different embeddings in words mode', () => {
+    const { tokenEmbeddings } = embedEntries(tokenize('mat. zorbly mat.', 'words'), { dModel: 4, positionMode: 'none' });
+    expect(tokenEmbeddings[0]).not.toEqual(tokenEmbeddings[1]);
+    expect(tokenEmbeddings[2]).toEqual(tokenEmbeddings[0]);
+  });
+
+  it('uses an imported model\'s rows by vocabulary id', () => {
+    const model = { embeddings: [[0, 0], [1, 2], [3, 4]], positionEmbeddings: null };
+    const { tokenEmbeddings } = embedEntries([{ id: 2 }, { id: 1 }], { dModel: 2, positionMode: 'none', model });
+    expect(tokenEmbeddings).toEqual([[3, 4], [1, 2]]);
+  });
+});
@@ -0,0 +1,67 @@
+// Positional information. Sinusoidal and learned encodings are added to the
+// token embeddings; rotary encoding (RoPE) instead rotates each query and
+// key by an angle that grows with position, so Q·K depends on how far apart
+// two tokens are.
+
+import { createRng, randomMatrix } from './random';
+
+export const POSITION_MODES = ['none', 'sinusoidal', 'learned', 'rope'];
+
+const zeros = (rows, cols) => Array.from({ length: rows }, () => Array(cols).fill(0));
+
+// PE[pos, 2i] = sin(pos / base^(2i/d)), PE[pos, 2i+1] = cos(pos / base^(2i/d))
+export const sinusoidalEncoding = (length, dModel, base = 10000) =>
+  Array.from({ length }, (_, pos) =>
+    Array.from({ length: dModel }, (_, dim) => {
+      const pairIndex = Math.floor(dim / 2);
+      const angle = pos / base ** ((2 * pairIndex) / dModel);
+      return dim % 2 === 0 ? Math.sin(angle) : Math.cos(angle);
+    })
+  );
+
+// Stand-in for a trained position table (as in BERT or GPT-2): one seeded
+// row per position, so a position's vector never depends on sentence length.
+export const learnedPositionTable = (length, dModel) =>
+  Array.from({ length }, (_, pos) => randomMatrix(1, dModel, createRng(3000 + pos), 0.5)[0]);
+
+// What gets added to the token embeddings. RoPE adds nothing here. An
+// imported model can supply its own learned `table`; positions past its end
+// get no encoding.
+export const positionalEncoding = (mode, length, dModel, table = null) => {
+  switch (mode) {
+    case 'sinusoidal':
+      return sinusoidalEncoding(length, dModel);
+    case 'learned':
+      return table
+        ? Array.from({ length }, (_, pos) => (table[pos] ? [...table[pos]] : Array(dModel).fill(0)))
+        : learnedPositionTable(length, dModel);
+    default:
+      return zeros(length, dModel);
+  }
+};
+
+export const addPositions = (embeddings, encodings) =>
+  embeddings.map((row, i) => row.map((val, j) => val + encodings[i][j]));
+
+// θ_i = base^(-2i/d) for each pair of dimensions; position p rotates pair i by p·θ_i.
+export const ropeAngles = (length, dim, base = 10000) =>
+  Array.from({ length }, (_, pos) =>
+    Array.from({ length: Math.floor(dim / 2) }, (_, i) => pos * base ** ((-2 * i) / dim))
+  );
+
+// Rotates consecutive pairs (x_2i, x_2i+1) of each row by its position's
+// angle. An odd last dimension is left as is.
+export const applyRope = (matrix, base = 10000) => {
+  if (!matrix.length) return matrix;
+  const angles = ropeAngles(matrix.length, matrix[0].length, base);
+  return matrix.map((row, pos) => {
+    const rotated = [...row];
+    angles[pos].forEach((angle, i) => {
+      const x = row[2 * i];
+      const y = row[2 * i + 1];
+      rotated[2 * i] = x * Math.cos(angle) - y * Math.sin(angle);
+      rotated[2 * i + 1] = x * Math.sin(angle) + y * Math.cos(angle);
+    });
+    return rotated;
+  });
+};
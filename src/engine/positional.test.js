@@ -0,0 +1,70 @@
+import { computeAttention, matMul, transpose } from './attention';
+import {
+  sinusoidalEncoding,
+  learnedPositionTable,
+  positionalEncoding,
+  addPositions,
+  applyRope
+} from './positional';
+
+describe('sinusoidalEncoding', () => {
+  it('matches the formula from "Attention Is All You Need"', () => {
+    const pe = sinusoidalEncoding(2, 4);
+    expect(pe[0]).toEqual([0, 1, 0, 1]);
+    // Pair 1 uses a wavelength of 10000^(2/4) = 100.
+    expect(pe[1][0]).toBeCloseTo(Math.sin(1), 12);
+    expect(pe[1][1]).toBeCloseTo(Math.cos(1), 12);
+    expect(pe[1][2]).toBeCloseTo(Math.sin(0.01), 12);
+    expect(pe[1][3]).toBeCloseTo(Math.cos(0.01), 12);
+  });
+});
+
+describe('learnedPositionTable', () => {
+  it('gives each position the same row regardless of sentence length', () => {
+    expect(learnedPositionTable(5, 4)[2]).toEqual(learnedPositionTable(3, 4)[2]);
+  });
+});
+
+describe('positionalEncoding', () => {
+  it('adds nothing for rope and none', () => {
+    expect(positionalEncoding('rope', 2, 3)).toEqual([[0, 0, 0], [0, 0, 0]]);
+    expect(positionalEncoding('none', 1, 2)).toEqual([[0, 0]]);
+  });
+
+  it('adds encodings element-wise', () => {
+    expect(addPositions([[1, 2]], [[0.5, -1]])).toEqual([[1.5, 1]]);
+  });
+});
+
+describe('applyRope', () => {
+  it('leaves position 0 untouched and rotates later positions', () => {
+    const rotated = applyRope([[1, 0], [1, 0]]);
+    expect(rotated[0]).toEqual([1, 0]);
+    expect(rotated[1][0]).toBeCloseTo(Math.cos(1), 12);
+    expect(rotated[1][1]).toBeCloseTo(Math.sin(1), 12);
+  });
+
+  it('makes scores depend only on relative position', () => {
+    const vector = [0.3, -0.7, 0.5, 0.2];
+    const rotated = applyRope([vector, vector, vector, vector]);
+    const scores = matMul(rotated, transpose(rotated));
+    expect(scores[0][1]).toBeCloseTo(scores[2][3], 12);
+    expect(scores[1][3]).toBeCloseTo(scores[0][2], 12);
+  });
+
+  it('is applied to queries and keys inside attention', () => {
+    const identity = [[1, 0], [0, 1]];
+    const embeddings = [[1, 0], [1, 0]];
+    const plain = computeAttention({ embeddings, WQ: identity, WK: identity, WV: identity });
+    const rotary = computeAttention({ embeddings, WQ: identity, WK: identity, WV: identity, rope: true });
+    // Identical tokens attend evenly without position, but not with RoPE.
+    expect(plain.attentionWeights[1]).toEqual([0.5, 0.5]);
+    expect(rotary.attentionWeights[1][1]).toBeGreaterThan(rotary.attentionWeights[1][0]);
+  });
+});
+
+describe('imported position tables', () => {
+  it('reads rows from the table and zero-fills past its end', () => {
+    expect(positionalEncoding('learned', 3, 2, [[1, 2], [3, 4]])).toEqual([[1, 2], [3, 4], [0, 0]]);
+  });
+});
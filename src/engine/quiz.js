@@ -0,0 +1,225 @@
+// Quiz mode: one "predict it first" question per step, built from the
+// matrices the walkthrough just computed, so the right answer is always
+// the app's own number. Results are kept in localStorage. Questions are
+// worded by the translator `t` from ./i18n, English by default.
+
+import { mean } from './stats';
+import { createTranslator } from './i18n';
+
+const english = createTranslator('en');
+
+export const QUIZ_STORAGE_KEY = 'attention-visualizer-quiz';
+
+// Typed answers may be off by this much (or 5%, whichever is larger),
+// since learners work from the rounded numbers on screen
+const NUMBER_TOLERANCE = 0.05;
+
+const round2 = (val) => Math.round(val * 100) / 100;
+const fmt = (val) => round2(val).toFixed(2);
+const argmaxAll = (row) => {
+  const max = Math.max(...row);
+  return row.map((val, i) => (val === max ? i : -1)).filter(i => i >= 0);
+};
+
+// The word the questions ask about: `focusWord` ("cat", or the default
+// sentence's cat in the current language) when the sentence has it, else
+// the second word. It doesn't follow the selection, so a question stays
+// put while the learner explores.
+export const quizWordIndex = (queryTokens, focusWord = 'cat') => {
+  const focus = queryTokens.findIndex(token => token.toLowerCase() === focusWord);
+  if (focus >= 0) return focus;
+  return Math.min(1, queryTokens.length - 1);
+};
+
+const numberQuestion = (fields) => ({ kind: 'number', tolerance: 0, ...fields });
+
+const choiceQuestion = (prompt, tokens, weights, explanation) => ({
+  kind: 'choice',
+  prompt,
+  choices: tokens,
+  answer: argmaxAll(weights),
+  explanation
+});
+
+// `data` holds what the current step shows: { tokens, queryTokens, dModel,
+// head (the focused head's computeAttention result), focusHead (its index),
+// weights (the attention matrix on screen), mask, stack (the layer stack) }.
+// Returns null when the step has nothing to ask or the sentence is too short.
+const askQuestion = (component, data, t) => {
+  const { tokens, queryTokens, dModel, head, focusHead = 0, weights, mask, stack } = data;
+  if (!queryTokens.length || !tokens.length || !head.Q.length) return null;
+  const i = quizWordIndex(queryTokens, t('quiz.focusWord'));
+  const word = queryTokens[i];
+
+  switch (component) {
+    case 'embeddings':
+      return numberQuestion({
+        prompt: t('quiz.embeddings.prompt'),
+        answer: dModel,
+        explanation: t('quiz.embeddings.explanation', { dModel })
+      });
+    case 'position':
+      return {
+        kind: 'choice',
+        prompt: t('quiz.position.prompt'),
+        choices: [t('quiz.position.yes'), t('quiz.position.no')],
+        answer: [1],
+        explanation: t('quiz.position.explanation')
+      };
+    case 'qkv':
+      return numberQuestion({
+        prompt: t('quiz.qkv.prompt', { word }),
+        answer: head.Q[i].length,
+        explanation: t('quiz.qkv.explanation', { dModel, dK: head.Q[i].length })
+      });
+    case 'scores': {
+      // A pair that isn't masked, preferably with a different word
+      const visible = tokens.map((_, j) => j).filter(j => !(mask && mask[i] && mask[i][j]));
+      const others = visible.filter(k => k !== i);
+      const j = others.length ? others[0] : visible.length ? visible[0] : 0;
+      const q = head.Q[i].map(round2);
+      const k = head.K[j].map(round2);
+      const answer = head.scaledScores[i][j];
+      return numberQuestion({
+        prompt: t('quiz.scores.prompt', {
+          word,
+          other: tokens[j],
+          q: q.map(fmt).join(', '),
+          k: k.map(fmt).join(', '),
+          dK: head.dK
+        }),
+        answer,
+        tolerance: Math.max(NUMBER_TOLERANCE, Math.abs(answer) * 0.05),
+        explanation: `(${q.map((val, d) => `${fmt(val)}×${fmt(k[d])}`).join(' + ')}) ÷ √${head.dK} = ${fmt(answer)}`
+      });
+    }
+    case 'masking': {
+      const j = mask && mask[i] ? mask[i].findIndex(Boolean) : -1;
+      if (j < 0) return null;
+      return numberQuestion({
+        prompt: t('quiz.masking.prompt', { word, other: tokens[j] }),
+        answer: 0,
+        explanation: t('quiz.masking.explanation')
+      });
+    }
+    case 'attention':
+      return choiceQuestion(
+        t('quiz.attention.prompt', { word }),
+        tokens,
+        weights[i],
+        t('quiz.attention.explanation', {
+          word,
+          percent: Math.round(Math.max(...weights[i]) * 100),
+          top: tokens[argmaxAll(weights[i])[0]]
+        })
+      );
+    case 'output': {
+      const total = weights[i].reduce((sum, val) => sum + val, 0);
+      return numberQuestion({
+        prompt: t('quiz.output.prompt', { word }),
+        answer: total,
+        tolerance: 0.01,
+        acceptsPercent: true,
+        explanation: t('quiz.output.explanation')
+      });
+    }
+    case 'residual':
+      return numberQuestion({
+        prompt: t('quiz.residual.prompt', { word }),
+        answer: dModel,
+        explanation: t('quiz.residual.explanation', { dModel })
+      });
+    case 'layernorm':
+      if (!stack || !stack[0]) return null;
+      return numberQuestion({
+        prompt: t('quiz.layernorm.prompt', { word }),
+        answer: mean(stack[0].norm1[i]),
+        tolerance: 0.01,
+        explanation: t('quiz.layernorm.explanation')
+      });
+    case 'ffn': {
+      if (!stack || !stack[0]) return null;
+      const fired = stack[0].ffnHidden[i].filter(val => val > 0).length;
+      return numberQuestion({
+        prompt: t('quiz.ffn.prompt', { word, hidden: stack[0].ffnHidden[i].length }),
+        answer: fired,
+        tolerance: 2,
+        explanation: t('quiz.ffn.explanation', { count: fired })
+      });
+    }
+    case 'layers': {
+      if (!stack || stack.length < 2) return null;
+      const top = stack[stack.length - 1].attention.heads[focusHead].attentionWeights;
+      return choiceQuestion(
+        t('quiz.layers.prompt', { word, layer: stack.length }),
+        tokens,
+        top[i],
+        t('quiz.layers.explanation', {
+          word,
+          layer: stack.length,
+          top: tokens[argmaxAll(top[i])[0]],
+          percent: Math.round(Math.max(...top[i]) * 100)
+        })
+      );
+    }
+    default:
+      return null;
+  }
+};
+
+// Each question carries a `key` made of its step, the sentence, the word it
+// asks about and the right answer, so a result only counts for the question
+// it was given on. A new sentence or any setting that changes the answer
+// asks again.
+export const buildQuizQuestion = (component, data, t = english) => {
+  const question = askQuestion(component, data, t);
+  if (!question) return null;
+  const word = data.queryTokens[quizWordIndex(data.queryTokens, t('quiz.focusWord'))];
+  return { ...question, key: `${component}:${JSON.stringify([data.tokens, word, question.answer])}` };
+};
+
+// `response` is a choice index, or the typed text for number questions.
+export const checkAnswer = (question, response) => {
+  if (question.kind === 'choice') return question.answer.includes(Number(response));
+  const text = String(response).trim().replace(',', '.');
+  const parsed = parseFloat(text.replace('%', ''));
+  if (!Number.isFinite(parsed)) return false;
+  // "100%" for a fraction question means 1
+  const value = question.acceptsPercent && text.endsWith('%') ? parsed / 100 : parsed;
+  return Math.abs(value - question.answer) <= question.tolerance + 1e-9;
+};
+
+// Results are { [question.key]: { correct, response } }, the latest try per step.
+export const loadQuizResults = (storage) => {
+  try {
+    const saved = JSON.parse(storage.getItem(QUIZ_STORAGE_KEY));
+    return saved && typeof saved === 'object' && !Array.isArray(saved) ? saved : {};
+  } catch (error) {
+    return {};
+  }
+};
+
+export const saveQuizResults = (storage, results) => {
+  try {
+    storage.setItem(QUIZ_STORAGE_KEY, JSON.stringify(results));
+  } catch (error) {
+    // Private browsing or a full quota: the quiz still works for this visit
+  }
+};
+
+// Records `result` for the question with `key`, dropping earlier tries at
+// the same step; a null result just clears the step
+export const withQuizResult = (results, key, result) => {
+  const step = key.slice(0, key.indexOf(':') + 1);
+  const kept = Object.fromEntries(Object.entries(results).filter(([other]) => !other.startsWith(step)));
+  return result ? { ...kept, [key]: result } : kept;
+};
+
+export const quizSummary = (results, keys) => {
+  const answered = keys.filter(key => results[key]);
+  return {
+    answered: answered.length,
+    correct: answered.filter(key => results[key].correct).length,
+    total: keys.length
+  };
+};
@@ -0,0 +1,137 @@
+import { computeAttention } from './attention';
+import { createHeadWeights, embedTokens, DEFAULT_DIMENSIONS } from './model';
+import { causalMask } from './masking';
+import { computeLayerStack, createLayerWeights } from './transformer';
+import {
+  QUIZ_STORAGE_KEY,
+  quizWordIndex,
+  buildQuizQuestion,
+  checkAnswer,
+  loadQuizResults,
+  saveQuizResults,
+  withQuizResult,
+  quizSummary
+} from './quiz';
+import { createTranslator } from './i18n';
+
+const tokens = ['the', 'cat', 'sat', 'down'];
+const embeddings = embedTokens([5, 9, 13, 2]);
+const mask = causalMask(4);
+const head = computeAttention({ embeddings, ...createHeadWeights(1)[0], mask });
+const stack = computeLayerStack({
+  embeddings,
+  layers: [0, 1].map(l => createLayerWeights(l, 1, DEFAULT_DIMENSIONS)),
+  mask
+});
+const data = { tokens, queryTokens: tokens, dModel: 4, head, weights: head.attentionWeights, mask, stack };
+const ask = (component) => buildQuizQuestion(component, data);
+
+describe('quizWordIndex', () => {
+  it('asks about "cat" when it can, otherwise the second word', () => {
+    expect(quizWordIndex(['a', 'dog', 'Cat'])).toBe(2);
+    expect(quizWordIndex(['a', 'dog', 'ran'])).toBe(1);
+    expect(quizWordIndex(['hi'])).toBe(0);
+  });
+
+  it('looks for the focus word it is given', () => {
+    expect(quizWordIndex(['el', 'perro', 'y', 'el', 'Gato'], 'gato')).toBe(4);
+  });
+});
+
+describe('buildQuizQuestion', () => {
+  it('checks the score question against the computed scaled score', () => {
+    const question = ask('scores');
+    expect(question.prompt).toContain('"cat" looking at "the"');
+    expect(checkAnswer(question, String(head.scaledScores[1][0]))).toBe(true);
+    expect(checkAnswer(question, String(head.scaledScores[1][0] + 1))).toBe(false);
+  });
+
+  it('asks in the translator\'s language about its focus word', () => {
+    const spanish = { ...data, tokens: ['el', 'gato', 'se', 'sentó'], queryTokens: ['el', 'gato', 'se', 'sentó'] };
+    expect(buildQuizQuestion('attention', spanish, createTranslator('es')).prompt)
+      .toBe('¿A qué palabra prestará más atención "gato"?');
+  });
+
+  it('accepts any word tied for the most attention', () => {
+    const question = ask('attention');
+    const best = head.attentionWeights[1].indexOf(Math.max(...head.attentionWeights[1]));
+    expect(question.choices).toBe(tokens);
+    expect(checkAnswer(question, best)).toBe(true);
+    expect(checkAnswer(question, 3)).toBe(false);
+  });
+
+  it('asks about a masked cell only when there is one', () => {
+    expect(checkAnswer(ask('masking'), '0%')).toBe(true);
+    expect(buildQuizQuestion('masking', { ...data, mask: null })).toBeNull();
+  });
+
+  it('accepts the softmax row total as a fraction or a percentage', () => {
+    const question = ask('output');
+    expect(checkAnswer(question, '1')).toBe(true);
+    expect(checkAnswer(question, '100%')).toBe(true);
+    expect(checkAnswer(question, '0,5')).toBe(false);
+    expect(checkAnswer(question, 'one')).toBe(false);
+  });
+
+  it('builds questions for the later transformer steps from the layer stack', () => {
+    expect(checkAnswer(ask('layernorm'), '0')).toBe(true);
+    const ffn = ask('ffn');
+    expect(checkAnswer(ffn, String(stack[0].ffnHidden[1].filter(val => val > 0).length + 2))).toBe(true);
+    expect(ask('layers').prompt).toContain('layer 2');
+    expect(buildQuizQuestion('layers', { ...data, stack: stack.slice(0, 1) })).toBeNull();
+  });
+
+  it('asks the layers question about the focused head', () => {
+    const twoHeads = computeLayerStack({
+      embeddings,
+      layers: [0, 1].map(l => createLayerWeights(l, 2, DEFAULT_DIMENSIONS)),
+      mask
+    });
+    const [first, second] = [0, 1].map(focusHead => buildQuizQuestion('layers', { ...data, stack: twoHeads, focusHead }));
+    const row = twoHeads[1].attention.heads[1].attentionWeights[1];
+    expect(second.answer).toEqual([row.indexOf(Math.max(...row))]);
+    expect(first.answer).not.toEqual(second.answer);
+  });
+
+  it('keys each question by its sentence, word and answer', () => {
+    expect(ask('scores').key).toBe(buildQuizQuestion('scores', data).key);
+    expect(ask('embeddings').key).not.toBe(buildQuizQuestion('embeddings', { ...data, dModel: 8 }).key);
+    const other = ['the', 'cat', 'ran', 'off'];
+    expect(ask('qkv').key).not.toBe(buildQuizQuestion('qkv', { ...data, tokens: other, queryTokens: other }).key);
+    expect(ask('qkv').key).not.toBe(ask('residual').key);
+  });
+
+  it('has a question for every step but skips empty sentences', () => {
+    ['embeddings', 'position', 'qkv', 'residual'].forEach(component => expect(ask(component)).not.toBeNull());
+    expect(checkAnswer(ask('embeddings'), '4')).toBe(true);
+    expect(buildQuizQuestion('scores', { ...data, queryTokens: [] })).toBeNull();
+  });
+});
+
+describe('quiz results', () => {
+  const memoryStorage = () => {
+    const store = {};
+    return { getItem: key => (key in store ? store[key] : null), setItem: (key, value) => { store[key] = value; } };
+  };
+
+  it('round-trips through storage and survives bad data', () => {
+    const storage = memoryStorage();
+    expect(loadQuizResults(storage)).toEqual({});
+    saveQuizResults(storage, { scores: { correct: true, response: '0.5' } });
+    expect(loadQuizResults(storage)).toEqual({ scores: { correct: true, response: '0.5' } });
+    storage.setItem(QUIZ_STORAGE_KEY, '{broken');
+    expect(loadQuizResults(storage)).toEqual({});
+    expect(() => saveQuizResults({ setItem: () => { throw new Error('full'); } }, {})).not.toThrow();
+  });
+
+  it('keeps only the latest try per step', () => {
+    const first = withQuizResult({ 'qkv:a': { correct: false }, 'scores:b': { correct: true } }, 'qkv:c', { correct: true });
+    expect(first).toEqual({ 'scores:b': { correct: true }, 'qkv:c': { correct: true } });
+    expect(withQuizResult(first, 'qkv:c', null)).toEqual({ 'scores:b': { correct: true } });
+  });
+
+  it('counts answered and correct steps', () => {
+    const results = { scores: { correct: true }, attention: { correct: false }, old: { correct: true } };
+    expect(quizSummary(results, ['scores', 'attention', 'output'])).toEqual({ answered: 2, correct: 1, total: 3 });
+  });
+});
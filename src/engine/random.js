@@ -0,0 +1,27 @@
+// Seeded pseudo-random numbers (mulberry32) so generated weights are the
+// same on every reload and for every student.
+
+export const createRng = (seed) => {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Values in [-scale, scale], kept to one decimal like the hand-written
+// toy matrices so they stay readable on screen.
+export const randomMatrix = (rows, cols, rng, scale = 1) =>
+  Array.from({ length: rows }, () =>
+    Array.from({ length: cols }, () => Math.round((rng() * 2 - 1) * scale * 10) / 10)
+  );
+
+// Standard normal sample (Box–Muller).
+export const randomNormal = (rng) => {
+  const u = Math.max(rng(), Number.EPSILON);
+  const v = rng();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+};
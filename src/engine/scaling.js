@@ -0,0 +1,38 @@
+// Why attention divides by √d_k. If query and key entries have unit
+// variance, q·k has variance d_k, so raw scores spread out as d_k grows and
+// softmax saturates onto a single key. Dividing by √d_k brings the variance
+// back to 1 at every size.
+
+import { softmax } from './attention';
+import { createRng, randomNormal } from './random';
+import { mean, std, entropy } from './stats';
+
+export const SCALING_DIMENSIONS = [1, 2, 4, 8, 16, 32, 64, 128];
+
+const dot = (a, b) => a.reduce((sum, val, i) => sum + val * b[i], 0);
+
+// For each d_k, draws `samples` random attention rows over `seqLen` keys and
+// reports the spread of the scores and how peaked softmax is (average top
+// weight and entropy), with and without scaling.
+export const scalingExperiment = ({ dimensions = SCALING_DIMENSIONS, seqLen = 8, samples = 64, seed = 42 } = {}) =>
+  dimensions.map(dK => {
+    const rng = createRng(seed + dK);
+    const vector = () => Array.from({ length: dK }, () => randomNormal(rng));
+    const rows = Array.from({ length: samples }, () => {
+      const q = vector();
+      return Array.from({ length: seqLen }, () => dot(q, vector()));
+    });
+    const summarize = (scoreRows) => {
+      const weights = scoreRows.map(row => softmax(row));
+      return {
+        scoreStd: mean(scoreRows.map(std)),
+        topWeight: mean(weights.map(row => Math.max(...row))),
+        entropy: mean(weights.map(entropy))
+      };
+    };
+    return {
+      dK,
+      unscaled: summarize(rows),
+      scaled: summarize(rows.map(row => row.map(val => val / Math.sqrt(dK))))
+    };
+  });
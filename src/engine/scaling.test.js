@@ -0,0 +1,35 @@
+import { scalingExperiment } from './scaling';
+import { mean, std, entropy } from './stats';
+
+describe('stats', () => {
+  it('computes mean, standard deviation and entropy', () => {
+    expect(mean([1, 2, 3])).toBe(2);
+    expect(std([2, 4, 4, 4, 5, 5, 7, 9])).toBe(2);
+    expect(entropy([0.5, 0.5])).toBe(1);
+    expect(entropy([1, 0, 0])).toBe(0);
+  });
+});
+
+describe('scalingExperiment', () => {
+  const results = scalingExperiment({ dimensions: [1, 64], samples: 200 });
+  const [small, large] = results;
+
+  it('shows unscaled scores spreading out roughly like √d_k', () => {
+    expect(large.unscaled.scoreStd / small.unscaled.scoreStd).toBeGreaterThan(4);
+  });
+
+  it('shows softmax saturating without scaling', () => {
+    expect(large.unscaled.topWeight).toBeGreaterThan(0.8);
+    expect(large.unscaled.entropy).toBeLessThan(small.unscaled.entropy);
+  });
+
+  it('keeps the spread roughly constant with scaling', () => {
+    expect(large.scaled.scoreStd).toBeGreaterThan(0.6);
+    expect(large.scaled.scoreStd).toBeLessThan(1.4);
+    expect(large.scaled.topWeight).toBeLessThan(0.6);
+  });
+
+  it('is reproducible', () => {
+    expect(scalingExperiment({ dimensions: [4] })).toEqual(scalingExperiment({ dimensions: [4] }));
+  });
+});
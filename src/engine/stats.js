@@ -0,0 +1,20 @@
+// Small summary statistics used across the analysis views.
+
+export const mean = (values) => (values.length ? values.reduce((a, b) => a + b, 0) / values.length : 0);
+
+export const std = (values) => {
+  if (!values.length) return 0;
+  const m = mean(values);
+  return Math.sqrt(mean(values.map(v => (v - m) ** 2)));
+};
+
+// Shannon entropy in bits of a probability row; zero weights contribute nothing.
+export const entropy = (row) =>
+  row.reduce((sum, p) => (p > 0 ? sum - p * Math.log2(p) : sum), 0);
+
+// Cosine of the angle between two vectors: 1 = same direction, 0 = unrelated.
+export const cosineSimilarity = (a, b) => {
+  const dot = a.reduce((sum, val, i) => sum + val * b[i], 0);
+  const norms = Math.sqrt(a.reduce((sum, val) => sum + val * val, 0)) * Math.sqrt(b.reduce((sum, val) => sum + val * val, 0));
+  return norms > 0 ? dot / norms : 0;
+};
@@ -0,0 +1,81 @@
+// Plain-language summary of one word's attention row. `wordIndex` is the
+// word's own column (-1 in cross-attention, where it has none). `t` is a
+// translator from ./i18n; stories are in English unless one is passed.
+
+import { createTranslator } from './i18n';
+import { standout } from './analysis';
+
+const english = createTranslator('en');
+const pct = (weight) => Math.round(weight * 100);
+
+export const generateAttentionStory = (word, allTokens, attentionRow, wordIndex, t = english) => {
+  if (!attentionRow || attentionRow.length === 0 || !allTokens || allTokens.length === 0) {
+    return t('story.calculating', { word });
+  }
+
+  const sortedAttention = attentionRow
+    .map((weight, idx) => ({
+      weight: weight || 0,
+      idx,
+      token: allTokens[idx] || 'unknown'
+    }))
+    .filter(item => item.token !== 'unknown')
+    .sort((a, b) => b.weight - a.weight);
+
+  if (sortedAttention.length < 2) {
+    return t('story.calculating', { word });
+  }
+
+  const [first, second] = sortedAttention;
+
+  // Masking can leave a single visible word
+  if (second.weight === 0) {
+    return first.idx === wordIndex
+      ? t('story.onlySelf', { word })
+      : t('story.allOn', { word, top: first.token, percent: pct(first.weight) });
+  }
+
+  const values = {
+    word,
+    top: first.token,
+    percent: pct(first.weight),
+    second: second.token,
+    secondPercent: pct(second.weight)
+  };
+  const story = first.idx === wordIndex ? t('story.self', values) : t('story.other', values);
+
+  // Whatever the top two leave over, if it rounds to at least 1%
+  const rest = sortedAttention.slice(2).filter(item => item.weight > 0);
+  const restPercent = pct(rest.reduce((sum, item) => sum + item.weight, 0));
+  if (!rest.length || restPercent < 1) return story;
+  return `${story} ${t('story.rest', { count: rest.length, percent: restPercent })}`;
+};
+
+// A few sentences about the whole matrix from analysis.js's tokenMetrics:
+// the most attended-to word, the most focused and most diffuse ones, the
+// one that keeps the most for itself and, with a rollout, the one with the
+// most influence after `layers` layers (self-attention only).
+export const generateSentenceStories = (metrics, layers = 1, t = english) => {
+  if (metrics.length < 2) return [];
+  const stories = [];
+  const top = standout(metrics, 'received');
+  stories.push(t('story.mostAttended', { word: top.token, percent: pct(top.share) }));
+
+  const focused = standout(metrics, 'entropy', true);
+  const diffuse = standout(metrics, 'entropy');
+  if (diffuse.entropy - focused.entropy >= 0.01) {
+    stories.push(t('story.focused', { word: focused.token, bits: focused.entropy.toFixed(2) }));
+    stories.push(t('story.diffuse', { word: diffuse.token, bits: diffuse.entropy.toFixed(2) }));
+  }
+
+  const selfish = standout(metrics, 'self');
+  if (pct(selfish.self) > 0) {
+    stories.push(t('story.mostSelf', { word: selfish.token, percent: pct(selfish.self) }));
+  }
+
+  if (metrics[0].influence !== null) {
+    const influential = standout(metrics, 'influence');
+    stories.push(t('story.influence', { word: influential.token, percent: pct(influential.influence), count: layers }));
+  }
+  return stories;
+};
@@ -0,0 +1,74 @@
+import { generateAttentionStory, generateSentenceStories } from './story';
+import { tokenMetrics, attentionRollout } from './analysis';
+import { createTranslator } from './i18n';
+
+const tokens = ['the', 'cat', 'sat'];
+
+describe('generateAttentionStory', () => {
+  it('names the two words that get the most attention', () => {
+    expect(generateAttentionStory('cat', tokens, [0.2, 0.1, 0.7], 1))
+      .toBe('"cat" is most interested in "sat" (70% of its attention), followed by "the" (20%). The remaining 10% goes to one other word.');
+  });
+
+  it('says when a word mostly looks at itself', () => {
+    expect(generateAttentionStory('cat', tokens, [0.3, 0.6, 0.1], 1))
+      .toBe('"cat" is mostly focused on itself (60%), but also pays some attention to "the" (30%). The remaining 10% goes to one other word.');
+  });
+
+  it('counts the rest of the attention with the right plural', () => {
+    expect(generateAttentionStory('cat', ['the', 'cat', 'sat', 'on'], [0.5, 0.3, 0.1, 0.1], 1))
+      .toBe('"cat" is most interested in "the" (50% of its attention), followed by "cat" (30%). The remaining 20% is spread over 2 other words.');
+    expect(generateAttentionStory('cat', ['the', 'cat', 'sat', 'on'], [0.6, 0.4, 0, 0.001], 1))
+      .toBe('"cat" is most interested in "the" (60% of its attention), followed by "cat" (40%).');
+  });
+
+  it('tells the story in Spanish and German', () => {
+    expect(generateAttentionStory('gato', ['el', 'gato', 'come'], [0.2, 0.1, 0.7], 1, createTranslator('es')))
+      .toBe('A "gato" lo que más le interesa es "come" (70% de su atención), seguida de "el" (20%). El 10% restante va a otra palabra.');
+    expect(generateAttentionStory('katze', ['die', 'katze', 'saß', 'da'], [0.1, 0.6, 0.2, 0.1], 1, createTranslator('de')))
+      .toBe('"katze" konzentriert sich vor allem auf sich selbst (60 %), schenkt aber auch "saß" etwas Attention (20 %). Die restlichen 20 % verteilen sich auf 2 weitere Wörter.');
+  });
+
+  it('handles masks that leave a single visible word', () => {
+    expect(generateAttentionStory('the', tokens, [1, 0, 0], 0))
+      .toBe('"the" can only see itself, so all of its attention stays on itself (100%).');
+    expect(generateAttentionStory('le', tokens, [0, 1, 0], -1))
+      .toBe('"le" puts all of its attention on "cat" (100%).');
+  });
+
+  it('waits for data', () => {
+    expect(generateAttentionStory('cat', tokens, [], 1)).toBe('"cat" is still calculating its attention patterns...');
+  });
+});
+
+describe('generateSentenceStories', () => {
+  const weights = [
+    [0.5, 0.5, 0],
+    [0.1, 0.2, 0.7],
+    [0, 0, 1]
+  ];
+
+  it('names the most attended-to, focused, diffuse and self-focused words', () => {
+    expect(generateSentenceStories(tokenMetrics(['the', 'cat', 'mat'], weights))).toEqual([
+      '"mat" is the most attended-to word in the sentence: it receives 57% of all the attention.',
+      '"mat" has the most focused attention (0.00 bits of entropy).',
+      '"cat" spreads its attention the widest (1.16 bits of entropy).',
+      '"mat" keeps the most attention for itself (100%).'
+    ]);
+  });
+
+  it('adds the rollout with the number of layers', () => {
+    const metrics = tokenMetrics(['the', 'cat', 'mat'], weights, attentionRollout([weights, weights]));
+    const stories = generateSentenceStories(metrics, 2);
+    expect(stories[stories.length - 1]).toMatch(/^Following attention and the residual connections through all 2 layers \(rollout\), "mat" has the most influence/);
+  });
+
+  it('skips the entropy contrast when every word is equally focused', () => {
+    const stories = generateSentenceStories(tokenMetrics(['a', 'b'], [[1, 0], [0, 1]]), 1, createTranslator('de'));
+    expect(stories).toEqual([
+      '"a" ist das Wort im Satz, das die meiste Attention bekommt: 50 % der gesamten Attention.',
+      '"a" behält am meisten Attention für sich selbst (100 %).'
+    ]);
+    expect(generateSentenceStories(tokenMetrics(['a'], [[1]]))).toEqual([]);
+  });
+});
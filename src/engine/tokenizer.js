@@ -0,0 +1,110 @@
+// A small WordPiece tokenizer (the scheme BERT uses) over a vocabulary that
+// ships with the app, so tokenization never needs the network.
+//
+// "words" mode is the naive view: split on whitespace and look each word up
+// whole. "subwords" mode lowercases, splits punctuation off, and breaks each
+// word into the longest vocabulary pieces it can, marking pieces that
+// continue a word with "##" (un ##believ ##able).
+
+import VOCAB from './vocab.json';
+
+export const TOKENIZER_MODES = ['words', 'subwords'];
+export const UNK_TOKEN = '[UNK]';
+export const CONTINUATION_PREFIX = '##';
+
+const MAX_WORD_CHARS = 100;
+// Range of the made-up ids out-of-vocabulary words get in words mode
+const HASHED_IDS = 2 ** 20;
+const PUNCTUATION = /([!-/:-@[-`{-~])/;
+
+export const isContinuation = (piece) => piece.startsWith(CONTINUATION_PREFIX) && piece.length > CONTINUATION_PREFIX.length;
+
+// Any run of spaces, tabs or newlines separates words.
+export const splitWhitespace = (text) => (text || '').split(/\s+/).filter(word => word.length > 0);
+
+// Lowercase and strip accents, like an uncased BERT model.
+export const normalize = (word) => word.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+
+export const basicTokenize = (text) =>
+  splitWhitespace(text).flatMap(word => normalize(word).split(PUNCTUATION).filter(part => part.length > 0));
+
+// FNV-1a, for a stable number per word
+const hashWord = (word) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < word.length; i++) {
+    hash = Math.imul(hash ^ word.charCodeAt(i), 0x01000193) >>> 0;
+  }
+  return hash;
+};
+
+// Builds a tokenizer over any vocabulary (index = token id), such as one
+// that came with an imported model. With `hashUnknownWords`, words mode
+// gives each out-of-vocabulary word its own id past the end of the
+// vocabulary (flagged `unknown`), so words the toy model has never seen
+// still get embeddings of their own; an imported model has rows only for
+// its vocabulary, so there they share [UNK].
+export const createTokenizer = (vocab, { hashUnknownWords = false } = {}) => {
+  const ids = new Map(vocab.map((piece, id) => [piece, id]));
+
+  const tokenId = (piece) => (ids.has(piece) ? ids.get(piece) : ids.get(UNK_TOKEN));
+
+  const wordEntry = (word) => {
+    const normalized = normalize(word);
+    if (ids.has(normalized) || !hashUnknownWords) return { id: tokenId(normalized) };
+    return { id: vocab.length + (hashWord(normalized) % HASHED_IDS), unknown: true };
+  };
+
+  // Greedy longest-match-first. A word that can't be covered by vocabulary
+  // pieces becomes a single [UNK].
+  const wordPiece = (word) => {
+    if (word.length > MAX_WORD_CHARS) return [UNK_TOKEN];
+
+    const pieces = [];
+    let start = 0;
+    while (start < word.length) {
+      let end = word.length;
+      let piece = null;
+      while (start < end) {
+        const candidate = (start > 0 ? CONTINUATION_PREFIX : '') + word.slice(start, end);
+        if (ids.has(candidate)) {
+          piece = candidate;
+          break;
+        }
+        end--;
+      }
+      if (piece === null) return [UNK_TOKEN];
+      pieces.push(piece);
+      start = end;
+    }
+    return pieces;
+  };
+
+  // Returns one entry per token: its text, vocabulary id, and the word it
+  // came from (`word` is that word's index, `source` its text).
+  const tokenize = (text, mode = 'subwords') => {
+    if (mode === 'words') {
+      return splitWhitespace(text).map((word, wordIndex) => ({
+        text: word,
+        ...wordEntry(word),
+        word: wordIndex,
+        source: word
+      }));
+    }
+
+    return basicTokenize(text).flatMap((word, wordIndex) =>
+      wordPiece(word).map(piece => ({
+        text: piece,
+        id: tokenId(piece),
+        word: wordIndex,
+        source: word
+      }))
+    );
+  };
+
+  return { tokenize, tokenId, wordPiece, vocabSize: vocab.length };
+};
+
+// The tokenizer for the bundled vocabulary, which the toy model embeds
+export const defaultTokenizer = createTokenizer(VOCAB, { hashUnknownWords: true });
+export const { tokenize, tokenId, wordPiece } = defaultTokenizer;
+export const VOCAB_SIZE = VOCAB.length;
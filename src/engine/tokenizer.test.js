@@ -0,0 +1,74 @@
+import { tokenize, wordPiece, basicTokenize, splitWhitespace, tokenId, createTokenizer, UNK_TOKEN, VOCAB_SIZE } from './tokenizer';
+
+const texts = (tokens) => tokens.map(token => token.text);
+
+describe('splitWhitespace', () => {
+  it('treats repeated spaces, tabs and newlines as one separator', () => {
+    expect(splitWhitespace('  The\tcat \n\n sat  ')).toEqual(['The', 'cat', 'sat']);
+    expect(splitWhitespace('   ')).toEqual([]);
+  });
+});
+
+describe('basicTokenize', () => {
+  it('lowercases, strips accents and splits off punctuation', () => {
+    expect(basicTokenize('The cat, "sat"!')).toEqual(['the', 'cat', ',', '"', 'sat', '"', '!']);
+    expect(basicTokenize('Café')).toEqual(['cafe']);
+  });
+});
+
+describe('wordPiece', () => {
+  it('splits a word into the longest vocabulary pieces', () => {
+    expect(wordPiece('unbelievable')).toEqual(['un', '##believ', '##able']);
+    expect(wordPiece('transformers')).toEqual(['transformer', '##s']);
+    expect(wordPiece('cat')).toEqual(['cat']);
+  });
+
+  it('falls back to characters for unknown words', () => {
+    expect(wordPiece('zyx')).toEqual(['z', '##y', '##x']);
+  });
+
+  it('uses [UNK] when no pieces cover the word', () => {
+    expect(wordPiece('ßx')).toEqual([UNK_TOKEN]);
+  });
+});
+
+describe('tokenize', () => {
+  it('keeps whole words in words mode', () => {
+    const tokens = tokenize('The  cat\tsat.', 'words');
+    expect(texts(tokens)).toEqual(['The', 'cat', 'sat.']);
+    expect(tokens[0].id).toBe(tokenId('the'));
+    expect(tokens[0].unknown).toBeUndefined();
+    expect(tokens[2].unknown).toBe(true);
+    expect(tokens[2].id).toBeGreaterThanOrEqual(VOCAB_SIZE);
+  });
+
+  it('gives each out-of-vocabulary word its own stable id in words mode', () => {
+    const [mat, dot, again] = tokenize('mat. zorbly Mat.', 'words');
+    expect(mat.id).not.toBe(dot.id);
+    expect(again.id).toBe(mat.id);
+    const custom = createTokenizer(['[PAD]', '[UNK]', 'hello']);
+    expect(custom.tokenize('hello zorbly', 'words').map(token => token.id)).toEqual([2, 1]);
+  });
+
+  it('returns subword pieces with ids and their source word', () => {
+    const tokens = tokenize('Unbelievable, cat!');
+    expect(texts(tokens)).toEqual(['un', '##believ', '##able', ',', 'cat', '!']);
+    expect(tokens.map(token => token.word)).toEqual([0, 0, 0, 1, 2, 3]);
+    expect(tokens[1].source).toBe('unbelievable');
+    expect(tokens.every(token => Number.isInteger(token.id))).toBe(true);
+    expect(tokens[4].id).toBe(tokenId('cat'));
+  });
+});
+
+describe('createTokenizer', () => {
+  it('tokenizes against a custom vocabulary', () => {
+    const custom = createTokenizer(['[PAD]', '[UNK]', 'hello', '##s', 'world']);
+    expect(custom.vocabSize).toBe(5);
+    expect(custom.tokenize('Hellos world!').map(token => [token.text, token.id])).toEqual([
+      ['hello', 2],
+      ['##s', 3],
+      ['world', 4],
+      ['[UNK]', 1]
+    ]);
+  });
+});
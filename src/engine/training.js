@@ -0,0 +1,142 @@
+// One head learning by gradient descent. The learner picks which word each
+// word should look at; the objective is either that attention pattern
+// itself (cross-entropy between the weights and the target rows) or the
+// output it would give with the starting values (mean squared error), which
+// W_V can help reach too. Gradients are worked out by hand, the same
+// backpropagation an autodiff library would do, and W_Q, W_K and W_V take
+// a plain gradient-descent step each iteration.
+
+import { computeAttention, matMul, transpose } from './attention';
+import { ropeAngles } from './positional';
+
+export const TRAINING_OBJECTIVES = ['pattern', 'output'];
+export const TARGET_PRESETS = ['previous', 'self', 'first'];
+export const LEARNING_RATES = [0.03, 0.1, 0.3, 1];
+export const MAX_ITERATIONS = 300;
+export const MAX_GRADIENT_NORM = 1;
+export const WEIGHT_NAMES = ['WQ', 'WK', 'WV'];
+
+const range = (n) => Array.from({ length: n }, (_, i) => i);
+
+// Where a preset points query `i`: the word before it (the first word
+// looks at itself), itself, or the sentence's first word
+const presetKey = (preset, i, cols) => {
+  if (preset === 'previous') return Math.max(0, i - 1);
+  if (preset === 'self') return Math.min(i, cols - 1);
+  return 0;
+};
+
+// One key index per query row. A target the mask blocks moves to the
+// nearest visible key; a row with nothing visible gets null.
+export const presetTargets = (preset, rows, cols, mask = null) => range(rows).map(i => {
+  const wanted = presetKey(preset, i, cols);
+  const visible = range(cols).filter(j => !mask || !mask[i][j]);
+  if (!visible.length) return null;
+  return visible.reduce((best, j) => (Math.abs(j - wanted) < Math.abs(best - wanted) ? j : best));
+});
+
+// The targets as an attention matrix: all of each row's weight on its key
+export const targetPattern = (targets, cols) =>
+  targets.map(target => range(cols).map(j => (j === target ? 1 : 0)));
+
+// What the objective compares against: the pattern itself, or the output
+// that pattern gives with the starting values
+export const trainingTarget = (objective, pattern, initialHead) =>
+  (objective === 'output' ? matMul(pattern, initialHead.V) : pattern);
+
+// Undoes RoPE's rotation, to carry gradients back through it
+const unrotate = (matrix) => {
+  const angles = ropeAngles(matrix.length, matrix[0].length);
+  return matrix.map((row, pos) => {
+    const turned = [...row];
+    angles[pos].forEach((angle, i) => {
+      const x = row[2 * i];
+      const y = row[2 * i + 1];
+      turned[2 * i] = x * Math.cos(angle) + y * Math.sin(angle);
+      turned[2 * i + 1] = -x * Math.sin(angle) + y * Math.cos(angle);
+    });
+    return turned;
+  });
+};
+
+// Rows with a target: in the pattern objective every row of the target
+// sums to 1, except rows the mask hides completely
+const targetRows = (target) => target.map(row => row.some(val => val !== 0));
+
+// Forward pass and loss for `weights` ({ WQ, WK, WV }). `keyEmbeddings`
+// is the source sentence in cross-attention.
+export const evaluateTraining = ({ embeddings, keyEmbeddings = embeddings, weights, mask = null, rope = false, objective, target }) => {
+  const head = computeAttention({ embeddings, keyEmbeddings, ...weights, mask, rope });
+  if (objective === 'output') {
+    const count = head.output.length * head.output[0].length;
+    const loss = head.output.reduce((sum, row, i) => sum + row.reduce((s, val, d) => s + (val - target[i][d]) ** 2, 0), 0) / count;
+    return { head, loss };
+  }
+  const rows = targetRows(target);
+  const counted = rows.filter(Boolean).length || 1;
+  const loss = head.attentionWeights.reduce((sum, row, i) => (
+    rows[i] ? sum - row.reduce((s, w, j) => (target[i][j] ? s + target[i][j] * Math.log(Math.max(w, 1e-12)) : s), 0) : sum
+  ), 0) / counted;
+  return { head, loss };
+};
+
+// Loss and its gradient with respect to W_Q, W_K and W_V
+export const trainingGradients = (args) => {
+  const { embeddings, keyEmbeddings = embeddings, rope = false, objective, target } = args;
+  const { head, loss } = evaluateTraining(args);
+  const { Q, K, V, attentionWeights: A, dK } = head;
+
+  // dL/d(scaled scores); masked cells have zero weight and stay at zero
+  let dScores;
+  let dV;
+  if (objective === 'output') {
+    const count = head.output.length * head.output[0].length;
+    const dOutput = head.output.map((row, i) => row.map((val, d) => (2 * (val - target[i][d])) / count));
+    const dWeights = matMul(dOutput, transpose(V));
+    dV = matMul(transpose(A), dOutput);
+    // Back through softmax, one row at a time
+    dScores = A.map((row, i) => {
+      const dot = row.reduce((sum, w, j) => sum + w * dWeights[i][j], 0);
+      return row.map((w, j) => w * (dWeights[i][j] - dot));
+    });
+  } else {
+    // Softmax followed by cross-entropy: weights minus target
+    const rows = targetRows(target);
+    const counted = rows.filter(Boolean).length || 1;
+    dScores = A.map((row, i) => row.map((w, j) => (rows[i] ? (w - target[i][j]) / counted : 0)));
+    dV = V.map(row => row.map(() => 0));
+  }
+
+  // scores = Q·Kᵀ / √d_k
+  const scale = Math.sqrt(dK);
+  const dQ = matMul(dScores, K).map(row => row.map(val => val / scale));
+  const dKeys = matMul(transpose(dScores), Q).map(row => row.map(val => val / scale));
+  return {
+    head,
+    loss,
+    gradients: {
+      WQ: matMul(transpose(embeddings), rope ? unrotate(dQ) : dQ),
+      WK: matMul(transpose(keyEmbeddings), rope ? unrotate(dKeys) : dKeys),
+      WV: matMul(transpose(keyEmbeddings), dV)
+    }
+  };
+};
+
+// Length of all the gradients together, as one long vector
+export const gradientNorm = (gradients) =>
+  Math.sqrt(WEIGHT_NAMES.reduce((sum, name) => sum + gradients[name].flat().reduce((s, val) => s + val * val, 0), 0));
+
+// One iteration: the gradients at the current weights, the step against
+// them, and the forward pass and loss with the new weights. Steep spots
+// would throw the weights far off, so the step is clipped to the length
+// a gradient of MAX_GRADIENT_NORM would take.
+export const trainStep = (args, learningRate) => {
+  const { gradients } = trainingGradients(args);
+  const size = gradientNorm(gradients);
+  const clip = size > MAX_GRADIENT_NORM ? MAX_GRADIENT_NORM / size : 1;
+  const weights = Object.fromEntries(WEIGHT_NAMES.map(name => [
+    name,
+    args.weights[name].map((row, i) => row.map((val, j) => val - learningRate * clip * gradients[name][i][j]))
+  ]));
+  return { weights, gradients, ...evaluateTraining({ ...args, weights }) };
+};
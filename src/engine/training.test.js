@@ -0,0 +1,125 @@
+import {
+  presetTargets,
+  targetPattern,
+  trainingTarget,
+  evaluateTraining,
+  trainingGradients,
+  trainStep,
+  gradientNorm,
+  WEIGHT_NAMES
+} from './training';
+import { computeAttention } from './attention';
+import { causalMask } from './masking';
+
+const embeddings = [[1, 0, 0.5], [0.2, -1, 0], [0, 0.3, 1], [-0.5, 0.5, 0.5]];
+const weights = {
+  WQ: [[1, 0], [0, 1], [0.5, 0.5]],
+  WK: [[0, 1], [1, 0], [0.5, -0.5]],
+  WV: [[1, 1], [0, 2], [-1, 0]]
+};
+
+// Central differences on every weight, to check the hand-written backward pass
+const numericGradients = (args) => Object.fromEntries(WEIGHT_NAMES.map(name => [
+  name,
+  args.weights[name].map((row, i) => row.map((_, j) => {
+    const nudge = (delta) => {
+      const matrix = args.weights[name].map(r => [...r]);
+      matrix[i][j] += delta;
+      return evaluateTraining({ ...args, weights: { ...args.weights, [name]: matrix } }).loss;
+    };
+    return (nudge(1e-5) - nudge(-1e-5)) / 2e-5;
+  }))
+]));
+
+const expectClose = (actual, expected) =>
+  actual.forEach((row, i) => row.forEach((val, j) => expect(val).toBeCloseTo(expected[i][j], 5)));
+
+describe('presetTargets', () => {
+  it('points every word at the previous word, itself or the first word', () => {
+    expect(presetTargets('previous', 4, 4)).toEqual([0, 0, 1, 2]);
+    expect(presetTargets('self', 3, 2)).toEqual([0, 1, 1]);
+    expect(presetTargets('first', 3, 3)).toEqual([0, 0, 0]);
+  });
+
+  it('moves targets the mask blocks to the nearest visible word', () => {
+    const mask = [[false, true], [true, true]];
+    expect(presetTargets('self', 2, 2, [[true, false], [false, false]])).toEqual([1, 1]);
+    expect(presetTargets('first', 2, 2, mask)).toEqual([0, null]);
+    expect(targetPattern([1, null], 2)).toEqual([[0, 1], [0, 0]]);
+  });
+});
+
+describe('trainingGradients', () => {
+  const pattern = targetPattern(presetTargets('previous', 4, 4), 4);
+  const initial = computeAttention({ embeddings, ...weights });
+
+  it('matches numerical gradients for the attention pattern', () => {
+    const args = { embeddings, weights, objective: 'pattern', target: pattern };
+    const { gradients } = trainingGradients(args);
+    const numeric = numericGradients(args);
+    WEIGHT_NAMES.forEach(name => expectClose(gradients[name], numeric[name]));
+    expect(gradients.WV.flat().every(val => val === 0)).toBe(true);
+  });
+
+  it('matches numerical gradients for the output, with a mask and RoPE', () => {
+    const args = {
+      embeddings,
+      weights,
+      mask: causalMask(4),
+      rope: true,
+      objective: 'output',
+      target: trainingTarget('output', pattern, initial)
+    };
+    const { gradients } = trainingGradients(args);
+    const numeric = numericGradients(args);
+    WEIGHT_NAMES.forEach(name => expectClose(gradients[name], numeric[name]));
+  });
+
+  it('handles cross-attention', () => {
+    const keyEmbeddings = embeddings.slice(0, 3);
+    const args = {
+      embeddings: embeddings.slice(1),
+      keyEmbeddings,
+      weights,
+      objective: 'pattern',
+      target: targetPattern(presetTargets('first', 3, 3), 3)
+    };
+    const { gradients } = trainingGradients(args);
+    const numeric = numericGradients(args);
+    WEIGHT_NAMES.forEach(name => expectClose(gradients[name], numeric[name]));
+  });
+});
+
+describe('trainStep', () => {
+  it('lowers the loss and moves the attention towards the target', () => {
+    const targets = presetTargets('previous', 4, 4);
+    const args = { embeddings, weights, objective: 'pattern', target: targetPattern(targets, 4) };
+    const start = evaluateTraining(args).loss;
+    let current = weights;
+    let result;
+    for (let k = 0; k < 100; k++) {
+      result = trainStep({ ...args, weights: current }, 1);
+      current = result.weights;
+    }
+    expect(result.loss).toBeLessThan(start / 2);
+    result.head.attentionWeights.forEach((row, i) => {
+      expect(row.indexOf(Math.max(...row))).toBe(targets[i]);
+    });
+    expect(weights.WQ[0][0]).toBe(1);
+  });
+});
+
+describe('gradient clipping', () => {
+  it('never moves the weights further than a gradient of size 1 would', () => {
+    const big = embeddings.map(row => row.map(val => val * 20));
+    const args = { embeddings: big, weights, objective: 'pattern', target: targetPattern(presetTargets('first', 4, 4), 4) };
+    const { gradients } = trainingGradients(args);
+    expect(gradientNorm(gradients)).toBeGreaterThan(1);
+    const step = trainStep(args, 0.5);
+    const moved = gradientNorm(Object.fromEntries(WEIGHT_NAMES.map(name => [
+      name,
+      step.weights[name].map((row, i) => row.map((val, j) => val - weights[name][i][j]))
+    ])));
+    expect(moved).toBeCloseTo(0.5);
+  });
+});
@@ -0,0 +1,99 @@
+// The rest of a transformer block around attention, in the original
+// "post-norm" layout:
+//   x₁ = LayerNorm(x + MultiHead(x))
+//   x₂ = LayerNorm(x₁ + FFN(x₁)),  FFN(x) = ReLU(x·W₁ + b₁)·W₂ + b₂
+// Blocks stack: each layer's output is the next layer's input.
+
+import { matMul } from './attention';
+import { computeMultiHeadAttention } from './multiHead';
+import { createRng, randomMatrix } from './random';
+import { mean } from './stats';
+
+export const MAX_LAYERS = 4;
+// The hidden layer of the feed-forward network is this many times d_model
+export const FFN_MULTIPLIER = 4;
+export const LAYER_NORM_EPS = 1e-5;
+
+export const addMatrices = (A, B) => A.map((row, i) => row.map((val, j) => val + B[i][j]));
+
+const addBias = (matrix, bias) => matrix.map(row => row.map((val, j) => val + bias[j]));
+
+export const relu = (matrix) => matrix.map(row => row.map(val => Math.max(0, val)));
+
+// Normalizes each token's vector to mean 0 and variance 1, then scales by
+// `gamma` and shifts by `beta` (learned; 1 and 0 in the toy model).
+export const layerNorm = (matrix, { gamma = null, beta = null, eps = LAYER_NORM_EPS } = {}) =>
+  matrix.map(row => {
+    const m = mean(row);
+    const variance = mean(row.map(val => (val - m) ** 2));
+    const scale = Math.sqrt(variance + eps);
+    return row.map((val, j) => ((val - m) / scale) * (gamma ? gamma[j] : 1) + (beta ? beta[j] : 0));
+  });
+
+export const feedForward = (x, { W1, b1, W2, b2 }) => {
+  const hidden = relu(addBias(matMul(x, W1), b1));
+  return { hidden, output: addBias(matMul(hidden, W2), b2) };
+};
+
+// Seeded weights for one layer. Layer 0 reuses the walkthrough's own heads,
+// so only its `WO` and `ffn` are used.
+export const createLayerWeights = (layer, numHeads, { dModel, dK, dV }) => {
+  const rng = createRng(7000 + layer);
+  const dFF = dModel * FFN_MULTIPLIER;
+  return {
+    heads: Array.from({ length: numHeads }, () => ({
+      WQ: randomMatrix(dModel, dK, rng),
+      WK: randomMatrix(dModel, dK, rng),
+      WV: randomMatrix(dModel, dV, rng)
+    })),
+    WO: randomMatrix(numHeads * dV, dModel, rng, 0.5),
+    ffn: {
+      W1: randomMatrix(dModel, dFF, rng, 0.5),
+      b1: randomMatrix(1, dFF, rng, 0.1)[0],
+      W2: randomMatrix(dFF, dModel, rng, 0.5),
+      b2: randomMatrix(1, dModel, rng, 0.1)[0]
+    }
+  };
+};
+
+// One block. `keyEmbeddings` is the source sentence in cross-attention;
+// otherwise the block attends over its own input.
+export const computeTransformerBlock = ({ input, keyEmbeddings = null, heads, WO, ffn, mask = null, rope = false }) => {
+  const attention = computeMultiHeadAttention({
+    embeddings: input,
+    keyEmbeddings: keyEmbeddings || input,
+    heads,
+    WO,
+    mask,
+    rope
+  });
+  const residual1 = addMatrices(input, attention.output);
+  const norm1 = layerNorm(residual1);
+  const { hidden, output: ffnOutput } = feedForward(norm1, ffn);
+  const residual2 = addMatrices(norm1, ffnOutput);
+  return {
+    input,
+    attention,
+    residual1,
+    norm1,
+    ffnHidden: hidden,
+    ffnOutput,
+    residual2,
+    output: layerNorm(residual2)
+  };
+};
+
+// Runs `layers` blocks in sequence and returns every block's result.
+export const computeLayerStack = ({ embeddings, keyEmbeddings = null, layers, mask = null, rope = false }) => {
+  if (!embeddings.length || (keyEmbeddings && !keyEmbeddings.length)) return [];
+  return layers.reduce((results, weights) => [
+    ...results,
+    computeTransformerBlock({
+      input: results.length ? results[results.length - 1].output : embeddings,
+      keyEmbeddings,
+      ...weights,
+      mask,
+      rope
+    })
+  ], []);
+};
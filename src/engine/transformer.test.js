@@ -0,0 +1,85 @@
+import { createHeadWeights, DEFAULT_DIMENSIONS } from './model';
+import { computeMultiHeadAttention } from './multiHead';
+import { causalMask } from './masking';
+import { mean, std, cosineSimilarity } from './stats';
+import {
+  addMatrices,
+  relu,
+  layerNorm,
+  feedForward,
+  createLayerWeights,
+  computeTransformerBlock,
+  computeLayerStack,
+  FFN_MULTIPLIER
+} from './transformer';
+
+const embeddings = [[1, 0, 0.5, -1], [0, 2, 1, 0], [0.3, -0.2, 0.1, 0.9]];
+
+describe('block pieces', () => {
+  it('adds matrices and applies ReLU element-wise', () => {
+    expect(addMatrices([[1, 2]], [[3, -4]])).toEqual([[4, -2]]);
+    expect(relu([[-1, 0, 2]])).toEqual([[0, 0, 2]]);
+  });
+
+  it('normalizes every row to mean 0 and variance 1', () => {
+    layerNorm(embeddings).forEach(row => {
+      expect(mean(row)).toBeCloseTo(0, 10);
+      expect(std(row)).toBeCloseTo(1, 4);
+    });
+  });
+
+  it('applies gamma and beta after normalizing', () => {
+    const [row] = layerNorm([[1, 3]], { gamma: [2, 2], beta: [1, 1], eps: 0 });
+    expect(row).toEqual([-1, 3]);
+  });
+
+  it('runs a two-layer ReLU network on each token separately', () => {
+    const ffn = { W1: [[1, -1]], b1: [0, 0], W2: [[1], [1]], b2: [0.5] };
+    const { hidden, output } = feedForward([[2], [-3]], ffn);
+    expect(hidden).toEqual([[2, 0], [0, 3]]);
+    expect(output).toEqual([[2.5], [3.5]]);
+  });
+
+  it('cosine similarity is 1 for the same direction and 0 for orthogonal vectors', () => {
+    expect(cosineSimilarity([1, 2], [2, 4])).toBeCloseTo(1, 12);
+    expect(cosineSimilarity([1, 0], [0, 3])).toBe(0);
+  });
+});
+
+describe('transformer block', () => {
+  const layer = createLayerWeights(0, 1, DEFAULT_DIMENSIONS);
+
+  it('generates reproducible weights with a 4× wider hidden layer', () => {
+    expect(layer.ffn.W1[0]).toHaveLength(DEFAULT_DIMENSIONS.dModel * FFN_MULTIPLIER);
+    expect(layer.WO).toHaveLength(DEFAULT_DIMENSIONS.dV);
+    expect(createLayerWeights(0, 1, DEFAULT_DIMENSIONS)).toEqual(layer);
+    expect(createLayerWeights(1, 1, DEFAULT_DIMENSIONS)).not.toEqual(layer);
+  });
+
+  it('adds the attention output back to its input before normalizing', () => {
+    const heads = createHeadWeights(1);
+    const block = computeTransformerBlock({ input: embeddings, heads, WO: layer.WO, ffn: layer.ffn });
+    const attention = computeMultiHeadAttention({ embeddings, heads, WO: layer.WO });
+    expect(block.residual1).toEqual(addMatrices(embeddings, attention.output));
+    expect(block.norm1).toEqual(layerNorm(block.residual1));
+    expect(block.residual2).toEqual(addMatrices(block.norm1, block.ffnOutput));
+    expect(block.output).toEqual(layerNorm(block.residual2));
+    expect(block.output[0]).toHaveLength(DEFAULT_DIMENSIONS.dModel);
+  });
+
+  it('feeds each layer the previous layer\'s output', () => {
+    const layers = [0, 1].map(l => createLayerWeights(l, 2, DEFAULT_DIMENSIONS));
+    const stack = computeLayerStack({ embeddings, layers, mask: causalMask(3) });
+    expect(stack).toHaveLength(2);
+    expect(stack[1].input).toBe(stack[0].output);
+    expect(stack[1].attention.heads[0].attentionWeights[0]).toEqual([1, 0, 0]);
+  });
+
+  it('keeps attending to the source in cross-attention', () => {
+    const layers = [0, 1].map(l => createLayerWeights(l, 1, DEFAULT_DIMENSIONS));
+    const stack = computeLayerStack({ embeddings: embeddings.slice(0, 2), keyEmbeddings: embeddings, layers });
+    expect(stack[1].attention.heads[0].attentionWeights).toHaveLength(2);
+    expect(stack[1].attention.heads[0].attentionWeights[0]).toHaveLength(3);
+    expect(computeLayerStack({ embeddings: [], layers })).toEqual([]);
+  });
+});
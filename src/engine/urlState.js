@@ -0,0 +1,173 @@
+// Shareable links. The walkthrough state lives in the query string so a URL
+// like ?text=the+dog+barked&step=4&token=1 opens straight onto step 4 with
+// "dog" selected. Only values that differ from the defaults are written, and
+// anything unreadable falls back to its default.
+
+import { DEFAULT_DIMENSIONS, MAX_HEADS, MODEL_SIZES, HEAD_SIZES } from './model';
+import { MASK_MODES, maskKey } from './masking';
+import { POSITION_MODES } from './positional';
+import { TOKENIZER_MODES } from './tokenizer';
+import { MAX_LAYERS } from './transformer';
+import { COMPARE_WEIGHTS } from './compare';
+import { DEFAULT_LESSON, isLessonId } from './lessons';
+import { isLocale } from './i18n';
+import { PALETTES } from './heatmap';
+
+export const ATTENTION_MODES = ['self', 'cross'];
+
+export const DEFAULT_URL_STATE = {
+  inputText: 'The cat sat on the mat',
+  attentionMode: 'self',
+  targetText: "Le chat s'est assis sur le tapis",
+  step: 0,
+  selectedToken: null,
+  showMath: false,
+  numHeads: 1,
+  activeHead: 0,
+  tokenizerMode: 'subwords',
+  positionMode: 'sinusoidal',
+  maskMode: 'none',
+  padCount: 2,
+  customMaskCells: {},
+  // Hand-edited weight cells, as listed by weightEdits in ./model
+  weightEdits: [],
+  dimensions: DEFAULT_DIMENSIONS,
+  numLayers: 2,
+  compareMode: false,
+  compareText: 'The dog sat on the mat',
+  compareWeights: 'same',
+  quizMode: false,
+  // null when not generating, else the index of the newest token
+  generateStep: null,
+  lesson: DEFAULT_LESSON.id,
+  // null follows the browser's language
+  locale: null,
+  palette: 'classic'
+};
+
+const MAX_PAD = 4;
+
+const readInt = (value, min, max) => {
+  if (value === null || !/^\d+$/.test(value)) return null;
+  const n = Number(value);
+  return n >= min && n <= max ? n : null;
+};
+
+const oneOf = (value, options) => (options.includes(value) ? value : null);
+
+// Custom mask cells as "i-j" pairs separated by dots, e.g. "0-1.2-3"
+const encodeCells = (cells) => Object.keys(cells).filter(key => cells[key]).join('.');
+
+const decodeCells = (value) => {
+  if (!value) return null;
+  const cells = {};
+  value.split('.').forEach(pair => {
+    const match = /^(\d+)-(\d+)$/.exec(pair);
+    if (match) cells[maskKey(Number(match[1]), Number(match[2]))] = true;
+  });
+  return cells;
+};
+
+// Weight edits as "head.matrix.i.j*value" separated by underscores, e.g.
+// "0.WQ.1.0*0.35_1.WV.2.1*-1.2". Indices are 0-based like mask cells, and
+// values keep three decimals to keep links short.
+const encodeEdits = (edits) => edits
+  .map(({ head, name, i, j, value }) => `${head}.${name}.${i}.${j}*${Number(value.toFixed(3))}`)
+  .join('_');
+
+const decodeEdits = (value) => {
+  if (!value) return null;
+  return value.split('_').flatMap(entry => {
+    const match = /^(\d+)\.(WQ|WK|WV)\.(\d+)\.(\d+)\*(-?\d+(?:\.\d+)?)$/.exec(entry);
+    if (!match || Number(match[1]) >= MAX_HEADS) return [];
+    return [{ head: Number(match[1]), name: match[2], i: Number(match[3]), j: Number(match[4]), value: Number(match[5]) }];
+  });
+};
+
+// d_model-d_k-d_v, e.g. "16-4-4"
+const decodeDimensions = (value) => {
+  const match = /^(\d+)-(\d+)-(\d+)$/.exec(value || '');
+  if (!match) return null;
+  const [dModel, dK, dV] = match.slice(1).map(Number);
+  if (!MODEL_SIZES.includes(dModel) || !HEAD_SIZES.includes(dK) || !HEAD_SIZES.includes(dV)) return null;
+  if (dK > dModel || dV > dModel) return null;
+  return { dModel, dK, dV };
+};
+
+const sameDimensions = (a, b) => a.dModel === b.dModel && a.dK === b.dK && a.dV === b.dV;
+
+// State → query string (without the leading "?"). `step`, `selectedToken`,
+// `activeHead` and `generateStep` are 0-based in the app and 1-based in the
+// URL.
+export const encodeUrlState = (state) => {
+  const s = { ...DEFAULT_URL_STATE, ...state };
+  const d = DEFAULT_URL_STATE;
+  const params = new URLSearchParams();
+  if (s.inputText !== d.inputText) params.set('text', s.inputText);
+  if (s.attentionMode !== d.attentionMode) params.set('mode', s.attentionMode);
+  if (s.attentionMode === 'cross' && s.targetText !== d.targetText) params.set('target', s.targetText);
+  if (s.step !== d.step) params.set('step', s.step + 1);
+  if (s.selectedToken !== null) params.set('token', s.selectedToken + 1);
+  if (s.showMath) params.set('math', '1');
+  if (s.numHeads !== d.numHeads) params.set('heads', s.numHeads);
+  if (s.activeHead === 'overlay') params.set('head', 'all');
+  else if (s.activeHead !== d.activeHead) params.set('head', s.activeHead + 1);
+  if (s.tokenizerMode !== d.tokenizerMode) params.set('tokens', s.tokenizerMode);
+  if (s.positionMode !== d.positionMode) params.set('position', s.positionMode);
+  if (s.maskMode !== d.maskMode) params.set('mask', s.maskMode);
+  if (s.maskMode === 'padding' && s.padCount !== d.padCount) params.set('pad', s.padCount);
+  if (s.maskMode === 'custom' && encodeCells(s.customMaskCells)) params.set('cells', encodeCells(s.customMaskCells));
+  if (!sameDimensions(s.dimensions, d.dimensions)) {
+    params.set('dims', `${s.dimensions.dModel}-${s.dimensions.dK}-${s.dimensions.dV}`);
+  }
+  if (s.weightEdits.length) params.set('edits', encodeEdits(s.weightEdits));
+  if (s.numLayers !== d.numLayers) params.set('layers', s.numLayers);
+  if (s.compareMode) {
+    params.set('compare', '1');
+    if (s.compareText !== d.compareText) params.set('vs', s.compareText);
+    if (s.compareWeights !== d.compareWeights) params.set('vsweights', s.compareWeights);
+  }
+  if (s.quizMode) params.set('quiz', '1');
+  if (s.generateStep !== null) params.set('gen', s.generateStep + 1);
+  if (s.lesson !== null && s.lesson !== d.lesson) params.set('lesson', s.lesson);
+  if (s.locale !== null) params.set('lang', s.locale);
+  if (s.palette !== d.palette) params.set('palette', s.palette);
+  return params.toString();
+};
+
+// Query string → a complete state object.
+export const decodeUrlState = (search) => {
+  const params = new URLSearchParams(search);
+  const d = DEFAULT_URL_STATE;
+  const pick = (value, fallback) => (value === null ? fallback : value);
+  const step = readInt(params.get('step'), 1, 99);
+  const token = readInt(params.get('token'), 1, 999);
+  const generate = readInt(params.get('gen'), 1, 999);
+  const head = params.get('head') === 'all' ? 'overlay' : readInt(params.get('head'), 1, MAX_HEADS);
+  return {
+    inputText: pick(params.get('text'), d.inputText),
+    attentionMode: pick(oneOf(params.get('mode'), ATTENTION_MODES), d.attentionMode),
+    targetText: pick(params.get('target'), d.targetText),
+    step: step === null ? d.step : step - 1,
+    selectedToken: token === null ? null : token - 1,
+    showMath: params.get('math') === '1',
+    numHeads: pick(readInt(params.get('heads'), 1, MAX_HEADS), d.numHeads),
+    activeHead: head === null ? d.activeHead : head === 'overlay' ? head : head - 1,
+    tokenizerMode: pick(oneOf(params.get('tokens'), TOKENIZER_MODES), d.tokenizerMode),
+    positionMode: pick(oneOf(params.get('position'), POSITION_MODES), d.positionMode),
+    maskMode: pick(oneOf(params.get('mask'), MASK_MODES), d.maskMode),
+    padCount: pick(readInt(params.get('pad'), 1, MAX_PAD), d.padCount),
+    customMaskCells: pick(decodeCells(params.get('cells')), d.customMaskCells),
+    dimensions: pick(decodeDimensions(params.get('dims')), d.dimensions),
+    weightEdits: pick(decodeEdits(params.get('edits')), d.weightEdits),
+    numLayers: pick(readInt(params.get('layers'), 1, MAX_LAYERS), d.numLayers),
+    compareMode: params.get('compare') === '1',
+    compareText: pick(params.get('vs'), d.compareText),
+    compareWeights: pick(oneOf(params.get('vsweights'), COMPARE_WEIGHTS), d.compareWeights),
+    quizMode: params.get('quiz') === '1',
+    generateStep: generate === null ? d.generateStep : generate - 1,
+    lesson: isLessonId(params.get('lesson')) ? params.get('lesson') : d.lesson,
+    locale: isLocale(params.get('lang')) ? params.get('lang') : d.locale,
+    palette: pick(oneOf(params.get('palette'), PALETTES), d.palette)
+  };
+};
@@ -0,0 +1,87 @@
+import { DEFAULT_URL_STATE, encodeUrlState, decodeUrlState } from './urlState';
+
+describe('shareable URL state', () => {
+  it('writes nothing for the default state', () => {
+    expect(encodeUrlState(DEFAULT_URL_STATE)).toBe('');
+    expect(decodeUrlState('')).toEqual(DEFAULT_URL_STATE);
+  });
+
+  it('writes the newest generated token 1-based, and nothing when not generating', () => {
+    expect(encodeUrlState({ maskMode: 'causal', generateStep: 0 })).toBe('mask=causal&gen=1');
+    expect(decodeUrlState('?mask=causal&gen=3').generateStep).toBe(2);
+    expect(decodeUrlState('?gen=0').generateStep).toBeNull();
+  });
+
+  it('uses 1-based step, token and head numbers in the URL', () => {
+    const query = encodeUrlState({ inputText: 'the dog barked', step: 3, selectedToken: 1, numHeads: 2, activeHead: 1 });
+    expect(query).toBe('text=the+dog+barked&step=4&token=2&heads=2&head=2');
+    expect(decodeUrlState(`?${query}`)).toMatchObject({ step: 3, selectedToken: 1, activeHead: 1 });
+  });
+
+  it('round-trips every setting', () => {
+    const state = {
+      ...DEFAULT_URL_STATE,
+      inputText: 'Ünïcode & spaces?',
+      attentionMode: 'cross',
+      targetText: 'Der Hund bellte',
+      step: 5,
+      selectedToken: 0,
+      showMath: true,
+      numHeads: 3,
+      activeHead: 'overlay',
+      tokenizerMode: 'words',
+      positionMode: 'rope',
+      maskMode: 'custom',
+      customMaskCells: { '0-1': true, '2-0': true },
+      dimensions: { dModel: 16, dK: 4, dV: 8 },
+      weightEdits: [{ head: 0, name: 'WQ', i: 1, j: 0, value: 0.35 }, { head: 2, name: 'WV', i: 15, j: 7, value: -1.2 }],
+      numLayers: 4,
+      compareMode: true,
+      compareText: 'The bank approved the loan',
+      compareWeights: 'random',
+      quizMode: true,
+      generateStep: 2,
+      lesson: 'quick-tour',
+      locale: 'de',
+      palette: 'cividis'
+    };
+    expect(decodeUrlState(encodeUrlState(state))).toEqual(state);
+  });
+
+  it('writes weight edits cell by cell with three decimals', () => {
+    const edits = [{ head: 1, name: 'WK', i: 2, j: 0, value: 0.123456 }, { head: 0, name: 'WQ', i: 0, j: 1, value: -2 }];
+    const query = encodeUrlState({ weightEdits: edits });
+    expect(query).toBe('edits=1.WK.2.0*0.123_0.WQ.0.1*-2');
+    expect(decodeUrlState(`?${query}`).weightEdits).toEqual([{ ...edits[0], value: 0.123 }, edits[1]]);
+    expect(decodeUrlState('?edits=0.WO.0.0*1_99.WQ.0.0*1_0.WQ.0.0*x').weightEdits).toEqual([]);
+  });
+
+  it('only writes the target sentence in cross-attention mode', () => {
+    expect(encodeUrlState({ targetText: 'Der Hund' })).toBe('');
+    expect(encodeUrlState({ attentionMode: 'cross', targetText: 'Der Hund' })).toBe('mode=cross&target=Der+Hund');
+  });
+
+  it('only writes the second sentence and weights in compare mode', () => {
+    expect(encodeUrlState({ compareText: 'The bank', compareWeights: 'identity' })).toBe('');
+    expect(encodeUrlState({ compareMode: true, compareText: 'The bank' })).toBe('compare=1&vs=The+bank');
+  });
+
+  it('leaves out lessons that were loaded from a file', () => {
+    expect(encodeUrlState({ lesson: null })).toBe('');
+  });
+
+  it('only writes the language once one has been picked', () => {
+    expect(encodeUrlState({ locale: null })).toBe('');
+    expect(encodeUrlState({ locale: 'es' })).toBe('lang=es');
+  });
+
+  it('only writes the settings the current mask uses', () => {
+    expect(encodeUrlState({ maskMode: 'causal', padCount: 3, customMaskCells: { '0-1': true } })).toBe('mask=causal');
+    expect(encodeUrlState({ maskMode: 'padding', padCount: 3 })).toBe('mask=padding&pad=3');
+  });
+
+  it('falls back to defaults for values it cannot read', () => {
+    const state = decodeUrlState('mode=both&step=0&token=x&heads=99&position=spiral&mask=all&pad=-1&dims=8-16-2&cells=a-b&layers=9&vsweights=upside-down&lesson=../etc&lang=xx');
+    expect(state).toEqual({ ...DEFAULT_URL_STATE, customMaskCells: {} });
+  });
+});